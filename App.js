@@ -16,6 +16,7 @@ import SettingsScreen from './src/screens/SettingsScreen';
 // Import services
 import { initializeDatabase } from './src/services/DatabaseService';
 import { startBackgroundMonitoring } from './src/services/BackgroundService';
+import SettingsStore from './src/services/SettingsStore';
 
 const Tab = createBottomTabNavigator();
 const BACKGROUND_MONITORING_TASK = 'state51-background-monitoring';
@@ -45,6 +46,10 @@ export default function App() {
       // Initialize database
       await initializeDatabase();
 
+      // Load settings; subscribed services (sensor source, sensitivity
+      // profile, background task, data retention) apply them as they arrive
+      await SettingsStore.load();
+
       // Start background monitoring
       await startBackgroundMonitoring(BACKGROUND_MONITORING_TASK);
 
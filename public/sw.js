@@ -12,6 +12,65 @@ const urlsToCache = [
   '/icon-512.png'
 ];
 
+// Time zone and clock windows, sent by the app (TimeWindowService); until
+// then the device zone and the default cosmic window. A cosmic window
+// redefined as a sun or lunar window is not sent and never flags here.
+let timeZone = '';
+let timeWindows = [{ id: 'cosmic', startMinute: 180, endMinute: 240 }];
+
+// The last windows sent are kept in their own cache (not cleared on
+// activate), since the worker restarts whenever the browser stops it
+const SETTINGS_CACHE = 'state51-settings';
+const TIME_WINDOWS_KEY = '/sw-settings/time-windows.json';
+
+let timeWindowsReceived = false;
+
+function applyTimeWindows(settings) {
+  timeZone = settings.timeZone === 'local' ? '' : settings.timeZone;
+  timeWindows = settings.windows;
+}
+
+function saveTimeWindows(settings) {
+  return caches.open(SETTINGS_CACHE).then(function(cache) {
+    return cache.put(TIME_WINDOWS_KEY, new Response(JSON.stringify(settings), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+  });
+}
+
+const timeWindowsLoaded = caches.open(SETTINGS_CACHE)
+  .then(function(cache) { return cache.match(TIME_WINDOWS_KEY); })
+  .then(function(response) { return response ? response.json() : null; })
+  .then(function(settings) {
+    // Windows sent while this was loading are newer
+    if (settings && !timeWindowsReceived) applyTimeWindows(settings);
+  })
+  .catch(function(error) {
+    console.error('[SW] Failed to load time windows:', error);
+  });
+
+// Minutes after local midnight in the configured zone
+function minuteOfDay(time) {
+  if (!timeZone) {
+    const date = new Date(time);
+    return date.getHours() * 60 + date.getMinutes();
+  }
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', hour: 'numeric', minute: 'numeric' })
+    .formatToParts(new Date(time))
+    .forEach(function(part) { parts[part.type] = Number(part.value); });
+  return (parts.hour % 24) * 60 + parts.minute;
+}
+
+function isInWindow(id, time) {
+  const window = timeWindows.find(function(w) { return w.id === id; });
+  if (!window) return false;
+  const minute = minuteOfDay(time);
+  return window.startMinute <= window.endMinute
+    ? minute >= window.startMinute && minute < window.endMinute
+    : minute >= window.startMinute || minute < window.endMinute;
+}
+
 // Install event - cache resources
 self.addEventListener('install', function(event) {
   console.log('[SW] Install event');
@@ -37,7 +96,7 @@ self.addEventListener('activate', function(event) {
     caches.keys().then(function(cacheNames) {
       return Promise.all(
         cacheNames.map(function(cacheName) {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && cacheName !== SETTINGS_CACHE) {
             console.log('[SW] Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
@@ -102,6 +161,7 @@ self.addEventListener('sync', function(event) {
 async function syncAnomalyData() {
   try {
     console.log('[SW] Syncing anomaly data...');
+    await timeWindowsLoaded;
     
     // Get pending anomalies from IndexedDB
     const pendingData = await getPendingSyncData();
@@ -167,8 +227,7 @@ function analyzeAnomalyPattern(anomaly) {
   }
   
   // Check for cosmic window
-  const hour = new Date(anomaly.timestamp).getHours();
-  if (hour >= 3 && hour < 4) {
+  if (isInWindow('cosmic', anomaly.timestamp)) {
     analysis.patterns.push('cosmic');
     analysis.cosmicWindow = true;
   }
@@ -209,6 +268,15 @@ self.addEventListener('message', function(event) {
   if (event.data && event.data.type === 'QUEUE_ANOMALY') {
     queueAnomalyForSync(event.data.anomaly);
   }
+
+  if (event.data && event.data.type === 'TIME_WINDOWS') {
+    const settings = { timeZone: event.data.timeZone, windows: event.data.windows };
+    timeWindowsReceived = true;
+    applyTimeWindows(settings);
+    event.waitUntil(saveTimeWindows(settings).catch(function(error) {
+      console.error('[SW] Failed to save time windows:', error);
+    }));
+  }
 });
 
 // Queue anomaly for background sync
@@ -235,8 +303,7 @@ function queueAnomalyForSync(anomaly) {
 // Periodic background processing
 setInterval(() => {
   // Check for cosmic window and enhanced processing
-  const hour = new Date().getHours();
-  if (hour >= 3 && hour < 4) {
+  if (isInWindow('cosmic', Date.now())) {
     console.log('[SW] Cosmic window active - enhanced background processing');
     
     // Generate background cosmic pattern detection
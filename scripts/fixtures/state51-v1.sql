@@ -0,0 +1,81 @@
+-- State 51 Detector database as created by the first release (schema v1,
+-- before schema_version existed), with a few rows of collected data
+CREATE TABLE IF NOT EXISTS baselines (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  timestamp INTEGER NOT NULL,
+  data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS anomalies (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  timestamp INTEGER NOT NULL,
+  type TEXT NOT NULL,
+  value REAL,
+  significance TEXT,
+  cosmic_window INTEGER,
+  message TEXT,
+  data TEXT
+);
+
+CREATE TABLE IF NOT EXISTS scans (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  timestamp INTEGER NOT NULL,
+  battery_level REAL,
+  magnetic_field REAL,
+  acceleration REAL,
+  rotation REAL,
+  pressure REAL,
+  gps_accuracy REAL,
+  network_type TEXT,
+  anomaly_count INTEGER,
+  cosmic_window INTEGER,
+  state51_active INTEGER,
+  data TEXT
+);
+
+CREATE TABLE IF NOT EXISTS daily_reports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  date TEXT NOT NULL UNIQUE,
+  total_anomalies INTEGER,
+  high_significance_count INTEGER,
+  cosmic_window_anomalies INTEGER,
+  state51_correlations INTEGER,
+  battery_anomalies INTEGER,
+  magnetic_anomalies INTEGER,
+  frequency_matches INTEGER,
+  report_data TEXT
+);
+
+CREATE TABLE IF NOT EXISTS experiments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  timestamp INTEGER NOT NULL,
+  duration INTEGER,
+  state51_active INTEGER,
+  anomalies_detected INTEGER,
+  notes TEXT,
+  data TEXT
+);
+
+INSERT INTO baselines (timestamp, data) VALUES
+  (1704103200000, '{"timestamp":1704103200000,"battery":{"level":0.82},"sensors":{"magneticField":48.2,"pressure":1013.1}}');
+
+INSERT INTO anomalies (timestamp, type, value, significance, cosmic_window, message, data) VALUES
+  (1704078060000, 'magnetic_anomaly', 12.4, 'medium', 1, 'Magnetic field changed by 12.4 μT', '{"x":31.2,"y":-20.1,"z":40.3}'),
+  (1704078061000, 'magnetic_anomaly', 12.9, 'medium', 1, 'Magnetic field changed by 12.9 μT', '{"x":31.6,"y":-20.4,"z":40.5}'),
+  (1704110400000, 'gps_51', 51.2, 'medium', 0, 'GPS accuracy at State 51 value (51m)!', '{}'),
+  (1704114000000, 'battery_777', 0.0771, 'high', 0, 'Battery drain near 7.7% universal constant!', '{}');
+
+INSERT INTO scans (timestamp, battery_level, magnetic_field, acceleration, rotation, pressure, gps_accuracy,
+  network_type, anomaly_count, cosmic_window, state51_active, data) VALUES
+  (1704078000000, 0.91, 48.1, 9.81, 0.01, 1013.2, 12, 'WIFI', 0, 1, 0, '{}'),
+  (1704078060000, 0.91, 60.5, 9.80, 0.02, 1013.2, 12, 'WIFI', 2, 1, 1, '{}'),
+  (1704078120000, 0.90, 48.3, 9.82, 0.01, 1013.1, 14, 'WIFI', 2, 1, 1, '{}'),
+  (1704110400000, 0.74, 47.9, 9.81, 0.00, 1012.8, 51.2, 'CELLULAR', 3, 0, 0, '{}');
+
+INSERT INTO daily_reports (date, total_anomalies, high_significance_count, cosmic_window_anomalies,
+  state51_correlations, battery_anomalies, magnetic_anomalies, frequency_matches, report_data) VALUES
+  ('2024-01-01', 4, 1, 2, 1, 1, 2, 0, '{"date":"2024-01-01","totalAnomalies":4,"keyFindings":["Battery anomalies detected"]}');
+
+INSERT INTO experiments (timestamp, duration, state51_active, anomalies_detected, notes, data) VALUES
+  (1704078000000, 600000, 1, 2, 'active block', '{"block":1}'),
+  (1704078600000, 600000, 0, 0, 'sham block', '{"block":2}');
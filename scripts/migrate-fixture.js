@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * Schema migration harness
+ *
+ * Loads a fixture database at an old schema version, runs the app's
+ * migrations (src/services/SchemaMigrations.js) up to head and checks that
+ * the collected data survived, that the result matches a fresh install,
+ * that migrating again is a no-op and that a failing migration rolls back.
+ *
+ * Usage:
+ *   npm run test:migrations -- [--fixture scripts/fixtures/state51-v1.sql] [--keep out.db]
+ *
+ * Runs against better-sqlite3 through a small WebSQL-style adapter, the
+ * same transaction API expo-sqlite exposes on the device.
+ */
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+require('@babel/register')({
+  plugins: ['@babel/plugin-transform-modules-commonjs'],
+  only: [path.join(__dirname, '..', 'src')],
+  babelrc: false,
+  configFile: false,
+});
+
+const { MIGRATIONS, SCHEMA_VERSION, migrate, getSchemaVersion } = require('../src/services/SchemaMigrations');
+
+/**
+ * expo-sqlite's legacy transaction API over a better-sqlite3 connection
+ * Statements run synchronously; an error without a handler returning false
+ * rolls the transaction back
+ */
+function openDatabase(sqlite) {
+  return {
+    transaction(callback, onError, onSuccess) {
+      setImmediate(() => {
+        let failure = null;
+        const tx = {
+          executeSql(sql, args = [], success, error) {
+            if (failure) return;
+            try {
+              const statement = sqlite.prepare(sql);
+              const result = statement.reader
+                ? { rows: { _array: statement.all(...args) }, rowsAffected: 0 }
+                : (run => ({ rows: { _array: [] }, rowsAffected: run.changes, insertId: run.lastInsertRowid }))(
+                  statement.run(...args));
+              result.rows.length = result.rows._array.length;
+              if (success) success(tx, result);
+            } catch (e) {
+              if (!error || error(tx, e) !== false) failure = e;
+            }
+          }
+        };
+
+        sqlite.exec('BEGIN');
+        try {
+          callback(tx);
+        } catch (e) {
+          failure = failure || e;
+        }
+
+        if (failure) {
+          sqlite.exec('ROLLBACK');
+          if (onError) onError(failure);
+        } else {
+          sqlite.exec('COMMIT');
+          if (onSuccess) onSuccess();
+        }
+      });
+    }
+  };
+}
+
+function parseArgs(argv) {
+  const args = { fixture: path.join(__dirname, 'fixtures', 'state51-v1.sql') };
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    switch (name) {
+      case 'fixture':
+      case 'keep':
+        args[name] = argv[++i];
+        break;
+      case 'help':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+function tables(sqlite) {
+  return sqlite.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+    .all().map(row => row.name);
+}
+
+function schema(sqlite) {
+  const result = {};
+  tables(sqlite).filter(name => name !== 'schema_version').forEach(name => {
+    result[name] = sqlite.prepare(`SELECT name, type, dflt_value FROM pragma_table_info('${name}') ORDER BY cid`).all();
+  });
+  result.indexes = sqlite.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND sql IS NOT NULL ORDER BY name")
+    .all().map(row => row.name);
+  return result;
+}
+
+function snapshot(sqlite, tableNames) {
+  const result = {};
+  tableNames.forEach(name => {
+    result[name] = sqlite.prepare(`SELECT * FROM ${name} ORDER BY id`).all();
+  });
+  return result;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0]);
+    return;
+  }
+
+  const failures = [];
+  const check = (label, ok, detail = '') => {
+    console.log(`${ok ? 'PASS' : 'FAIL'}  ${label}${!ok && detail ? ` (${detail})` : ''}`);
+    if (!ok) failures.push(label);
+  };
+
+  // Fixture database with months of "collected" data at an old version
+  const fixture = new Database(':memory:');
+  fixture.exec(fs.readFileSync(args.fixture, 'utf8'));
+  const fixtureTables = tables(fixture);
+  const before = snapshot(fixture, fixtureTables);
+  const db = openDatabase(fixture);
+
+  const result = await migrate(db);
+  console.log(`Migrated fixture from v${result.from} to v${result.to} (applied ${result.applied.join(', ') || 'none'})`);
+  check(`fixture reaches head (v${SCHEMA_VERSION})`, await getSchemaVersion(db) === SCHEMA_VERSION);
+
+  // Every row and value that existed before is still there
+  const after = snapshot(fixture, fixtureTables);
+  fixtureTables.forEach(name => {
+    const same = before[name].length === after[name].length &&
+      before[name].every((row, i) => Object.keys(row).every(column => row[column] === after[name][i][column]));
+    check(`${name}: ${before[name].length} rows preserved`, same);
+  });
+
+  const legacyEpisodes = fixture.prepare('SELECT COUNT(*) AS n FROM anomalies WHERE sample_count = 1').get().n;
+  check('existing anomalies read as single-sample episodes', legacyEpisodes === before.anomalies.length);
+
+  const localDevices = fixture.prepare('SELECT COUNT(*) AS n FROM devices WHERE local = 1').get().n;
+  check('one local device id is assigned', localDevices === 1);
+
+  const wallTimes = fixture.prepare('SELECT COUNT(*) AS n FROM scans WHERE wall_time = timestamp').get().n;
+  check('existing scans keep their wall clock time', wallTimes === before.scans.length);
+
+  const cosmicTags = fixture.prepare(
+    `SELECT COUNT(*) AS n FROM anomalies
+     WHERE windows = CASE WHEN cosmic_window = 1 THEN '["cosmic"]' ELSE '[]' END`).get().n;
+  check('existing anomalies are tagged with the cosmic window', cosmicTags === before.anomalies.length);
+
+  const activeAnomalies = fixture.prepare(
+    `SELECT COUNT(*) AS n FROM anomalies a JOIN experiments e
+     ON e.state51_active = 1 AND a.timestamp >= e.timestamp AND a.timestamp < e.timestamp + e.duration
+     WHERE a.state51_active = 1`).get().n;
+  const inactiveAnomalies = fixture.prepare('SELECT COUNT(*) AS n FROM anomalies WHERE state51_active = 0').get().n;
+  check('anomalies in active experiment blocks are marked as generating',
+    activeAnomalies === 2 && activeAnomalies + inactiveAnomalies === before.anomalies.length);
+
+  const builtInPatterns = fixture.prepare("SELECT COUNT(*) AS n FROM patterns WHERE id = 1 AND built_in = 1 AND name = 'State 51'").get().n;
+  check('built-in State 51 pattern is in the library', builtInPatterns === 1);
+
+  // Same schema as a fresh install
+  const fresh = new Database(':memory:');
+  await migrate(openDatabase(fresh));
+  const expected = JSON.stringify(schema(fresh));
+  check('schema matches a fresh install', JSON.stringify(schema(fixture)) === expected);
+
+  // Migrating again does nothing
+  const again = await migrate(db);
+  check('second run is a no-op', again.applied.length === 0 && again.from === SCHEMA_VERSION);
+
+  // A failing migration leaves the database at the previous version
+  const broken = [
+    ...MIGRATIONS,
+    {
+      version: SCHEMA_VERSION + 1,
+      name: 'broken',
+      up: ['CREATE TABLE harness_partial (id INTEGER)', 'ALTER TABLE no_such_table ADD COLUMN x INTEGER']
+    }
+  ];
+  let error = null;
+  try {
+    await migrate(db, broken);
+  } catch (e) {
+    error = e;
+  }
+  check('failing migration is reported', error !== null && /Migration \d+ \(broken\) failed/.test(error.message));
+  check('failing migration is rolled back',
+    await getSchemaVersion(db) === SCHEMA_VERSION && !tables(fixture).includes('harness_partial'));
+
+  if (args.keep) {
+    await fixture.backup(args.keep);
+    console.log(`Migrated database written to ${args.keep}`);
+  }
+
+  console.log(failures.length === 0 ? '\nAll migration checks passed' : `\n${failures.length} check(s) failed`);
+  process.exitCode = failures.length === 0 ? 0 : 1;
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * LAN relay for synchronized multi-device runs
+ *
+ * Phones cannot host a WebSocket server, so this small Node process stands
+ * in for one: devices running the app connect to it (Generator tab →
+ * Synchronized Run), it answers clock pings with its own time, keeps the
+ * list of connected devices and relays run/stop/result messages between
+ * them. See src/services/SyncSession.js for the protocol.
+ *
+ * Usage:
+ *   npm run sync-server -- [--port 8051]
+ *
+ * Dependency free: implements the small part of RFC 6455 the app needs
+ * (unfragmented text frames, ping/pong and close).
+ */
+const http = require('http');
+const os = require('os');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function parseArgs(argv) {
+  const args = { port: 8051 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    switch (name) {
+      case 'port':
+        args.port = Number(argv[++i]);
+        break;
+      case 'help':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Server-to-client frame (never masked)
+ */
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Split complete client frames off the buffer
+ * Returns { frames: [{ opcode, fin, payload }], rest }
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const fin = (buffer[offset] & 0x80) !== 0;
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let position = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < position + 2) break;
+      length = buffer.readUInt16BE(position);
+      position += 2;
+    } else if (length === 127) {
+      if (buffer.length < position + 8) break;
+      length = Number(buffer.readBigUInt64BE(position));
+      position += 8;
+    }
+
+    const mask = masked ? buffer.subarray(position, position + 4) : null;
+    if (masked) position += 4;
+    if (buffer.length < position + length) break;
+
+    const payload = Buffer.from(buffer.subarray(position, position + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    }
+
+    frames.push({ opcode, fin, payload });
+    offset = position + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+const isText = value => typeof value === 'string' && value.length > 0;
+const isTime = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * What is wrong with a client message, or null if its shape is valid
+ */
+function validateMessage(message) {
+  if (!message || typeof message !== 'object' || !isText(message.type)) {
+    return 'Message must be an object with a type';
+  }
+
+  switch (message.type) {
+    case 'ping':
+      return message.id === undefined ? 'ping needs an id' : null;
+
+    case 'hello':
+      if (!isText(message.deviceId) || typeof message.name !== 'string') {
+        return 'hello needs a deviceId and name';
+      }
+      return ['coordinator', 'participant'].includes(message.role)
+        ? null
+        : 'hello role must be coordinator or participant';
+
+    case 'run': {
+      const { run } = message;
+      if (!run || typeof run !== 'object' || !isText(run.runId)) return 'run needs a run with a runId';
+      if (!['sham', 'active'].includes(run.arm)) return 'run arm must be sham or active';
+      if (!isTime(run.startAt) || !isTime(run.endAt) || run.endAt <= run.startAt) {
+        return 'run needs startAt before endAt';
+      }
+      return null;
+    }
+
+    case 'stop':
+      return isText(message.runId) && isTime(message.endAt) ? null : 'stop needs a runId and endAt';
+
+    case 'result': {
+      const { result } = message;
+      if (!result || typeof result !== 'object' || !isText(result.runId)) return 'result needs a result with a runId';
+      return typeof result.name === 'string' && isTime(result.anomalies)
+        ? null
+        : 'result needs a name and anomaly count';
+    }
+
+    default:
+      return `Unknown message type: ${message.type}`;
+  }
+}
+
+class Relay {
+  constructor() {
+    this.clients = new Set();
+  }
+
+  accept(socket) {
+    const client = { socket, buffer: Buffer.alloc(0), peer: null };
+    this.clients.add(client);
+
+    socket.on('data', data => {
+      const { frames, rest } = decodeFrames(Buffer.concat([client.buffer, data]));
+      client.buffer = rest;
+
+      frames.forEach(({ opcode, fin, payload }) => {
+        if (opcode === 0x8) {
+          socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+        } else if (opcode === 0x9) {
+          socket.write(encodeFrame(0xa, payload));
+        } else if (opcode === 0x1 && fin) {
+          // One misbehaving client must not take the relay down for everyone
+          try {
+            this.handleMessage(client, payload.toString('utf8'));
+          } catch (error) {
+            console.error('Error handling message:', error);
+            this.send(client, { type: 'error', message: 'Message could not be handled' });
+          }
+        } else if (opcode !== 0xa) {
+          this.send(client, { type: 'error', message: 'Fragmented and binary frames are not supported' });
+        }
+      });
+    });
+
+    socket.on('close', () => this.remove(client));
+    socket.on('error', () => this.remove(client));
+  }
+
+  remove(client) {
+    if (!this.clients.delete(client)) return;
+    if (client.peer) {
+      console.log(`- ${client.peer.name} (${client.peer.role}) left`);
+      this.broadcastPeers();
+    }
+  }
+
+  send(client, message) {
+    if (!client.socket.destroyed) {
+      client.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8')));
+    }
+  }
+
+  broadcast(message, except = null) {
+    this.clients.forEach(client => {
+      if (client !== except && client.peer) this.send(client, message);
+    });
+  }
+
+  broadcastPeers() {
+    const peers = [...this.clients].filter(client => client.peer).map(client => client.peer);
+    this.broadcast({ type: 'peers', peers });
+  }
+
+  handleMessage(client, text) {
+    const serverTime = Date.now();
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      this.send(client, { type: 'error', message: 'Invalid JSON' });
+      return;
+    }
+
+    const invalid = validateMessage(message);
+    if (invalid) {
+      this.send(client, { type: 'error', message: invalid });
+      return;
+    }
+
+    switch (message.type) {
+      case 'ping':
+        this.send(client, { type: 'pong', id: message.id, serverTime });
+        break;
+
+      case 'hello':
+        client.peer = {
+          deviceId: message.deviceId,
+          name: message.name,
+          platform: message.platform,
+          role: message.role
+        };
+        console.log(`+ ${message.name} (${message.role}, ${message.deviceId})`);
+        this.broadcastPeers();
+        break;
+
+      case 'run':
+      case 'stop':
+      case 'result':
+        if (!client.peer) {
+          this.send(client, { type: 'error', message: 'Say hello first' });
+          return;
+        }
+        if (message.type === 'run') {
+          const { runId, arm, startAt, endAt } = message.run;
+          console.log(`Run ${runId} (${arm}) from ${new Date(startAt).toISOString()} ` +
+            `for ${Math.round((endAt - startAt) / 1000)} s`);
+        } else if (message.type === 'result') {
+          console.log(`Result ${message.result.runId}: ${message.result.name} ${message.result.anomalies} anomalies`);
+        }
+        this.broadcast(message, client);
+        break;
+    }
+  }
+}
+
+function lanAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter(address => address && address.family === 'IPv4' && !address.internal)
+    .map(address => address.address);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(require('fs').readFileSync(__filename, 'utf8').split('*/')[0]);
+    return;
+  }
+
+  const relay = new Relay();
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('State 51 sync relay: connect with a WebSocket\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    relay.accept(socket);
+  });
+
+  server.listen(args.port, () => {
+    const hosts = lanAddresses();
+    console.log(`Sync relay listening on port ${args.port}`);
+    (hosts.length > 0 ? hosts : ['localhost']).forEach(host => console.log(`  ws://${host}:${args.port}`));
+  });
+}
+
+main();
@@ -10,6 +10,9 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { LineChart, BarChart } from 'react-native-chart-kit';
 import DatabaseService from '../services/DatabaseService';
+import Statistics from '../services/Statistics';
+import TimeService from '../services/TimeService';
+import TimeWindowService from '../services/TimeWindowService';
 
 const { width } = Dimensions.get('window');
 
@@ -19,13 +22,17 @@ export default function AnalysisScreen() {
   const [chartData, setChartData] = useState(null);
   const [typeDistribution, setTypeDistribution] = useState({});
   const [selectedType, setSelectedType] = useState(null);
+  const [devices, setDevices] = useState([]);
+  const [device, setDevice] = useState(null); // null = all devices combined
+  const [windowId, setWindowId] = useState('cosmic');
+  const [windowComparison, setWindowComparison] = useState(null);
 
   useEffect(() => {
     loadAnalysisData();
-  }, [timeRange]);
+  }, [timeRange, device, windowId]);
 
   const loadAnalysisData = async () => {
-    const now = Date.now();
+    const now = TimeService.now();
     let startTime;
     
     switch (timeRange) {
@@ -46,10 +53,12 @@ export default function AnalysisScreen() {
     }
 
     try {
-      const anomalies = await DatabaseService.getAnomalies(startTime, now);
+      const anomalies = await DatabaseService.getAnomalies(startTime, now, device);
+      setDevices(await DatabaseService.getDevices());
       setAnomalyData(anomalies);
       processChartData(anomalies);
       calculateTypeDistribution(anomalies);
+      setWindowComparison(await DatabaseService.compareWindow(windowId, startTime, now, device));
     } catch (error) {
       console.error('Error loading analysis data:', error);
     }
@@ -67,7 +76,7 @@ export default function AnalysisScreen() {
     const data = [];
 
     anomalies.forEach(anomaly => {
-      const hour = new Date(anomaly.timestamp).getHours();
+      const { hour } = TimeWindowService.getParts(anomaly.timestamp);
       hourlyCount[hour] = (hourlyCount[hour] || 0) + 1;
     });
 
@@ -140,6 +149,68 @@ export default function AnalysisScreen() {
     </View>
   );
 
+  const deviceName = (key) => {
+    const match = devices.find(d => d.key === key);
+    if (!match || match.local) return 'This device';
+    return match.name || match.id;
+  };
+
+  // Only shown once data from other devices has been imported
+  const DeviceSelector = () => {
+    if (devices.length < 2) return null;
+
+    return (
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.deviceSelector}>
+        {[null, ...devices.map(d => d.key)].map(key => (
+          <TouchableOpacity
+            key={key === null ? 'all' : `device-${key}`}
+            style={[
+              styles.deviceButton,
+              device === key && styles.timeRangeActive
+            ]}
+            onPress={() => setDevice(key)}
+          >
+            <Text style={[
+              styles.timeRangeText,
+              device === key && styles.timeRangeTextActive
+            ]}>
+              {key === null ? 'All devices' : deviceName(key)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    );
+  };
+
+  const DeviceBreakdown = () => {
+    if (device !== null || devices.length < 2) return null;
+
+    const counts = {};
+    anomalyData.forEach(anomaly => {
+      counts[anomaly.device_id] = (counts[anomaly.device_id] || 0) + 1;
+    });
+
+    return (
+      <View style={styles.statsContainer}>
+        <Text style={styles.sectionTitle}>By Device</Text>
+        {devices.map(d => (
+          <TouchableOpacity key={d.key || 'local'} style={styles.deviceRow} onPress={() => setDevice(d.key)}>
+            <View>
+              <Text style={styles.deviceRowName}>{deviceName(d.key)}</Text>
+              {typeof d.clock_offset === 'number' && (
+                <Text style={styles.deviceRowClock}>
+                  clock {d.clock_offset >= 0 ? '+' : ''}{(d.clock_offset / 1000).toFixed(3)} s
+                  {' '}±{Math.round(d.clock_uncertainty || 0)} ms
+                </Text>
+              )}
+            </View>
+            <Text style={styles.deviceRowCount}>{counts[d.key] || 0}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+
   const AnomalyChart = () => {
     if (!chartData) {
       return (
@@ -177,10 +248,99 @@ export default function AnalysisScreen() {
             style={styles.chart}
           />
         </ScrollView>
-        <View style={styles.cosmicIndicator}>
-          <View style={[styles.cosmicBar, { left: '12.5%', width: '4.2%' }]} />
-          <Text style={styles.cosmicLabel}>Cosmic Window</Text>
-        </View>
+        <CosmicIndicator />
+      </View>
+    );
+  };
+
+  // Shaded band over the cosmic window's hours (clock windows only)
+  const CosmicIndicator = () => {
+    const cosmic = TimeWindowService.getWindow('cosmic');
+    if (!cosmic || cosmic.kind !== 'clock') return null;
+
+    const left = `${(cosmic.startMinute / 1440 * 100).toFixed(1)}%`;
+    const width = `${(((cosmic.endMinute - cosmic.startMinute + 1440) % 1440) / 1440 * 100).toFixed(1)}%`;
+
+    return (
+      <View style={styles.cosmicIndicator}>
+        <View style={[styles.cosmicBar, { left, width }]} />
+        <Text style={[styles.cosmicLabel, { left }]}>Cosmic Window</Text>
+      </View>
+    );
+  };
+
+  const formatRate = (rate, periods) => `${(rate * 100).toFixed(1)}% of ${periods} min`;
+
+  const formatOddsRatio = (oddsRatio) => oddsRatio
+    ? `OR ${oddsRatio.estimate.toFixed(2)} (${oddsRatio.ci[0].toFixed(2)}–${oddsRatio.ci[1].toFixed(2)})`
+    : 'OR --';
+
+  // Scan minutes with an anomaly, inside vs outside the selected window,
+  // crude and within the same hour of day
+  const WindowComparison = () => {
+    const windows = TimeWindowService.getWindows();
+    if (windows.length === 0) return null;
+
+    const result = windowComparison;
+    const adjusted = result && result.hourAdjusted;
+
+    return (
+      <View style={styles.statsContainer}>
+        <Text style={styles.sectionTitle}>Observation Windows</Text>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.windowSelector}>
+          {windows.map(w => (
+            <TouchableOpacity
+              key={w.id}
+              style={[styles.deviceButton, windowId === w.id && styles.timeRangeActive]}
+              onPress={() => setWindowId(w.id)}
+            >
+              <Text style={[styles.timeRangeText, windowId === w.id && styles.timeRangeTextActive]}>
+                {w.label || w.id}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+        <Text style={styles.windowDescription}>{TimeWindowService.describeWindow(windowId)}</Text>
+
+        {!result || result.insufficientData ? (
+          <Text style={styles.noDataText}>Not enough scans inside and outside this window</Text>
+        ) : (
+          <View>
+            <View style={styles.windowRow}>
+              <Text style={styles.windowLabel}>In window</Text>
+              <Text style={styles.windowValue}>{formatRate(result.rate1, result.exposedPeriods)}</Text>
+            </View>
+            <View style={styles.windowRow}>
+              <Text style={styles.windowLabel}>Outside</Text>
+              <Text style={styles.windowValue}>{formatRate(result.rate2, result.otherPeriods)}</Text>
+            </View>
+            <View style={styles.windowRow}>
+              <Text style={styles.windowLabel}>Crude</Text>
+              <Text style={styles.windowValue}>
+                {formatOddsRatio(result.oddsRatio)}, {Statistics.formatPValue(result.pValue)}
+              </Text>
+            </View>
+            <View style={styles.windowRow}>
+              <Text style={styles.windowLabel}>Same hour of day</Text>
+              <Text style={styles.windowValue}>
+                {result.confoundedWithHour
+                  ? 'n/a (fixed hours)'
+                  : adjusted.insufficientData
+                    ? 'insufficient data'
+                    : `${formatOddsRatio(adjusted.oddsRatio)}, ${Statistics.formatPValue(adjusted.pValue)}`}
+              </Text>
+            </View>
+            {result.confoundedWithHour && (
+              <Text style={styles.windowNote}>
+                A clock window covers the same hours every day, so its effect cannot be told apart
+                from a time-of-day pattern; compare it with a sun or lunar window instead.
+              </Text>
+            )}
+            <Text style={styles.windowNote}>
+              {result.anomaliesInWindow} of {result.anomalies} anomalies tagged with this window
+            </Text>
+          </View>
+        )}
       </View>
     );
   };
@@ -300,7 +460,7 @@ export default function AnalysisScreen() {
       'gps_enhancement': 'Significant GPS accuracy improvement',
       'pressure_anomaly': 'Atmospheric pressure deviation',
       'pattern_spike': 'Unusual increase in anomaly frequency',
-      'cosmic_correlation': 'High correlation with 3-4 AM cosmic window'
+      'cosmic_correlation': `High correlation with the ${TimeWindowService.describeWindow('cosmic')} cosmic window`
     };
     
     return descriptions[type] || 'Quantum field anomaly detected in sensor readings';
@@ -360,16 +520,20 @@ export default function AnalysisScreen() {
       <View style={styles.header}>
         <Text style={styles.title}>Anomaly Analysis</Text>
         <TimeRangeSelector />
+        <DeviceSelector />
       </View>
 
       <AnomalyChart />
       <TypeDistributionChart />
       <StatisticsSummary />
+      <WindowComparison />
+      <DeviceBreakdown />
       <AnomalyTypesList />
 
       <View style={styles.footer}>
         <Text style={styles.footerText}>
           Analysis based on {anomalyData.length} anomalies in selected time range
+          {device !== null && ` from ${deviceName(device)}`}
         </Text>
       </View>
     </ScrollView>
@@ -415,6 +579,67 @@ const styles = StyleSheet.create({
   timeRangeTextActive: {
     color: '#000',
   },
+  deviceSelector: {
+    marginTop: 10,
+  },
+  deviceButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    marginRight: 10,
+    backgroundColor: '#111',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  deviceRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#222',
+  },
+  deviceRowName: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  deviceRowClock: {
+    color: '#666',
+    fontSize: 11,
+    marginTop: 2,
+  },
+  windowSelector: {
+    marginBottom: 8,
+  },
+  windowDescription: {
+    color: '#666',
+    fontSize: 12,
+    marginBottom: 10,
+  },
+  windowRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#222',
+  },
+  windowLabel: {
+    color: '#888',
+    fontSize: 13,
+  },
+  windowValue: {
+    color: '#fff',
+    fontSize: 13,
+  },
+  windowNote: {
+    color: '#666',
+    fontSize: 11,
+    marginTop: 8,
+  },
+  deviceRowCount: {
+    color: '#00ff88',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   chartContainer: {
     padding: 20,
     position: 'relative',
@@ -454,7 +679,6 @@ const styles = StyleSheet.create({
   cosmicLabel: {
     position: 'absolute',
     bottom: -20,
-    left: '12.5%',
     color: '#8800ff',
     fontSize: 10,
   },
@@ -6,32 +6,117 @@ import {
   ScrollView,
   TouchableOpacity,
   Switch,
-  Alert
+  Alert,
+  TextInput
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import State51Generator from '../services/State51Generator';
+import DatabaseService from '../services/DatabaseService';
+import GenerationLog from '../services/GenerationLog';
 import SensorMonitor from '../services/SensorMonitor';
+import ExperimentRunner from '../services/ExperimentRunner';
+import Statistics from '../services/Statistics';
+import SettingsStore from '../services/SettingsStore';
+import SyncSession, { ROLE_COORDINATOR, ROLE_PARTICIPANT } from '../services/SyncSession';
+import { TONE_TYPES } from '../services/ToneSynth';
+import TimeService from '../services/TimeService';
+import {
+  DEFAULT_PATTERN,
+  PATTERN_FORMATS,
+  ENCODINGS,
+  compilePattern,
+  describePattern,
+  normalizePattern,
+  patternBits
+} from '../services/GeneratorPattern';
+
+const GENERATION_METHODS = [
+  { channel: 'audio', icon: 'volume-high', label: 'Audio Signal', short: 'Audio', description: '1.038 Hz consciousness frequency' },
+  { channel: 'visual', icon: 'sunny', label: 'Visual Flashing', short: 'Visual', description: 'Screen brightness modulation' },
+  { channel: 'haptic', icon: 'hand-left', label: 'Haptic Feedback', short: 'Haptic', description: 'Vibration pattern matching' },
+  { channel: 'electromagnetic', icon: 'radio', label: 'EM Pattern', short: 'EM', description: 'WiFi/Bluetooth modulation' },
+];
+
+const INTENSITY_STEPS = [0.25, 0.5, 0.75, 1.0];
+
+const TONE_DESCRIPTIONS = {
+  sine: '220 Hz sine carrier',
+  square: '220 Hz square carrier',
+  am: 'Carriers pulsing at 1.038 and 0.962 Hz',
+  binaural: 'Ears offset by 1.038 and 0.962 Hz',
+};
+
+// Pattern editor fields are kept as text until saved
+const toPatternDraft = (pattern) => ({
+  id: pattern.id,
+  name: pattern.name,
+  format: pattern.format,
+  value: String(pattern.value),
+  bits: pattern.bits ? String(pattern.bits) : '',
+  encoding: pattern.encoding,
+  bitDurations: pattern.bitDurations.join(', '),
+  count: String(pattern.repeat.count),
+  gap: String(pattern.repeat.gap),
+  pause: pattern.repeat.pause === null ? '' : String(pattern.repeat.pause),
+});
+
+const fromPatternDraft = (draft) => ({
+  id: draft.id,
+  name: draft.name,
+  format: draft.format,
+  value: draft.value,
+  bits: draft.bits,
+  encoding: draft.encoding,
+  bitDurations: draft.bitDurations.split(/[\s,]+/).filter(Boolean),
+  repeat: { count: draft.count, gap: draft.gap, pause: draft.pause.trim() === '' ? null : draft.pause },
+});
+
+const nextOf = (values, current) => values[(values.indexOf(current) + 1) % values.length];
 
 export default function GeneratorScreen() {
   const [isGenerating, setIsGenerating] = useState(false);
   const [metrics, setMetrics] = useState({});
-  const [settings, setSettings] = useState({
-    audio: true,
-    visual: false,
-    haptic: true,
-    electromagnetic: true,
-  });
+  const [generationLog, setGenerationLog] = useState(GenerationLog.getStatus());
+  const [experiment, setExperiment] = useState(ExperimentRunner.getStatus());
+  const [sync, setSync] = useState(SyncSession.getStatus());
+  const [syncUrl, setSyncUrl] = useState(SettingsStore.get('syncServerUrl'));
+  const [config, setConfig] = useState(State51Generator.getConfig());
+  const [timingDraft, setTimingDraft] = useState(null);
+  const [patterns, setPatterns] = useState([]);
+  const [patternDraft, setPatternDraft] = useState(null);
 
   useEffect(() => {
     const interval = setInterval(updateMetrics, 1000);
     return () => clearInterval(interval);
   }, []);
 
+  useEffect(() => {
+    loadPatterns();
+  }, []);
+
+  useEffect(() => SettingsStore.subscribe((settings, changed) => {
+    if (changed.includes('generatorProfile')) {
+      setConfig(State51Generator.getConfig());
+    }
+  }), []);
+
   const updateMetrics = () => {
     setMetrics(State51Generator.getGenerationMetrics());
+    setGenerationLog(GenerationLog.getStatus());
+    setExperiment(ExperimentRunner.getStatus());
+    setSync(SyncSession.getStatus());
   };
 
   const toggleGeneration = async () => {
+    if (experiment.isRunning) {
+      Alert.alert('Experiment Running', 'Manual generation is disabled during a blinded experiment.');
+      return;
+    }
+    if (sync.run) {
+      Alert.alert('Synchronized Run', 'Manual generation is disabled during a synchronized run.');
+      return;
+    }
+
     if (isGenerating) {
       await State51Generator.stopGeneration();
       setIsGenerating(false);
@@ -46,32 +131,433 @@ export default function GeneratorScreen() {
 
       Alert.alert(
         'State 51 Active',
-        'Generating quantum resonance pattern 110011. Monitor sensors for anomalies.',
+        `Generating quantum resonance pattern ${patternBits(config.pattern).join('')}. Monitor sensors for anomalies.`,
         [{ text: 'OK' }]
       );
     }
   };
 
+  // Profile changes apply to a running generator right away
+  const configure = async (changes) => {
+    try {
+      await State51Generator.configure(changes);
+    } catch (error) {
+      Alert.alert('Generator Settings', error.message);
+    }
+    setConfig(State51Generator.getConfig());
+  };
+
+  const toggleChannel = (channel, enabled) => {
+    configure({ channels: { [channel]: { enabled } } });
+  };
+
+  const cycleIntensity = (channel) => {
+    const current = config.channels[channel].intensity;
+    const next = INTENSITY_STEPS.find(step => step > current + 1e-9) || INTENSITY_STEPS[0];
+    configure({ channels: { [channel]: { intensity: next } } });
+  };
+
+  const cycleTone = () => {
+    configure({ tone: nextOf(TONE_TYPES, config.tone) });
+  };
+
+  const loadPatterns = async () => {
+    try {
+      setPatterns(await DatabaseService.getPatterns());
+    } catch (error) {
+      console.error('Error loading patterns:', error);
+    }
+  };
+
+  const selectPattern = (pattern) => {
+    configure({ pattern });
+  };
+
+  const editPattern = (pattern, copy = false) => {
+    setPatternDraft(copy
+      ? { ...toPatternDraft(pattern), id: null, name: `${pattern.name} copy` }
+      : toPatternDraft(pattern));
+  };
+
+  const newPattern = () => {
+    setPatternDraft({ ...toPatternDraft(DEFAULT_PATTERN), id: null, name: '' });
+  };
+
+  const editDraft = (key, value) => {
+    setPatternDraft({ ...patternDraft, [key]: value });
+  };
+
+  // Editing the selected pattern updates the running generator too
+  const savePattern = async () => {
+    try {
+      const saved = await DatabaseService.savePattern(fromPatternDraft(patternDraft));
+      setPatternDraft(null);
+      await loadPatterns();
+      if (saved.id === config.pattern.id) {
+        await configure({ pattern: saved });
+      }
+    } catch (error) {
+      Alert.alert('Pattern', error.message);
+    }
+  };
+
+  const deletePattern = () => {
+    const { id, name } = patternDraft;
+    Alert.alert(
+      'Delete Pattern',
+      `Remove ${name} from the library? Sessions that ran it keep a copy.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await DatabaseService.deletePattern(id);
+              setPatternDraft(null);
+              await loadPatterns();
+              if (id === config.pattern.id) {
+                await configure({ pattern: DEFAULT_PATTERN });
+              }
+            } catch (error) {
+              Alert.alert('Pattern', error.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Summary of the draft, or what is wrong with it
+  const draftPreview = () => {
+    try {
+      return describePattern(normalizePattern(fromPatternDraft(patternDraft)));
+    } catch (error) {
+      return error.message;
+    }
+  };
+
+  const patternField = (label, key, props = {}) => (
+    <View style={styles.settingRow}>
+      <Text style={styles.patternFieldLabel}>{label}</Text>
+      <TextInput
+        style={[styles.timingInput, styles.patternInput]}
+        value={patternDraft[key]}
+        onChangeText={(value) => editDraft(key, value)}
+        placeholderTextColor="#555"
+        autoCapitalize="none"
+        autoCorrect={false}
+        {...props}
+      />
+    </View>
+  );
+
+  const saveTiming = async () => {
+    if (!timingDraft) return;
+    const draft = timingDraft;
+    setTimingDraft(null);
+    await configure({
+      pulseWidth: draft.pulseWidth.trim() === '' ? undefined : draft.pulseWidth,
+      beatPeriod: draft.beatPeriod.trim() === '' ? undefined : draft.beatPeriod,
+    });
+  };
+
+  const timingValue = (key) => timingDraft ? timingDraft[key] : String(config[key]);
+
+  const editTiming = (key, value) => {
+    setTimingDraft({
+      pulseWidth: String(config.pulseWidth),
+      beatPeriod: String(config.beatPeriod),
+      ...timingDraft,
+      [key]: value,
+    });
+  };
+
+  const toggleExperiment = () => {
+    if (experiment.isRunning) {
+      Alert.alert(
+        'Stop Experiment',
+        'Stopping early keeps the partial block and unblinds the results. Continue?',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Stop',
+            style: 'destructive',
+            onPress: async () => {
+              await ExperimentRunner.stopExperiment();
+              updateMetrics();
+            }
+          }
+        ]
+      );
+      return;
+    }
+
+    const { blockCount, blockMinutes, washoutMinutes } = ExperimentRunner.defaults;
+    Alert.alert(
+      'Start Blinded Experiment',
+      `${blockCount} blocks of ${blockMinutes} min (${washoutMinutes} min washout) in random sham/active order. ` +
+      'The running arm stays hidden until the end. Keep the device out of sight and hearing.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Start',
+          onPress: async () => {
+            try {
+              if (isGenerating) {
+                await State51Generator.stopGeneration();
+                setIsGenerating(false);
+              }
+              if (!SensorMonitor.getStatus().isMonitoring) {
+                await SensorMonitor.startMonitoring();
+              }
+              await ExperimentRunner.startExperiment();
+              updateMetrics();
+            } catch (error) {
+              Alert.alert('Experiment Error', error.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const connectSync = async (role) => {
+    const url = syncUrl.trim();
+    if (!/^wss?:\/\//.test(url)) {
+      Alert.alert('Relay Address', 'Enter the address printed by npm run sync-server, e.g. ws://192.168.1.20:8051');
+      return;
+    }
+
+    try {
+      SettingsStore.update({ syncServerUrl: url });
+      await SyncSession.connect(url, role);
+    } catch (error) {
+      Alert.alert('Connection Failed', error.message);
+    }
+    updateMetrics();
+  };
+
+  const disconnectSync = () => {
+    SyncSession.disconnect();
+    updateMetrics();
+  };
+
+  const startSyncRun = () => {
+    if (isGenerating) {
+      Alert.alert('Generation Running', 'Stop manual generation before starting a synchronized run.');
+      return;
+    }
+
+    const durationMinutes = ExperimentRunner.defaults.blockMinutes;
+    const start = async (arm) => {
+      try {
+        await SyncSession.startRun({ durationMinutes, arm });
+      } catch (error) {
+        Alert.alert('Synchronized Run', error.message);
+      }
+      updateMetrics();
+    };
+
+    Alert.alert(
+      'Start Synchronized Run',
+      `${durationMinutes} min on ${sync.peers.length} connected device${sync.peers.length !== 1 ? 's' : ''}. ` +
+      'This device generates; participants record their sensors.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Sham', onPress: () => start('sham') },
+        { text: 'Active', onPress: () => start('active') }
+      ]
+    );
+  };
+
+  const stopSyncRun = () => {
+    SyncSession.stopRun();
+    updateMetrics();
+  };
+
+  const formatSeconds = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
+  const SyncStatus = () => {
+    if (!sync.connected) {
+      return (
+        <Text style={styles.experimentDetail}>
+          {sync.error || 'Run the relay on a computer on the same network (npm run sync-server), then join from every phone.'}
+        </Text>
+      );
+    }
+
+    return (
+      <View style={styles.experimentCard}>
+        <Text style={styles.experimentStatus}>
+          {sync.role === ROLE_COORDINATOR ? 'Coordinator' : 'Participant'} · {sync.peers.length} device{sync.peers.length !== 1 ? 's' : ''}
+        </Text>
+        <Text style={styles.experimentDetail}>
+          Clock offset {sync.synced
+            ? `${sync.clockOffset.toFixed(0)} ms ± ${sync.clockUncertainty.toFixed(0)} ms`
+            : 'measuring…'}
+        </Text>
+        {sync.peers.map(peer => (
+          <View key={peer.deviceId} style={styles.experimentRow}>
+            <Text style={styles.experimentDetail}>
+              {peer.name}{peer.deviceId === sync.deviceId ? ' (this device)' : ''}
+            </Text>
+            <Text style={styles.experimentDetail}>{peer.role}</Text>
+          </View>
+        ))}
+        {sync.run && (
+          <Text style={styles.experimentDetail}>
+            {sync.run.arm.toUpperCase()} run {sync.run.started
+              ? `running · ${formatSeconds(sync.run.endsIn)} remaining`
+              : `starts in ${formatSeconds(sync.run.startsIn)}`}
+          </Text>
+        )}
+        {!sync.run && sync.results.map(result => (
+          <View key={result.deviceId} style={styles.experimentRow}>
+            <Text style={styles.experimentDetail}>{result.name} ({result.role})</Text>
+            <Text style={styles.experimentValue}>{result.anomalies}</Text>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  const ExperimentCard = () => {
+    const results = experiment.lastResults;
+    const remaining = experiment.isRunning
+      ? Math.max(0, Math.round((experiment.blockEndsAt - TimeService.now()) / 1000))
+      : 0;
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Blinded Experiment</Text>
+
+        {experiment.isRunning ? (
+          <View style={styles.experimentCard}>
+            <Text style={styles.experimentStatus}>
+              {experiment.inWashout ? 'Washout' : `Block ${experiment.currentBlock} of ${experiment.totalBlocks}`}
+            </Text>
+            <Text style={styles.experimentDetail}>
+              Arm hidden · {Math.floor(remaining / 60)}:{String(remaining % 60).padStart(2, '0')} remaining
+            </Text>
+          </View>
+        ) : results ? (
+          <View style={styles.experimentCard}>
+            <Text style={styles.experimentStatus}>
+              Results{results.aborted ? ' (stopped early)' : ''}
+            </Text>
+            {['active', 'sham'].map(arm => (
+              <View key={arm} style={styles.experimentRow}>
+                <Text style={styles.experimentLabel}>{arm.toUpperCase()}</Text>
+                <Text style={styles.experimentDetail}>
+                  {results.arms[arm].blocks} blocks · {results.arms[arm].anomalies} anomalies
+                </Text>
+                <Text style={styles.experimentValue}>
+                  {results.arms[arm].anomalyRate.toFixed(1)}/hr
+                </Text>
+              </View>
+            ))}
+            {results.test && !results.test.insufficientData && (
+              <Text style={styles.experimentDetail}>
+                Difference: {results.test.difference.toFixed(1)}/hr
+                {results.test.differenceCI && ` (95% CI ${results.test.differenceCI[0].toFixed(1)} to ${results.test.differenceCI[1].toFixed(1)})`}
+                {' · '}{Statistics.formatPValue(results.test.pValue)} · effect: {results.effect}
+              </Text>
+            )}
+            <Text style={styles.experimentDetail}>
+              Sequence: {results.sequence.map(arm => arm === 'active' ? 'A' : 'S').join(' ')}
+            </Text>
+          </View>
+        ) : (
+          <Text style={styles.experimentDetail}>
+            Alternates sham and active generation blocks in random order to compare anomaly rates.
+          </Text>
+        )}
+
+        <TouchableOpacity
+          style={[styles.experimentButton, experiment.isRunning && styles.experimentButtonActive]}
+          onPress={toggleExperiment}
+        >
+          <Text style={styles.experimentButtonText}>
+            {experiment.isRunning ? 'STOP EXPERIMENT' : 'START BLINDED EXPERIMENT'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  // One cell per bit, split in two for Manchester-encoded bits
   const PatternVisualization = () => {
-    const pattern = [1, 1, 0, 0, 1, 1];
+    const steps = metrics.steps || compilePattern(config.pattern, { pulseWidth: config.pulseWidth });
+    const bits = [];
+    steps.forEach(step => {
+      if (!bits[step.index]) bits[step.index] = { bit: step.bit, levels: [] };
+      bits[step.index].levels.push(step.level);
+    });
+
     return (
       <View style={styles.patternContainer}>
-        {pattern.map((bit, index) => (
+        {bits.map(({ bit, levels }, index) => (
           <View
             key={index}
             style={[
               styles.patternBit,
-              bit === 1 ? styles.bitOn : styles.bitOff,
-              isGenerating && bit === 1 && styles.bitActive
+              bits.length > 8 && styles.patternBitSmall,
+              isGenerating && levels.includes(1) && styles.bitActive
             ]}
           >
-            <Text style={styles.bitText}>{bit}</Text>
+            {levels.map((level, half) => (
+              <View key={half} style={[styles.bitLevel, level === 1 ? styles.bitOn : styles.bitOff]} />
+            ))}
+            <Text style={[styles.bitText, bits.length > 8 && styles.bitTextSmall, levels[levels.length - 1] !== 1 && styles.bitTextOff]}>
+              {bit}
+            </Text>
           </View>
         ))}
       </View>
     );
   };
 
+  // Measured pulse onsets against the schedule in the last finished
+  // session; hidden during an experiment so it cannot unblind a block
+  const PulseTiming = () => {
+    if (experiment.isRunning) return null;
+
+    const timing = generationLog.lastTiming || {};
+    const rows = GENERATION_METHODS.filter(({ channel }) => timing[channel]);
+    if (rows.length === 0) return null;
+
+    const ms = value => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Pulse Timing</Text>
+        <View style={styles.experimentCard}>
+          <Text style={styles.experimentDetail}>
+            Jitter of each pulse onset against its planned time in the last finished session
+          </Text>
+          {rows.map(({ channel, short }) => {
+            const t = timing[channel];
+            return (
+              <View key={channel} style={styles.experimentRow}>
+                <Text style={styles.experimentLabel}>{short}</Text>
+                <Text style={styles.experimentDetail}>
+                  {t.pulses} pulses{t.pulses > 0 ? ` · ${ms(t.mean)} ± ${t.sd.toFixed(1)} ms · ${ms(t.min)} to ${ms(t.max)} ms` : ''}
+                </Text>
+                <Text style={[styles.experimentValue, t.missed > 0 && styles.timingMissed]}>
+                  {t.missed} missed
+                </Text>
+              </View>
+            );
+          })}
+        </View>
+      </View>
+    );
+  };
+
   const TimingIndicator = () => {
     const timing = metrics.optimalTiming || {};
     const efficiency = (timing.efficiency || 0) * 100;
@@ -106,7 +592,9 @@ export default function GeneratorScreen() {
       {/* Header */}
       <View style={styles.header}>
         <Text style={styles.title}>State 51 Signal Generator</Text>
-        <Text style={styles.subtitle}>Binary Pattern: 110011</Text>
+        <Text style={styles.subtitle}>
+          {config.pattern.name}: {patternBits(config.pattern).join('')}
+        </Text>
       </View>
 
       {/* Pattern Visualization */}
@@ -114,7 +602,7 @@ export default function GeneratorScreen() {
         <Text style={styles.sectionTitle}>Quantum Pattern</Text>
         <PatternVisualization />
         <Text style={styles.patternInfo}>
-          Decimal: {metrics.decimalValue || 51} | Frequency: {metrics.frequencies?.consciousness || 1.038} Hz
+          {describePattern(config.pattern)} | Frequency: {metrics.frequencies?.consciousness || 1.038} Hz
         </Text>
       </View>
 
@@ -137,86 +625,221 @@ export default function GeneratorScreen() {
         </Text>
       </TouchableOpacity>
 
+      {/* Measured pulse timing */}
+      <PulseTiming />
+
       {/* Timing Indicator */}
       <TimingIndicator />
 
+      {/* Blinded A/B Experiment */}
+      <ExperimentCard />
+
+      {/* Synchronized multi-device run */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Synchronized Run</Text>
+
+        {!sync.connected && (
+          <TextInput
+            style={styles.syncInput}
+            value={syncUrl}
+            onChangeText={setSyncUrl}
+            placeholder="ws://192.168.1.20:8051"
+            placeholderTextColor="#555"
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+          />
+        )}
+
+        <SyncStatus />
+
+        {!sync.connected ? (
+          <View style={styles.syncButtons}>
+            <TouchableOpacity style={[styles.experimentButton, styles.syncButton]} onPress={() => connectSync(ROLE_COORDINATOR)}>
+              <Text style={styles.experimentButtonText}>COORDINATE</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.experimentButton, styles.syncButton]} onPress={() => connectSync(ROLE_PARTICIPANT)}>
+              <Text style={styles.experimentButtonText}>PARTICIPATE</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <View style={styles.syncButtons}>
+            {sync.role === ROLE_COORDINATOR && (
+              <TouchableOpacity
+                style={[styles.experimentButton, styles.syncButton, sync.run && styles.experimentButtonActive]}
+                onPress={sync.run ? stopSyncRun : startSyncRun}
+              >
+                <Text style={styles.experimentButtonText}>{sync.run ? 'STOP RUN' : 'START RUN'}</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={[styles.experimentButton, styles.syncButton]} onPress={disconnectSync}>
+              <Text style={styles.experimentButtonText}>LEAVE</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+
       {/* Generation Settings */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Generation Methods</Text>
 
-        <View style={styles.settingRow}>
-          <View style={styles.settingInfo}>
-            <Ionicons name="volume-high" size={24} color="#00ff88" />
-            <View style={styles.settingText}>
-              <Text style={styles.settingLabel}>Audio Signal</Text>
-              <Text style={styles.settingDescription}>
-                1.038 Hz consciousness frequency
-              </Text>
+        {GENERATION_METHODS.map(({ channel, icon, label, description }) => (
+          <View key={channel} style={styles.settingRow}>
+            <View style={styles.settingInfo}>
+              <Ionicons name={icon} size={24} color="#00ff88" />
+              <View style={styles.settingText}>
+                <Text style={styles.settingLabel}>{label}</Text>
+                <Text style={styles.settingDescription}>{description}</Text>
+              </View>
             </View>
+            <TouchableOpacity
+              style={styles.intensityButton}
+              onPress={() => cycleIntensity(channel)}
+              disabled={!config.channels[channel].enabled}
+            >
+              <Text style={[
+                styles.intensityText,
+                !config.channels[channel].enabled && styles.intensityDisabled
+              ]}>
+                {Math.round(config.channels[channel].intensity * 100)}%
+              </Text>
+            </TouchableOpacity>
+            <Switch
+              value={config.channels[channel].enabled}
+              onValueChange={(value) => toggleChannel(channel, value)}
+              trackColor={{ false: '#333', true: '#00ff88' }}
+              thumbColor="#fff"
+            />
           </View>
-          <Switch
-            value={settings.audio}
-            onValueChange={(value) => setSettings({...settings, audio: value})}
-            trackColor={{ false: '#333', true: '#00ff88' }}
-            thumbColor="#fff"
-          />
-        </View>
+        ))}
 
         <View style={styles.settingRow}>
-          <View style={styles.settingInfo}>
-            <Ionicons name="sunny" size={24} color="#00ff88" />
-            <View style={styles.settingText}>
-              <Text style={styles.settingLabel}>Visual Flashing</Text>
-              <Text style={styles.settingDescription}>
-                Screen brightness modulation
-              </Text>
-            </View>
+          <View style={styles.settingText}>
+            <Text style={styles.settingLabel}>Audio Tone</Text>
+            <Text style={styles.settingDescription}>{TONE_DESCRIPTIONS[config.tone]}</Text>
           </View>
-          <Switch
-            value={settings.visual}
-            onValueChange={(value) => setSettings({...settings, visual: value})}
-            trackColor={{ false: '#333', true: '#00ff88' }}
-            thumbColor="#fff"
-          />
+          <TouchableOpacity style={styles.intensityButton} onPress={cycleTone}>
+            <Text style={styles.intensityText}>{config.tone.toUpperCase()}</Text>
+          </TouchableOpacity>
         </View>
 
         <View style={styles.settingRow}>
-          <View style={styles.settingInfo}>
-            <Ionicons name="hand-left" size={24} color="#00ff88" />
-            <View style={styles.settingText}>
-              <Text style={styles.settingLabel}>Haptic Feedback</Text>
-              <Text style={styles.settingDescription}>
-                Vibration pattern matching
-              </Text>
-            </View>
+          <View style={styles.settingText}>
+            <Text style={styles.settingLabel}>Pulse Width (ms)</Text>
+            <Text style={styles.settingDescription}>
+              At least two accelerometer samples{metrics.timing ? ` · running at ${metrics.timing.pulseWidth} ms` : ''}
+            </Text>
           </View>
-          <Switch
-            value={settings.haptic}
-            onValueChange={(value) => setSettings({...settings, haptic: value})}
-            trackColor={{ false: '#333', true: '#00ff88' }}
-            thumbColor="#fff"
+          <TextInput
+            style={styles.timingInput}
+            value={timingValue('pulseWidth')}
+            onChangeText={(value) => editTiming('pulseWidth', value)}
+            onBlur={saveTiming}
+            keyboardType="numeric"
           />
         </View>
 
         <View style={styles.settingRow}>
-          <View style={styles.settingInfo}>
-            <Ionicons name="radio" size={24} color="#00ff88" />
-            <View style={styles.settingText}>
-              <Text style={styles.settingLabel}>EM Pattern</Text>
-              <Text style={styles.settingDescription}>
-                WiFi/Bluetooth modulation
-              </Text>
-            </View>
+          <View style={styles.settingText}>
+            <Text style={styles.settingLabel}>Beat Period (s)</Text>
+            <Text style={styles.settingDescription}>Pause between pattern repeats</Text>
           </View>
-          <Switch
-            value={settings.electromagnetic}
-            onValueChange={(value) => setSettings({...settings, electromagnetic: value})}
-            trackColor={{ false: '#333', true: '#00ff88' }}
-            thumbColor="#fff"
+          <TextInput
+            style={styles.timingInput}
+            value={timingValue('beatPeriod')}
+            onChangeText={(value) => editTiming('beatPeriod', value)}
+            onBlur={saveTiming}
+            keyboardType="numeric"
           />
         </View>
       </View>
 
+      {/* Pattern Library */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Pattern Library</Text>
+
+        {patterns.map(pattern => (
+          <View key={pattern.id} style={styles.settingRow}>
+            <TouchableOpacity style={styles.settingInfo} onPress={() => selectPattern(pattern)}>
+              <Ionicons
+                name={pattern.id === config.pattern.id ? 'radio-button-on' : 'radio-button-off'}
+                size={20}
+                color="#00ff88"
+              />
+              <View style={styles.settingText}>
+                <Text style={styles.settingLabel}>{pattern.name}</Text>
+                <Text style={styles.settingDescription}>{describePattern(pattern)}</Text>
+              </View>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => editPattern(pattern, pattern.builtIn)}>
+              <Ionicons name={pattern.builtIn ? 'copy-outline' : 'create-outline'} size={22} color="#888" />
+            </TouchableOpacity>
+          </View>
+        ))}
+
+        {patternDraft ? (
+          <View style={[styles.experimentCard, styles.patternEditor]}>
+            <Text style={styles.experimentStatus}>{patternDraft.id ? 'Edit Pattern' : 'New Pattern'}</Text>
+            {patternField('Name', 'name', { autoCapitalize: 'words' })}
+            <View style={styles.settingRow}>
+              <Text style={styles.patternFieldLabel}>Format</Text>
+              <TouchableOpacity
+                style={styles.intensityButton}
+                onPress={() => editDraft('format', nextOf(PATTERN_FORMATS, patternDraft.format))}
+              >
+                <Text style={styles.intensityText}>{patternDraft.format.toUpperCase()}</Text>
+              </TouchableOpacity>
+            </View>
+            {patternField(patternDraft.format === 'binary' ? 'Bits' : 'Value', 'value', {
+              keyboardType: 'numeric',
+              placeholder: patternDraft.format === 'binary' ? '110011' : '51'
+            })}
+            {patternDraft.format === 'decimal' && patternField('Bit count', 'bits', {
+              keyboardType: 'numeric',
+              placeholder: 'auto'
+            })}
+            <View style={styles.settingRow}>
+              <Text style={styles.patternFieldLabel}>Encoding</Text>
+              <TouchableOpacity
+                style={styles.intensityButton}
+                onPress={() => editDraft('encoding', nextOf(ENCODINGS, patternDraft.encoding))}
+              >
+                <Text style={styles.intensityText}>{patternDraft.encoding.toUpperCase()}</Text>
+              </TouchableOpacity>
+            </View>
+            {patternField('Bit durations (ms)', 'bitDurations', { placeholder: 'pulse width' })}
+            {patternField('Plays per cycle', 'count', { keyboardType: 'numeric' })}
+            {patternField('Gap between plays (ms)', 'gap', { keyboardType: 'numeric' })}
+            {patternField('Pause after cycle (s)', 'pause', { keyboardType: 'numeric', placeholder: 'beat period' })}
+            <Text style={styles.experimentDetail}>{draftPreview()}</Text>
+
+            <View style={styles.syncButtons}>
+              <TouchableOpacity style={[styles.experimentButton, styles.syncButton]} onPress={savePattern}>
+                <Text style={styles.experimentButtonText}>SAVE</Text>
+              </TouchableOpacity>
+              {patternDraft.id && (
+                <TouchableOpacity
+                  style={[styles.experimentButton, styles.syncButton, styles.experimentButtonActive]}
+                  onPress={deletePattern}
+                >
+                  <Text style={styles.experimentButtonText}>DELETE</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity style={[styles.experimentButton, styles.syncButton]} onPress={() => setPatternDraft(null)}>
+                <Text style={styles.experimentButtonText}>CANCEL</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ) : (
+          <TouchableOpacity
+            style={styles.experimentButton}
+            onPress={newPattern}
+          >
+            <Text style={styles.experimentButtonText}>NEW PATTERN</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
       {/* Frequency Information */}
       <View style={styles.frequencySection}>
         <Text style={styles.sectionTitle}>Quantum Frequencies</Text>
@@ -250,7 +873,7 @@ export default function GeneratorScreen() {
       <View style={styles.instructions}>
         <Text style={styles.instructionsTitle}>How It Works</Text>
         <Text style={styles.instructionsText}>
-          State 51 generates the binary pattern 110011 across multiple phone systems simultaneously:
+          State 51 generates the selected binary pattern (110011 by default) across multiple phone systems simultaneously:
         </Text>
         <Text style={styles.instructionItem}>
           • Audio: Plays consciousness frequency tones
@@ -302,6 +925,7 @@ const styles = StyleSheet.create({
   },
   patternContainer: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     justifyContent: 'center',
     gap: 10,
     marginVertical: 20,
@@ -310,17 +934,25 @@ const styles = StyleSheet.create({
     width: 45,
     height: 45,
     borderRadius: 5,
+    flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'center',
     borderWidth: 2,
+    borderColor: '#333',
+  },
+  patternBitSmall: {
+    width: 28,
+    height: 28,
+  },
+  bitLevel: {
+    flex: 1,
+    alignSelf: 'stretch',
   },
   bitOn: {
     backgroundColor: '#00ff88',
-    borderColor: '#00ff88',
   },
   bitOff: {
     backgroundColor: '#111',
-    borderColor: '#333',
   },
   bitActive: {
     shadowColor: '#00ff88',
@@ -329,10 +961,17 @@ const styles = StyleSheet.create({
     shadowRadius: 10,
   },
   bitText: {
+    position: 'absolute',
     color: '#000',
     fontSize: 20,
     fontWeight: 'bold',
   },
+  bitTextSmall: {
+    fontSize: 13,
+  },
+  bitTextOff: {
+    color: '#555',
+  },
   patternInfo: {
     color: '#888',
     fontSize: 14,
@@ -394,6 +1033,9 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: 'bold',
   },
+  timingMissed: {
+    color: '#ff4444',
+  },
   timingMessage: {
     color: '#666',
     fontSize: 12,
@@ -426,6 +1068,116 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginTop: 2,
   },
+  intensityButton: {
+    borderWidth: 1,
+    borderColor: '#333',
+    borderRadius: 5,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    marginRight: 10,
+    minWidth: 50,
+    alignItems: 'center',
+  },
+  intensityText: {
+    color: '#00ff88',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  intensityDisabled: {
+    color: '#555',
+  },
+  timingInput: {
+    backgroundColor: '#111',
+    borderWidth: 1,
+    borderColor: '#333',
+    borderRadius: 5,
+    color: '#fff',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    minWidth: 70,
+    textAlign: 'right',
+  },
+  patternEditor: {
+    marginTop: 15,
+  },
+  patternFieldLabel: {
+    color: '#888',
+    fontSize: 14,
+    flex: 1,
+  },
+  patternInput: {
+    minWidth: 140,
+  },
+  experimentCard: {
+    backgroundColor: '#111',
+    padding: 15,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  experimentStatus: {
+    color: '#00ff88',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  experimentRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#222',
+  },
+  experimentLabel: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+    width: 60,
+  },
+  experimentDetail: {
+    color: '#888',
+    fontSize: 12,
+    flex: 1,
+    marginTop: 2,
+  },
+  experimentValue: {
+    color: '#00ff88',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  experimentButton: {
+    borderWidth: 1,
+    borderColor: '#00ff88',
+    borderRadius: 10,
+    padding: 12,
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  experimentButtonActive: {
+    borderColor: '#ff4444',
+  },
+  experimentButtonText: {
+    color: '#00ff88',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  syncInput: {
+    backgroundColor: '#111',
+    borderWidth: 1,
+    borderColor: '#333',
+    borderRadius: 10,
+    color: '#fff',
+    padding: 12,
+    marginBottom: 10,
+  },
+  syncButtons: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  syncButton: {
+    flex: 1,
+  },
   frequencySection: {
     padding: 20,
   },
@@ -11,6 +11,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import SensorMonitor from '../services/SensorMonitor';
 import State51Generator from '../services/State51Generator';
+import TimeWindowService from '../services/TimeWindowService';
 
 const { width } = Dimensions.get('window');
 
@@ -88,11 +89,6 @@ export default function MonitorScreen() {
     }
   };
 
-  const isCosmicWindow = () => {
-    const hour = new Date().getHours();
-    return hour >= 3 && hour < 4;
-  };
-
   return (
     <ScrollView style={styles.container}>
       {/* Header Status */}
@@ -104,7 +100,7 @@ export default function MonitorScreen() {
               {isMonitoring ? 'MONITORING' : 'STANDBY'}
             </Text>
           </View>
-          {isCosmicWindow() && (
+          {TimeWindowService.isCosmicWindow() && (
             <View style={styles.cosmicBadge}>
               <Text style={styles.cosmicText}>COSMIC WINDOW</Text>
             </View>
@@ -223,11 +219,13 @@ export default function MonitorScreen() {
                   <Text style={styles.anomalyMessage}>{anomaly.message}</Text>
                   <Text style={styles.anomalyTime}>
                     {new Date(anomaly.timestamp).toLocaleTimeString()}
+                    {anomaly.sampleCount > 1 &&
+                      ` · ${Math.round(anomaly.duration / 1000)}s · ${anomaly.sampleCount} samples`}
                     {anomaly.cosmicWindow && ' 🌌'}
                   </Text>
                 </View>
                 <Text style={styles.anomalyValue}>
-                  {formatValue(anomaly.value)}
+                  {formatValue(anomaly.peakValue !== undefined ? anomaly.peakValue : anomaly.value)}
                 </Text>
               </View>
             ))}
@@ -255,6 +253,14 @@ export default function MonitorScreen() {
             {status.isCosmicWindow ? 'ACTIVE' : 'Inactive'}
           </Text>
         </View>
+        <View style={styles.infoRow}>
+          <Text style={styles.infoLabel}>Open Windows:</Text>
+          <Text style={styles.infoValue}>
+            {(status.windows || [])
+              .map(id => TimeWindowService.getWindow(id)?.label || id)
+              .join(', ') || 'None'}
+          </Text>
+        </View>
       </View>
     </ScrollView>
   );
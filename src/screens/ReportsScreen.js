@@ -10,6 +10,10 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import DatabaseService from '../services/DatabaseService';
+import Statistics from '../services/Statistics';
+import ExportService from '../services/ExportService';
+import TimeWindowService from '../services/TimeWindowService';
+import TimeService from '../services/TimeService';
 
 const { width } = Dimensions.get('window');
 
@@ -48,8 +52,8 @@ export default function ReportsScreen() {
     await analyzeCurrentData();
     
     // Generate today's report if needed
-    const today = new Date();
-    const todayReport = reports.find(r => r.date === today.toISOString().split('T')[0]);
+    const today = TimeWindowService.localDate();
+    const todayReport = reports.find(r => r.date === today);
     if (!todayReport) {
       await DatabaseService.generateDailyReport(today);
       await loadReports();
@@ -60,10 +64,8 @@ export default function ReportsScreen() {
 
   const exportData = async () => {
     try {
-      const exportData = await DatabaseService.exportData();
-      console.log('Export data ready:', exportData);
-      // In production, would share via native share dialog
-      alert('Data exported successfully! Check console for details.');
+      // Same period as the report list
+      await ExportService.exportAndShare({ startTime: TimeService.now() - 30 * 86400000 });
     } catch (error) {
       console.error('Export error:', error);
       alert('Failed to export data');
@@ -80,6 +82,28 @@ export default function ReportsScreen() {
     }
   };
 
+  const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+  const TestResult = ({ label, result, detail }) => {
+    if (!result) return null;
+
+    if (result.insufficientData) {
+      return (
+        <Text style={styles.effectText}>{label}: insufficient data</Text>
+      );
+    }
+
+    const extra = detail ? detail(result) : null;
+    return (
+      <View style={styles.testResult}>
+        <Text style={[styles.effectText, result.significant && styles.testSignificant]}>
+          {label}: {Statistics.formatPValue(result.pValue)} ({result.test})
+        </Text>
+        {extra && <Text style={styles.testDetail}>{extra}</Text>}
+      </View>
+    );
+  };
+
   const CurrentAnalysisCard = () => {
     if (!currentAnalysis) return null;
 
@@ -126,10 +150,15 @@ export default function ReportsScreen() {
             <Text style={styles.analysisLabel}>Cosmic Correlation</Text>
             <Text style={[
               styles.analysisValue,
-              currentAnalysis.cosmicCorrelation > 0.5 && styles.valueActive
+              currentAnalysis.patterns?.hasCosmicCorrelation && styles.valueActive
             ]}>
               {(currentAnalysis.cosmicCorrelation * 100).toFixed(0)}%
             </Text>
+            {currentAnalysis.cosmicTest && !currentAnalysis.cosmicTest.insufficientData && (
+              <Text style={styles.analysisStat}>
+                {Statistics.formatPValue(currentAnalysis.cosmicTest.pValue)}
+              </Text>
+            )}
           </View>
         </View>
 
@@ -217,16 +246,57 @@ export default function ReportsScreen() {
                 <Text style={styles.effectTitle}>State 51 Effect Analysis</Text>
                 <Text style={styles.effectText}>
                   Active Periods: {data.state51Effect.activePeriods}
+                  {data.state51Effect.inactivePeriods !== undefined &&
+                    ` · Inactive: ${data.state51Effect.inactivePeriods}`}
                 </Text>
+                {data.state51Effect.sessions !== undefined && (
+                  <Text style={styles.effectText}>
+                    Generation Sessions: {data.state51Effect.sessions} · {data.state51Effect.pulses} pulses · {data.state51Effect.anomaliesDuringGeneration} anomalies during generation
+                  </Text>
+                )}
                 <Text style={styles.effectText}>
                   Anomaly Rate: {(data.state51Effect.anomalyRate * 100).toFixed(1)}%
+                  {data.state51Effect.baselineRate !== undefined &&
+                    ` vs ${(data.state51Effect.baselineRate * 100).toFixed(1)}% baseline`}
                 </Text>
+                <TestResult
+                  label="Occurrence"
+                  result={data.state51Effect.occurrenceTest}
+                  detail={result => result.differenceCI &&
+                    `Δ ${formatPercent(result.difference)} (95% CI ${formatPercent(result.differenceCI[0])} to ${formatPercent(result.differenceCI[1])}) · OR ${result.oddsRatio.estimate.toFixed(2)}`}
+                />
+                <TestResult
+                  label="Anomalies/min"
+                  result={data.state51Effect.countTest}
+                  detail={result => result.differenceCI &&
+                    `Δ ${result.difference.toFixed(2)} (95% CI ${result.differenceCI[0].toFixed(2)} to ${result.differenceCI[1].toFixed(2)}) · d ${result.cohensD.toFixed(2)}`}
+                />
+                <TestResult
+                  label="Magnetic field"
+                  result={data.state51Effect.magneticTest}
+                  detail={result => `rank-biserial r ${result.rankBiserial.toFixed(2)}`}
+                />
                 <Text style={styles.effectText}>
                   Correlation: {data.state51Effect.correlation}
                 </Text>
               </View>
             )}
 
+            {data.cosmicEffect && (
+              <View style={styles.effectSection}>
+                <Text style={styles.effectTitle}>Cosmic Window Analysis</Text>
+                <Text style={styles.effectText}>
+                  Anomaly Rate: {formatPercent(data.cosmicEffect.rate1)} in window vs {formatPercent(data.cosmicEffect.rate2)} outside
+                </Text>
+                <TestResult
+                  label="Occurrence"
+                  result={data.cosmicEffect}
+                  detail={result => result.oddsRatio &&
+                    `OR ${result.oddsRatio.estimate.toFixed(2)} (95% CI ${result.oddsRatio.ci[0].toFixed(2)}–${result.oddsRatio.ci[1].toFixed(2)})`}
+                />
+              </View>
+            )}
+
             {data.keyFindings && data.keyFindings.length > 0 && (
               <View style={styles.findingsSection}>
                 <Text style={styles.findingsTitle}>Key Findings</Text>
@@ -536,6 +606,23 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginTop: 2,
   },
+  testResult: {
+    marginTop: 4,
+  },
+  testSignificant: {
+    color: '#00ff88',
+    fontWeight: 'bold',
+  },
+  testDetail: {
+    color: '#888',
+    fontSize: 11,
+    marginTop: 1,
+  },
+  analysisStat: {
+    color: '#888',
+    fontSize: 10,
+    marginTop: 2,
+  },
   findingsSection: {
     marginTop: 15,
   },
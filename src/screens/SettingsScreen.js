@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -7,135 +7,398 @@ import {
   TouchableOpacity,
   Switch,
   Alert,
+  TextInput,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Ionicons } from '@expo/vector-icons';
 import DatabaseService from '../services/DatabaseService';
 import SensorMonitor from '../services/SensorMonitor';
 import State51Generator from '../services/State51Generator';
+import SensorRecorder from '../services/SensorRecorder';
+import SettingsStore from '../services/SettingsStore';
+import RetentionService from '../services/RetentionService';
+import ExportService, { PART_SIZE } from '../services/ExportService';
+import ImportService from '../services/ImportService';
+import TimeWindowService from '../services/TimeWindowService';
+import ExperimentRunner from '../services/ExperimentRunner';
+import TimeService from '../services/TimeService';
+import { SENSOR_SOURCES, getAvailableSources, getDefaultSourceName } from '../services/sources';
+
+// Observation window kinds (see TimeWindowService) as edited here
+const WINDOW_KINDS = {
+  clock: { label: 'Clock', icon: 'time', start: '03:00', end: '04:00', hint: 'Local time of day, HH:MM' },
+  sun: { label: 'Sun', icon: 'sunny', start: 'sunset', end: 'sunrise+30',
+    hint: 'sunrise, sunset, dawn, dusk or noon, with optional ±minutes' },
+  lunar: { label: 'Moon', icon: 'moon', start: '0.45', end: '0.55',
+    hint: 'Lunar phase from 0 to 1: 0 new, 0.25 first quarter, 0.5 full, 0.75 last quarter' },
+};
+
+const formatLocation = (location) => (location ? `${location.latitude}, ${location.longitude}` : '');
+
+// A real calendar date written YYYY-MM-DD (addDays normalizes e.g. 02-30)
+const isDate = (text) => /^\d{4}-\d{2}-\d{2}$/.test(text) && TimeWindowService.addDays(text, 0) === text;
 
 export default function SettingsScreen() {
-  const [settings, setSettings] = useState({
-    notifications: true,
-    cosmicWindowAlerts: true,
-    backgroundMonitoring: true,
-    dataRetention: 30, // days
-    sensitivity: 'medium',
-    autoReporting: true,
-    anonymousData: false,
-  });
+  const [settings, setSettings] = useState(SettingsStore.getSettings());
 
   const [appInfo, setAppInfo] = useState({
     version: '1.0.0',
     buildDate: new Date().toISOString(),
     dataSize: 0,
     totalAnomalies: 0,
-    totalScans: 0
+    totalScans: 0,
+    lastCompaction: null
   });
 
+  const [timeZone, setTimeZone] = useState(SettingsStore.get('timeZone'));
+  const [location, setLocation] = useState(formatLocation(SettingsStore.get('observerLocation')));
+  const [windowDraft, setWindowDraft] = useState(null); // window being added or edited
+  const [isRecording, setIsRecording] = useState(SensorMonitor.getStatus().isRecording);
+  const [exportProgress, setExportProgress] = useState(null);
+  const [rangeDraft, setRangeDraft] = useState(null); // { start, end } days to delete
+  const [experimentChoices, setExperimentChoices] = useState(null); // experiments offered for deletion
+  const exportController = useRef(null);
+
   useEffect(() => {
-    loadSettings();
     loadAppInfo();
+    return SettingsStore.subscribe(newSettings => setSettings(newSettings));
   }, []);
 
-  const loadSettings = async () => {
+  // GPS moves the observer location while monitoring
+  useEffect(() => {
+    setLocation(formatLocation(settings.observerLocation));
+  }, [settings.observerLocation]);
+
+  const loadAppInfo = async () => {
     try {
-      const stored = await AsyncStorage.getItem('state51_settings');
-      if (stored) {
-        setSettings({ ...settings, ...JSON.parse(stored) });
-      }
+      const size = await DatabaseService.getDatabaseSize();
+      setAppInfo({
+        ...appInfo,
+        totalAnomalies: await DatabaseService.countRows('anomalies'),
+        totalScans: await DatabaseService.countRows('scans'),
+        dataSize: size.bytes,
+        lastCompaction: await RetentionService.getLastResult()
+      });
     } catch (error) {
-      console.error('Error loading settings:', error);
+      console.error('Error loading app info:', error);
+    }
+  };
+
+  const updateSetting = (key, value) => {
+    SettingsStore.update({ [key]: value });
+  };
+
+  const saveTimeZone = () => {
+    const value = timeZone.trim();
+    if (value && !TimeWindowService.isValidTimeZone(value)) {
+      Alert.alert('Unknown Time Zone', `"${value}" is not an IANA time zone, e.g. Europe/Berlin or America/New_York.`);
+      setTimeZone(settings.timeZone);
+      return;
+    }
+    setTimeZone(value);
+    if (value !== settings.timeZone) {
+      updateSetting('timeZone', value);
+      retagWindows();
+    }
+  };
+
+  const saveLocation = () => {
+    const parts = location.split(',').map(part => Number(part.trim()));
+    const [latitude, longitude] = parts;
+    if (location.trim() === '') {
+      updateSetting('observerLocation', null);
+      return;
     }
+    if (parts.length !== 2 || !(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+      Alert.alert('Invalid Location', 'Enter latitude and longitude in degrees, e.g. 52.5, 13.4');
+      setLocation(formatLocation(settings.observerLocation));
+      return;
+    }
+    updateSetting('observerLocation', { latitude, longitude });
   };
 
-  const saveSettings = async (newSettings) => {
+  // Stored window tags follow the current definitions
+  const retagWindows = async () => {
     try {
-      await AsyncStorage.setItem('state51_settings', JSON.stringify(newSettings));
-      setSettings(newSettings);
+      const changed = await DatabaseService.retagWindows();
+      console.log(`Window tags updated on ${changed} rows`);
     } catch (error) {
-      console.error('Error saving settings:', error);
+      Alert.alert('Window Tag Error', error.message);
     }
   };
 
-  const loadAppInfo = async () => {
+  const editWindow = (window) => {
+    setWindowDraft(window
+      ? { ...window, start: String(window.start), end: String(window.end) }
+      : { id: null, label: '', kind: 'clock', start: '', end: '' });
+  };
+
+  const cycleWindowKind = () => {
+    const kinds = Object.keys(WINDOW_KINDS);
+    const next = kinds[(kinds.indexOf(windowDraft.kind) + 1) % kinds.length];
+    setWindowDraft({ ...windowDraft, kind: next, start: '', end: '' });
+  };
+
+  const saveWindow = async () => {
+    const { startMinute, endMinute, startEvent, endEvent, startPhase, endPhase, ...draft } = windowDraft;
+    const label = draft.label.trim() || 'Window';
+    let id = draft.id;
+    if (!id) {
+      const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'window';
+      id = base;
+      for (let i = 2; settings.timeWindows.some(w => w.id === id); i++) id = `${base}_${i}`;
+    }
+
+    const window = { ...draft, id, label, start: draft.start.trim(), end: draft.end.trim() };
+
     try {
-      const exportData = await DatabaseService.exportData();
-      setAppInfo({
-        ...appInfo,
-        totalAnomalies: exportData.statistics.totalAnomalies,
-        totalScans: exportData.statistics.totalScans,
-        dataSize: JSON.stringify(exportData).length
-      });
+      TimeWindowService.parseWindow(window);
     } catch (error) {
-      console.error('Error loading app info:', error);
+      Alert.alert('Invalid Window', error.message);
+      return;
+    }
+    if (window.kind === 'lunar') {
+      window.start = Number(window.start);
+      window.end = Number(window.end);
     }
-  };
 
-  const updateSetting = (key, value) => {
-    const newSettings = { ...settings, [key]: value };
-    saveSettings(newSettings);
+    const exists = settings.timeWindows.some(w => w.id === id);
+    await SettingsStore.update({
+      timeWindows: exists
+        ? settings.timeWindows.map(w => (w.id === id ? window : w))
+        : [...settings.timeWindows, window]
+    });
+    setWindowDraft(null);
+    retagWindows();
   };
 
-  const clearAllData = () => {
+  const deleteWindow = (window) => {
     Alert.alert(
-      'Clear All Data',
-      'This will permanently delete all sensor data, anomalies, and reports. This action cannot be undone.',
+      'Delete Window',
+      `Delete "${window.label || window.id}"? Anomalies and scans lose its tag.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
-          text: 'Clear Data',
+          text: 'Delete',
           style: 'destructive',
           onPress: async () => {
-            try {
-              // Stop monitoring first
-              SensorMonitor.stopMonitoring();
-              State51Generator.stopGeneration();
-              
-              // Re-initialize database (clears all tables)
-              await DatabaseService.initialize();
-              
-              Alert.alert('Success', 'All data has been cleared');
-              loadAppInfo();
-            } catch (error) {
-              Alert.alert('Error', 'Failed to clear data: ' + error.message);
-            }
+            await SettingsStore.update({ timeWindows: settings.timeWindows.filter(w => w.id !== window.id) });
+            retagWindows();
           }
         }
       ]
     );
   };
 
-  const exportAllData = async () => {
+  const formatSize = (bytes) => {
+    if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  };
+
+  // Show what a wipe would remove, then run it after confirmation
+  const confirmWipe = async (title, wipe, beforeWipe) => {
     try {
-      const data = await DatabaseService.exportData();
-      const jsonString = JSON.stringify(data, null, 2);
-      
-      // In production, this would use the native share API
-      console.log('Export data ready:', data);
+      const preview = await wipe({ dryRun: true });
+      if (preview.total === 0) {
+        Alert.alert(title, 'Nothing to delete');
+        return;
+      }
+
+      const lines = Object.entries(preview.counts)
+        .filter(([, count]) => count > 0)
+        .map(([table, count]) => `${table}: ${count.toLocaleString()}`)
+        .join('\n');
+
+      Alert.alert(
+        title,
+        `This will permanently delete ${preview.total.toLocaleString()} rows:\n\n${lines}\n\nThis action cannot be undone.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Delete',
+            style: 'destructive',
+            onPress: async () => {
+              try {
+                if (beforeWipe) await beforeWipe();
+                const result = await wipe();
+                await DatabaseService.vacuum();
+                Alert.alert('Success', `Deleted ${result.total.toLocaleString()} rows`);
+                loadAppInfo();
+              } catch (error) {
+                Alert.alert('Error', 'Failed to clear data: ' + error.message);
+              }
+            }
+          }
+        ]
+      );
+    } catch (error) {
+      Alert.alert('Error', 'Failed to count data: ' + error.message);
+    }
+  };
+
+  const clearAllData = () => confirmWipe(
+    'Clear All Data',
+    options => DatabaseService.wipeAll(options),
+    async () => {
+      // Stop monitoring first, and let its last writes land before the wipe
+      await SensorMonitor.stopMonitoring();
+      await State51Generator.stopGeneration();
+      SensorMonitor.clearAnomalies();
+      SensorMonitor.clearAdaptiveBaseline();
+    }
+  );
+
+  const deleteDateRange = () => {
+    const first = rangeDraft.start.trim();
+    const last = rangeDraft.end.trim();
+    if (!isDate(first) || !isDate(last) || last < first) {
+      Alert.alert('Invalid Range', 'Enter the first and last day as YYYY-MM-DD, e.g. 2024-03-01 to 2024-03-31');
+      return;
+    }
+
+    // Local days in the configured time zone, like the rest of the app
+    const startTime = TimeWindowService.dayBounds(first).start;
+    const endTime = TimeWindowService.dayBounds(last).end - 1;
+    confirmWipe(
+      `Delete ${first} to ${last}`,
+      options => DatabaseService.wipeDateRange(startTime, endTime, options),
+      () => setRangeDraft(null)
+    );
+  };
+
+  // This device's experiments, newest first; the running one is left alone
+  const chooseExperiment = async () => {
+    try {
+      const experiments = new Map();
+      (await DatabaseService.getExperiments()).forEach(block => {
+        const id = block.data.experimentId;
+        if (!id || (ExperimentRunner.isRunning && ExperimentRunner.experiment.id === id)) return;
+
+        const experiment = experiments.get(id) || { id, startedAt: block.timestamp, blocks: 0, notes: block.notes };
+        experiment.startedAt = Math.min(experiment.startedAt, block.timestamp);
+        experiment.blocks++;
+        experiments.set(id, experiment);
+      });
+      setExperimentChoices([...experiments.values()]);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to load experiments: ' + error.message);
+    }
+  };
+
+  const deleteExperiment = (experiment) => confirmWipe(
+    `Delete Experiment of ${new Date(experiment.startedAt).toLocaleString()}`,
+    options => DatabaseService.wipeExperiment(experiment.id, options),
+    () => setExperimentChoices(null)
+  );
+
+  const clearRecordings = () => confirmWipe(
+    'Delete Raw Recordings',
+    options => DatabaseService.wipeTable('recordings', options),
+    async () => {
+      if (isRecording) {
+        await toggleRecording(false);
+      }
+    }
+  );
+
+  const exportRange = async (startTime) => {
+    const controller = new AbortController();
+    exportController.current = controller;
+    setExportProgress({ label: 'Counting rows', fraction: 0 });
+
+    try {
+      const archive = await ExportService.exportAndShare({
+        startTime,
+        signal: controller.signal,
+        onProgress: ({ table, format, fraction }) => {
+          setExportProgress({ label: `${table} (${format})`, fraction });
+        }
+      });
+      const counts = archive.manifest.files
+        .filter(file => file.format === 'csv')
+        .map(file => `${file.table}: ${file.rows.toLocaleString()}`)
+        .join('\n');
+      const files = archive.parts.length > 1
+        ? `Split into ${archive.parts.length} files of up to ${PART_SIZE / 1024 / 1024} MB; import every part`
+        : archive.fileName;
+      Alert.alert('Data Export Ready', `${files}\n\n${counts}`);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        Alert.alert('Export Error', error.message);
+      }
+    } finally {
+      exportController.current = null;
+      setExportProgress(null);
+    }
+  };
+
+  // Validate another device's export, show what it holds, then merge it
+  const importData = async () => {
+    try {
+      const file = await ImportService.pickBundle();
+      if (!file) return;
+
+      const bundle = await ImportService.readBundle(file.bytes);
+      const lines = bundle.summary
+        .map(({ table, rows, own }) =>
+          `${table}: ${rows.toLocaleString()}${own > 0 ? ` (${own.toLocaleString()} from this device)` : ''}`)
+        .join('\n');
+
       Alert.alert(
-        'Data Export Ready',
-        `Exported ${data.statistics.totalAnomalies} anomalies and ${data.statistics.totalScans} scans. Check console for full data.`,
+        'Import Data',
+        `${file.name}\nFrom ${bundle.device.name} (${bundle.device.platform})\n\n${lines}\n\nRows already here are skipped.`,
         [
-          { text: 'OK' }
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Merge',
+            onPress: async () => {
+              try {
+                const result = await ImportService.importBundle(bundle);
+                const merged = Object.entries(result)
+                  .map(([table, { inserted, duplicates }]) =>
+                    `${table}: ${inserted.toLocaleString()} new, ${duplicates.toLocaleString()} already here`)
+                  .join('\n');
+                Alert.alert('Import Complete', merged);
+                loadAppInfo();
+              } catch (error) {
+                Alert.alert('Import Error', error.message);
+              }
+            }
+          }
         ]
       );
     } catch (error) {
-      Alert.alert('Export Error', error.message);
+      Alert.alert('Import Error', error.message);
     }
   };
 
+  const exportAllData = () => {
+    if (exportController.current) {
+      exportController.current.abort();
+      return;
+    }
+
+    Alert.alert(
+      'Export Data',
+      'CSV, JSON Lines and columnar files in one zip, with a manifest',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Last 7 Days', onPress: () => exportRange(TimeService.now() - 7 * 86400000) },
+        { text: 'All Data', onPress: () => exportRange(null) }
+      ]
+    );
+  };
+
   const resetBaseline = () => {
     Alert.alert(
       'Reset Baseline',
-      'This will clear the current sensor baseline and establish a new one. Continue?',
+      'This will clear the current sensor baseline and the learned adaptive baselines, and establish a new one. Continue?',
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Reset',
           onPress: async () => {
             try {
-              await SensorMonitor.establishBaseline();
+              await SensorMonitor.resetBaseline();
               Alert.alert('Success', 'Baseline has been reset');
             } catch (error) {
               Alert.alert('Error', 'Failed to reset baseline: ' + error.message);
@@ -177,6 +440,72 @@ export default function SettingsScreen() {
     );
   };
 
+  const compactDatabase = async () => {
+    try {
+      const result = await RetentionService.run();
+      await loadAppInfo();
+      Alert.alert(
+        'Database Compacted',
+        `Removed ${result.removed.scans} scans and ${result.removed.anomalies} anomalies older than ` +
+        `${result.retentionDays} days.\n${formatSize(result.sizeBefore)} → ${formatSize(result.sizeAfter)}`
+      );
+    } catch (error) {
+      Alert.alert('Compaction Error', error.message);
+    }
+  };
+
+  const cycleSensorSource = async () => {
+    const sources = getAvailableSources();
+    const current = sources.indexOf(settings.sensorSource || getDefaultSourceName());
+    const next = sources[(current + 1) % sources.length];
+
+    try {
+      // Switch first so a failing source is reported here, not stored
+      await SensorMonitor.setSource(next);
+      updateSetting('sensorSource', next);
+    } catch (error) {
+      Alert.alert('Sensor Source Error', error.message);
+    }
+  };
+
+  const toggleRecording = async (value) => {
+    try {
+      if (value) {
+        await SensorMonitor.startRecording(`Recording ${new Date().toLocaleString()}`);
+      } else {
+        await SensorMonitor.stopRecording();
+      }
+      setIsRecording(value);
+    } catch (error) {
+      Alert.alert('Recording Error', error.message);
+    }
+  };
+
+  const replayLastRecording = async () => {
+    try {
+      const recordings = await SensorRecorder.listRecordings(5);
+      const recording = recordings.find(r => r.ended_at);
+      if (!recording) {
+        Alert.alert('No Recordings', 'Record a raw sensor session first');
+        return;
+      }
+
+      const result = await SensorMonitor.reanalyzeRecording(recording.id);
+      const counts = Object.entries(result.typeCount)
+        .map(([type, count]) => `${type}: ${count}`)
+        .join('\n');
+
+      Alert.alert(
+        'Replay Complete',
+        `${result.sampleCount.toLocaleString()} samples over ${(result.duration / 60000).toFixed(1)} min\n` +
+        `${result.anomalies.length} anomalies in ${result.episodes.length} episodes with current thresholds\n\n` +
+        (counts || 'No anomalies detected')
+      );
+    } catch (error) {
+      Alert.alert('Replay Error', error.message);
+    }
+  };
+
   const SettingRow = ({ icon, title, description, children }) => (
     <View style={styles.settingRow}>
       <View style={styles.settingIcon}>
@@ -223,7 +552,7 @@ export default function SettingsScreen() {
       <SettingRow
         icon="planet"
         title="Cosmic Window Alerts"
-        description="Special alerts during 3-4 AM peak efficiency"
+        description={`Special alerts during ${TimeWindowService.describeWindow('cosmic')} peak efficiency`}
       >
         <Switch
           value={settings.cosmicWindowAlerts}
@@ -233,6 +562,29 @@ export default function SettingsScreen() {
         />
       </SettingRow>
 
+      {/* Inline rather than a SettingRow so the input keeps focus while typing */}
+      <View style={styles.settingRow}>
+        <View style={styles.settingIcon}>
+          <Ionicons name="globe" size={24} color="#00ff88" />
+        </View>
+        <View style={styles.settingContent}>
+          <Text style={styles.settingTitle}>Time Zone</Text>
+          <Text style={styles.settingDescription}>
+            Local dates for reports and windows; empty uses the device ({TimeWindowService.getTimeZone()})
+          </Text>
+        </View>
+        <TextInput
+          style={styles.timeZoneInput}
+          value={timeZone}
+          onChangeText={setTimeZone}
+          onBlur={saveTimeZone}
+          placeholder="Device"
+          placeholderTextColor="#555"
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+      </View>
+
       <SettingRow
         icon="radio"
         title="Background Monitoring"
@@ -249,7 +601,8 @@ export default function SettingsScreen() {
       <SettingRow
         icon="trending-up"
         title="Detection Sensitivity"
-        description="Threshold for anomaly detection"
+        description={`Flag readings ${SettingsStore.getProfile(settings.sensitivity).sigma}σ from the adaptive baseline, ` +
+          `alert on ${SettingsStore.getProfile(settings.sensitivity).alertSignificance} significance`}
       >
         <TouchableOpacity
           style={styles.sensitivityButton}
@@ -264,6 +617,133 @@ export default function SettingsScreen() {
         </TouchableOpacity>
       </SettingRow>
 
+      <SettingRow
+        icon="hardware-chip"
+        title="Sensor Source"
+        description="Device sensors, browser, replay of the last recording or synthetic data"
+      >
+        <TouchableOpacity style={styles.sensitivityButton} onPress={cycleSensorSource}>
+          <Text style={styles.sensitivityText}>
+            {(SENSOR_SOURCES[settings.sensorSource] || SENSOR_SOURCES[getDefaultSourceName()]).label}
+          </Text>
+        </TouchableOpacity>
+      </SettingRow>
+
+      <SettingRow
+        icon="recording"
+        title="Raw Recording"
+        description="Capture raw sensor streams for later replay"
+      >
+        <Switch
+          value={isRecording}
+          onValueChange={toggleRecording}
+          trackColor={{ false: '#333', true: '#ff0088' }}
+          thumbColor="#fff"
+        />
+      </SettingRow>
+
+      {/* Observation Windows */}
+      <SectionHeader title="Observation Windows" />
+
+      <View style={styles.settingRow}>
+        <View style={styles.settingIcon}>
+          <Ionicons name="location" size={24} color="#00ff88" />
+        </View>
+        <View style={styles.settingContent}>
+          <Text style={styles.settingTitle}>Observer Location</Text>
+          <Text style={styles.settingDescription}>
+            Latitude, longitude for sunrise and sunset; follows GPS while monitoring
+          </Text>
+        </View>
+        <TextInput
+          style={styles.timeZoneInput}
+          value={location}
+          onChangeText={setLocation}
+          onBlur={saveLocation}
+          placeholder="Unknown"
+          placeholderTextColor="#555"
+          keyboardType="numbers-and-punctuation"
+        />
+      </View>
+
+      {TimeWindowService.getWindows().map(window => (
+        <TouchableOpacity key={window.id} style={styles.settingRow} onPress={() => editWindow(window)}>
+          <View style={styles.settingIcon}>
+            <Ionicons name={WINDOW_KINDS[window.kind].icon} size={24} color="#8800ff" />
+          </View>
+          <View style={styles.settingContent}>
+            <Text style={styles.settingTitle}>{window.label || window.id}</Text>
+            <Text style={styles.settingDescription}>
+              {TimeWindowService.describeWindow(window.id)}
+              {typeof window.efficiency === 'number' && ` · generation ${window.mode || ''} ×${window.efficiency}`}
+            </Text>
+          </View>
+          {window.id !== 'cosmic' && (
+            <TouchableOpacity style={styles.settingControl} onPress={() => deleteWindow(window)}>
+              <Ionicons name="trash" size={20} color="#ff0088" />
+            </TouchableOpacity>
+          )}
+        </TouchableOpacity>
+      ))}
+
+      {windowDraft ? (
+        <View style={styles.windowEditor}>
+          <View style={styles.windowEditorRow}>
+            <TextInput
+              style={[styles.windowInput, styles.windowLabelInput]}
+              value={windowDraft.label}
+              onChangeText={label => setWindowDraft({ ...windowDraft, label })}
+              placeholder="Label"
+              placeholderTextColor="#555"
+            />
+            <TouchableOpacity
+              style={styles.sensitivityButton}
+              onPress={cycleWindowKind}
+            >
+              <Text style={styles.sensitivityText}>{WINDOW_KINDS[windowDraft.kind].label}</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.windowEditorRow}>
+            <TextInput
+              style={styles.windowInput}
+              value={windowDraft.start}
+              onChangeText={start => setWindowDraft({ ...windowDraft, start })}
+              placeholder={WINDOW_KINDS[windowDraft.kind].start}
+              placeholderTextColor="#555"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <Text style={styles.windowTo}>to</Text>
+            <TextInput
+              style={styles.windowInput}
+              value={windowDraft.end}
+              onChangeText={end => setWindowDraft({ ...windowDraft, end })}
+              placeholder={WINDOW_KINDS[windowDraft.kind].end}
+              placeholderTextColor="#555"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+          </View>
+          <Text style={styles.settingDescription}>{WINDOW_KINDS[windowDraft.kind].hint}</Text>
+          <View style={[styles.windowEditorRow, styles.windowEditorButtons]}>
+            <TouchableOpacity style={styles.sensitivityButton} onPress={() => setWindowDraft(null)}>
+              <Text style={styles.sensitivityText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.sensitivityButton} onPress={saveWindow}>
+              <Text style={styles.sensitivityText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : (
+        <TouchableOpacity style={styles.actionButton} onPress={() => editWindow(null)}>
+          <Ionicons name="add-circle" size={24} color="#8800ff" />
+          <View style={styles.actionContent}>
+            <Text style={styles.actionTitle}>Add Window</Text>
+            <Text style={styles.actionDescription}>Clock time, sunrise/sunset or lunar phase</Text>
+          </View>
+        </TouchableOpacity>
+      )}
+
       {/* Data Settings */}
       <SectionHeader title="Data Management" />
 
@@ -332,15 +812,142 @@ export default function SettingsScreen() {
         <Ionicons name="chevron-forward" size={20} color="#666" />
       </TouchableOpacity>
 
+      <TouchableOpacity style={styles.actionButton} onPress={replayLastRecording}>
+        <Ionicons name="play-back" size={24} color="#ff0088" />
+        <View style={styles.actionContent}>
+          <Text style={styles.actionTitle}>Replay Last Recording</Text>
+          <Text style={styles.actionDescription}>Re-run detectors on the latest raw session</Text>
+        </View>
+        <Ionicons name="chevron-forward" size={20} color="#666" />
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.actionButton} onPress={compactDatabase}>
+        <Ionicons name="archive" size={24} color="#00ff88" />
+        <View style={styles.actionContent}>
+          <Text style={styles.actionTitle}>Apply Retention Now</Text>
+          <Text style={styles.actionDescription}>Roll up and delete old data, then compact</Text>
+        </View>
+        <Ionicons name="chevron-forward" size={20} color="#666" />
+      </TouchableOpacity>
+
       <TouchableOpacity style={styles.actionButton} onPress={exportAllData}>
         <Ionicons name="download" size={24} color="#00ff88" />
         <View style={styles.actionContent}>
           <Text style={styles.actionTitle}>Export Data</Text>
-          <Text style={styles.actionDescription}>Save all research data</Text>
+          <Text style={styles.actionDescription}>
+            {exportProgress
+              ? `${exportProgress.label} ${Math.round(exportProgress.fraction * 100)}% · tap to cancel`
+              : 'Save all research data'}
+          </Text>
+        </View>
+        {exportProgress
+          ? <Ionicons name="close-circle" size={20} color="#ff8800" />
+          : <Ionicons name="chevron-forward" size={20} color="#666" />}
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.actionButton} onPress={importData}>
+        <Ionicons name="cloud-upload" size={24} color="#00ff88" />
+        <View style={styles.actionContent}>
+          <Text style={styles.actionTitle}>Import Data</Text>
+          <Text style={styles.actionDescription}>Merge an export from another device</Text>
         </View>
         <Ionicons name="chevron-forward" size={20} color="#666" />
       </TouchableOpacity>
 
+      <TouchableOpacity style={styles.actionButton} onPress={clearRecordings}>
+        <Ionicons name="trash-bin" size={24} color="#ff8800" />
+        <View style={styles.actionContent}>
+          <Text style={styles.actionTitle}>Delete Raw Recordings</Text>
+          <Text style={styles.actionDescription}>Remove recorded sensor sessions</Text>
+        </View>
+        <Ionicons name="chevron-forward" size={20} color="#666" />
+      </TouchableOpacity>
+
+      {rangeDraft ? (
+        <View style={styles.windowEditor}>
+          <View style={styles.windowEditorRow}>
+            <TextInput
+              style={styles.windowInput}
+              value={rangeDraft.start}
+              onChangeText={start => setRangeDraft({ ...rangeDraft, start })}
+              placeholder="2024-03-01"
+              placeholderTextColor="#555"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <Text style={styles.windowTo}>to</Text>
+            <TextInput
+              style={styles.windowInput}
+              value={rangeDraft.end}
+              onChangeText={end => setRangeDraft({ ...rangeDraft, end })}
+              placeholder="2024-03-31"
+              placeholderTextColor="#555"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+          </View>
+          <Text style={styles.settingDescription}>
+            First and last day (YYYY-MM-DD, both included); everything recorded in the range is counted
+            before anything is deleted
+          </Text>
+          <View style={[styles.windowEditorRow, styles.windowEditorButtons]}>
+            <TouchableOpacity style={styles.sensitivityButton} onPress={() => setRangeDraft(null)}>
+              <Text style={styles.sensitivityText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.sensitivityButton} onPress={deleteDateRange}>
+              <Text style={styles.sensitivityText}>Preview</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : (
+        <TouchableOpacity style={styles.actionButton} onPress={() => setRangeDraft({ start: '', end: '' })}>
+          <Ionicons name="calendar" size={24} color="#ff8800" />
+          <View style={styles.actionContent}>
+            <Text style={styles.actionTitle}>Delete Date Range</Text>
+            <Text style={styles.actionDescription}>Remove the data recorded between two days</Text>
+          </View>
+          <Ionicons name="chevron-forward" size={20} color="#666" />
+        </TouchableOpacity>
+      )}
+
+      {experimentChoices ? (
+        <View style={styles.windowEditor}>
+          {experimentChoices.length === 0 && (
+            <Text style={styles.settingDescription}>No finished experiments on this device</Text>
+          )}
+          {experimentChoices.map(experiment => (
+            <TouchableOpacity
+              key={experiment.id}
+              style={styles.windowEditorRow}
+              onPress={() => deleteExperiment(experiment)}
+            >
+              <Ionicons name="flask" size={20} color="#ff8800" />
+              <View style={styles.actionContent}>
+                <Text style={styles.actionTitle}>{new Date(experiment.startedAt).toLocaleString()}</Text>
+                <Text style={styles.actionDescription}>
+                  {experiment.blocks} block{experiment.blocks === 1 ? '' : 's'}{experiment.notes ? ` · ${experiment.notes}` : ''}
+                </Text>
+              </View>
+              <Ionicons name="trash" size={20} color="#ff0088" />
+            </TouchableOpacity>
+          ))}
+          <View style={[styles.windowEditorRow, styles.windowEditorButtons]}>
+            <TouchableOpacity style={styles.sensitivityButton} onPress={() => setExperimentChoices(null)}>
+              <Text style={styles.sensitivityText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : (
+        <TouchableOpacity style={styles.actionButton} onPress={chooseExperiment}>
+          <Ionicons name="flask" size={24} color="#ff8800" />
+          <View style={styles.actionContent}>
+            <Text style={styles.actionTitle}>Delete Experiment</Text>
+            <Text style={styles.actionDescription}>Remove an experiment with the data recorded during it</Text>
+          </View>
+          <Ionicons name="chevron-forward" size={20} color="#666" />
+        </TouchableOpacity>
+      )}
+
       <TouchableOpacity style={styles.actionButton} onPress={clearAllData}>
         <Ionicons name="trash" size={24} color="#ff0000" />
         <View style={styles.actionContent}>
@@ -368,8 +975,17 @@ export default function SettingsScreen() {
         </View>
         <View style={styles.infoRow}>
           <Text style={styles.infoLabel}>Data Size:</Text>
-          <Text style={styles.infoValue}>{(appInfo.dataSize / 1024).toFixed(1)} KB</Text>
+          <Text style={styles.infoValue}>{formatSize(appInfo.dataSize)}</Text>
         </View>
+        {appInfo.lastCompaction && (
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Last Compaction:</Text>
+            <Text style={styles.infoValue}>
+              {formatSize(appInfo.lastCompaction.sizeBefore)} → {formatSize(appInfo.lastCompaction.sizeAfter)}
+              {' '}({new Date(appInfo.lastCompaction.timestamp).toLocaleDateString()})
+            </Text>
+          </View>
+        )}
       </View>
 
       {/* About */}
@@ -381,7 +997,7 @@ export default function SettingsScreen() {
           and the 7.7% universal mutation constant.
         </Text>
         <Text style={styles.aboutText}>
-          For research purposes only. Peak detection occurs during 3-4 AM cosmic windows.
+          For research purposes only. Peak detection occurs during the {TimeWindowService.describeWindow('cosmic')} cosmic window.
         </Text>
       </View>
     </ScrollView>
@@ -450,6 +1066,52 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     textTransform: 'uppercase',
   },
+  timeZoneInput: {
+    marginLeft: 15,
+    width: 130,
+    backgroundColor: '#111',
+    color: '#fff',
+    fontSize: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#888',
+  },
+  windowEditor: {
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#222',
+  },
+  windowEditorRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  windowEditorButtons: {
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 10,
+    marginBottom: 0,
+  },
+  windowInput: {
+    flex: 1,
+    backgroundColor: '#111',
+    color: '#fff',
+    fontSize: 13,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#888',
+  },
+  windowLabelInput: {
+    marginRight: 10,
+  },
+  windowTo: {
+    color: '#888',
+    marginHorizontal: 10,
+  },
   retentionButton: {
     backgroundColor: '#111',
     paddingHorizontal: 12,
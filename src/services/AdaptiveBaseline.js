@@ -0,0 +1,164 @@
+/**
+ * Adaptive per-sensor baselines
+ * Each stream keeps a time-weighted EWMA mean/variance, a rolling window for
+ * median/MAD, and an hour-of-day profile; samples are scored as z-scores
+ * against the model *before* it learns from them. Pure and serializable so
+ * the model can be persisted and restored.
+ */
+
+import TimeWindowService from './TimeWindowService';
+
+const DEFAULT_CONFIG = {
+  method: 'ewma', // 'ewma' | 'robust' | 'seasonal'
+  methods: { gpsAccuracy: 'robust' }, // per-stream overrides (GPS accuracy is skewed)
+  halfLife: 600, // seconds; EWMA memory
+  seasonalHalfLife: 7 * 86400, // seconds; hour-of-day profile memory
+  window: 300, // samples kept for median/MAD
+  minSamples: 30, // warm-up before z-scores are reported
+  clip: 3, // learn from at most mean ± clip·scale, so anomalies are absorbed slowly
+  minScale: { magneticField: 0.5, pressure: 0.05, gpsAccuracy: 1 }, // sensor resolution floor
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function emptyMoments() {
+  return { mean: 0, variance: 0, count: 0, lastTimestamp: null };
+}
+
+export default class AdaptiveBaseline {
+  constructor(config = {}) {
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      methods: { ...DEFAULT_CONFIG.methods, ...config.methods },
+      minScale: { ...DEFAULT_CONFIG.minScale, ...config.minScale }
+    };
+    this.streams = {};
+  }
+
+  /**
+   * Forget everything learned
+   */
+  reset() {
+    this.streams = {};
+  }
+
+  getStream(name) {
+    if (!this.streams[name]) {
+      this.streams[name] = {
+        ewma: emptyMoments(),
+        window: [],
+        hourly: Array.from({ length: 24 }, emptyMoments)
+      };
+    }
+    return this.streams[name];
+  }
+
+  /**
+   * Time-weighted EWMA update of mean and variance
+   */
+  updateMoments(moments, value, timestamp, halfLife) {
+    if (moments.count === 0) {
+      moments.mean = value;
+      moments.variance = 0;
+    } else {
+      const dt = Math.max(0, (timestamp - moments.lastTimestamp) / 1000);
+      // Weight at least 1/count so the first samples converge quickly
+      const alpha = Math.max(1 - Math.pow(2, -dt / halfLife), 1 / (moments.count + 1));
+      const diff = value - moments.mean;
+      const increment = alpha * diff;
+      moments.mean += increment;
+      moments.variance = (1 - alpha) * (moments.variance + diff * increment);
+    }
+    moments.count++;
+    moments.lastTimestamp = timestamp;
+  }
+
+  /**
+   * Current location and scale of a stream, or null during warm-up
+   */
+  estimate(name, timestamp) {
+    const stream = this.streams[name];
+    if (!stream) return null;
+
+    const { minSamples } = this.config;
+    const floor = this.config.minScale[name] || 0;
+    let method = this.config.methods[name] || this.config.method;
+
+    if (method === 'seasonal') {
+      const hour = stream.hourly[TimeWindowService.getParts(timestamp).hour];
+      if (hour.count >= minSamples) {
+        return { method, mean: hour.mean, scale: Math.max(Math.sqrt(hour.variance), floor) };
+      }
+      method = 'ewma'; // hour not learned yet
+    }
+
+    if (method === 'robust') {
+      if (stream.window.length < minSamples) return null;
+      const center = median(stream.window);
+      const mad = median(stream.window.map(v => Math.abs(v - center)));
+      return { method, mean: center, scale: Math.max(1.4826 * mad, floor) };
+    }
+
+    if (stream.ewma.count < minSamples) return null;
+    return { method: 'ewma', mean: stream.ewma.mean, scale: Math.max(Math.sqrt(stream.ewma.variance), floor) };
+  }
+
+  /**
+   * Score a sample against the model, then learn from it
+   * Returns { z, mean, scale, method } or null during warm-up
+   */
+  update(name, value, timestamp) {
+    if (value === null || value === undefined || !isFinite(value)) return null;
+
+    const score = this.estimate(name, timestamp);
+    const result = score ? { ...score, z: (value - score.mean) / score.scale } : null;
+
+    // Winsorized learning: an outlier moves the model only as far as the clip
+    const learned = score
+      ? Math.min(score.mean + this.config.clip * score.scale,
+        Math.max(score.mean - this.config.clip * score.scale, value))
+      : value;
+
+    const stream = this.getStream(name);
+    this.updateMoments(stream.ewma, learned, timestamp, this.config.halfLife);
+    this.updateMoments(stream.hourly[TimeWindowService.getParts(timestamp).hour], learned, timestamp,
+      this.config.seasonalHalfLife);
+    stream.window.push(learned);
+    if (stream.window.length > this.config.window) {
+      stream.window.shift();
+    }
+
+    return result;
+  }
+
+  /**
+   * Summary per stream for display
+   */
+  getSummary(timestamp = Date.now()) {
+    const summary = {};
+    Object.keys(this.streams).forEach(name => {
+      summary[name] = {
+        samples: this.streams[name].ewma.count,
+        ...this.estimate(name, timestamp)
+      };
+    });
+    return summary;
+  }
+
+  toJSON() {
+    return { version: 1, config: this.config, streams: this.streams };
+  }
+
+  static fromJSON(data, config = {}) {
+    const baseline = new AdaptiveBaseline({ ...(data && data.config), ...config });
+    if (data && data.version === 1) {
+      baseline.streams = data.streams || {};
+    }
+    return baseline;
+  }
+}
@@ -0,0 +1,334 @@
+import SpectralAnalyzer from './SpectralAnalyzer';
+import AdaptiveBaseline from './AdaptiveBaseline';
+
+/**
+ * Anomaly detection rules for State 51 effects
+ * Pure sample-in / anomalies-out logic shared by live monitoring and replay,
+ * so it runs without any device APIs or database
+ */
+export default class AnomalyDetector {
+  constructor(options = {}) {
+    this.baseline = null;
+
+    // Thresholds for anomaly detection (based on quantum discoveries)
+    this.thresholds = {
+      magneticField: 10, // μT change
+      batteryDrain: 0.077, // 7.7% threshold
+      batteryDrainTolerance: 0.01, // ± per hour around 7.7%
+      signalStrength: 28, // 28x amplification target
+      gpsAccuracy: 51, // meters
+      gpsTolerance: 5, // ± meters around 51
+      magnetic51Tolerance: 1, // ± μT around 51
+      temperature: 3.4, // degrees
+      pressure: 2, // hPa
+      sigma: 3, // z-score limit when an adaptive baseline is ready
+      ...options.thresholds
+    };
+
+    // Spectral analysis of motion streams (see SpectralAnalyzer defaults)
+    this.spectral = {
+      windowSeconds: 40, // analysis window; frequency resolution is 1/window
+      hopSeconds: 2, // re-analyze each buffer at most this often
+      segmentSeconds: 20, // Welch segment length for the noise floor
+      tolerance: 0.02, // Hz
+      minSnr: 20, // linear power ratio over the noise floor (13 dB)
+      ...options.spectral
+    };
+
+    // Rolling per-sensor baselines; until a stream has warmed up (or with
+    // adaptive: false) the fixed thresholds above apply
+    this.adaptive = options.adaptive instanceof AdaptiveBaseline
+      ? options.adaptive
+      : options.adaptive === false ? null : new AdaptiveBaseline(options.adaptive);
+
+    this.frequencyBuffers = {};
+    this.lastSpectralAnalysis = {};
+  }
+
+  /**
+   * Score a value against the adaptive baseline
+   * Returns the z-score result, or null when fixed thresholds should apply
+   */
+  score(stream, value, timestamp) {
+    return this.adaptive ? this.adaptive.update(stream, value, timestamp) : null;
+  }
+
+  /**
+   * Set the baseline readings deviations are measured against
+   */
+  setBaseline(baseline) {
+    this.baseline = baseline;
+  }
+
+  /**
+   * Clear per-stream state (frequency buffers)
+   */
+  reset() {
+    this.frequencyBuffers = {};
+    this.lastSpectralAnalysis = {};
+  }
+
+  /**
+   * Run the rules for one sensor sample; every sample carries a timestamp (ms)
+   */
+  process(sensor, sample) {
+    switch (sensor) {
+      case 'battery': return this.processBattery(sample);
+      case 'magnetometer': return this.processMagnetometer(sample);
+      case 'accelerometer': return this.processAccelerometer(sample);
+      case 'gyroscope': return this.processGyroscope(sample);
+      case 'barometer': return this.processBarometer(sample);
+      case 'location': return this.processLocation(sample);
+      default: return [];
+    }
+  }
+
+  /**
+   * Battery level: anomalous drain or charging
+   */
+  processBattery({ level, timestamp }) {
+    const anomalies = [];
+    if (!this.baseline || !this.baseline.battery) return anomalies;
+
+    const drainRate = this.baseline.battery.level - level;
+    const timeElapsed = (timestamp - this.baseline.timestamp) / 3600000; // hours
+    if (timeElapsed <= 0) return anomalies;
+    const drainPerHour = drainRate / timeElapsed;
+
+    if (Math.abs(drainPerHour - this.thresholds.batteryDrain) < this.thresholds.batteryDrainTolerance) {
+      anomalies.push({
+        type: 'battery_777',
+        value: drainPerHour,
+        timestamp,
+        message: 'Battery drain near 7.7% universal constant!',
+        significance: 'high'
+      });
+    }
+
+    if (drainPerHour < 0) { // Battery increasing without charging
+      anomalies.push({
+        type: 'battery_increase',
+        value: drainPerHour,
+        timestamp,
+        message: 'Battery level increasing without charging source!',
+        significance: 'critical'
+      });
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * Magnetometer: field changes and 51 μT resonance
+   */
+  processMagnetometer(sample) {
+    const anomalies = [];
+    const magnitude = Math.sqrt(sample.x ** 2 + sample.y ** 2 + sample.z ** 2);
+    const adaptive = this.score('magneticField', magnitude, sample.timestamp);
+
+    if (adaptive) {
+      if (Math.abs(adaptive.z) > this.thresholds.sigma) {
+        const change = Math.abs(magnitude - adaptive.mean);
+        anomalies.push({
+          type: 'magnetic_anomaly',
+          value: change,
+          timestamp: sample.timestamp,
+          data: { x: sample.x, y: sample.y, z: sample.z, ...this.describe(adaptive) },
+          message: `Magnetic field changed by ${change.toFixed(1)} μT (${adaptive.z.toFixed(1)}σ)`,
+          significance: Math.abs(adaptive.z) > 2 * this.thresholds.sigma ? 'high' : 'medium'
+        });
+      }
+    }
+
+    if (this.baseline && this.baseline.sensors.magneticField) {
+      const change = Math.abs(magnitude - this.baseline.sensors.magneticField);
+
+      if (!adaptive && change > this.thresholds.magneticField) {
+        anomalies.push({
+          type: 'magnetic_anomaly',
+          value: change,
+          timestamp: sample.timestamp,
+          data: { x: sample.x, y: sample.y, z: sample.z },
+          message: `Magnetic field changed by ${change.toFixed(1)} μT`,
+          significance: change > 50 ? 'high' : 'medium'
+        });
+      }
+
+      // Check for State 51 pattern (51 μT)
+      if (Math.abs(magnitude - 51) < this.thresholds.magnetic51Tolerance) {
+        anomalies.push({
+          type: 'magnetic_51',
+          value: magnitude,
+          timestamp: sample.timestamp,
+          message: 'Magnetic field at State 51 resonance (51 μT)!',
+          significance: 'high'
+        });
+      }
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * Accelerometer: State 51 pattern in motion (1.038 Hz)
+   */
+  processAccelerometer(sample) {
+    const magnitude = Math.sqrt(sample.x ** 2 + sample.y ** 2 + sample.z ** 2);
+    return this.detectFrequencyPattern(magnitude, 1.038, 'acceleration', sample.timestamp);
+  }
+
+  /**
+   * Gyroscope: Binary Hive rotation frequencies
+   */
+  processGyroscope(sample) {
+    const magnitude = Math.sqrt(sample.x ** 2 + sample.y ** 2 + sample.z ** 2);
+    return [
+      ...this.detectFrequencyPattern(magnitude, 0.962, 'rotation_matter', sample.timestamp),
+      ...this.detectFrequencyPattern(magnitude, 1.038, 'rotation_consciousness', sample.timestamp)
+    ];
+  }
+
+  /**
+   * Barometer: pressure deviation from baseline
+   */
+  processBarometer({ pressure, timestamp }) {
+    const anomalies = [];
+    const adaptive = this.score('pressure', pressure, timestamp);
+
+    if (adaptive) {
+      if (Math.abs(adaptive.z) > this.thresholds.sigma) {
+        const change = Math.abs(pressure - adaptive.mean);
+        anomalies.push({
+          type: 'pressure_anomaly',
+          value: change,
+          timestamp,
+          data: this.describe(adaptive),
+          message: `Pressure changed by ${change.toFixed(1)} hPa (${adaptive.z.toFixed(1)}σ)`,
+          significance: 'low'
+        });
+      }
+    } else if (this.baseline && this.baseline.sensors.pressure) {
+      const change = Math.abs(pressure - this.baseline.sensors.pressure);
+
+      if (change > this.thresholds.pressure) {
+        anomalies.push({
+          type: 'pressure_anomaly',
+          value: change,
+          timestamp,
+          message: `Pressure changed by ${change.toFixed(1)} hPa`,
+          significance: 'low'
+        });
+      }
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * GPS: 51 m accuracy and anomalous accuracy improvements
+   */
+  processLocation({ accuracy, timestamp }) {
+    const anomalies = [];
+
+    // Check for State 51 GPS accuracy (51 meters)
+    if (Math.abs(accuracy - this.thresholds.gpsAccuracy) < this.thresholds.gpsTolerance) {
+      anomalies.push({
+        type: 'gps_51',
+        value: accuracy,
+        timestamp,
+        message: 'GPS accuracy at State 51 value (51m)!',
+        significance: 'medium'
+      });
+    }
+
+    // Check for anomalous accuracy improvements
+    const adaptive = this.score('gpsAccuracy', accuracy, timestamp);
+    if (adaptive) {
+      if (adaptive.z < -this.thresholds.sigma) {
+        const improvement = adaptive.mean - accuracy;
+        anomalies.push({
+          type: 'gps_enhancement',
+          value: improvement,
+          timestamp,
+          data: this.describe(adaptive),
+          message: `GPS accuracy improved by ${improvement.toFixed(1)}m (${adaptive.z.toFixed(1)}σ)`,
+          significance: 'high'
+        });
+      }
+    } else if (this.baseline && this.baseline.sensors.gpsAccuracy) {
+      const improvement = this.baseline.sensors.gpsAccuracy - accuracy;
+      if (improvement > this.thresholds.signalStrength) { // 28x improvement target
+        anomalies.push({
+          type: 'gps_enhancement',
+          value: improvement,
+          timestamp,
+          message: `GPS accuracy improved by ${improvement.toFixed(1)}m`,
+          significance: 'high'
+        });
+      }
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * Adaptive baseline details attached to an anomaly
+   */
+  describe(adaptive) {
+    return {
+      zScore: adaptive.z,
+      baselineMean: adaptive.mean,
+      baselineScale: adaptive.scale,
+      baselineMethod: adaptive.method
+    };
+  }
+
+  /**
+   * Detect specific frequency patterns in sensor data
+   */
+  detectFrequencyPattern(value, targetFreq, sensorType, timestamp) {
+    if (!this.frequencyBuffers[sensorType]) {
+      this.frequencyBuffers[sensorType] = [];
+    }
+
+    const buffer = this.frequencyBuffers[sensorType];
+    buffer.push({ value, timestamp });
+
+    // Keep only the analysis window
+    const cutoff = timestamp - this.spectral.windowSeconds * 1000;
+    while (buffer.length > 0 && buffer[0].timestamp <= cutoff) {
+      buffer.shift();
+    }
+
+    // Wait for a (nearly) full window, then analyze once per hop
+    const span = buffer.length > 1 ? buffer[buffer.length - 1].timestamp - buffer[0].timestamp : 0;
+    const lastAnalysis = this.lastSpectralAnalysis[sensorType] || 0;
+    if (span < this.spectral.windowSeconds * 900 ||
+        timestamp - lastAnalysis < this.spectral.hopSeconds * 1000) {
+      return [];
+    }
+    this.lastSpectralAnalysis[sensorType] = timestamp;
+
+    const result = SpectralAnalyzer.analyzeTarget(buffer, targetFreq, this.spectral);
+    if (!result || !result.detected) return [];
+
+    return [{
+      type: `frequency_match_${sensorType}`,
+      value: result.frequency,
+      targetFreq: targetFreq,
+      timestamp,
+      data: {
+        targetFreq,
+        power: result.power,
+        noiseFloor: result.noiseFloor,
+        snrDb: result.snrDb,
+        confidence: result.confidence,
+        resolution: result.resolution,
+        sampleRate: result.sampleRate,
+        windowSeconds: result.duration
+      },
+      message: `${sensorType} resonating at ${result.frequency.toFixed(3)} Hz (target ${targetFreq} Hz, SNR ${result.snrDb.toFixed(1)} dB)`,
+      significance: result.confidence > 0.999 ? 'high' : 'medium'
+    }];
+  }
+}
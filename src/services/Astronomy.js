@@ -0,0 +1,125 @@
+/**
+ * Sun and moon positions for observation windows, computed on the device
+ * Low-precision formulas after the Astronomy Answers articles (as used by
+ * the suncalc library): rise and set times are good to about a minute
+ * away from the polar circles, the lunar phase to within half a day.
+ */
+const DAY = 86400000;
+const RAD = Math.PI / 180;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397;
+const J0 = 0.0009;
+const SUN_DISTANCE = 149598000; // km
+
+// Sun altitude (degrees) at each event: sunrise/sunset allow for refraction
+// and the sun's radius, dawn/dusk are civil twilight
+const SUN_EVENTS = {
+  sunrise: { altitude: -0.833, rising: true },
+  sunset: { altitude: -0.833, rising: false },
+  dawn: { altitude: -6, rising: true },
+  dusk: { altitude: -6, rising: false },
+};
+
+export const SUN_EVENT_NAMES = ['sunrise', 'sunset', 'dawn', 'dusk', 'noon'];
+
+const toDays = time => time / DAY - 0.5 + J1970 - J2000;
+const fromJulian = julian => Math.round((julian + 0.5 - J1970) * DAY);
+
+function declination(longitude, latitude) {
+  return Math.asin(Math.sin(latitude) * Math.cos(OBLIQUITY) +
+    Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude));
+}
+
+function rightAscension(longitude, latitude) {
+  return Math.atan2(Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY),
+    Math.cos(longitude));
+}
+
+function solarMeanAnomaly(days) {
+  return RAD * (357.5291 + 0.98560028 * days);
+}
+
+function eclipticLongitude(anomaly) {
+  const center = RAD * (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly));
+  const perihelion = RAD * 102.9372;
+  return anomaly + center + perihelion + Math.PI;
+}
+
+function sunCoords(days) {
+  const longitude = eclipticLongitude(solarMeanAnomaly(days));
+  return { dec: declination(longitude, 0), ra: rightAscension(longitude, 0) };
+}
+
+function moonCoords(days) {
+  const meanLongitude = RAD * (218.316 + 13.176396 * days);
+  const meanAnomaly = RAD * (134.963 + 13.064993 * days);
+  const argument = RAD * (93.272 + 13.229350 * days);
+
+  const longitude = meanLongitude + RAD * 6.289 * Math.sin(meanAnomaly);
+  const latitude = RAD * 5.128 * Math.sin(argument);
+  return {
+    ra: rightAscension(longitude, latitude),
+    dec: declination(longitude, latitude),
+    dist: 385001 - 20905 * Math.cos(meanAnomaly)
+  };
+}
+
+/**
+ * Sun events of the solar day nearest `time` (epoch ms, best passed as local
+ * noon) at a place: { noon, sunrise, sunset, dawn, dusk } in epoch ms
+ * An event is null when the sun does not reach its altitude that day
+ * (midnight sun, polar night).
+ */
+export function sunTimes(time, latitude, longitude) {
+  const lw = -RAD * longitude;
+  const phi = RAD * latitude;
+
+  const cycle = Math.round(toDays(time) - J0 - lw / (2 * Math.PI));
+  const approxTransit = (hourAngle, n) => J0 + (hourAngle + lw) / (2 * Math.PI) + n;
+  const transit = (ds, M, L) => J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+  const ds = approxTransit(0, cycle);
+  const M = solarMeanAnomaly(ds);
+  const L = eclipticLongitude(M);
+  const dec = declination(L, 0);
+  const noon = transit(ds, M, L);
+
+  const times = { noon: fromJulian(noon) };
+  Object.entries(SUN_EVENTS).forEach(([name, { altitude, rising }]) => {
+    const cos = (Math.sin(RAD * altitude) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+    if (cos < -1 || cos > 1) {
+      times[name] = null;
+      return;
+    }
+    const set = transit(approxTransit(Math.acos(cos), cycle), M, L);
+    times[name] = fromJulian(rising ? noon - (set - noon) : set);
+  });
+  return times;
+}
+
+/**
+ * Lunar phase at a time: { phase, fraction, age }
+ * `phase` runs 0 (new) → 0.25 (first quarter) → 0.5 (full) → 0.75 (last
+ * quarter) → 1; `fraction` is the illuminated part of the disc, `age` the
+ * days since new moon.
+ */
+export function moonPhase(time) {
+  const days = toDays(time);
+  const sun = sunCoords(days);
+  const moon = moonCoords(days);
+
+  const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec) +
+    Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+  const inclination = Math.atan2(SUN_DISTANCE * Math.sin(elongation),
+    moon.dist - SUN_DISTANCE * Math.cos(elongation));
+  const angle = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+    Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+
+  const phase = 0.5 + 0.5 * inclination * (angle < 0 ? -1 : 1) / Math.PI;
+  return {
+    phase,
+    fraction: (1 + Math.cos(inclination)) / 2,
+    age: phase * 29.530589
+  };
+}
@@ -2,6 +2,10 @@ import * as BackgroundFetch from 'expo-background-fetch';
 import * as TaskManager from 'expo-task-manager';
 import SensorMonitor from './SensorMonitor';
 import DatabaseService from './DatabaseService';
+import SettingsStore, { compareSignificance } from './SettingsStore';
+import RetentionService from './RetentionService';
+import TimeService from './TimeService';
+import TimeWindowService from './TimeWindowService';
 
 /**
  * Background service for 24/7 State 51 monitoring
@@ -11,6 +15,42 @@ class BackgroundService {
   constructor() {
     this.isRegistered = false;
     this.taskName = null;
+
+    SettingsStore.subscribe((settings, changed) => this.applySettings(settings, changed));
+  }
+
+  /**
+   * Register or unregister the background task when the setting changes;
+   * foreground monitoring is left running either way
+   */
+  async applySettings(settings, changed) {
+    if (!this.taskName || !changed.includes('backgroundMonitoring')) return;
+
+    if (settings.backgroundMonitoring) {
+      await this.registerTask();
+    } else {
+      await this.unregisterTask();
+    }
+  }
+
+  async registerTask() {
+    if (this.isRegistered || !this.taskName) return;
+
+    await BackgroundFetch.registerTaskAsync(this.taskName, {
+      minimumInterval: 60, // 1 minute intervals
+      stopOnTerminate: false,
+      startOnBoot: true,
+    });
+    this.isRegistered = true;
+    console.log('Background monitoring registered');
+  }
+
+  async unregisterTask() {
+    if (!this.isRegistered || !this.taskName) return;
+
+    await BackgroundFetch.unregisterTaskAsync(this.taskName);
+    this.isRegistered = false;
+    console.log('Background monitoring stopped');
   }
 
   /**
@@ -28,15 +68,9 @@ class BackgroundService {
         return false;
       }
 
-      // Register background task if not already registered
-      if (!this.isRegistered) {
-        await BackgroundFetch.registerTaskAsync(taskName, {
-          minimumInterval: 60, // 1 minute intervals
-          stopOnTerminate: false,
-          startOnBoot: true,
-        });
-        this.isRegistered = true;
-        console.log('Background monitoring registered');
+      // Register background task unless disabled in settings
+      if (SettingsStore.get('backgroundMonitoring')) {
+        await this.registerTask();
       }
 
       // Start sensor monitoring in foreground
@@ -56,11 +90,7 @@ class BackgroundService {
    */
   async stopBackgroundMonitoring() {
     try {
-      if (this.isRegistered && this.taskName) {
-        await BackgroundFetch.unregisterTaskAsync(this.taskName);
-        this.isRegistered = false;
-        console.log('Background monitoring stopped');
-      }
+      await this.unregisterTask();
 
       // Stop sensor monitoring
       SensorMonitor.stopMonitoring();
@@ -77,8 +107,9 @@ class BackgroundService {
     try {
       console.log('Executing background monitoring task...');
 
-      // Check if we're in cosmic window (3-4 AM)
-      const isCosmicWindow = this.isCosmicWindow();
+      // Observation windows open now, the cosmic window among them
+      const windows = TimeWindowService.getMatchingWindows();
+      const isCosmicWindow = windows.includes('cosmic');
       
       // Get current sensor readings
       const sensorData = await this.getBackgroundSensorData();
@@ -88,9 +119,10 @@ class BackgroundService {
       
       // Save data to database
       const scanData = {
-        timestamp: Date.now(),
+        timestamp: TimeService.now(),
         ...sensorData,
         anomalyCount: anomalies.length,
+        windows,
         isCosmicWindow,
         state51Active: false // Background can't generate signals
       };
@@ -103,9 +135,10 @@ class BackgroundService {
       }
       
       // Generate daily report if it's midnight
-      const now = new Date();
-      if (now.getHours() === 0 && now.getMinutes() < 2) {
+      const { hour, minute } = TimeWindowService.getParts();
+      if (hour === 0 && minute < 2) {
         await this.generateMidnightReport();
+        await RetentionService.runIfDue();
       }
       
       console.log(`Background task completed: ${anomalies.length} anomalies detected`);
@@ -128,13 +161,13 @@ class BackgroundService {
       const data = {
         battery: await this.getBackgroundBatteryData(),
         network: await this.getBackgroundNetworkData(),
-        timestamp: Date.now()
+        timestamp: TimeService.now()
       };
       
       return data;
     } catch (error) {
       console.error('Error getting background sensor data:', error);
-      return { timestamp: Date.now() };
+      return { timestamp: TimeService.now() };
     }
   }
 
@@ -148,10 +181,10 @@ class BackgroundService {
       return {
         level: 0.5, // Placeholder - actual implementation would need native code
         charging: false,
-        timestamp: Date.now()
+        timestamp: TimeService.now()
       };
     } catch (error) {
-      return { level: 0, charging: false, timestamp: Date.now() };
+      return { level: 0, charging: false, timestamp: TimeService.now() };
     }
   }
 
@@ -163,10 +196,10 @@ class BackgroundService {
       return {
         connected: true, // Simplified for background
         type: 'unknown',
-        timestamp: Date.now()
+        timestamp: TimeService.now()
       };
     } catch (error) {
-      return { connected: false, type: 'unknown', timestamp: Date.now() };
+      return { connected: false, type: 'unknown', timestamp: TimeService.now() };
     }
   }
 
@@ -189,26 +222,26 @@ class BackgroundService {
             significance: 'medium',
             cosmicWindow: true,
             message: 'Background cosmic window pattern detected',
-            timestamp: Date.now()
+            timestamp: TimeService.now()
           });
         }
       }
       
       // Check for time-based patterns
-      const hour = new Date().getHours();
-      if (hour === 3) { // Peak cosmic hour
+      const cosmic = TimeWindowService.getWindow('cosmic');
+      if (isCosmicWindow && (TimeWindowService.minuteOfDay() - cosmic.startMinute + 1440) % 1440 < 60) { // Peak cosmic hour (the window's first)
         anomalies.push({
           type: 'cosmic_peak_hour',
-          value: 3,
+          value: Math.floor(cosmic.startMinute / 60),
           significance: 'high',
           cosmicWindow: true,
           message: 'Background monitoring during peak cosmic hour',
-          timestamp: Date.now()
+          timestamp: TimeService.now()
         });
       }
       
       // Pattern detection based on timestamp
-      const timestamp = Date.now();
+      const timestamp = TimeService.now();
       const lastDigits = timestamp % 1000;
       
       if (lastDigits === 51 || lastDigits === 510 || lastDigits === 77) {
@@ -218,15 +251,17 @@ class BackgroundService {
           significance: 'low',
           cosmicWindow: isCosmicWindow,
           message: `Background timestamp pattern: ${lastDigits}`,
-          timestamp: Date.now()
+          timestamp: TimeService.now()
         });
       }
       
     } catch (error) {
       console.error('Error detecting background anomalies:', error);
     }
-    
-    return anomalies;
+
+    // Same significance cut-off as foreground monitoring
+    const { minSignificance } = SettingsStore.getProfile();
+    return anomalies.filter(anomaly => compareSignificance(anomaly.significance, minSignificance) >= 0);
   }
 
   /**
@@ -234,9 +269,8 @@ class BackgroundService {
    */
   async generateMidnightReport() {
     try {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      
+      const yesterday = TimeWindowService.addDays(TimeWindowService.localDate(), -1);
+
       const report = await DatabaseService.generateDailyReport(yesterday);
       console.log('Midnight report generated:', report);
       
@@ -246,14 +280,6 @@ class BackgroundService {
     }
   }
 
-  /**
-   * Check if we're in cosmic window (3-4 AM)
-   */
-  isCosmicWindow() {
-    const hour = new Date().getHours();
-    return hour >= 3 && hour < 4;
-  }
-
   /**
    * Get background monitoring status
    */
@@ -261,7 +287,7 @@ class BackgroundService {
     return {
       isRegistered: this.isRegistered,
       taskName: this.taskName,
-      isCosmicWindow: this.isCosmicWindow()
+      isCosmicWindow: TimeWindowService.isCosmicWindow()
     };
   }
 
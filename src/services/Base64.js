@@ -0,0 +1,58 @@
+/**
+ * Base64 encoding for binary payloads
+ * React Native has no Buffer, and btoa/atob only handle Latin-1 strings
+ */
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+const LOOKUP = new Uint8Array(128);
+for (let i = 0; i < ALPHABET.length; i++) {
+  LOOKUP[ALPHABET.charCodeAt(i)] = i;
+}
+
+/**
+ * Encode a Uint8Array as a base64 string
+ */
+export function bytesToBase64(bytes) {
+  let output = '';
+  let i = 0;
+
+  for (; i + 2 < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+    output += ALPHABET[n >> 18] + ALPHABET[(n >> 12) & 63] +
+      ALPHABET[(n >> 6) & 63] + ALPHABET[n & 63];
+  }
+
+  const remaining = bytes.length - i;
+  if (remaining === 1) {
+    const n = bytes[i] << 16;
+    output += ALPHABET[n >> 18] + ALPHABET[(n >> 12) & 63] + '==';
+  } else if (remaining === 2) {
+    const n = (bytes[i] << 16) | (bytes[i + 1] << 8);
+    output += ALPHABET[n >> 18] + ALPHABET[(n >> 12) & 63] +
+      ALPHABET[(n >> 6) & 63] + '=';
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base64 string into a Uint8Array
+ */
+export function base64ToBytes(base64) {
+  const clean = base64.replace(/[^A-Za-z0-9+/]/g, '');
+  const length = Math.floor(clean.length * 3 / 4);
+  const bytes = new Uint8Array(length);
+
+  let j = 0;
+  for (let i = 0; i < clean.length; i += 4) {
+    const n = (LOOKUP[clean.charCodeAt(i)] << 18) |
+      (LOOKUP[clean.charCodeAt(i + 1)] << 12) |
+      ((i + 2 < clean.length ? LOOKUP[clean.charCodeAt(i + 2)] : 0) << 6) |
+      (i + 3 < clean.length ? LOOKUP[clean.charCodeAt(i + 3)] : 0);
+    if (j < length) bytes[j++] = n >> 16;
+    if (j < length) bytes[j++] = (n >> 8) & 255;
+    if (j < length) bytes[j++] = n & 255;
+  }
+
+  return bytes;
+}
@@ -0,0 +1,64 @@
+/**
+ * Clock offset estimation against a reference clock (NTP style)
+ * Each sample is one request/response: the local send and receive times and
+ * the reference time stamped in between. Assuming symmetric delays the
+ * reference read at the midpoint of the round trip, so
+ *   offset = reference - (sent + received) / 2,  error <= rtt / 2
+ * The sample with the shortest round trip is the most accurate and is used.
+ */
+export default class ClockSync {
+  constructor(maxSamples = 16) {
+    this.maxSamples = maxSamples;
+    this.samples = [];
+  }
+
+  /**
+   * Add a round trip; returns the sample { offset, rtt, at }
+   */
+  addSample(sentAt, referenceTime, receivedAt) {
+    const sample = {
+      offset: referenceTime - (sentAt + receivedAt) / 2,
+      rtt: receivedAt - sentAt,
+      at: receivedAt
+    };
+    this.samples.push(sample);
+    if (this.samples.length > this.maxSamples) this.samples.shift();
+    return sample;
+  }
+
+  getBest() {
+    return this.samples.reduce((best, sample) => (!best || sample.rtt < best.rtt ? sample : best), null);
+  }
+
+  isSynced() {
+    return this.samples.length > 0;
+  }
+
+  /**
+   * Reference minus local time (ms)
+   */
+  getOffset() {
+    const best = this.getBest();
+    return best ? best.offset : 0;
+  }
+
+  /**
+   * Worst-case error of the offset (ms), or null before any sample
+   */
+  getUncertainty() {
+    const best = this.getBest();
+    return best ? best.rtt / 2 : null;
+  }
+
+  toReference(localTime = Date.now()) {
+    return localTime + this.getOffset();
+  }
+
+  toLocal(referenceTime) {
+    return referenceTime - this.getOffset();
+  }
+
+  reset() {
+    this.samples = [];
+  }
+}
@@ -0,0 +1,161 @@
+import { ByteWriter, ByteReader } from './SampleCodec';
+import { encodeUtf8, decodeUtf8 } from './TextEncoding';
+
+/**
+ * Compact column-oriented table file (.s51c), in the spirit of Parquet
+ *
+ *   "S51C" | version varint | header length varint | header JSON
+ *   then per column: null flag byte [+ null bitmap] + non-null values
+ *
+ * Column types are inferred: `int` columns are delta + zigzag varints
+ * (timestamps and ids shrink to a byte or two), `float` columns are
+ * little-endian float64, `string` columns are dictionary encoded when
+ * values repeat (types, significance, network) and length-prefixed UTF-8
+ * otherwise.
+ *
+ * A file may hold several such blocks back to back (row groups), so large
+ * tables can be written a page at a time; column types are inferred per block.
+ */
+
+const MAGIC = [0x53, 0x35, 0x31, 0x43]; // "S51C"
+const FORMAT_VERSION = 1;
+
+function inferType(values) {
+  let type = 'int';
+  for (const value of values) {
+    if (value === null || value === undefined) continue;
+    if (typeof value !== 'number') return 'string';
+    if (!Number.isSafeInteger(value)) type = 'float';
+  }
+  return type;
+}
+
+function writeString(writer, text) {
+  const bytes = encodeUtf8(text);
+  writer.writeVarint(bytes.length);
+  writer.writeBytes(bytes);
+}
+
+function readString(reader) {
+  return decodeUtf8(reader.readBytes(reader.readVarint()));
+}
+
+/**
+ * Encode rows (objects) into a columnar table
+ * `columns` fixes the column order; defaults to the keys of the first row
+ */
+export function encodeColumns(table, rows, columns = rows.length > 0 ? Object.keys(rows[0]) : []) {
+  const writer = new ByteWriter();
+  const columnValues = columns.map(name => rows.map(row => row[name]));
+  const types = columnValues.map(inferType);
+
+  writer.writeBytes(MAGIC);
+  writer.writeVarint(FORMAT_VERSION);
+  writeString(writer, JSON.stringify({
+    table,
+    rowCount: rows.length,
+    columns: columns.map((name, i) => ({ name, type: types[i] }))
+  }));
+
+  columnValues.forEach((values, c) => {
+    const present = values.map(value => value !== null && value !== undefined);
+
+    // Null bitmap only when the column has nulls
+    if (present.every(Boolean)) {
+      writer.push(0);
+    } else {
+      writer.push(1);
+      const bitmap = new Uint8Array(Math.ceil(values.length / 8));
+      present.forEach((isPresent, i) => {
+        if (isPresent) bitmap[i >> 3] |= 1 << (i & 7);
+      });
+      writer.writeBytes(bitmap);
+    }
+
+    const data = values.filter((_, i) => present[i]);
+
+    if (types[c] === 'int') {
+      let previous = 0;
+      data.forEach(value => {
+        writer.writeSigned(value - previous);
+        previous = value;
+      });
+    } else if (types[c] === 'float') {
+      data.forEach(value => writer.writeFloat64(value));
+    } else {
+      const strings = data.map(String);
+      const dictionary = [...new Set(strings)];
+
+      if (dictionary.length <= strings.length / 2) {
+        const index = new Map(dictionary.map((value, i) => [value, i]));
+        writer.push(1);
+        writer.writeVarint(dictionary.length);
+        dictionary.forEach(value => writeString(writer, value));
+        strings.forEach(value => writer.writeVarint(index.get(value)));
+      } else {
+        writer.push(0);
+        strings.forEach(value => writeString(writer, value));
+      }
+    }
+  });
+
+  return writer.toBytes();
+}
+
+/**
+ * Decode one block (row group) at the reader's position
+ */
+function decodeBlock(reader) {
+  if (!MAGIC.every(byte => reader.bytes[reader.offset++] === byte)) {
+    throw new Error('Not a columnar table file');
+  }
+  const version = reader.readVarint();
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported columnar table version: ${version}`);
+  }
+
+  const header = JSON.parse(readString(reader));
+  const rows = Array.from({ length: header.rowCount }, () => ({}));
+
+  header.columns.forEach(({ name, type }) => {
+    let present = rows.map(() => true);
+    if (reader.bytes[reader.offset++] === 1) {
+      const bitmap = reader.readBytes(Math.ceil(rows.length / 8));
+      present = rows.map((_, i) => (bitmap[i >> 3] & (1 << (i & 7))) !== 0);
+    }
+
+    let next;
+    if (type === 'int') {
+      let previous = 0;
+      next = () => (previous += reader.readSigned());
+    } else if (type === 'float') {
+      next = () => reader.readFloat64();
+    } else if (reader.bytes[reader.offset++] === 1) {
+      const dictionary = Array.from({ length: reader.readVarint() }, () => readString(reader));
+      next = () => dictionary[reader.readVarint()];
+    } else {
+      next = () => readString(reader);
+    }
+
+    rows.forEach((row, i) => {
+      row[name] = present[i] ? next() : null;
+    });
+  });
+
+  return { header, rows };
+}
+
+/**
+ * Decode a columnar table back into { table, columns, rows }
+ * Row groups are concatenated; `columns` comes from the first block
+ */
+export function decodeColumns(bytes) {
+  const reader = new ByteReader(bytes);
+  const { header, rows } = decodeBlock(reader);
+
+  while (reader.offset < bytes.length) {
+    decodeBlock(reader).rows.forEach(row => rows.push(row));
+  }
+
+  return { table: header.table, columns: header.columns, rows };
+}
@@ -1,4 +1,67 @@
 import * as SQLite from 'expo-sqlite';
+import Statistics from './Statistics';
+import TimeService from './TimeService';
+import TimeWindowService from './TimeWindowService';
+import { migrate } from './SchemaMigrations';
+import { normalizePattern } from './GeneratorPattern';
+
+// Scan columns summarized (avg/min/max) in the hourly and daily rollups
+// (tables created by schema migration 3)
+const ROLLUP_METRICS = [
+  'battery_level',
+  'magnetic_field',
+  'acceleration',
+  'rotation',
+  'pressure',
+  'gps_accuracy',
+];
+
+const ROLLUP_COLUMNS = ROLLUP_METRICS.flatMap(m => [`${m}_avg`, `${m}_min`, `${m}_max`]);
+
+// Period start (ms) of a scan timestamp per rollup table; days are local
+// calendar days in TimeWindowService's zone, looked up in a `days` table of
+// day starts built for each retention run
+const ROLLUP_PERIODS = {
+  scan_rollups_hourly: '(timestamp / 3600000) * 3600000',
+  scan_rollups_daily: '(SELECT start FROM days WHERE start <= timestamp ORDER BY start DESC LIMIT 1)',
+};
+
+// Tables the wipe API may clear, dependents before the rows they refer to
+export const DATA_TABLES = [
+  'anomalies',
+  'scans',
+  'baselines',
+  'daily_reports',
+  'experiments',
+  'generation_pulses',
+  'generation_sessions',
+  'recording_chunks',
+  'recordings',
+  'scan_rollups_hourly',
+  'scan_rollups_daily',
+];
+
+// Tables that carry device_id / source_id and take part in imports
+export const DEVICE_TABLES = ['anomalies', 'scans', 'experiments', 'daily_reports', 'generation_sessions'];
+
+// device_id of rows recorded on this device; imported rows carry the source device's id
+export const LOCAL_DEVICE = '';
+
+// Ids of the observation windows a row was tagged with (schema migration 7)
+const parseWindowTags = row => JSON.parse(row.windows || '[]');
+
+// Column each table is filtered on by time (daily_reports by local date)
+const TIME_COLUMNS = {
+  anomalies: 'timestamp',
+  scans: 'timestamp',
+  baselines: 'timestamp',
+  experiments: 'timestamp',
+  generation_sessions: 'started_at',
+  generation_pulses: 'timestamp',
+  recordings: 'started_at',
+  scan_rollups_hourly: 'period_start',
+  scan_rollups_daily: 'period_start',
+};
 
 /**
  * Database service for storing and analyzing State 51 detection data
@@ -6,91 +69,21 @@ import * as SQLite from 'expo-sqlite';
 class DatabaseService {
   constructor() {
     this.db = null;
+    this.localDevice = null;
   }
 
   /**
-   * Initialize database and create tables
+   * Open the database and migrate it to the current schema
    */
   async initialize() {
     this.db = SQLite.openDatabase('state51_detector.db');
 
-    return new Promise((resolve, reject) => {
-      this.db.transaction(tx => {
-        // Baselines table
-        tx.executeSql(`
-          CREATE TABLE IF NOT EXISTS baselines (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            timestamp INTEGER NOT NULL,
-            data TEXT NOT NULL
-          );
-        `);
-
-        // Anomalies table
-        tx.executeSql(`
-          CREATE TABLE IF NOT EXISTS anomalies (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            timestamp INTEGER NOT NULL,
-            type TEXT NOT NULL,
-            value REAL,
-            significance TEXT,
-            cosmic_window INTEGER,
-            message TEXT,
-            data TEXT
-          );
-        `);
-
-        // Scans table
-        tx.executeSql(`
-          CREATE TABLE IF NOT EXISTS scans (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            timestamp INTEGER NOT NULL,
-            battery_level REAL,
-            magnetic_field REAL,
-            acceleration REAL,
-            rotation REAL,
-            pressure REAL,
-            gps_accuracy REAL,
-            network_type TEXT,
-            anomaly_count INTEGER,
-            cosmic_window INTEGER,
-            state51_active INTEGER,
-            data TEXT
-          );
-        `);
-
-        // Daily reports table
-        tx.executeSql(`
-          CREATE TABLE IF NOT EXISTS daily_reports (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            date TEXT NOT NULL UNIQUE,
-            total_anomalies INTEGER,
-            high_significance_count INTEGER,
-            cosmic_window_anomalies INTEGER,
-            state51_correlations INTEGER,
-            battery_anomalies INTEGER,
-            magnetic_anomalies INTEGER,
-            frequency_matches INTEGER,
-            report_data TEXT
-          );
-        `);
-
-        // Experiments table
-        tx.executeSql(`
-          CREATE TABLE IF NOT EXISTS experiments (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            timestamp INTEGER NOT NULL,
-            duration INTEGER,
-            state51_active INTEGER,
-            anomalies_detected INTEGER,
-            notes TEXT,
-            data TEXT
-          );
-        `);
+    const { from, to, applied } = await migrate(this.db);
+    if (applied.length > 0) {
+      console.log(`Database migrated from schema v${from} to v${to}`);
+    }
 
-        console.log('Database initialized successfully');
-        resolve();
-      }, reject);
-    });
+    console.log('Database initialized successfully');
   }
 
   /**
@@ -110,24 +103,111 @@ class DatabaseService {
   }
 
   /**
-   * Save anomaly
+   * Save the adaptive baseline model
+   * Stored in `baselines` as a single row tagged kind: 'adaptive', replaced on every save
+   */
+  async saveAdaptiveBaseline(model, timestamp = TimeService.now()) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(`DELETE FROM baselines WHERE data LIKE '{"kind":"adaptive"%'`);
+        tx.executeSql(
+          'INSERT INTO baselines (timestamp, data) VALUES (?, ?)',
+          [timestamp, JSON.stringify({ kind: 'adaptive', model })],
+          (_, result) => resolve(result),
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * Load the adaptive baseline model, or null if none was saved
+   */
+  async getAdaptiveBaseline() {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `SELECT * FROM baselines
+           WHERE data LIKE '{"kind":"adaptive"%'
+           ORDER BY timestamp DESC
+           LIMIT 1`,
+          [],
+          (_, { rows }) => {
+            const row = rows._array[0];
+            resolve(row ? JSON.parse(row.data).model : null);
+          },
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * Save anomaly (an episode when it comes from EpisodeTracker)
+   * Resolves with the insert result; `insertId` identifies the row for
+   * updateAnomalyEpisode. `windows` (ids of the observation windows it fell
+   * in) defaults to the windows open at its timestamp; `state51Active` and
+   * `generationSessionId` record whether the generator was running.
    */
   async saveAnomaly(anomaly) {
+    const timestamp = Math.round(anomaly.timestamp);
+    const { wallTime, utcOffset } = TimeService.stamp(timestamp);
+
     return new Promise((resolve, reject) => {
       this.db.transaction(tx => {
         tx.executeSql(
           `INSERT INTO anomalies (
             timestamp, type, value, significance,
-            cosmic_window, message, data
-          ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            cosmic_window, message, data,
+            end_timestamp, peak_value, duration, sample_count,
+            wall_time, utc_offset, windows,
+            state51_active, generation_session_id
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
-            anomaly.timestamp,
+            timestamp,
             anomaly.type,
             anomaly.value || 0,
             anomaly.significance || 'low',
             anomaly.cosmicWindow ? 1 : 0,
             anomaly.message || '',
-            JSON.stringify(anomaly.data || {})
+            JSON.stringify(anomaly.data || {}),
+            Math.round(anomaly.endTimestamp || timestamp),
+            anomaly.peakValue || anomaly.value || 0,
+            Math.round(anomaly.duration || 0),
+            anomaly.sampleCount || 1,
+            wallTime,
+            utcOffset,
+            JSON.stringify(anomaly.windows || TimeWindowService.getMatchingWindows(timestamp)),
+            anomaly.state51Active ? 1 : 0,
+            anomaly.generationSessionId || null
+          ],
+          (_, result) => resolve(result),
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * Update a saved episode as it grows or closes
+   */
+  async updateAnomalyEpisode(id, episode) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `UPDATE anomalies SET
+            end_timestamp = ?, peak_value = ?, duration = ?, sample_count = ?,
+            significance = ?, message = ?, data = ?
+          WHERE id = ?`,
+          [
+            Math.round(episode.endTimestamp),
+            episode.peakValue || 0,
+            Math.round(episode.duration),
+            episode.sampleCount,
+            episode.significance || 'low',
+            episode.message || '',
+            JSON.stringify(episode.data || {}),
+            id
           ],
           (_, result) => resolve(result),
           (_, error) => reject(error)
@@ -137,17 +217,20 @@ class DatabaseService {
   }
 
   /**
-   * Save scan data
+   * Save scan data (window tags and generation state as for saveAnomaly)
    */
   async saveScan(scan) {
+    const { wallTime, utcOffset } = TimeService.stamp(scan.timestamp);
+
     return new Promise((resolve, reject) => {
       this.db.transaction(tx => {
         tx.executeSql(
           `INSERT INTO scans (
             timestamp, battery_level, magnetic_field, acceleration,
             rotation, pressure, gps_accuracy, network_type,
-            anomaly_count, cosmic_window, state51_active, data
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            anomaly_count, cosmic_window, state51_active, data,
+            wall_time, utc_offset, windows, generation_session_id
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             scan.timestamp,
             scan.battery?.level || 0,
@@ -160,7 +243,11 @@ class DatabaseService {
             scan.anomalyCount || 0,
             scan.isCosmicWindow ? 1 : 0,
             scan.state51Active ? 1 : 0,
-            JSON.stringify(scan)
+            JSON.stringify(scan),
+            wallTime,
+            utcOffset,
+            JSON.stringify(scan.windows || TimeWindowService.getMatchingWindows(scan.timestamp)),
+            scan.generationSessionId || null
           ],
           (_, result) => resolve(result),
           (_, error) => reject(error)
@@ -171,34 +258,47 @@ class DatabaseService {
 
   /**
    * Get anomalies for a specific date range
+   * Recorded on this device by default; pass a device id for imported
+   * rows, or null for all devices
    */
-  async getAnomalies(startTime, endTime) {
-    return new Promise((resolve, reject) => {
-      this.db.transaction(tx => {
-        tx.executeSql(
-          `SELECT * FROM anomalies
-           WHERE timestamp >= ? AND timestamp <= ?
-           ORDER BY timestamp DESC`,
-          [startTime, endTime],
-          (_, { rows }) => resolve(rows._array),
-          (_, error) => reject(error)
-        );
-      });
-    });
+  async getAnomalies(startTime, endTime, deviceId = LOCAL_DEVICE) {
+    return this.getDeviceRows('anomalies', startTime, endTime, deviceId, 'DESC');
+  }
+
+  /**
+   * Get scans for analysis (device selection as for getAnomalies)
+   */
+  async getScans(startTime, endTime, deviceId = LOCAL_DEVICE) {
+    return this.getDeviceRows('scans', startTime, endTime, deviceId, 'ASC');
   }
 
   /**
-   * Get scans for analysis
+   * Rows of a device table in a time range
+   * Imported rows are moved onto this device's clock by their device's
+   * clock offset (see updateDeviceClockOffsets), both for the range and the
+   * returned timestamps; `clock_correction` holds the shift applied.
    */
-  async getScans(startTime, endTime) {
+  async getDeviceRows(table, startTime, endTime, deviceId, order) {
+    const device = deviceId === null ? '' : ' AND t.device_id = ?';
+    const time = deviceId === LOCAL_DEVICE ? 't.timestamp' : 't.timestamp + COALESCE(d.clock_offset, 0)';
+
     return new Promise((resolve, reject) => {
       this.db.transaction(tx => {
         tx.executeSql(
-          `SELECT * FROM scans
-           WHERE timestamp >= ? AND timestamp <= ?
-           ORDER BY timestamp ASC`,
-          [startTime, endTime],
-          (_, { rows }) => resolve(rows._array),
+          `SELECT t.*, COALESCE(d.clock_offset, 0) AS clock_correction
+           FROM ${table} t LEFT JOIN devices d ON d.id = t.device_id AND d.local = 0
+           WHERE ${time} >= ? AND ${time} <= ?${device}
+           ORDER BY ${time} ${order}`,
+          deviceId === null ? [startTime, endTime] : [startTime, endTime, deviceId],
+          (_, { rows }) => resolve(rows._array.map(row => {
+            const shift = Math.round(row.clock_correction);
+            if (shift === 0) return row;
+            return {
+              ...row,
+              timestamp: row.timestamp + shift,
+              ...(row.end_timestamp ? { end_timestamp: row.end_timestamp + shift } : {})
+            };
+          })),
           (_, error) => reject(error)
         );
       });
@@ -209,13 +309,14 @@ class DatabaseService {
    * Analyze patterns in the data
    */
   async analyzePatterns() {
-    const now = Date.now();
+    const now = TimeService.now();
     const oneHourAgo = now - 3600000;
     const oneDayAgo = now - 86400000;
 
     // Get recent anomalies
     const recentAnomalies = await this.getAnomalies(oneHourAgo, now);
     const dailyAnomalies = await this.getAnomalies(oneDayAgo, now);
+    const dailyScans = await this.getScans(oneDayAgo, now);
 
     // Count by type
     const typeCount = {};
@@ -230,7 +331,16 @@ class DatabaseService {
 
     // Check for patterns
     const anomalySpike = recentAnomalies.length > dailyAnomalies.length / 24 * 2;
-    const cosmicCorrelation = cosmicWindowCount.true / (cosmicWindowCount.true + cosmicWindowCount.false);
+    const cosmicCorrelation = dailyAnomalies.length > 0
+      ? cosmicWindowCount.true / dailyAnomalies.length
+      : 0;
+
+    // Test whether scan minutes inside the cosmic window see anomalies more often
+    const cosmicTest = this.compareScanGroups(
+      dailyScans,
+      dailyAnomalies,
+      scan => scan.cosmic_window === 1
+    );
 
     // Check for State 51 patterns
     const state51Patterns = dailyAnomalies.filter(a =>
@@ -251,6 +361,7 @@ class DatabaseService {
       recentCount: recentAnomalies.length,
       anomalySpike,
       cosmicCorrelation,
+      cosmicTest,
       typeDistribution: typeCount,
       significanceDistribution: significanceCount,
       state51Count: state51Patterns.length,
@@ -258,26 +369,173 @@ class DatabaseService {
       patterns: {
         hasState51: state51Patterns.length > 0,
         hasMutation: mutationPatterns.length > 0,
-        hasCosmicCorrelation: cosmicCorrelation > 0.5
+        hasCosmicCorrelation: cosmicTest.significant && cosmicTest.difference > 0
+      }
+    };
+  }
+
+  /**
+   * Count anomalies falling into each one-minute scan period
+   * Scans must be sorted by timestamp ascending
+   */
+  countAnomaliesPerScan(scans, anomalies) {
+    const counts = scans.map(() => 0);
+
+    anomalies.forEach(anomaly => {
+      // Latest scan at or before the anomaly
+      let lo = 0;
+      let hi = scans.length - 1;
+      let index = -1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (scans[mid].timestamp <= anomaly.timestamp) {
+          index = mid;
+          lo = mid + 1;
+        } else {
+          hi = mid - 1;
+        }
+      }
+
+      if (index >= 0 && anomaly.timestamp - scans[index].timestamp < 60000) {
+        counts[index] += 1;
+      }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Compare how often scan periods matching a predicate contain anomalies
+   * against all other scan periods
+   */
+  compareScanGroups(scans, anomalies, predicate, counts = this.countAnomaliesPerScan(scans, anomalies)) {
+    let exposed = 0;
+    let exposedHits = 0;
+    let other = 0;
+    let otherHits = 0;
+
+    scans.forEach((scan, i) => {
+      if (predicate(scan, i)) {
+        exposed += 1;
+        if (counts[i] > 0) exposedHits += 1;
+      } else {
+        other += 1;
+        if (counts[i] > 0) otherHits += 1;
+      }
+    });
+
+    return {
+      ...Statistics.compareProportions(exposedHits, exposed, otherHits, other),
+      exposedPeriods: exposed,
+      otherPeriods: other
+    };
+  }
+
+  /**
+   * Compare anomaly rates inside and outside an observation window
+   * Scan periods are split by their window tags. The crude comparison is
+   * that of compareScanGroups; `hourAdjusted` repeats it within each local
+   * hour of day (Mantel-Haenszel), so a window is not credited with a
+   * time-of-day pattern. Clock windows cover the same hours every day and
+   * have no hour-adjusted result (`confoundedWithHour`); sun and lunar
+   * windows move through the hours and do.
+   */
+  async compareWindow(windowId, startTime, endTime, deviceId = LOCAL_DEVICE) {
+    const scans = await this.getScans(startTime, endTime, deviceId);
+    const anomalies = await this.getAnomalies(startTime, endTime, deviceId);
+    const counts = this.countAnomaliesPerScan(scans, anomalies);
+    const inWindow = scans.map(scan => parseWindowTags(scan).includes(windowId));
+
+    const strata = Array.from({ length: 24 }, () => ({ a: 0, b: 0, c: 0, d: 0 }));
+    scans.forEach((scan, i) => {
+      const stratum = strata[TimeWindowService.getParts(scan.timestamp).hour];
+      const hit = counts[i] > 0;
+      if (inWindow[i]) {
+        stratum[hit ? 'a' : 'b'] += 1;
+      } else {
+        stratum[hit ? 'c' : 'd'] += 1;
       }
+    });
+    const hourAdjusted = Statistics.mantelHaenszel(strata);
+
+    return {
+      windowId,
+      ...this.compareScanGroups(scans, anomalies, (scan, i) => inWindow[i], counts),
+      hourAdjusted,
+      confoundedWithHour: hourAdjusted.strata === 0 && inWindow.includes(true),
+      anomalies: anomalies.length,
+      anomaliesInWindow: anomalies.filter(anomaly => parseWindowTags(anomaly).includes(windowId)).length
     };
   }
 
+  /**
+   * Re-tag this device's anomalies and scans with the current window
+   * definitions, e.g. after a window was added or edited
+   * Sun windows use the current observer location for every row.
+   * Resolves with the number of rows whose tags changed.
+   */
+  async retagWindows(pageSize = 1000) {
+    let changed = 0;
+
+    for (const table of ['anomalies', 'scans']) {
+      let cursor = 0;
+      let rows;
+      do {
+        rows = await new Promise((resolve, reject) => {
+          this.db.transaction(tx => {
+            tx.executeSql(
+              `SELECT id, timestamp, windows FROM ${table}
+               WHERE device_id = ? AND id > ?
+               ORDER BY id LIMIT ?`,
+              [LOCAL_DEVICE, cursor, pageSize],
+              (_, result) => resolve(result.rows._array),
+              (_, error) => reject(error)
+            );
+          });
+        });
+        if (rows.length === 0) break;
+        cursor = rows[rows.length - 1].id;
+
+        const updates = rows
+          .map(row => ({ id: row.id, windows: TimeWindowService.getMatchingWindows(row.timestamp), previous: row.windows }))
+          .filter(row => JSON.stringify(row.windows) !== row.previous);
+        changed += updates.length;
+
+        await new Promise((resolve, reject) => {
+          this.db.transaction(tx => {
+            updates.forEach(({ id, windows }) => {
+              tx.executeSql(
+                `UPDATE ${table} SET windows = ?, cosmic_window = ? WHERE id = ?`,
+                [JSON.stringify(windows), windows.includes('cosmic') ? 1 : 0, id]
+              );
+            });
+          }, reject, resolve);
+        });
+      } while (rows.length === pageSize);
+    }
+
+    return changed;
+  }
+
   /**
    * Generate daily report
+   * `date` is a local calendar date (YYYY-MM-DD) or a time within it; the
+   * day runs from local midnight to local midnight in TimeWindowService's
+   * zone, so DST days cover 23 or 25 hours
    */
   async generateDailyReport(date) {
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+    const day = typeof date === 'string' ? date : TimeWindowService.localDate(new Date(date).getTime());
+    const { start, end } = TimeWindowService.dayBounds(day);
 
-    const anomalies = await this.getAnomalies(startOfDay.getTime(), endOfDay.getTime());
-    const scans = await this.getScans(startOfDay.getTime(), endOfDay.getTime());
+    const anomalies = await this.getAnomalies(start, end - 1);
+    const scans = await this.getScans(start, end - 1);
+    const sessions = await this.getGenerationSessions(start, end - 1);
 
     // Analyze anomalies
     const report = {
-      date: date.toISOString().split('T')[0],
+      date: day,
+      timeZone: TimeWindowService.getTimeZone(),
+      hours: (end - start) / 3600000,
       totalAnomalies: anomalies.length,
       highSignificance: anomalies.filter(a => a.significance === 'high' || a.significance === 'critical').length,
       cosmicWindowAnomalies: anomalies.filter(a => a.cosmic_window === 1).length,
@@ -299,21 +557,33 @@ class DatabaseService {
       };
     }
 
-    // Calculate correlation with State 51 activation
+    // Test anomaly occurrence during State 51 activation against inactive periods
     const state51ActiveScans = scans.filter(s => s.state51_active === 1);
-    const state51AnomalyRate = state51ActiveScans.length > 0
-      ? anomalies.filter(a => {
-          const scan = scans.find(s => Math.abs(s.timestamp - a.timestamp) < 60000);
-          return scan && scan.state51_active === 1;
-        }).length / state51ActiveScans.length
-      : 0;
+    const inactiveScans = scans.filter(s => s.state51_active !== 1);
+    const occurrenceTest = this.compareScanGroups(scans, anomalies, s => s.state51_active === 1);
+    const perScanCounts = this.countAnomaliesPerScan(scans, anomalies);
+    const activeCounts = perScanCounts.filter((_, i) => scans[i].state51_active === 1);
+    const inactiveCounts = perScanCounts.filter((_, i) => scans[i].state51_active !== 1);
 
     report.state51Effect = {
       activePeriods: state51ActiveScans.length,
-      anomalyRate: state51AnomalyRate,
-      correlation: state51AnomalyRate > 0.1 ? 'positive' : 'none'
+      inactivePeriods: inactiveScans.length,
+      anomalyRate: occurrenceTest.rate1,
+      baselineRate: occurrenceTest.rate2,
+      occurrenceTest,
+      countTest: Statistics.permutationTest(activeCounts, inactiveCounts, 2000),
+      magneticTest: Statistics.mannWhitney(
+        state51ActiveScans.map(s => s.magnetic_field),
+        inactiveScans.map(s => s.magnetic_field)
+      ),
+      correlation: Statistics.classify(occurrenceTest, occurrenceTest.difference),
+      sessions: sessions.length,
+      pulses: sessions.reduce((sum, session) => sum + (session.pulse_count || 0), 0),
+      anomaliesDuringGeneration: anomalies.filter(a => a.state51_active === 1).length
     };
 
+    report.cosmicEffect = this.compareScanGroups(scans, anomalies, s => s.cosmic_window === 1);
+
     // Key findings
     report.keyFindings = [];
 
@@ -321,8 +591,16 @@ class DatabaseService {
       report.keyFindings.push('Multiple State 51 resonances detected');
     }
 
-    if (report.cosmicWindowAnomalies / report.totalAnomalies > 0.5) {
-      report.keyFindings.push('High cosmic window correlation');
+    if (report.cosmicEffect.significant && report.cosmicEffect.difference > 0) {
+      report.keyFindings.push(
+        `Cosmic window correlation (${Statistics.formatPValue(report.cosmicEffect.pValue)})`
+      );
+    }
+
+    if (report.state51Effect.correlation === 'positive') {
+      report.keyFindings.push(
+        `Anomalies more frequent during State 51 generation (${Statistics.formatPValue(occurrenceTest.pValue)})`
+      );
     }
 
     if (report.batteryAnomalies > 0) {
@@ -371,16 +649,17 @@ class DatabaseService {
   }
 
   /**
-   * Get daily reports
+   * Get this device's daily reports
    */
   async getDailyReports(limit = 30) {
     return new Promise((resolve, reject) => {
       this.db.transaction(tx => {
         tx.executeSql(
           `SELECT * FROM daily_reports
+           WHERE device_id = ?
            ORDER BY date DESC
            LIMIT ?`,
-          [limit],
+          [LOCAL_DEVICE, limit],
           (_, { rows }) => {
             const reports = rows._array.map(row => ({
               ...row,
@@ -395,44 +674,931 @@ class DatabaseService {
   }
 
   /**
-   * Calculate trend from array of values
+   * Save an experiment block
    */
-  calculateTrend(values) {
-    if (values.length < 2) return 'stable';
+  async saveExperiment(experiment) {
+    const { wallTime, utcOffset } = TimeService.stamp(experiment.timestamp);
 
-    const firstHalf = values.slice(0, Math.floor(values.length / 2));
-    const secondHalf = values.slice(Math.floor(values.length / 2));
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `INSERT INTO experiments (
+            timestamp, duration, state51_active,
+            anomalies_detected, notes, data,
+            wall_time, utc_offset
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            experiment.timestamp,
+            experiment.duration || 0,
+            experiment.state51Active ? 1 : 0,
+            experiment.anomaliesDetected || 0,
+            experiment.notes || '',
+            JSON.stringify(experiment.data || {}),
+            wallTime,
+            utcOffset
+          ],
+          (_, result) => resolve(result),
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
 
-    const firstAvg = firstHalf.reduce((a, b) => a + b, 0) / firstHalf.length;
-    const secondAvg = secondHalf.reduce((a, b) => a + b, 0) / secondHalf.length;
+  /**
+   * Get this device's experiment blocks, newest first
+   */
+  async getExperiments(limit = 500) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `SELECT * FROM experiments
+           WHERE device_id = ?
+           ORDER BY timestamp DESC
+           LIMIT ?`,
+          [LOCAL_DEVICE, limit],
+          (_, { rows }) => {
+            const experiments = rows._array.map(row => ({
+              ...row,
+              data: JSON.parse(row.data || '{}')
+            }));
+            resolve(experiments);
+          },
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
 
-    const change = secondAvg - firstAvg;
-    const percentChange = (change / firstAvg) * 100;
+  /**
+   * Open a generation session; resolves with its row id
+   */
+  async createGenerationSession(session) {
+    const { wallTime, utcOffset } = TimeService.stamp(session.startedAt);
 
-    if (Math.abs(percentChange) < 1) return 'stable';
-    if (percentChange > 0) return `increasing ${percentChange.toFixed(1)}%`;
-    return `decreasing ${Math.abs(percentChange).toFixed(1)}%`;
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `INSERT INTO generation_sessions (
+            started_at, source, channels, parameters, pulse_count, data,
+            pattern_id, wall_time, utc_offset
+          ) VALUES (?, ?, ?, ?, 0, ?, ?, ?, ?)`,
+          [
+            session.startedAt,
+            session.source || 'manual',
+            JSON.stringify(session.channels || {}),
+            JSON.stringify(session.parameters || {}),
+            JSON.stringify(session.data || {}),
+            session.patternId || null,
+            wallTime,
+            utcOffset
+          ],
+          (_, result) => resolve(result.insertId),
+          (_, error) => reject(error)
+        );
+      });
+    });
   }
 
   /**
-   * Export data for external analysis
+   * Update a generation session's pulse count, pattern and
+   * reconfigurations, and close it when `endedAt` is set
    */
-  async exportData() {
-    const anomalies = await this.getAnomalies(0, Date.now());
-    const scans = await this.getScans(0, Date.now());
-    const reports = await this.getDailyReports(365);
+  async updateGenerationSession(sessionId, session) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `UPDATE generation_sessions SET
+            ended_at = ?, pulse_count = ?, channels = ?, parameters = ?, data = ?, pattern_id = ?
+          WHERE id = ?`,
+          [
+            session.endedAt || null,
+            session.pulseCount,
+            JSON.stringify(session.channels || {}),
+            JSON.stringify(session.parameters || {}),
+            JSON.stringify(session.data || {}),
+            session.patternId || null,
+            sessionId
+          ],
+          (_, result) => resolve(result),
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
 
-    return {
-      exportDate: new Date().toISOString(),
-      anomalies,
-      scans,
-      reports,
-      statistics: {
-        totalAnomalies: anomalies.length,
-        totalScans: scans.length,
-        totalReports: reports.length
-      }
-    };
+  /**
+   * Save a batch of { sessionId, channel, timestamp, plannedAt, jitter } pulses
+   */
+  async saveGenerationPulses(pulses) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        pulses.forEach(pulse => {
+          tx.executeSql(
+            'INSERT INTO generation_pulses (session_id, channel, timestamp, planned_at, jitter) VALUES (?, ?, ?, ?, ?)',
+            [
+              pulse.sessionId,
+              pulse.channel,
+              pulse.timestamp,
+              pulse.plannedAt === undefined ? null : pulse.plannedAt,
+              pulse.jitter === undefined ? null : pulse.jitter
+            ]
+          );
+        });
+      }, reject, resolve);
+    });
+  }
+
+  /**
+   * Generation sessions started in a time range, oldest first
+   * (device selection as for getAnomalies)
+   */
+  async getGenerationSessions(startTime, endTime, deviceId = LOCAL_DEVICE) {
+    const device = deviceId === null ? '' : ' AND device_id = ?';
+
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `SELECT * FROM generation_sessions
+           WHERE started_at >= ? AND started_at <= ?${device}
+           ORDER BY started_at ASC`,
+          deviceId === null ? [startTime, endTime] : [startTime, endTime, deviceId],
+          (_, { rows }) => resolve(rows._array.map(row => ({
+            ...row,
+            channels: JSON.parse(row.channels || '{}'),
+            parameters: JSON.parse(row.parameters || '{}'),
+            data: JSON.parse(row.data || '{}')
+          }))),
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * Pulses of a session recorded here, in time order: channel, measured
+   * onset (`timestamp`), `planned_at` and `jitter` (ms)
+   */
+  async getGenerationPulses(sessionId) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `SELECT channel, timestamp, planned_at, jitter FROM generation_pulses
+           WHERE session_id = ?
+           ORDER BY timestamp ASC`,
+          [sessionId],
+          (_, { rows }) => resolve(rows._array),
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * The generator pattern library (see GeneratorPattern), built-in first
+   * Rows that no longer parse or validate are skipped with a warning
+   */
+  async getPatterns() {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          'SELECT * FROM patterns ORDER BY built_in DESC, name COLLATE NOCASE ASC',
+          [],
+          (_, { rows }) => {
+            const patterns = [];
+            rows._array.forEach(row => {
+              try {
+                patterns.push({
+                  ...normalizePattern({ ...JSON.parse(row.definition || '{}'), id: row.id, name: row.name }),
+                  builtIn: row.built_in === 1
+                });
+              } catch (error) {
+                console.warn(`Skipping invalid pattern ${row.id} (${row.name}):`, error.message);
+              }
+            });
+            resolve(patterns);
+          },
+          (_, error) => reject(error)
+        );
+      }, reject);
+    });
+  }
+
+  /**
+   * Add a pattern to the library, or replace the one with its id
+   * Resolves with the normalized pattern; built-in patterns cannot change.
+   */
+  async savePattern(pattern) {
+    const { id, name, ...definition } = normalizePattern(pattern);
+    const now = TimeService.now();
+
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        const saved = newId => resolve({ ...definition, id: newId, name });
+        if (id) {
+          tx.executeSql(
+            'UPDATE patterns SET name = ?, definition = ?, updated_at = ? WHERE id = ? AND built_in = 0',
+            [name, JSON.stringify(definition), now, id],
+            (_, { rowsAffected }) => rowsAffected > 0
+              ? saved(id)
+              : reject(new Error('Built-in patterns cannot be changed')),
+            (_, error) => reject(error)
+          );
+        } else {
+          tx.executeSql(
+            `INSERT INTO patterns (name, definition, built_in, created_at, updated_at)
+             VALUES (?, ?, 0, ?, ?)`,
+            [name, JSON.stringify(definition), now, now],
+            (_, result) => saved(result.insertId),
+            (_, error) => reject(error)
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * Remove a pattern from the library (built-in patterns stay)
+   */
+  async deletePattern(patternId) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          'DELETE FROM patterns WHERE id = ? AND built_in = 0',
+          [patternId],
+          (_, { rowsAffected }) => rowsAffected > 0
+            ? resolve(rowsAffected)
+            : reject(new Error('Built-in patterns cannot be deleted')),
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * Create a raw sensor recording
+   */
+  async createRecording(recording) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `INSERT INTO recordings (started_at, label, sample_count, data)
+           VALUES (?, ?, 0, ?)`,
+          [
+            recording.startedAt,
+            recording.label || '',
+            JSON.stringify(recording.data || {})
+          ],
+          (_, result) => resolve(result.insertId),
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * Mark a recording as finished
+   */
+  async finishRecording(recordingId, endedAt, sampleCount) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          'UPDATE recordings SET ended_at = ?, sample_count = ? WHERE id = ?',
+          [endedAt, sampleCount, recordingId],
+          (_, result) => resolve(result),
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * Save an encoded chunk of raw samples
+   */
+  async saveRecordingChunk(recordingId, chunk) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `INSERT INTO recording_chunks (
+            recording_id, sensor, start_time, end_time,
+            sample_count, version, payload
+          ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            recordingId,
+            chunk.sensor,
+            chunk.startTime,
+            chunk.endTime,
+            chunk.count,
+            chunk.version,
+            chunk.payload
+          ],
+          (_, result) => resolve(result),
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * Get recordings, newest first
+   */
+  async getRecordings(limit = 50) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `SELECT * FROM recordings
+           ORDER BY started_at DESC
+           LIMIT ?`,
+          [limit],
+          (_, { rows }) => {
+            const recordings = rows._array.map(row => ({
+              ...row,
+              data: JSON.parse(row.data || '{}')
+            }));
+            resolve(recordings);
+          },
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * Get a single recording
+   */
+  async getRecording(recordingId) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          'SELECT * FROM recordings WHERE id = ?',
+          [recordingId],
+          (_, { rows }) => {
+            const row = rows._array[0];
+            resolve(row ? { ...row, data: JSON.parse(row.data || '{}') } : null);
+          },
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * Get all encoded chunks of a recording in time order
+   */
+  async getRecordingChunks(recordingId) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `SELECT * FROM recording_chunks
+           WHERE recording_id = ?
+           ORDER BY start_time ASC`,
+          [recordingId],
+          (_, { rows }) => resolve(rows._array.map(row => ({
+            version: row.version,
+            sensor: row.sensor,
+            startTime: row.start_time,
+            endTime: row.end_time,
+            count: row.sample_count,
+            payload: row.payload
+          }))),
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * Delete a recording and its chunks
+   */
+  async deleteRecording(recordingId) {
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql('DELETE FROM recording_chunks WHERE recording_id = ?', [recordingId]);
+        tx.executeSql('DELETE FROM recordings WHERE id = ?', [recordingId]);
+      }, reject, resolve);
+    });
+  }
+
+  /**
+   * Roll scans older than `scanCutoff` into the hourly and daily rollups,
+   * then delete them along with anomalies and generation pulses older than
+   * `scanCutoff` and hourly rollups older than `hourlyCutoff` (generation
+   * sessions stay). One transaction, so a failure leaves
+   * the raw data in place. Resolves with the number of rows removed.
+   * Only rows recorded on this device; imported rows are kept as merged.
+   */
+  async enforceRetention({ scanCutoff, hourlyCutoff }) {
+    // Local day starts covering the scans about to be rolled up
+    const [{ first }] = await this.execute(
+      `SELECT MIN(timestamp) AS first FROM scans WHERE device_id = '${LOCAL_DEVICE}'`, true);
+    const dayStarts = first === null ? [] : TimeWindowService.dayStarts(first, scanCutoff);
+    const days = dayStarts.length > 0
+      ? `WITH days (start) AS (VALUES ${dayStarts.map(start => `(${start})`).join(', ')})\n`
+      : 'WITH days (start) AS (SELECT NULL)\n';
+
+    const metrics = ROLLUP_METRICS.flatMap(m => [`AVG(${m})`, `MIN(${m})`, `MAX(${m})`]);
+
+    // Rows for a period that was already rolled up are merged, weighted by scan count
+    const merge = ROLLUP_METRICS.flatMap(m => [
+      `${m}_avg = (${m}_avg * scan_count + excluded.${m}_avg * excluded.scan_count) / (scan_count + excluded.scan_count)`,
+      `${m}_min = MIN(${m}_min, excluded.${m}_min)`,
+      `${m}_max = MAX(${m}_max, excluded.${m}_max)`
+    ]);
+
+    const removed = { scans: 0, anomalies: 0, generationPulses: 0, hourlyRollups: 0 };
+    const count = key => (_, result) => { removed[key] = result.rowsAffected; };
+
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        Object.entries(ROLLUP_PERIODS).forEach(([table, period]) => {
+          tx.executeSql(
+            `${days}INSERT INTO ${table} (
+              period_start, scan_count, ${ROLLUP_COLUMNS.join(', ')},
+              anomaly_count, cosmic_window_scans, state51_active_scans
+            )
+            SELECT ${period}, COUNT(*), ${metrics.join(', ')},
+              SUM(anomaly_count), SUM(cosmic_window), SUM(state51_active)
+            FROM scans
+            WHERE timestamp < ? AND device_id = ?
+            GROUP BY 1
+            ON CONFLICT (period_start) DO UPDATE SET
+              ${merge.join(',\n              ')},
+              anomaly_count = anomaly_count + excluded.anomaly_count,
+              cosmic_window_scans = cosmic_window_scans + excluded.cosmic_window_scans,
+              state51_active_scans = state51_active_scans + excluded.state51_active_scans,
+              scan_count = scan_count + excluded.scan_count`,
+            [scanCutoff, LOCAL_DEVICE]
+          );
+        });
+
+        tx.executeSql('DELETE FROM scans WHERE timestamp < ? AND device_id = ?', [scanCutoff, LOCAL_DEVICE],
+          count('scans'));
+        tx.executeSql('DELETE FROM anomalies WHERE timestamp < ? AND device_id = ?', [scanCutoff, LOCAL_DEVICE],
+          count('anomalies'));
+        tx.executeSql('DELETE FROM generation_pulses WHERE timestamp < ?', [scanCutoff],
+          count('generationPulses'));
+        tx.executeSql('DELETE FROM scan_rollups_hourly WHERE period_start < ?', [hourlyCutoff],
+          count('hourlyRollups'));
+      }, reject, () => resolve(removed));
+    });
+  }
+
+  /**
+   * Get hourly or daily scan rollups for a time range
+   */
+  async getScanRollups(resolution, startTime, endTime) {
+    const table = resolution === 'daily' ? 'scan_rollups_daily' : 'scan_rollups_hourly';
+
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `SELECT * FROM ${table}
+           WHERE period_start >= ? AND period_start <= ?
+           ORDER BY period_start ASC`,
+          [startTime, endTime],
+          (_, { rows }) => resolve(rows._array),
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * Local days (YYYY-MM-DD) before `cutoff` that have data recorded on this
+   * device but no daily report
+   * Data is bucketed by quarter hour in SQL (every zone's offset is a whole
+   * number of quarter hours) and the buckets mapped to local dates here
+   */
+  async getUnreportedDays(cutoff) {
+    const bucket = 'timestamp / 900000';
+
+    const [buckets, reports] = await new Promise((resolve, reject) => {
+      const results = [];
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `SELECT DISTINCT ${bucket} AS bucket FROM scans WHERE timestamp < ? AND device_id = ?
+           UNION
+           SELECT DISTINCT ${bucket} AS bucket FROM anomalies WHERE timestamp < ? AND device_id = ?`,
+          [cutoff, LOCAL_DEVICE, cutoff, LOCAL_DEVICE],
+          (_, { rows }) => { results[0] = rows._array; }
+        );
+        tx.executeSql(
+          'SELECT date FROM daily_reports WHERE device_id = ?',
+          [LOCAL_DEVICE],
+          (_, { rows }) => { results[1] = rows._array; }
+        );
+      }, reject, () => resolve(results));
+    });
+
+    const reported = new Set(reports.map(row => row.date));
+    const days = new Set(buckets.map(row => TimeWindowService.localDate(Math.floor(row.bucket) * 900000)));
+    return [...days].filter(day => !reported.has(day)).sort();
+  }
+
+  /**
+   * Run statements outside a transaction (VACUUM and PRAGMAs need this)
+   */
+  async execute(sql, readOnly = false) {
+    return new Promise((resolve, reject) => {
+      this.db.exec([{ sql, args: [] }], readOnly, (error, resultSets) => {
+        if (error) return reject(error);
+        const [result] = resultSets;
+        if (result.error) return reject(result.error);
+        resolve(result.rows || []);
+      });
+    });
+  }
+
+  /**
+   * Size of the SQLite file in bytes, and the part held by free pages
+   */
+  async getDatabaseSize() {
+    const [{ page_size: pageSize }] = await this.execute('PRAGMA page_size', true);
+    const [{ page_count: pageCount }] = await this.execute('PRAGMA page_count', true);
+    const [{ freelist_count: freePages }] = await this.execute('PRAGMA freelist_count', true);
+
+    return { bytes: pageSize * pageCount, freeBytes: pageSize * freePages };
+  }
+
+  /**
+   * Rebuild the database file, returning free pages to the file system
+   */
+  async vacuum() {
+    await this.execute('VACUUM');
+  }
+
+  /**
+   * Column names of a table, in schema order
+   */
+  async getTableColumns(table) {
+    const columns = await this.getTableInfo(table);
+    return columns.map(column => column.name);
+  }
+
+  /**
+   * Column definitions of a table: { name, type, notnull, dflt_value, pk }
+   */
+  async getTableInfo(table) {
+    return this.execute(`PRAGMA table_info(${table})`, true);
+  }
+
+  /**
+   * WHERE clause for the export filters: startTime/endTime (ms, inclusive)
+   * and, for anomalies, types
+   */
+  buildFilter(table, { startTime = null, endTime = null, types = null } = {}) {
+    if (!DATA_TABLES.includes(table)) {
+      throw new Error(`Unknown table: ${table}`);
+    }
+
+    const column = table === 'daily_reports' ? 'date' : TIME_COLUMNS[table];
+    const toValue = table === 'daily_reports' ? time => TimeWindowService.localDate(time) : time => time;
+    const where = [];
+    const args = [];
+
+    if (column && startTime !== null) {
+      where.push(`${column} >= ?`);
+      args.push(toValue(startTime));
+    }
+    if (column && endTime !== null) {
+      where.push(`${column} <= ?`);
+      args.push(toValue(endTime));
+    }
+    if (table === 'anomalies' && types && types.length > 0) {
+      where.push(`type IN (${types.map(() => '?').join(', ')})`);
+      args.push(...types);
+    }
+
+    return { where, args };
+  }
+
+  /**
+   * Number of rows matching the export filters
+   */
+  async countRows(table, filters = {}) {
+    const { where, args } = this.buildFilter(table, filters);
+
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `SELECT COUNT(*) AS count FROM ${table}${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''}`,
+          args,
+          (_, { rows }) => resolve(rows._array[0].count),
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * One page of rows matching the export filters, in insertion (rowid) order
+   * Pass the returned cursor to get the next page; it is null after the
+   * last page. Keyset paging, so each page costs the same however deep.
+   */
+  async getRowsPage(table, filters = {}, cursor = 0, limit = 1000) {
+    const { where, args } = this.buildFilter(table, filters);
+    where.unshift('rowid > ?');
+
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        tx.executeSql(
+          `SELECT rowid AS _rowid, * FROM ${table}
+           WHERE ${where.join(' AND ')}
+           ORDER BY rowid ASC
+           LIMIT ?`,
+          [cursor, ...args, limit],
+          (_, { rows }) => {
+            const page = rows._array;
+            const next = page.length === limit ? page[page.length - 1]._rowid : null;
+            page.forEach(row => { delete row._rowid; });
+            resolve({ rows: page, cursor: next });
+          },
+          (_, error) => reject(error)
+        );
+      });
+    });
+  }
+
+  /**
+   * Call `onPage(rows)` for every page of a table; stops early when it
+   * returns false
+   */
+  async forEachPage(table, filters, onPage, pageSize = 1000) {
+    let cursor = 0;
+    do {
+      const page = await this.getRowsPage(table, filters, cursor, pageSize);
+      if (page.rows.length > 0 && (await onPage(page.rows)) === false) return;
+      cursor = page.cursor;
+    } while (cursor !== null);
+  }
+
+  /**
+   * This device's row in `devices` ({ id, name, platform }); the id is
+   * random, assigned by the schema migration, and stamped on exports
+   */
+  async getLocalDevice() {
+    if (!this.localDevice) {
+      const [device] = await this.execute('SELECT * FROM devices WHERE local = 1', true);
+      this.localDevice = device;
+    }
+    return this.localDevice;
+  }
+
+  /**
+   * Devices that have rows here, this one first, with row counts per table
+   * The local device's id is LOCAL_DEVICE in the data tables
+   */
+  async getDevices() {
+    const devices = await this.execute('SELECT * FROM devices ORDER BY local DESC, imported_at DESC', true);
+    const counts = {};
+
+    for (const table of ['anomalies', 'scans']) {
+      const rows = await this.execute(
+        `SELECT device_id, COUNT(*) AS count FROM ${table} GROUP BY device_id`, true);
+      rows.forEach(row => {
+        counts[row.device_id] = { ...counts[row.device_id], [table]: row.count };
+      });
+    }
+
+    return devices.map(device => {
+      const key = device.local ? LOCAL_DEVICE : device.id;
+      return { ...device, key, anomalies: 0, scans: 0, ...counts[key] };
+    });
+  }
+
+  /**
+   * Estimate every imported device's clock offset to this one from the
+   * synchronized runs recorded on both (TimeService.estimateDeviceOffset)
+   * and store it in `devices`; devices without shared runs keep their last
+   * estimate. Resolves with { [deviceId]: { offset, uncertainty, runs } }.
+   */
+  async updateDeviceClockOffsets() {
+    const rows = await this.execute(
+      `SELECT device_id, data FROM experiments WHERE data LIKE '%"sync":true%'`, true);
+
+    const runs = {};
+    rows.forEach(row => {
+      (runs[row.device_id] = runs[row.device_id] || []).push(JSON.parse(row.data || '{}'));
+    });
+
+    const estimates = {};
+    Object.keys(runs).filter(id => id !== LOCAL_DEVICE).forEach(id => {
+      const estimate = TimeService.estimateDeviceOffset(runs[LOCAL_DEVICE] || [], runs[id]);
+      if (estimate) estimates[id] = estimate;
+    });
+
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        Object.entries(estimates).forEach(([id, { offset, uncertainty }]) => {
+          tx.executeSql(
+            'UPDATE devices SET clock_offset = ?, clock_uncertainty = ? WHERE id = ? AND local = 0',
+            [offset, uncertainty, id]
+          );
+        });
+      }, reject, () => resolve(estimates));
+    });
+  }
+
+  /**
+   * Merge rows exported by other devices, in one transaction
+   * `tables` maps a table to { columns, rows }; rows must carry the source
+   * device_id and source_id (the row's id on the device that recorded it),
+   * which form the dedupe key (date and device for daily reports), so
+   * importing overlapping bundles is safe. Rows recorded here are skipped.
+   * An anomaly's or scan's generation_session_id is the exporter's session
+   * row id; it is pointed at that session's row here, or cleared when the
+   * bundle does not hold the session.
+   * Resolves with { [table]: { inserted, duplicates, own } }.
+   */
+  async mergeImport(tables, devices, importedAt = TimeService.now()) {
+    const local = await this.getLocalDevice();
+    const targets = {};
+
+    // Exporter's session ids; sessions merge first so references resolve
+    const sessions = new Map();
+    if (tables.generation_sessions) {
+      tables.generation_sessions.rows.forEach(row => sessions.set(row.id, row));
+    }
+    const order = Object.keys(tables)
+      .sort((a, b) => (b === 'generation_sessions') - (a === 'generation_sessions'));
+    const sessionKey = id => {
+      const session = sessions.get(id);
+      if (!session) return [null, null];
+      return [session.device_id === local.id ? LOCAL_DEVICE : session.device_id, session.source_id];
+    };
+
+    for (const [table, { columns }] of Object.entries(tables)) {
+      if (!DEVICE_TABLES.includes(table)) {
+        throw new Error(`Table cannot be imported: ${table}`);
+      }
+      const existing = await this.getTableColumns(table);
+      targets[table] = columns.filter(column => column !== 'id' && existing.includes(column));
+    }
+
+    const result = {};
+
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        devices.filter(device => device.id !== local.id).forEach(device => {
+          tx.executeSql(
+            `INSERT INTO devices (id, name, platform, imported_at) VALUES (?, ?, ?, ?)
+             ON CONFLICT (id) DO UPDATE SET
+               name = excluded.name, platform = excluded.platform, imported_at = excluded.imported_at`,
+            [device.id, device.name || null, device.platform || null, importedAt]
+          );
+        });
+
+        order.forEach(table => {
+          const { rows } = tables[table];
+          const columns = targets[table];
+          const stats = result[table] = { inserted: 0, duplicates: 0, own: 0 };
+          const sql = `INSERT OR IGNORE INTO ${table} (${columns.join(', ')})
+            VALUES (${columns.map(column => (column === 'generation_session_id'
+              ? '(SELECT id FROM generation_sessions WHERE device_id = ? AND COALESCE(source_id, id) = ?)'
+              : '?')).join(', ')})`;
+
+          rows.forEach(row => {
+            if (row.device_id === local.id) {
+              stats.own++;
+              return;
+            }
+            const args = columns.flatMap(column => {
+              if (column === 'generation_session_id') return sessionKey(row[column]);
+              return [row[column] === undefined ? null : row[column]];
+            });
+            tx.executeSql(sql, args,
+              (_, { rowsAffected }) => {
+                stats[rowsAffected > 0 ? 'inserted' : 'duplicates']++;
+              });
+          });
+        });
+      }, reject, () => resolve(result));
+    });
+  }
+
+  /**
+   * Data removal
+   * Every wipe is a plan of { table, where, args } deletes. With
+   * { dryRun: true } it only counts the rows that would go, so the UI can show
+   * exactly what will be removed; otherwise all deletes run in one
+   * transaction. Both resolve with { counts: { [table]: rows }, total }.
+   */
+  async wipeAll(options = {}) {
+    return this.runWipe([
+      ...DATA_TABLES.map(table => ({ table })),
+      { table: 'devices', where: 'local = 0' }
+    ], options);
+  }
+
+  /**
+   * Clear one table (a recording's chunks and a generation session's pulses
+   * go with it)
+   */
+  async wipeTable(table, options = {}) {
+    if (!DATA_TABLES.includes(table)) {
+      throw new Error(`Unknown table: ${table}`);
+    }
+
+    const dependents = { recordings: 'recording_chunks', generation_sessions: 'generation_pulses' };
+    const plan = dependents[table]
+      ? [{ table: dependents[table] }, { table }]
+      : [{ table }];
+    return this.runWipe(plan, options);
+  }
+
+  /**
+   * Remove everything recorded between two timestamps (inclusive)
+   */
+  async wipeDateRange(startTime, endTime, options = {}) {
+    const range = [startTime, endTime];
+
+    return this.runWipe([
+      { table: 'anomalies', where: 'timestamp BETWEEN ? AND ?', args: range },
+      { table: 'scans', where: 'timestamp BETWEEN ? AND ?', args: range },
+      // The adaptive model row is live state, not a record of that day; keep it
+      {
+        table: 'baselines',
+        where: `timestamp BETWEEN ? AND ? AND data NOT LIKE '{"kind":"adaptive"%'`,
+        args: range
+      },
+      { table: 'daily_reports', where: 'date BETWEEN ? AND ?', args: range.map(time => TimeWindowService.localDate(time)) },
+      { table: 'experiments', where: 'timestamp BETWEEN ? AND ?', args: range },
+      {
+        table: 'generation_pulses',
+        where: 'session_id IN (SELECT id FROM generation_sessions WHERE started_at BETWEEN ? AND ?)',
+        args: range
+      },
+      { table: 'generation_sessions', where: 'started_at BETWEEN ? AND ?', args: range },
+      {
+        table: 'recording_chunks',
+        where: 'recording_id IN (SELECT id FROM recordings WHERE started_at BETWEEN ? AND ?)',
+        args: range
+      },
+      { table: 'recordings', where: 'started_at BETWEEN ? AND ?', args: range },
+      { table: 'scan_rollups_hourly', where: 'period_start BETWEEN ? AND ?', args: range },
+      { table: 'scan_rollups_daily', where: 'period_start BETWEEN ? AND ?', args: range }
+    ], options);
+  }
+
+  /**
+   * Remove an experiment's blocks and the anomalies and scans the same
+   * device recorded during them
+   */
+  async wipeExperiment(experimentId, options = {}) {
+    const tag = `"experimentId":${JSON.stringify(experimentId)}`;
+    const during = table => `EXISTS (
+      SELECT 1 FROM experiments e
+      WHERE instr(e.data, ?) > 0 AND ${table}.device_id = e.device_id
+        AND ${table}.timestamp >= e.timestamp AND ${table}.timestamp < e.timestamp + e.duration
+    )`;
+
+    return this.runWipe([
+      { table: 'anomalies', where: during('anomalies'), args: [tag] },
+      { table: 'scans', where: during('scans'), args: [tag] },
+      { table: 'experiments', where: 'instr(data, ?) > 0', args: [tag] }
+    ], options);
+  }
+
+  async runWipe(plan, { dryRun = false } = {}) {
+    const counts = {};
+    const done = () => ({
+      counts,
+      total: Object.values(counts).reduce((sum, n) => sum + n, 0)
+    });
+
+    return new Promise((resolve, reject) => {
+      this.db.transaction(tx => {
+        plan.forEach(({ table, where, args = [] }) => {
+          const clause = where ? ` WHERE ${where}` : '';
+          if (dryRun) {
+            tx.executeSql(`SELECT COUNT(*) AS count FROM ${table}${clause}`, args,
+              (_, { rows }) => { counts[table] = rows._array[0].count; });
+          } else {
+            tx.executeSql(`DELETE FROM ${table}${clause}`, args,
+              (_, result) => { counts[table] = result.rowsAffected; });
+          }
+        });
+      }, reject, () => resolve(done()));
+    });
+  }
+
+  /**
+   * Calculate trend from array of values
+   */
+  calculateTrend(values) {
+    if (values.length < 2) return 'stable';
+
+    const firstHalf = values.slice(0, Math.floor(values.length / 2));
+    const secondHalf = values.slice(Math.floor(values.length / 2));
+
+    const firstAvg = firstHalf.reduce((a, b) => a + b, 0) / firstHalf.length;
+    const secondAvg = secondHalf.reduce((a, b) => a + b, 0) / secondHalf.length;
+
+    const change = secondAvg - firstAvg;
+    const percentChange = (change / firstAvg) * 100;
+
+    if (Math.abs(percentChange) < 1) return 'stable';
+    if (percentChange > 0) return `increasing ${percentChange.toFixed(1)}%`;
+    return `decreasing ${Math.abs(percentChange).toFixed(1)}%`;
   }
 }
 
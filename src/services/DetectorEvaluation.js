@@ -0,0 +1,239 @@
+import AnomalyDetector from './AnomalyDetector';
+
+/**
+ * Detector evaluation against labeled sessions
+ * Sessions are SensorReplay-style ({ baseline, events, startTime, endTime })
+ * with a `groundTruth` list of { start, end, expectedTypes } labels, as
+ * produced by SensorSimulator. A recording with no labels still works: every
+ * detection then counts as a false alarm.
+ */
+
+// Each rule, the detector setting swept for it and the sensors it reads
+// `stricter` says which direction of the setting produces fewer detections;
+// `options` are extra AnomalyDetector options (fixed vs adaptive baseline)
+export const RULES = {
+  magnetic_anomaly: {
+    types: ['magnetic_anomaly'],
+    sensors: ['magnetometer'],
+    setting: ['thresholds', 'magneticField'],
+    values: [1, 2, 3, 5, 7.5, 10, 15, 20, 30, 50],
+    stricter: 'higher',
+    options: { adaptive: false }
+  },
+  magnetic_adaptive: {
+    types: ['magnetic_anomaly'],
+    sensors: ['magnetometer'],
+    setting: ['thresholds', 'sigma'],
+    values: [1.5, 2, 2.5, 3, 4, 5, 7, 10],
+    stricter: 'higher'
+  },
+  magnetic_51: {
+    types: ['magnetic_51'],
+    sensors: ['magnetometer'],
+    setting: ['thresholds', 'magnetic51Tolerance'],
+    values: [0.1, 0.25, 0.5, 1, 2, 3, 5],
+    stricter: 'lower',
+    options: { adaptive: false }
+  },
+  battery_777: {
+    types: ['battery_777'],
+    sensors: ['battery'],
+    setting: ['thresholds', 'batteryDrainTolerance'],
+    values: [0.001, 0.0025, 0.005, 0.01, 0.02, 0.05],
+    stricter: 'lower',
+    options: { adaptive: false }
+  },
+  gps_51: {
+    types: ['gps_51'],
+    sensors: ['location'],
+    setting: ['thresholds', 'gpsTolerance'],
+    values: [0.5, 1, 2, 5, 10, 20],
+    stricter: 'lower',
+    options: { adaptive: false }
+  },
+  pressure_anomaly: {
+    types: ['pressure_anomaly'],
+    sensors: ['barometer'],
+    setting: ['thresholds', 'pressure'],
+    values: [0.1, 0.25, 0.5, 1, 2, 3, 5],
+    stricter: 'higher',
+    options: { adaptive: false }
+  },
+  pressure_adaptive: {
+    types: ['pressure_anomaly'],
+    sensors: ['barometer'],
+    setting: ['thresholds', 'sigma'],
+    values: [1.5, 2, 2.5, 3, 4, 5, 7, 10],
+    stricter: 'higher'
+  },
+  frequency_match: {
+    types: [
+      'frequency_match_acceleration',
+      'frequency_match_rotation_matter',
+      'frequency_match_rotation_consciousness'
+    ],
+    sensors: ['accelerometer', 'gyroscope'],
+    setting: ['spectral', 'minSnr'],
+    values: [3, 5, 8, 10, 15, 20, 30, 50, 100],
+    stricter: 'higher',
+    options: { adaptive: false }
+  },
+};
+
+class DetectorEvaluation {
+  constructor() {
+    this.options = {
+      latency: 45000, // ms after a label ends that a detection still counts
+      alarmGap: 10000, // ms; same-type false detections closer than this are one alarm
+      window: 60000, // ms; bin size for the false-positive rate
+    };
+  }
+
+  /**
+   * Run a fresh detector with setting overrides over a session
+   * Only the given sensor streams are replayed
+   */
+  runDetector(session, overrides = {}, sensors = null) {
+    const detector = new AnomalyDetector(overrides);
+    detector.setBaseline(session.baseline);
+
+    const anomalies = [];
+    session.events.forEach(({ sensor, sample }) => {
+      if (sensors && !sensors.includes(sensor)) return;
+      anomalies.push(...detector.process(sensor, sample));
+    });
+
+    return anomalies;
+  }
+
+  /**
+   * Detection counts for one anomaly type in one session
+   */
+  scoreSession(session, anomalies, type, options = {}) {
+    const { latency, alarmGap, window } = { ...this.options, ...options };
+    const labels = (session.groundTruth || []).filter(truth => truth.expectedTypes.includes(type));
+    const detections = anomalies
+      .filter(anomaly => anomaly.type === type)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const inLabel = (timestamp, label) => timestamp >= label.start && timestamp <= label.end + latency;
+
+    const detected = labels.filter(label => detections.some(d => inLabel(d.timestamp, label))).length;
+    const unexplained = detections.filter(d => !labels.some(label => inLabel(d.timestamp, label)));
+
+    let falseAlarms = 0;
+    let lastSeen = -Infinity;
+    unexplained.forEach(d => {
+      if (d.timestamp - lastSeen > alarmGap) falseAlarms++;
+      lastSeen = d.timestamp;
+    });
+
+    // Fixed windows clear of every label are the negatives for the ROC
+    let negativeWindows = 0;
+    let falseWindows = 0;
+    for (let start = session.startTime; start + window <= session.endTime; start += window) {
+      const end = start + window;
+      if (labels.some(label => label.start < end && label.end + latency > start)) continue;
+      negativeWindows++;
+      if (unexplained.some(d => d.timestamp >= start && d.timestamp < end)) falseWindows++;
+    }
+
+    return {
+      positives: labels.length,
+      detected,
+      falseAlarms,
+      negativeWindows,
+      falseWindows,
+      hours: (session.endTime - session.startTime) / 3600000
+    };
+  }
+
+  /**
+   * Combine session counts into rates
+   */
+  summarize(counts) {
+    const total = counts.reduce((sum, c) => {
+      Object.keys(c).forEach(key => { sum[key] = (sum[key] || 0) + c[key]; });
+      return sum;
+    }, {});
+
+    return {
+      ...total,
+      recall: total.positives > 0 ? total.detected / total.positives : null,
+      precision: total.detected + total.falseAlarms > 0
+        ? total.detected / (total.detected + total.falseAlarms)
+        : null,
+      falseAlarmsPerHour: total.hours > 0 ? total.falseAlarms / total.hours : null,
+      falsePositiveRate: total.negativeWindows > 0 ? total.falseWindows / total.negativeWindows : null
+    };
+  }
+
+  /**
+   * Area under the ROC curve (false-positive rate vs recall), trapezoidal,
+   * closed with (0, 0) and (1, 1)
+   */
+  auc(points) {
+    const curve = points
+      .filter(p => p.recall !== null && p.falsePositiveRate !== null)
+      .map(p => [p.falsePositiveRate, p.recall]);
+    if (curve.length === 0) return null;
+
+    curve.push([0, 0], [1, 1]);
+    curve.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    let area = 0;
+    for (let i = 1; i < curve.length; i++) {
+      area += (curve[i][0] - curve[i - 1][0]) * (curve[i][1] + curve[i - 1][1]) / 2;
+    }
+    return area;
+  }
+
+  /**
+   * Sweep one rule's setting over all sessions
+   * Returns { rule, setting, defaultValue, types: { [type]: { points, auc } } }
+   */
+  sweepRule(sessions, ruleName, { values, onProgress, ...options } = {}) {
+    const rule = RULES[ruleName];
+    if (!rule) throw new Error(`Unknown detector rule: ${ruleName}`);
+
+    const [group, key] = rule.setting;
+    const defaultValue = new AnomalyDetector()[group][key];
+    const sweep = values || rule.values;
+    const types = {};
+    rule.types.forEach(type => { types[type] = { points: [] }; });
+
+    sweep.forEach((value, index) => {
+      const counts = {};
+      rule.types.forEach(type => { counts[type] = []; });
+
+      sessions.forEach(session => {
+        const overrides = { ...rule.options, [group]: { [key]: value } };
+        const anomalies = this.runDetector(session, overrides, rule.sensors);
+        rule.types.forEach(type => {
+          counts[type].push(this.scoreSession(session, anomalies, type, options));
+        });
+      });
+
+      rule.types.forEach(type => {
+        types[type].points.push({ value, ...this.summarize(counts[type]) });
+      });
+
+      if (onProgress) onProgress(ruleName, index + 1, sweep.length);
+    });
+
+    Object.values(types).forEach(result => {
+      result.auc = this.auc(result.points);
+    });
+
+    return { rule: ruleName, setting: rule.setting.join('.'), defaultValue, stricter: rule.stricter, types };
+  }
+
+  /**
+   * Sweep every rule (or the named ones)
+   */
+  evaluate(sessions, { rules = Object.keys(RULES), ...options } = {}) {
+    return rules.map(ruleName => this.sweepRule(sessions, ruleName, options));
+  }
+}
+
+export default new DetectorEvaluation();
@@ -0,0 +1,129 @@
+/**
+ * Anomaly episodes
+ * Detector rules fire on every sample over threshold, so one sustained event
+ * (a magnet next to the phone, a 40 s resonance) arrives as a burst of
+ * identical anomalies. Triggers of the same type are merged into one episode
+ * until the type has been quiet for its cooldown. Pure, like AnomalyDetector,
+ * so live monitoring and replay group the same way.
+ */
+
+// Quiet time (ms) that ends an episode; must exceed the stream's sample interval
+const DEFAULT_COOLDOWNS = {
+  magnetic_anomaly: 10000,
+  magnetic_51: 10000,
+  pressure_anomaly: 30000,
+  gps_51: 60000,
+  gps_enhancement: 60000,
+  battery_777: 300000,
+  battery_increase: 300000,
+  frequency_match_acceleration: 10000,
+  frequency_match_rotation_matter: 10000,
+  frequency_match_rotation_consciousness: 10000,
+};
+
+const SIGNIFICANCE = ['low', 'medium', 'high', 'critical'];
+
+export default class EpisodeTracker {
+  constructor(config = {}) {
+    this.config = {
+      cooldown: 10000, // ms; types without their own cooldown
+      ...config,
+      cooldowns: { ...DEFAULT_COOLDOWNS, ...config.cooldowns }
+    };
+    this.active = {}; // open episode per type
+  }
+
+  reset() {
+    this.active = {};
+  }
+
+  cooldownFor(type) {
+    return this.config.cooldowns[type] || this.config.cooldown;
+  }
+
+  /**
+   * Add a trigger
+   * Returns { episode, opened, closed }: the episode it belongs to, whether
+   * that episode was just opened, and the previous episode of the type if the
+   * trigger came after its cooldown
+   */
+  add(anomaly) {
+    const timestamp = anomaly.timestamp || Date.now();
+    const closed = [];
+    let episode = this.active[anomaly.type];
+
+    if (episode && timestamp - episode.endTimestamp > this.cooldownFor(anomaly.type)) {
+      closed.push(this.close(anomaly.type));
+      episode = null;
+    }
+
+    if (!episode) {
+      episode = {
+        ...anomaly,
+        timestamp,
+        endTimestamp: timestamp,
+        peakValue: anomaly.value,
+        duration: 0,
+        sampleCount: 1
+      };
+      this.active[anomaly.type] = episode;
+      return { episode, opened: true, closed };
+    }
+
+    episode.endTimestamp = Math.max(episode.endTimestamp, timestamp);
+    episode.duration = episode.endTimestamp - episode.timestamp;
+    episode.sampleCount++;
+
+    if (SIGNIFICANCE.indexOf(anomaly.significance) > SIGNIFICANCE.indexOf(episode.significance)) {
+      episode.significance = anomaly.significance;
+    }
+
+    // The strongest trigger describes the episode
+    if (Math.abs(anomaly.value || 0) > Math.abs(episode.peakValue || 0)) {
+      episode.peakValue = anomaly.value;
+      episode.message = anomaly.message;
+      episode.data = anomaly.data;
+    }
+
+    return { episode, opened: false, closed };
+  }
+
+  close(type) {
+    const episode = this.active[type];
+    delete this.active[type];
+    return episode;
+  }
+
+  /**
+   * Close and return every episode quiet for longer than its cooldown
+   */
+  flush(now = Date.now()) {
+    return Object.keys(this.active)
+      .filter(type => now - this.active[type].endTimestamp > this.cooldownFor(type))
+      .map(type => this.close(type));
+  }
+
+  /**
+   * Close and return every open episode
+   */
+  closeAll() {
+    return Object.keys(this.active).map(type => this.close(type));
+  }
+
+  /**
+   * Group a list of anomalies (sorted by time) into episodes
+   */
+  group(anomalies) {
+    const episodes = [];
+    anomalies.forEach(anomaly => {
+      const { episode, opened } = this.add(anomaly);
+      if (opened) episodes.push(episode);
+    });
+    this.reset();
+    return episodes;
+  }
+
+  getActive() {
+    return Object.values(this.active);
+  }
+}
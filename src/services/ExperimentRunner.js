@@ -0,0 +1,280 @@
+import DatabaseService from './DatabaseService';
+import State51Generator from './State51Generator';
+import Statistics from './Statistics';
+import TimeService from './TimeService';
+
+const ARM_SHAM = 'sham';
+const ARM_ACTIVE = 'active';
+
+/**
+ * Randomized, blinded A/B experiment runner
+ * Schedules sham and active State 51 generation blocks in random order and
+ * keeps the running arm hidden until the experiment is unblinded
+ */
+class ExperimentRunner {
+  constructor() {
+    this.isRunning = false;
+    this.experiment = null;
+    this.blockTimer = null;
+    this.lastResults = null;
+
+    // Defaults for a new experiment
+    this.defaults = {
+      blockCount: 8, // must be even (one sham + one active per pair)
+      blockMinutes: 15,
+      washoutMinutes: 2, // idle gap after each block, excluded from counts
+    };
+  }
+
+  /**
+   * Build a balanced random schedule: every consecutive pair of blocks
+   * holds one sham and one active block in random order
+   */
+  createSchedule(blockCount) {
+    const schedule = [];
+    for (let i = 0; i < blockCount / 2; i++) {
+      const pair = Math.random() < 0.5
+        ? [ARM_SHAM, ARM_ACTIVE]
+        : [ARM_ACTIVE, ARM_SHAM];
+      schedule.push(...pair);
+    }
+    return schedule;
+  }
+
+  /**
+   * Start a new blinded experiment
+   */
+  async startExperiment(options = {}) {
+    if (this.isRunning) return this.getStatus();
+
+    const config = { ...this.defaults, ...options };
+    if (config.blockCount < 2 || config.blockCount % 2 !== 0) {
+      throw new Error('Block count must be an even number of at least 2');
+    }
+
+    if (State51Generator.isActive) {
+      await State51Generator.stopGeneration();
+    }
+
+    this.experiment = {
+      id: `exp_${TimeService.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      startedAt: TimeService.now(),
+      config,
+      schedule: this.createSchedule(config.blockCount),
+      currentBlock: 0,
+      blockStart: null,
+      blockEndsAt: null,
+      notes: config.notes || ''
+    };
+    this.isRunning = true;
+    this.lastResults = null;
+
+    console.log(`Blinded experiment ${this.experiment.id} started (${config.blockCount} blocks)`);
+
+    await this.runBlock();
+    return this.getStatus();
+  }
+
+  /**
+   * Start the current block of the schedule
+   */
+  async runBlock() {
+    const experiment = this.experiment;
+    const arm = experiment.schedule[experiment.currentBlock];
+    const duration = experiment.config.blockMinutes * 60000;
+
+    experiment.blockStart = TimeService.now();
+    experiment.blockEndsAt = experiment.blockStart + duration;
+
+    if (arm === ARM_ACTIVE) {
+      State51Generator.startGeneration(null, 'experiment').catch(error => {
+        console.error('Experiment generation error:', error);
+      });
+    }
+
+    this.blockTimer = setTimeout(() => this.finishBlock().catch(error => this.abortOnError(error)), duration);
+  }
+
+  /**
+   * Close the current block, record it and move on to the next one
+   */
+  async finishBlock(aborted = false) {
+    const experiment = this.experiment;
+    const index = experiment.currentBlock;
+    const arm = experiment.schedule[index];
+    const endTime = TimeService.now();
+
+    clearTimeout(this.blockTimer);
+    this.blockTimer = null;
+
+    if (arm === ARM_ACTIVE) {
+      await State51Generator.stopGeneration();
+    }
+
+    try {
+      await this.recordBlock(experiment, index, arm, experiment.blockStart, endTime, aborted);
+    } catch (error) {
+      console.error('Error recording experiment block:', error);
+    }
+
+    experiment.currentBlock += 1;
+
+    if (aborted || experiment.currentBlock >= experiment.schedule.length) {
+      await this.completeExperiment(aborted);
+      return;
+    }
+
+    // Washout gap before the next block so carry-over is not counted
+    const washout = experiment.config.washoutMinutes * 60000;
+    experiment.blockStart = null;
+    experiment.blockEndsAt = TimeService.now() + washout;
+    this.blockTimer = setTimeout(() => this.runBlock().catch(error => this.abortOnError(error)), washout);
+  }
+
+  /**
+   * A block timer's step failed: log it and end the experiment as aborted
+   */
+  async abortOnError(error) {
+    console.error('Experiment error, aborting:', error);
+    if (!this.isRunning) return;
+
+    clearTimeout(this.blockTimer);
+    this.blockTimer = null;
+    try {
+      await State51Generator.stopGeneration();
+      await this.completeExperiment(true);
+    } catch (abortError) {
+      console.error('Error aborting experiment:', abortError);
+      this.isRunning = false;
+      this.experiment = null;
+    }
+  }
+
+  /**
+   * Save a finished block to the experiments table
+   */
+  async recordBlock(experiment, index, arm, startTime, endTime, aborted) {
+    const anomalies = await DatabaseService.getAnomalies(startTime, endTime);
+
+    await DatabaseService.saveExperiment({
+      timestamp: startTime,
+      duration: endTime - startTime,
+      state51Active: arm === ARM_ACTIVE,
+      anomaliesDetected: anomalies.length,
+      notes: experiment.notes,
+      data: {
+        experimentId: experiment.id,
+        blockIndex: index,
+        blockCount: experiment.schedule.length,
+        arm,
+        endTime,
+        aborted
+      }
+    });
+  }
+
+  /**
+   * Finish the experiment and unblind the results
+   */
+  async completeExperiment(aborted) {
+    const experimentId = this.experiment.id;
+
+    this.isRunning = false;
+    this.experiment = null;
+
+    console.log(`Blinded experiment ${experimentId} ${aborted ? 'aborted' : 'completed'}`);
+
+    this.lastResults = await this.getResults(experimentId);
+    return this.lastResults;
+  }
+
+  /**
+   * Stop the running experiment early; the partial block is kept
+   */
+  async stopExperiment() {
+    if (!this.isRunning) return null;
+
+    if (this.experiment.blockStart) {
+      return this.finishBlock(true);
+    }
+
+    // Stopped during a washout gap
+    clearTimeout(this.blockTimer);
+    this.blockTimer = null;
+    return this.completeExperiment(true);
+  }
+
+  /**
+   * Unblinded per-arm results for a finished experiment
+   */
+  async getResults(experimentId) {
+    if (this.isRunning && this.experiment.id === experimentId) {
+      throw new Error('Results stay blinded until the experiment has finished');
+    }
+
+    const experiments = await DatabaseService.getExperiments();
+    const blocks = experiments
+      .filter(e => e.data && e.data.experimentId === experimentId)
+      .sort((a, b) => a.data.blockIndex - b.data.blockIndex);
+
+    const arms = {};
+    [ARM_SHAM, ARM_ACTIVE].forEach(arm => {
+      const armBlocks = blocks.filter(b => b.data.arm === arm);
+      const anomalies = armBlocks.reduce((sum, b) => sum + b.anomalies_detected, 0);
+      const hours = armBlocks.reduce((sum, b) => sum + b.duration, 0) / 3600000;
+
+      arms[arm] = {
+        blocks: armBlocks.length,
+        anomalies,
+        hours,
+        anomalyRate: hours > 0 ? anomalies / hours : 0, // per hour
+        blockRates: armBlocks.map(b =>
+          b.duration > 0 ? b.anomalies_detected / (b.duration / 3600000) : 0
+        )
+      };
+    });
+
+    // Blocks are the experimental units: compare per-block anomaly rates
+    const activeRates = arms[ARM_ACTIVE].blockRates;
+    const shamRates = arms[ARM_SHAM].blockRates;
+    const test = Statistics.permutationTest(activeRates, shamRates);
+
+    return {
+      experimentId,
+      startedAt: blocks.length > 0 ? blocks[0].timestamp : null,
+      blockCount: blocks.length,
+      aborted: blocks.some(b => b.data.aborted),
+      sequence: blocks.map(b => b.data.arm),
+      arms,
+      rateDifference: arms[ARM_ACTIVE].anomalyRate - arms[ARM_SHAM].anomalyRate,
+      test,
+      rankTest: Statistics.mannWhitney(activeRates, shamRates),
+      effect: Statistics.classify(test, test.difference)
+    };
+  }
+
+  /**
+   * Blinded status: never exposes which arm is running
+   */
+  getStatus() {
+    if (!this.isRunning) {
+      return {
+        isRunning: false,
+        lastResults: this.lastResults
+      };
+    }
+
+    const experiment = this.experiment;
+    return {
+      isRunning: true,
+      experimentId: experiment.id,
+      currentBlock: experiment.currentBlock + 1,
+      totalBlocks: experiment.schedule.length,
+      inWashout: experiment.blockStart === null,
+      blockEndsAt: experiment.blockEndsAt,
+      startedAt: experiment.startedAt
+    };
+  }
+}
+
+export default new ExperimentRunner();
@@ -0,0 +1,364 @@
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as Device from 'expo-device';
+import DatabaseService, { LOCAL_DEVICE } from './DatabaseService';
+import { SCHEMA_VERSION } from './SchemaMigrations';
+import ZipWriter from './ZipWriter';
+import { encodeColumns } from './ColumnarCodec';
+import { bytesToBase64 } from './Base64';
+
+export const EXPORT_FORMAT = 'state51-export';
+export const EXPORT_VERSION = 2; // 2: rows and manifest carry device ids
+
+// Tables included by default; raw recordings have their own replay path
+export const EXPORT_TABLES = [
+  'anomalies',
+  'scans',
+  'experiments',
+  'daily_reports',
+  'generation_sessions',
+  'generation_pulses', // session_id is the exporting device's generation_sessions source_id
+  'scan_rollups_hourly',
+  'scan_rollups_daily',
+];
+
+// File extension per format
+const EXTENSIONS = {
+  csv: 'csv',
+  jsonl: 'jsonl',
+  columnar: 's51c',
+};
+
+const PAGE_SIZE = 1000;
+
+// Largest archive written in one call on native; bigger exports are split
+export const PART_SIZE = 16 * 1024 * 1024; // bytes
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV lines; the header row is included unless `header` is false
+ */
+export function toCsv(rows, columns, header = true) {
+  const lines = header ? [columns.map(csvField).join(',')] : [];
+  rows.forEach(row => {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  });
+  return lines.length > 0 ? lines.join('\r\n') + '\r\n' : '';
+}
+
+/**
+ * One JSON object per line
+ */
+export function toJsonLines(rows) {
+  return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+/**
+ * Give rows recorded here the device's id, and keep each row's original id
+ * in source_id, so other devices can merge and dedupe them
+ */
+function stampRows(rows, deviceId) {
+  return rows.map(row => ({
+    ...row,
+    device_id: row.device_id === LOCAL_DEVICE ? deviceId : row.device_id,
+    source_id: row.source_id === null ? row.id : row.source_id
+  }));
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Export cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+/**
+ * Collects archive chunks as base64, carrying 0-2 bytes between chunks so
+ * the parts join into one valid string; finish() returns it and starts over
+ */
+function createBase64Sink() {
+  let parts = [];
+  let carry = new Uint8Array(0);
+
+  return {
+    write(bytes) {
+      const joined = new Uint8Array(carry.length + bytes.length);
+      joined.set(carry);
+      joined.set(bytes, carry.length);
+      const aligned = joined.length - (joined.length % 3);
+      parts.push(bytesToBase64(joined.subarray(0, aligned)));
+      carry = joined.slice(aligned);
+    },
+    finish() {
+      parts.push(bytesToBase64(carry));
+      const base64 = parts.join('');
+      parts = [];
+      carry = new Uint8Array(0);
+      return base64;
+    }
+  };
+}
+
+/**
+ * One manifest for a split export: each file's rows and bytes summed over
+ * the parts
+ */
+function mergeManifests(manifests) {
+  const files = [];
+  manifests.forEach(manifest => manifest.files.forEach(file => {
+    const merged = files.find(f => f.path === file.path);
+    if (merged) {
+      merged.rows += file.rows;
+      merged.bytes += file.bytes;
+    } else {
+      const { crc32, ...rest } = file;
+      files.push(rest);
+    }
+  }));
+
+  const { part, ...first } = manifests[0];
+  return { ...first, parts: manifests.length, files };
+}
+
+/**
+ * Research data export
+ * Writes the selected tables in each requested format into one zip with a
+ * manifest.json (filters, row counts, sizes and CRC-32 per file), then hands
+ * the file to the share sheet, or downloads it in the browser.
+ *
+ * Rows are read a page at a time and encoded straight into the archive, so
+ * the database is never loaded into memory as objects; only the encoded
+ * archive is held. expo-file-system 15 cannot append to a file, so on
+ * native an export over PART_SIZE is split into several archives, each a
+ * complete export (own manifest, importable on its own) written in one call.
+ */
+class ExportService {
+  constructor() {
+    this.defaults = {
+      tables: EXPORT_TABLES,
+      formats: ['csv', 'jsonl', 'columnar'],
+      startTime: null, // ms, inclusive; null = from the beginning
+      endTime: null, // ms, inclusive; null = now
+      types: null, // anomaly types to include; null = all
+      pageSize: PAGE_SIZE,
+      onProgress: null, // ({ table, format, rowsDone, rowsTotal, fraction }) => void
+      signal: null, // AbortSignal; aborting rejects with an AbortError
+      onChunk: null, // receives the archive bytes as they are written
+      partSize: null, // bytes; start a new archive past this size (null = one archive)
+      onPart: null, // awaited with each finished part { number, fileName, size, chunks, manifest }
+    };
+  }
+
+  /**
+   * Build the export archive
+   * Returns { fileName, size, chunks, manifest, parts }; `chunks` is empty
+   * when an onChunk callback consumed the bytes. With `partSize` the export
+   * may be split: `parts` lists each archive ({ number, fileName, size,
+   * chunks, manifest }) and `manifest` sums their files.
+   */
+  async buildArchive(options = {}) {
+    const config = { ...this.defaults, ...options };
+    config.formats.forEach(format => {
+      if (!EXTENSIONS[format]) throw new Error(`Unknown export format: ${format}`);
+    });
+    const { signal, onProgress, pageSize } = config;
+    throwIfAborted(signal);
+
+    const createdAt = new Date();
+    const stamp = createdAt.toISOString().replace(/[:.]/g, '-');
+    const parts = [];
+    let zip = new ZipWriter(config.onChunk);
+    let files = [];
+    const local = await DatabaseService.getLocalDevice();
+    const device = {
+      id: local.id,
+      name: Device.deviceName || Device.modelName || Platform.OS,
+      platform: Platform.OS
+    };
+    const devices = (await DatabaseService.getDevices())
+      .filter(d => !d.local)
+      .map(({ id, name, platform }) => ({ id, name, platform }));
+
+    const counts = {};
+    for (const table of config.tables) {
+      counts[table] = await DatabaseService.countRows(table, config);
+    }
+    const rowsTotal = config.formats.length * Object.values(counts).reduce((sum, n) => sum + n, 0);
+    let rowsDone = 0;
+
+    const report = (table, format) => {
+      if (onProgress) {
+        onProgress({ table, format, rowsDone, rowsTotal, fraction: rowsTotal > 0 ? rowsDone / rowsTotal : 1 });
+      }
+    };
+
+    const manifestBase = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      schemaVersion: SCHEMA_VERSION,
+      createdAt: createdAt.toISOString(),
+      platform: Platform.OS,
+      device,
+      devices: [device, ...devices],
+      filters: {
+        startTime: config.startTime,
+        endTime: config.endTime,
+        types: config.types
+      }
+    };
+
+    // Finish the current archive; a split export's parts are numbered
+    const closePart = async last => {
+      const number = parts.length + 1;
+      const manifest = { ...manifestBase, part: { number, last }, files };
+      zip.addFile('manifest.json', JSON.stringify(manifest, null, 2), createdAt);
+      zip.finish();
+
+      const suffix = number > 1 || !last ? `-part${number}` : '';
+      const part = { number, fileName: `state51-export-${stamp}${suffix}.zip`, size: zip.offset, chunks: zip.chunks, manifest };
+      parts.push(part);
+      if (config.onPart) await config.onPart(part);
+    };
+    const isFull = () => config.partSize && zip.offset >= config.partSize;
+
+    for (const table of config.tables) {
+      const columns = await DatabaseService.getTableColumns(table);
+      const stamped = columns.includes('device_id');
+
+      for (const format of config.formats) {
+        const path = `${format}/${table}.${EXTENSIONS[format]}`;
+        let rows = 0;
+
+        zip.beginFile(path, createdAt);
+        if (format === 'csv') zip.write(toCsv([], columns));
+        report(table, format);
+
+        await DatabaseService.forEachPage(table, config, async rowsPage => {
+          throwIfAborted(signal);
+
+          // Continue this file in the next part
+          if (rows > 0 && isFull()) {
+            const entry = zip.endFile();
+            files.push({ path, table, format, rows, bytes: entry.size, crc32: entry.crc });
+            await closePart(false);
+            zip = new ZipWriter(config.onChunk);
+            files = [];
+            rows = 0;
+            zip.beginFile(path, createdAt);
+            if (format === 'csv') zip.write(toCsv([], columns));
+          }
+
+          const page = stamped ? stampRows(rowsPage, device.id) : rowsPage;
+          if (format === 'csv') {
+            zip.write(toCsv(page, columns, false));
+          } else if (format === 'jsonl') {
+            zip.write(toJsonLines(page));
+          } else {
+            zip.write(encodeColumns(table, page, columns));
+          }
+          rows += page.length;
+          rowsDone += page.length;
+          report(table, format);
+        }, pageSize);
+
+        // Empty tables still get a readable columnar file
+        if (format === 'columnar' && rows === 0) zip.write(encodeColumns(table, [], columns));
+
+        const entry = zip.endFile();
+        files.push({ path, table, format, rows, bytes: entry.size, crc32: entry.crc });
+      }
+    }
+
+    await closePart(true);
+
+    if (parts.length === 1) {
+      const [{ number, ...archive }] = parts;
+      return { ...archive, parts };
+    }
+    return {
+      fileName: parts[0].fileName,
+      size: parts.reduce((sum, part) => sum + part.size, 0),
+      chunks: [],
+      manifest: mergeManifests(parts.map(part => part.manifest)),
+      parts
+    };
+  }
+
+  /**
+   * Build the archive and save it to the cache directory (native only),
+   * one file per part of at most about `partSize` bytes (PART_SIZE)
+   * Returns { uri, fileName, size, chunks, manifest, parts } with a uri
+   * on every part
+   */
+  async createExport(options = {}) {
+    if (Platform.OS === 'web') return this.buildArchive(options);
+
+    const sink = createBase64Sink();
+    const archive = await this.buildArchive({
+      partSize: PART_SIZE,
+      ...options,
+      onChunk: bytes => sink.write(bytes),
+      onPart: async part => {
+        part.uri = `${FileSystem.cacheDirectory}${part.fileName}`;
+        await FileSystem.writeAsStringAsync(part.uri, sink.finish(), {
+          encoding: FileSystem.EncodingType.Base64
+        });
+      }
+    });
+    throwIfAborted(options.signal);
+
+    return { ...archive, uri: archive.parts[0].uri };
+  }
+
+  /**
+   * Open the share sheet for an export, or download it on web; a split
+   * export is shared one part after the other
+   */
+  async shareExport(archive) {
+    const { parts } = archive;
+
+    if (Platform.OS === 'web') {
+      parts.forEach(part => {
+        const url = URL.createObjectURL(new Blob(part.chunks, { type: 'application/zip' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = part.fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+      });
+      return;
+    }
+
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error(`Sharing is not available; the export was saved to ${parts.map(part => part.uri).join(', ')}`);
+    }
+
+    for (const part of parts) {
+      await Sharing.shareAsync(part.uri, {
+        mimeType: 'application/zip',
+        dialogTitle: parts.length > 1
+          ? `Export State 51 data (part ${part.number} of ${parts.length})`
+          : 'Export State 51 data',
+        UTI: 'public.zip-archive'
+      });
+    }
+  }
+
+  /**
+   * Create and share in one step
+   */
+  async exportAndShare(options = {}) {
+    const archive = await this.createExport(options);
+    await this.shareExport(archive);
+    return archive;
+  }
+}
+
+export default new ExportService();
@@ -0,0 +1,210 @@
+import DatabaseService from './DatabaseService';
+import State51Generator from './State51Generator';
+
+// What a session notes about each pattern it ran (the library copy may change later)
+const patternEntry = (time, { id, name, ...definition }) => ({ time, id, name, definition });
+
+// Running jitter statistics of one channel (Welford)
+const emptyTiming = () => ({ pulses: 0, missed: 0, mean: 0, m2: 0, min: Infinity, max: -Infinity });
+
+function addJitter(timing, jitter) {
+  timing.pulses++;
+  const delta = jitter - timing.mean;
+  timing.mean += delta / timing.pulses;
+  timing.m2 += delta * (jitter - timing.mean);
+  timing.min = Math.min(timing.min, jitter);
+  timing.max = Math.max(timing.max, jitter);
+}
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Per channel { pulses, missed, mean, sd, min, max } (jitter in ms)
+ */
+function summarizeTiming(timing) {
+  const summary = {};
+  Object.entries(timing).forEach(([channel, t]) => {
+    summary[channel] = t.pulses === 0
+      ? { pulses: 0, missed: t.missed, mean: null, sd: null, min: null, max: null }
+      : {
+        pulses: t.pulses,
+        missed: t.missed,
+        mean: round(t.mean),
+        sd: round(t.pulses > 1 ? Math.sqrt(t.m2 / (t.pulses - 1)) : 0),
+        min: round(t.min),
+        max: round(t.max)
+      };
+  });
+  return summary;
+}
+
+/**
+ * Generation session log
+ * Records every State51Generator run in `generation_sessions` (source,
+ * channels, pattern, timing, reconfigurations) with each output pulse in
+ * `generation_pulses`, and tells scans and anomalies which session, if
+ * any, was running when they were recorded
+ *
+ * Pulses keep their planned onset and jitter (measured minus planned, ms);
+ * each session's `data.timing` holds per-channel jitter statistics and
+ * the pulses missed because their slot had passed.
+ */
+class GenerationLog {
+  constructor() {
+    this.session = null;
+    this.pulses = [];
+    this.lastTiming = {}; // jitter statistics of the last closed session
+    this.flushTimer = null;
+    this.pending = Promise.resolve(); // session writes, in event order
+
+    this.flushInterval = 30000; // write buffered pulses at least this often
+
+    State51Generator.subscribe(event => this.handle(event));
+  }
+
+  handle(event) {
+    if (event.type === 'pulse') {
+      this.recordPulse(event);
+      return null;
+    }
+    if (event.type === 'miss') {
+      this.recordMiss(event);
+      return null;
+    }
+
+    const handlers = {
+      start: () => this.openSession(event),
+      configure: () => this.reconfigure(event),
+      stop: () => this.closeSession(event)
+    };
+    if (!handlers[event.type]) return null;
+
+    // Starting waits for the row id, so the first scans already carry it
+    return this.enqueue(handlers[event.type]);
+  }
+
+  enqueue(task) {
+    this.pending = this.pending
+      .then(task)
+      .catch(error => console.error('Error logging generation session:', error));
+    return this.pending;
+  }
+
+  async openSession({ time, source, settings }) {
+    if (this.session) {
+      await this.closeSession({ time });
+    }
+
+    const { channels, ...parameters } = settings;
+    const session = {
+      startedAt: time,
+      source,
+      channels,
+      parameters,
+      patternId: parameters.pattern.id,
+      pulseCount: 0,
+      data: { reconfigurations: [], patterns: [patternEntry(time, parameters.pattern)] }
+    };
+    session.id = await DatabaseService.createGenerationSession(session);
+    session.timing = {};
+    this.session = session;
+    this.pulses = [];
+    this.flushTimer = setInterval(() => this.enqueue(() => this.flush()), this.flushInterval);
+  }
+
+  recordPulse({ time, channel, plannedAt, jitter }) {
+    if (!this.session) return;
+
+    this.session.pulseCount++;
+    this.pulses.push({ sessionId: this.session.id, channel, timestamp: time, plannedAt, jitter });
+    addJitter(this.channelTiming(channel), jitter);
+  }
+
+  recordMiss({ channel }) {
+    if (!this.session) return;
+    this.channelTiming(channel).missed++;
+  }
+
+  channelTiming(channel) {
+    const { timing } = this.session;
+    if (!timing[channel]) timing[channel] = emptyTiming();
+    return timing[channel];
+  }
+
+  /**
+   * Keep the latest settings on the session and note when they changed;
+   * `data.patterns` lists every pattern the session ran
+   */
+  async reconfigure({ time, settings }) {
+    if (!this.session) return;
+
+    const { channels, ...parameters } = settings;
+    const { data } = this.session;
+    const current = data.patterns[data.patterns.length - 1];
+    if (JSON.stringify(patternEntry(current.time, parameters.pattern)) !== JSON.stringify(current)) {
+      data.patterns.push(patternEntry(time, parameters.pattern));
+    }
+
+    this.session.channels = channels;
+    this.session.parameters = parameters;
+    this.session.patternId = parameters.pattern.id;
+    data.reconfigurations.push({ time, channels, ...parameters });
+    await this.flush();
+  }
+
+  async closeSession({ time }) {
+    if (!this.session) return;
+
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    const session = this.session;
+    session.endedAt = time;
+    try {
+      await this.flush();
+    } finally {
+      this.session = null;
+      this.lastTiming = summarizeTiming(session.timing);
+    }
+
+    console.log(`Generation session ${session.id} closed (${session.pulseCount} pulses)`);
+  }
+
+  /**
+   * Write buffered pulses and the session's running totals
+   */
+  async flush() {
+    const session = this.session;
+    if (!session) return;
+
+    const pulses = this.pulses;
+    this.pulses = [];
+
+    if (pulses.length > 0) {
+      await DatabaseService.saveGenerationPulses(pulses);
+    }
+    session.data.timing = summarizeTiming(session.timing);
+    await DatabaseService.updateGenerationSession(session.id, session);
+  }
+
+  /**
+   * Generation state to stamp on a scan or anomaly recorded now
+   */
+  getState() {
+    return {
+      state51Active: this.session !== null,
+      generationSessionId: this.session ? this.session.id : null
+    };
+  }
+
+  getStatus() {
+    return {
+      sessionId: this.session ? this.session.id : null,
+      startedAt: this.session ? this.session.startedAt : null,
+      pulseCount: this.session ? this.session.pulseCount : 0,
+      // Finished sessions only: live figures would reveal a blinded block's arm
+      lastTiming: this.lastTiming
+    };
+  }
+}
+
+export default new GenerationLog();
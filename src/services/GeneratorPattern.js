@@ -0,0 +1,166 @@
+/**
+ * Generator patterns
+ * A pattern is the bit sequence State51Generator plays on every channel:
+ *   format        'binary' (value '110011') or 'decimal' (value 51)
+ *   bits          decimal only: zero-pad to this many bits (0 = as few as needed)
+ *   encoding      'nrz' (one level per bit) or 'manchester' (IEEE 802.3:
+ *                 a 0 falls and a 1 rises mid-bit)
+ *   bitDurations  ms per bit, repeated over the bits when shorter;
+ *                 [] = the profile's pulse width for every bit
+ *   repeat        { count, gap, pause }: plays per cycle, ms between plays
+ *                 and s after the cycle (null = the profile's beat period)
+ * The library is the `patterns` table (see DatabaseService); the selected
+ * pattern is copied into the generator profile.
+ */
+export const PATTERN_FORMATS = ['binary', 'decimal'];
+export const ENCODINGS = ['nrz', 'manchester'];
+
+// Narrowest pulse (ms) and shortest pause between cycles (s) accepted
+export const MIN_PULSE_WIDTH = 20;
+export const MIN_BEAT_PERIOD = 1;
+
+const MAX_BITS = 64;
+const MAX_REPEAT = 100;
+
+// Built-in pattern (row 1 of `patterns`, seeded by schema migration 9)
+export const DEFAULT_PATTERN = {
+  id: 1,
+  name: 'State 51',
+  format: 'binary',
+  value: '110011',
+  bits: 0,
+  encoding: 'nrz',
+  bitDurations: [],
+  repeat: { count: 1, gap: 0, pause: null }
+};
+
+/**
+ * Validate a pattern and fill in defaults; throws on invalid values
+ */
+export function normalizePattern(pattern) {
+  const name = String(pattern.name || '').trim();
+  if (!name) {
+    throw new Error('Pattern name is required');
+  }
+
+  const format = pattern.format || 'binary';
+  if (!PATTERN_FORMATS.includes(format)) {
+    throw new Error(`Unknown pattern format: ${format} (use ${PATTERN_FORMATS.join(', ')})`);
+  }
+
+  const encoding = pattern.encoding || 'nrz';
+  if (!ENCODINGS.includes(encoding)) {
+    throw new Error(`Unknown encoding: ${encoding} (use ${ENCODINGS.join(', ')})`);
+  }
+
+  const text = String(pattern.value === undefined || pattern.value === null ? '' : pattern.value).replace(/\s/g, '');
+  let value;
+  let bits = 0;
+  if (format === 'binary') {
+    value = text;
+    if (!/^[01]+$/.test(value) || value.length > MAX_BITS) {
+      throw new Error(`Binary pattern must be 1 to ${MAX_BITS} digits of 0 and 1`);
+    }
+  } else {
+    value = text === '' ? NaN : Number(text);
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error('Decimal pattern must be a whole number of 0 or more');
+    }
+    bits = Number(pattern.bits || 0);
+    if (!Number.isInteger(bits) || bits < 0 || bits > MAX_BITS) {
+      throw new Error(`Bit count must be between 0 and ${MAX_BITS}`);
+    }
+    const needed = value.toString(2).length;
+    if (bits > 0 && bits < needed) {
+      throw new Error(`${value} needs ${needed} bits`);
+    }
+  }
+
+  const bitDurations = (pattern.bitDurations || []).map(Number);
+  if (bitDurations.some(duration => !(duration >= MIN_PULSE_WIDTH))) {
+    throw new Error(`Bit durations must be at least ${MIN_PULSE_WIDTH} ms`);
+  }
+
+  const repeat = { ...DEFAULT_PATTERN.repeat, ...pattern.repeat };
+  const count = Number(repeat.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_REPEAT) {
+    throw new Error(`Repeat count must be between 1 and ${MAX_REPEAT}`);
+  }
+  const gap = Number(repeat.gap || 0);
+  if (!(gap >= 0)) {
+    throw new Error('Repeat gap must be 0 ms or more');
+  }
+  const pause = repeat.pause === null || repeat.pause === '' || repeat.pause === undefined
+    ? null
+    : Number(repeat.pause);
+  if (pause !== null && !(pause >= MIN_BEAT_PERIOD)) {
+    throw new Error(`Pause must be at least ${MIN_BEAT_PERIOD} s`);
+  }
+
+  return {
+    id: pattern.id || null,
+    name,
+    format,
+    value,
+    bits,
+    encoding,
+    bitDurations,
+    repeat: { count, gap, pause }
+  };
+}
+
+/**
+ * Bits of a normalized pattern, most significant first
+ */
+export function patternBits(pattern) {
+  const binary = pattern.format === 'decimal'
+    ? pattern.value.toString(2).padStart(pattern.bits, '0')
+    : pattern.value;
+  return binary.split('').map(Number);
+}
+
+/**
+ * Decimal value of a pattern's bits (null above 53 bits)
+ */
+export function patternDecimal(pattern) {
+  const bits = patternBits(pattern);
+  return bits.length > 53 ? null : parseInt(bits.join(''), 2);
+}
+
+/**
+ * One play of a pattern as output steps { bit, index, level, duration }
+ * `pulseWidth` is the bit duration where the pattern sets none; every step
+ * is widened to at least `minStep` ms (Manchester bits to twice that)
+ */
+export function compilePattern(pattern, { pulseWidth, minStep = 0 }) {
+  const halves = pattern.encoding === 'manchester' ? 2 : 1;
+  const durations = pattern.bitDurations;
+
+  return patternBits(pattern).flatMap((bit, index) => {
+    const duration = Math.max(
+      durations.length > 0 ? durations[index % durations.length] : pulseWidth,
+      minStep * halves
+    );
+    if (halves === 1) {
+      return [{ bit, index, level: bit, duration }];
+    }
+    return [
+      { bit, index, level: 1 - bit, duration: duration / 2 },
+      { bit, index, level: bit, duration: duration / 2 }
+    ];
+  });
+}
+
+/**
+ * Short summary, e.g. "110011 (51) · NRZ · ×3"
+ */
+export function describePattern(pattern) {
+  const decimal = patternDecimal(pattern);
+  const parts = [
+    `${patternBits(pattern).join('')}${decimal !== null ? ` (${decimal})` : ''}`,
+    pattern.encoding === 'manchester' ? 'Manchester' : 'NRZ'
+  ];
+  if (pattern.bitDurations.length > 0) parts.push(`${pattern.bitDurations.join('/')} ms`);
+  if (pattern.repeat.count > 1) parts.push(`×${pattern.repeat.count}`);
+  return parts.join(' · ');
+}
@@ -0,0 +1,182 @@
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as DocumentPicker from 'expo-document-picker';
+import DatabaseService, { DEVICE_TABLES } from './DatabaseService';
+import { SCHEMA_VERSION } from './SchemaMigrations';
+import { EXPORT_FORMAT, EXPORT_VERSION } from './ExportService';
+import ZipReader from './ZipReader';
+import { decodeColumns } from './ColumnarCodec';
+import { decodeUtf8 } from './TextEncoding';
+import { base64ToBytes } from './Base64';
+
+// Formats that keep value types, in order of preference; CSV is not read back
+const READABLE_FORMATS = ['columnar', 'jsonl'];
+
+const MAX_REPORTED_ERRORS = 5;
+const MAX_ROW_ERRORS = 100; // per file; validation stops there
+
+/**
+ * Import of other devices' export bundles
+ * Reads a zip written by ExportService, checks the manifest and every row
+ * against the local schema, and merges anomalies, scans, experiments and
+ * daily reports tagged with the device that recorded them. Rows are keyed
+ * by (device_id, source_id), so importing the same or overlapping bundles
+ * again adds nothing twice, and this device's own rows coming back through
+ * another device's export are skipped.
+ */
+class ImportService {
+  /**
+   * Let the user choose an export zip; resolves with its bytes, or null
+   * when the picker was cancelled
+   */
+  async pickBundle() {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: ['application/zip', 'application/x-zip-compressed'],
+      copyToCacheDirectory: true
+    });
+    if (result.canceled || !result.assets || result.assets.length === 0) return null;
+
+    const { uri, name } = result.assets[0];
+    if (Platform.OS === 'web') {
+      const response = await fetch(uri);
+      return { name, bytes: new Uint8Array(await response.arrayBuffer()) };
+    }
+
+    const base64 = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+    return { name, bytes: base64ToBytes(base64) };
+  }
+
+  /**
+   * Read and validate a bundle without touching the database
+   * Returns { manifest, device, devices, tables, summary } where tables maps
+   * each importable table to { columns, rows } and summary lists
+   * { table, rows, own } per table; throws listing what failed validation
+   */
+  async readBundle(bytes) {
+    const zip = new ZipReader(bytes);
+    if (!zip.has('manifest.json')) {
+      throw new Error('Not a State 51 export: manifest.json is missing');
+    }
+
+    const manifest = JSON.parse(zip.readText('manifest.json'));
+    this.checkManifest(manifest);
+
+    const local = await DatabaseService.getLocalDevice();
+    const tables = {};
+    const summary = [];
+    const errors = [];
+
+    for (const table of DEVICE_TABLES) {
+      const file = READABLE_FORMATS
+        .map(format => manifest.files.find(f => f.table === table && f.format === format))
+        .find(Boolean);
+      if (!file) continue;
+
+      const { columns, rows } = this.readFile(zip, file);
+      if (rows.length !== file.rows) {
+        errors.push(`${file.path}: ${rows.length} rows, manifest says ${file.rows}`);
+      }
+
+      const schema = await DatabaseService.getTableInfo(table);
+      errors.push(...this.checkRows(file.path, schema, columns, rows));
+
+      tables[table] = { columns, rows };
+      summary.push({ table, rows: rows.length, own: rows.filter(row => row.device_id === local.id).length });
+    }
+
+    if (errors.length > 0) {
+      const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+      if (errors.length > shown.length) shown.push(`…and ${errors.length - shown.length} more`);
+      throw new Error(`Export failed validation:\n${shown.join('\n')}`);
+    }
+
+    return { manifest, device: manifest.device, devices: manifest.devices || [manifest.device], tables, summary };
+  }
+
+  checkManifest(manifest) {
+    if (!manifest || manifest.format !== EXPORT_FORMAT) {
+      throw new Error('Not a State 51 export');
+    }
+    if (manifest.version < EXPORT_VERSION) {
+      throw new Error(`Export format v${manifest.version} has no device ids; export again with this app version`);
+    }
+    if (manifest.version > EXPORT_VERSION || manifest.schemaVersion > SCHEMA_VERSION) {
+      throw new Error('Exported by a newer app version; update the app to import it');
+    }
+    if (!manifest.device || typeof manifest.device.id !== 'string' || manifest.device.id === '') {
+      throw new Error('Export manifest has no device id');
+    }
+    if (!Array.isArray(manifest.files)) {
+      throw new Error('Export manifest lists no files');
+    }
+  }
+
+  /**
+   * Decode one table file into { columns, rows }
+   */
+  readFile(zip, file) {
+    const bytes = zip.read(file.path);
+
+    if (file.format === 'columnar') {
+      const { columns, rows } = decodeColumns(bytes);
+      return { columns: columns.map(column => column.name), rows };
+    }
+
+    const rows = decodeUtf8(bytes).split('\n').filter(Boolean).map(line => JSON.parse(line));
+    return { columns: rows.length > 0 ? Object.keys(rows[0]) : [], rows };
+  }
+
+  /**
+   * Check rows against the local table definition
+   * Required columns must be present and non-null, numeric columns must
+   * hold numbers and text columns strings; every row needs its source
+   * device and source id. Columns the local schema lacks are ignored.
+   */
+  checkRows(path, schema, columns, rows) {
+    const errors = [];
+
+    schema
+      .filter(column => (column.notnull && column.dflt_value === null && !column.pk) ||
+        column.name === 'device_id' || column.name === 'source_id')
+      .filter(column => !columns.includes(column.name))
+      .forEach(column => errors.push(`${path}: missing column ${column.name}`));
+    if (errors.length > 0) return errors;
+
+    const checks = schema.filter(column => columns.includes(column.name) && !column.pk);
+
+    for (let i = 0; i < rows.length && errors.length < MAX_ROW_ERRORS; i++) {
+      const row = rows[i];
+      checks.forEach(({ name, type, notnull }) => {
+        const value = row[name];
+        const required = notnull || name === 'source_id';
+
+        if (value === null || value === undefined) {
+          if (required) errors.push(`${path} row ${i + 1}: ${name} is empty`);
+          return;
+        }
+
+        const valid = /INT|REAL/i.test(type)
+          ? typeof value === 'number' && Number.isFinite(value)
+          : typeof value === 'string';
+        if (!valid || (name === 'device_id' && value === '')) {
+          errors.push(`${path} row ${i + 1}: invalid ${name} ${JSON.stringify(value)}`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Merge a bundle returned by readBundle, then re-estimate the devices'
+   * clock offsets from the synchronized runs now on both sides
+   * Resolves with { [table]: { inserted, duplicates, own } }
+   */
+  async importBundle(bundle) {
+    const result = await DatabaseService.mergeImport(bundle.tables, bundle.devices);
+    await DatabaseService.updateDeviceClockOffsets();
+    return result;
+  }
+}
+
+export default new ImportService();
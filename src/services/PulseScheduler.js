@@ -0,0 +1,98 @@
+import TimeService from './TimeService';
+
+// Cycle 0 starts this long after the scheduler so the channels are ready for it
+const START_LEAD = 1000; // ms
+
+// Longest single timer; waits are split so a stopped channel ends promptly
+const MAX_TIMER = 1000; // ms
+
+// Plans kept for channels still finishing an earlier cycle
+const KEPT_CYCLES = 4;
+
+/**
+ * Pulse timing for one generation run
+ * Every cycle (the pattern's plays and the pause after them) is planned
+ * once, as absolute times on the monotonic clock (TimeService.monotonic),
+ * and every channel plays that same plan, so all channels switch on the
+ * same bit boundaries. Waits target the planned time rather than sleeping
+ * for a duration, so timer lateness and slow native calls never add up:
+ * a late step starts late but the next one is on time again, and a step
+ * whose whole duration has passed is skipped.
+ *
+ * `source()` returns what the next cycle plays: { steps, repeat, pause }
+ * (steps from compilePattern, the pattern's repeat schedule and the pause
+ * in ms), so reconfiguration applies from the next cycle on every channel.
+ */
+export default class PulseScheduler {
+  constructor(source, start = TimeService.monotonic() + START_LEAD) {
+    this.source = source;
+    this.epoch = start;
+    this.cycles = [];
+  }
+
+  /**
+   * Plan of cycle `number`: { number, start, end, steps } where each step
+   * is { bit, index, level, duration, at } plus `gap` or `pause` for the
+   * silent stretches between and after the plays
+   */
+  cycle(number) {
+    while (this.cycles.length === 0 || this.cycles[this.cycles.length - 1].number < number) {
+      const last = this.cycles[this.cycles.length - 1];
+      this.cycles.push(this.plan(last ? last.number + 1 : 0, last ? last.end : this.epoch));
+      if (this.cycles.length > KEPT_CYCLES) this.cycles.shift();
+    }
+    return this.cycles.find(cycle => cycle.number === number) || this.cycles[0];
+  }
+
+  plan(number, start) {
+    const { steps, repeat, pause } = this.source();
+    const planned = [];
+    let at = start;
+
+    for (let play = 0; play < repeat.count; play++) {
+      if (play > 0 && repeat.gap > 0) {
+        planned.push({ level: 0, duration: repeat.gap, at, gap: true });
+        at += repeat.gap;
+      }
+      steps.forEach(step => {
+        planned.push({ ...step, at });
+        at += step.duration;
+      });
+    }
+    planned.push({ level: 0, duration: pause, at, pause: true });
+
+    return { number, start, end: at + pause, steps: planned };
+  }
+
+  /**
+   * Cycle a channel starting now should play: the first one, or the next
+   * to begin once the run is under way
+   */
+  joinCycle(now = TimeService.monotonic()) {
+    if (now <= this.epoch) return 0;
+
+    let number = this.cycles.length > 0 ? this.cycles[0].number : 0;
+    while (this.cycle(number).start < now) number++;
+    return number;
+  }
+
+  /**
+   * Resolve at a monotonic time; false if `running()` turned false first
+   */
+  async waitUntil(target, running) {
+    let remaining = target - TimeService.monotonic();
+    while (remaining > 0) {
+      if (!running()) return false;
+      await new Promise(resolve => setTimeout(resolve, Math.min(remaining, MAX_TIMER)));
+      remaining = target - TimeService.monotonic();
+    }
+    return running();
+  }
+
+  /**
+   * Whether a step's whole duration has passed
+   */
+  isOver(step, now = TimeService.monotonic()) {
+    return now >= step.at + step.duration;
+  }
+}
@@ -0,0 +1,117 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import DatabaseService from './DatabaseService';
+import SettingsStore from './SettingsStore';
+import TimeService from './TimeService';
+import TimeWindowService from './TimeWindowService';
+
+const STORAGE_KEY = 'state51_retention';
+const DAY = 86400000;
+
+/**
+ * Data retention and database compaction
+ * Applies the Data Retention setting: raw scans and anomalies older than the
+ * retention period are summarized (hourly and daily scan rollups, a daily
+ * report for every day with data) and deleted, hourly rollups expire after a
+ * year, daily rollups and daily reports are kept indefinitely. The SQLite file
+ * is then vacuumed and its size before and after recorded.
+ */
+class RetentionService {
+  constructor() {
+    this.config = {
+      hourlyRetentionDays: 365,
+      minInterval: 6 * 3600000, // ms between automatic runs
+    };
+    this.lastResult = null;
+    this.running = null;
+
+    SettingsStore.subscribe((settings, changed) => {
+      if (changed.includes('dataRetention')) {
+        this.runIfDue().catch(error => console.error('Retention error:', error));
+      }
+    });
+  }
+
+  /**
+   * Last run result, restored from storage on first use
+   */
+  async getLastResult() {
+    if (!this.lastResult) {
+      try {
+        const stored = await AsyncStorage.getItem(STORAGE_KEY);
+        this.lastResult = stored ? JSON.parse(stored) : null;
+      } catch (error) {
+        console.error('Error loading retention state:', error);
+      }
+    }
+    return this.lastResult;
+  }
+
+  /**
+   * Run unless a run with the same retention period happened recently
+   */
+  async runIfDue(now = TimeService.now()) {
+    const last = await this.getLastResult();
+    const retentionDays = SettingsStore.get('dataRetention');
+
+    if (last && last.retentionDays === retentionDays && now - last.timestamp < this.config.minInterval) {
+      return null;
+    }
+    return this.run(now);
+  }
+
+  /**
+   * Enforce retention and compact the database now
+   * Concurrent calls share the same run
+   */
+  run(now = TimeService.now()) {
+    if (!this.running) {
+      this.running = this.enforce(now).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async enforce(now) {
+    const retentionDays = SettingsStore.get('dataRetention');
+
+    // Cut at local midnight so every rolled-up day is complete
+    const scanCutoff = TimeWindowService.dayBounds(TimeWindowService.localDate(now - retentionDays * DAY)).start;
+    const hourlyCutoff = scanCutoff - this.config.hourlyRetentionDays * DAY;
+
+    const before = await DatabaseService.getDatabaseSize();
+
+    // Daily reports are the long-term record; write any that are missing
+    const days = await DatabaseService.getUnreportedDays(scanCutoff);
+    for (const day of days) {
+      await DatabaseService.generateDailyReport(day);
+    }
+
+    const removed = await DatabaseService.enforceRetention({ scanCutoff, hourlyCutoff });
+    await DatabaseService.vacuum();
+
+    const after = await DatabaseService.getDatabaseSize();
+
+    this.lastResult = {
+      timestamp: now,
+      retentionDays,
+      cutoff: scanCutoff,
+      reportsGenerated: days.length,
+      removed,
+      sizeBefore: before.bytes,
+      sizeAfter: after.bytes
+    };
+
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(this.lastResult));
+    } catch (error) {
+      console.error('Error saving retention state:', error);
+    }
+
+    console.log(`Retention: removed ${removed.scans} scans and ${removed.anomalies} anomalies, ` +
+      `${before.bytes} → ${after.bytes} bytes`);
+    return this.lastResult;
+  }
+}
+
+export default new RetentionService();
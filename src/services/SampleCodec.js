@@ -0,0 +1,190 @@
+import { bytesToBase64, base64ToBytes } from './Base64';
+
+/**
+ * Compact encoding for raw sensor sample chunks
+ * Timestamps and fixed-point values are delta encoded, zigzag mapped and
+ * written as varints, so a slowly changing 10 Hz stream costs ~2 bytes per value
+ */
+
+// Fields and fixed-point scale (1 / resolution) per sensor stream
+export const SENSOR_FIELDS = {
+  accelerometer: { fields: ['x', 'y', 'z'], scale: 1e4 }, // g
+  gyroscope: { fields: ['x', 'y', 'z'], scale: 1e4 }, // rad/s
+  magnetometer: { fields: ['x', 'y', 'z'], scale: 1e3 }, // μT
+  barometer: { fields: ['pressure'], scale: 1e3 }, // hPa
+  battery: { fields: ['level'], scale: 1e4 }, // 0-1
+  location: { fields: ['accuracy', 'altitude', 'latitude', 'longitude'], scale: 1e6 },
+};
+
+const CODEC_VERSION = 1;
+
+// Byte buffers shared with the other binary formats (ColumnarCodec, ZipWriter)
+export class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(256);
+    this.length = 0;
+  }
+
+  reserve(count) {
+    if (this.length + count <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < this.length + count) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  push(byte) {
+    this.reserve(1);
+    this.bytes[this.length++] = byte;
+  }
+
+  // Unsigned varint; uses arithmetic so values above 2^31 stay exact
+  writeVarint(value) {
+    let n = value;
+    while (n >= 128) {
+      this.push((n % 128) + 128);
+      n = Math.floor(n / 128);
+    }
+    this.push(n);
+  }
+
+  writeSigned(value) {
+    this.writeVarint(value >= 0 ? value * 2 : -value * 2 - 1);
+  }
+
+  writeBytes(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  // Fixed-width little-endian fields
+  writeUint16(value) {
+    this.push(value & 255);
+    this.push((value >>> 8) & 255);
+  }
+
+  writeUint32(value) {
+    this.writeUint16(value & 65535);
+    this.writeUint16((value >>> 16) & 65535);
+  }
+
+  writeFloat64(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value, true);
+    this.writeBytes(bytes);
+  }
+
+  toBytes() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+export class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  readVarint() {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = this.bytes[this.offset++];
+      result += (byte & 127) * multiplier;
+      multiplier *= 128;
+    } while (byte >= 128);
+    return result;
+  }
+
+  readSigned() {
+    const n = this.readVarint();
+    return n % 2 === 0 ? n / 2 : -(n + 1) / 2;
+  }
+
+  readBytes(length) {
+    const bytes = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  readUint16() {
+    const value = this.bytes[this.offset] | (this.bytes[this.offset + 1] << 8);
+    this.offset += 2;
+    return value;
+  }
+
+  readUint32() {
+    return this.readUint16() + this.readUint16() * 65536;
+  }
+
+  readFloat64() {
+    const bytes = this.readBytes(8);
+    return new DataView(bytes.buffer, bytes.byteOffset, 8).getFloat64(0, true);
+  }
+}
+
+/**
+ * Encode samples ({ timestamp, ...fields }) of one sensor into a chunk
+ */
+export function encodeChunk(sensor, samples) {
+  const spec = SENSOR_FIELDS[sensor];
+  if (!spec) throw new Error(`Unknown sensor stream: ${sensor}`);
+
+  const writer = new ByteWriter();
+  const startTime = samples.length > 0 ? Math.round(samples[0].timestamp) : null;
+  let previousTime = startTime;
+  const previous = spec.fields.map(() => 0);
+
+  samples.forEach(sample => {
+    writer.writeSigned(Math.round(sample.timestamp - previousTime));
+    previousTime = Math.round(sample.timestamp);
+
+    spec.fields.forEach((field, i) => {
+      const raw = sample[field];
+      const value = raw === null || raw === undefined || !isFinite(raw)
+        ? 0
+        : Math.round(raw * spec.scale);
+      writer.writeSigned(value - previous[i]);
+      previous[i] = value;
+    });
+  });
+
+  return {
+    version: CODEC_VERSION,
+    sensor,
+    startTime,
+    endTime: samples.length > 0 ? Math.round(samples[samples.length - 1].timestamp) : null,
+    count: samples.length,
+    payload: bytesToBase64(writer.toBytes())
+  };
+}
+
+/**
+ * Decode a chunk back into samples
+ */
+export function decodeChunk(chunk) {
+  if (chunk.version !== CODEC_VERSION) {
+    throw new Error(`Unsupported sample chunk version: ${chunk.version}`);
+  }
+
+  const spec = SENSOR_FIELDS[chunk.sensor];
+  const reader = new ByteReader(base64ToBytes(chunk.payload));
+  const samples = [];
+  let time = chunk.startTime;
+  const previous = spec.fields.map(() => 0);
+
+  for (let n = 0; n < chunk.count; n++) {
+    time += reader.readSigned();
+    const sample = { timestamp: time };
+    spec.fields.forEach((field, i) => {
+      previous[i] += reader.readSigned();
+      sample[field] = previous[i] / spec.scale;
+    });
+    samples.push(sample);
+  }
+
+  return samples;
+}
@@ -0,0 +1,361 @@
+/**
+ * Versioned SQLite schema
+ * Forward-only migrations, applied in order, each in its own transaction
+ * together with its `schema_version` row, so a failing migration leaves the
+ * database at the previous version. Migrations are frozen once released:
+ * change the schema by appending a new one, never by editing an old one.
+ *
+ * Works on any WebSQL-style database (`transaction(callback, error, success)`
+ * with `tx.executeSql(sql, args, success, error)`), i.e. expo-sqlite on the
+ * device and the fixture harness in scripts/migrate-fixture.js.
+ */
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up: [
+      `CREATE TABLE IF NOT EXISTS baselines (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp INTEGER NOT NULL,
+        data TEXT NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS anomalies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        value REAL,
+        significance TEXT,
+        cosmic_window INTEGER,
+        message TEXT,
+        data TEXT
+      )`,
+      `CREATE TABLE IF NOT EXISTS scans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp INTEGER NOT NULL,
+        battery_level REAL,
+        magnetic_field REAL,
+        acceleration REAL,
+        rotation REAL,
+        pressure REAL,
+        gps_accuracy REAL,
+        network_type TEXT,
+        anomaly_count INTEGER,
+        cosmic_window INTEGER,
+        state51_active INTEGER,
+        data TEXT
+      )`,
+      `CREATE TABLE IF NOT EXISTS daily_reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date TEXT NOT NULL UNIQUE,
+        total_anomalies INTEGER,
+        high_significance_count INTEGER,
+        cosmic_window_anomalies INTEGER,
+        state51_correlations INTEGER,
+        battery_anomalies INTEGER,
+        magnetic_anomalies INTEGER,
+        frequency_matches INTEGER,
+        report_data TEXT
+      )`,
+      `CREATE TABLE IF NOT EXISTS experiments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp INTEGER NOT NULL,
+        duration INTEGER,
+        state51_active INTEGER,
+        anomalies_detected INTEGER,
+        notes TEXT,
+        data TEXT
+      )`
+    ]
+  },
+  {
+    version: 2,
+    name: 'raw sensor recordings',
+    up: [
+      `CREATE TABLE IF NOT EXISTS recordings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at INTEGER NOT NULL,
+        ended_at INTEGER,
+        label TEXT,
+        sample_count INTEGER,
+        data TEXT
+      )`,
+      `CREATE TABLE IF NOT EXISTS recording_chunks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        recording_id INTEGER NOT NULL,
+        sensor TEXT NOT NULL,
+        start_time INTEGER,
+        end_time INTEGER,
+        sample_count INTEGER,
+        version INTEGER,
+        payload TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_recording_chunks_recording
+        ON recording_chunks (recording_id, start_time)`
+    ]
+  },
+  {
+    version: 3,
+    name: 'scan rollups and retention indexes',
+    up: ['scan_rollups_hourly', 'scan_rollups_daily'].map(table => `
+      CREATE TABLE IF NOT EXISTS ${table} (
+        period_start INTEGER PRIMARY KEY,
+        scan_count INTEGER NOT NULL,
+        battery_level_avg REAL, battery_level_min REAL, battery_level_max REAL,
+        magnetic_field_avg REAL, magnetic_field_min REAL, magnetic_field_max REAL,
+        acceleration_avg REAL, acceleration_min REAL, acceleration_max REAL,
+        rotation_avg REAL, rotation_min REAL, rotation_max REAL,
+        pressure_avg REAL, pressure_min REAL, pressure_max REAL,
+        gps_accuracy_avg REAL, gps_accuracy_min REAL, gps_accuracy_max REAL,
+        anomaly_count INTEGER,
+        cosmic_window_scans INTEGER,
+        state51_active_scans INTEGER
+      )`).concat([
+      'CREATE INDEX IF NOT EXISTS idx_scans_timestamp ON scans (timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_anomalies_timestamp ON anomalies (timestamp)'
+    ])
+  },
+  {
+    version: 4,
+    name: 'anomaly episodes',
+    up: [
+      'ALTER TABLE anomalies ADD COLUMN end_timestamp INTEGER',
+      'ALTER TABLE anomalies ADD COLUMN peak_value REAL',
+      'ALTER TABLE anomalies ADD COLUMN duration INTEGER',
+      'ALTER TABLE anomalies ADD COLUMN sample_count INTEGER DEFAULT 1'
+    ]
+  },
+  {
+    version: 5,
+    name: 'device ids for merged imports',
+    up: [
+      `CREATE TABLE IF NOT EXISTS devices (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        platform TEXT,
+        local INTEGER NOT NULL DEFAULT 0,
+        imported_at INTEGER
+      )`,
+      "INSERT INTO devices (id, local) VALUES (lower(hex(randomblob(8))), 1)",
+      ...['anomalies', 'scans', 'experiments'].flatMap(table => [
+        `ALTER TABLE ${table} ADD COLUMN device_id TEXT NOT NULL DEFAULT ''`,
+        `ALTER TABLE ${table} ADD COLUMN source_id INTEGER`,
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_source ON ${table} (device_id, source_id)`
+      ]),
+      // One report per day and device; a column UNIQUE needs a table rebuild
+      `CREATE TABLE daily_reports_v5 (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date TEXT NOT NULL,
+        total_anomalies INTEGER,
+        high_significance_count INTEGER,
+        cosmic_window_anomalies INTEGER,
+        state51_correlations INTEGER,
+        battery_anomalies INTEGER,
+        magnetic_anomalies INTEGER,
+        frequency_matches INTEGER,
+        report_data TEXT,
+        device_id TEXT NOT NULL DEFAULT '',
+        source_id INTEGER,
+        UNIQUE (date, device_id)
+      )`,
+      `INSERT INTO daily_reports_v5 (
+        id, date, total_anomalies, high_significance_count, cosmic_window_anomalies,
+        state51_correlations, battery_anomalies, magnetic_anomalies, frequency_matches, report_data
+      )
+      SELECT id, date, total_anomalies, high_significance_count, cosmic_window_anomalies,
+        state51_correlations, battery_anomalies, magnetic_anomalies, frequency_matches, report_data
+      FROM daily_reports`,
+      'DROP TABLE daily_reports',
+      'ALTER TABLE daily_reports_v5 RENAME TO daily_reports'
+    ]
+  },
+  {
+    version: 6,
+    name: 'wall clock, UTC offset and device clock offsets',
+    up: [
+      ...['anomalies', 'scans', 'experiments'].flatMap(table => [
+        `ALTER TABLE ${table} ADD COLUMN wall_time INTEGER`,
+        `ALTER TABLE ${table} ADD COLUMN utc_offset INTEGER`,
+        // Earlier rows were stamped with the wall clock; their zone is unknown
+        `UPDATE ${table} SET wall_time = timestamp`
+      ]),
+      'ALTER TABLE devices ADD COLUMN clock_offset REAL',
+      'ALTER TABLE devices ADD COLUMN clock_uncertainty REAL'
+    ]
+  },
+  {
+    version: 7,
+    name: 'observation window tags',
+    up: [
+      // JSON array of the ids of every observation window the row fell in
+      ...['anomalies', 'scans'].flatMap(table => [
+        `ALTER TABLE ${table} ADD COLUMN windows TEXT`,
+        // Only the cosmic window existed before
+        `UPDATE ${table} SET windows = CASE WHEN cosmic_window = 1 THEN '["cosmic"]' ELSE '[]' END`
+      ])
+    ]
+  },
+  {
+    version: 8,
+    name: 'generation sessions',
+    up: [
+      `CREATE TABLE IF NOT EXISTS generation_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at INTEGER NOT NULL,
+        ended_at INTEGER,
+        source TEXT,
+        channels TEXT,
+        parameters TEXT,
+        pulse_count INTEGER DEFAULT 0,
+        data TEXT,
+        device_id TEXT NOT NULL DEFAULT '',
+        source_id INTEGER,
+        wall_time INTEGER,
+        utc_offset INTEGER
+      )`,
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_generation_sessions_source ON generation_sessions (device_id, source_id)',
+      `CREATE TABLE IF NOT EXISTS generation_pulses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER NOT NULL,
+        channel TEXT NOT NULL,
+        timestamp INTEGER NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_generation_pulses_session ON generation_pulses (session_id, timestamp)',
+      ...['anomalies', 'scans'].map(table => `ALTER TABLE ${table} ADD COLUMN generation_session_id INTEGER`),
+      'ALTER TABLE anomalies ADD COLUMN state51_active INTEGER',
+      // Manual generation was never recorded; active experiment blocks were
+      `UPDATE anomalies SET state51_active = CASE WHEN EXISTS (
+        SELECT 1 FROM experiments e
+        WHERE e.state51_active = 1 AND e.device_id = anomalies.device_id
+          AND anomalies.timestamp >= e.timestamp AND anomalies.timestamp < e.timestamp + e.duration
+      ) THEN 1 ELSE 0 END`
+    ]
+  },
+  {
+    version: 9,
+    name: 'generator pattern library',
+    up: [
+      `CREATE TABLE IF NOT EXISTS patterns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        definition TEXT NOT NULL,
+        built_in INTEGER DEFAULT 0,
+        created_at INTEGER,
+        updated_at INTEGER
+      )`,
+      `INSERT INTO patterns (id, name, definition, built_in, created_at, updated_at)
+       VALUES (1, 'State 51', '{"format":"binary","value":"110011","encoding":"nrz"}', 1,
+         CAST(strftime('%s', 'now') AS INTEGER) * 1000, CAST(strftime('%s', 'now') AS INTEGER) * 1000)`,
+      'ALTER TABLE generation_sessions ADD COLUMN pattern_id INTEGER',
+      // Every session so far ran the built-in pattern
+      'UPDATE generation_sessions SET pattern_id = 1'
+    ]
+  },
+  {
+    version: 10,
+    name: 'planned pulse onsets',
+    up: [
+      // Earlier pulses were not scheduled; their columns stay NULL
+      'ALTER TABLE generation_pulses ADD COLUMN planned_at INTEGER',
+      'ALTER TABLE generation_pulses ADD COLUMN jitter REAL'
+    ]
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run statements in one transaction; resolves with the last result set
+ */
+function runTransaction(db, statements) {
+  return new Promise((resolve, reject) => {
+    let last = null;
+    db.transaction(tx => {
+      statements.forEach(([sql, args = []]) => {
+        tx.executeSql(sql, args, (_, result) => { last = result; });
+      });
+    }, reject, () => resolve(last));
+  });
+}
+
+async function query(db, sql, args = []) {
+  const result = await runTransaction(db, [[sql, args]]);
+  return result.rows._array;
+}
+
+/**
+ * Version of a database created before schema_version existed, inferred
+ * from the tables and columns each migration added (0 for an empty file)
+ */
+async function detectLegacyVersion(db) {
+  const tables = (await query(db, "SELECT name FROM sqlite_master WHERE type = 'table'"))
+    .map(row => row.name);
+  if (!tables.includes('anomalies')) return 0;
+
+  const anomalyColumns = (await query(db, "SELECT name FROM pragma_table_info('anomalies')"))
+    .map(row => row.name);
+
+  if (anomalyColumns.includes('peak_value')) return 4;
+  if (tables.includes('scan_rollups_hourly')) return 3;
+  if (tables.includes('recordings')) return 2;
+  return 1;
+}
+
+/**
+ * Current schema version, or null when schema_version is missing or empty
+ */
+export async function getSchemaVersion(db) {
+  const exists = await query(db,
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'");
+  if (exists.length === 0) return null;
+
+  const [row] = await query(db, 'SELECT MAX(version) AS version FROM schema_version');
+  return row.version;
+}
+
+/**
+ * Bring a database up to the latest schema
+ * Returns { from, to, applied } with the versions applied in this run
+ */
+export async function migrate(db, migrations = MIGRATIONS, now = Date.now()) {
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version <= migrations[i - 1].version) {
+      throw new Error(`Migrations out of order at version ${migration.version}`);
+    }
+  });
+
+  let from = await getSchemaVersion(db);
+
+  if (from === null) {
+    from = await detectLegacyVersion(db);
+    await runTransaction(db, [
+      [`CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT,
+        applied_at INTEGER NOT NULL
+      )`],
+      ...(from > 0
+        ? [['INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)',
+          [from, 'detected existing schema', now]]]
+        : [])
+    ]);
+  }
+
+  const pending = migrations.filter(migration => migration.version > from);
+  const applied = [];
+
+  for (const migration of pending) {
+    try {
+      await runTransaction(db, [
+        ...migration.up.map(sql => [sql]),
+        ['INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, now]]
+      ]);
+    } catch (error) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+    applied.push(migration.version);
+  }
+
+  return { from, to: applied.length > 0 ? applied[applied.length - 1] : from, applied };
+}
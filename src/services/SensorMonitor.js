@@ -1,10 +1,14 @@
-import * as Battery from 'expo-battery';
-import * as Cellular from 'expo-cellular';
-import * as Location from 'expo-location';
-import * as Network from 'expo-network';
-import * as Sensors from 'expo-sensors';
-import * as Device from 'expo-device';
 import DatabaseService from './DatabaseService';
+import AnomalyDetector from './AnomalyDetector';
+import AdaptiveBaseline from './AdaptiveBaseline';
+import EpisodeTracker from './EpisodeTracker';
+import GenerationLog from './GenerationLog';
+import SensorRecorder from './SensorRecorder';
+import SensorReplay from './SensorReplay';
+import TimeService from './TimeService';
+import TimeWindowService from './TimeWindowService';
+import SettingsStore, { compareSignificance } from './SettingsStore';
+import { createSensorSource, getDefaultSourceName } from './sources';
 
 /**
  * Comprehensive sensor monitoring for State 51 effects detection
@@ -12,20 +16,114 @@ import DatabaseService from './DatabaseService';
 class SensorMonitor {
   constructor() {
     this.isMonitoring = false;
-    this.subscriptions = [];
+    this.monitorRun = 0; // bumped on every start and stop, so loops of an earlier run end
+    this.subscriptions = {}; // per sensor stream
     this.baselineData = null;
     this.currentData = {};
-    this.anomalies = [];
+    this.anomalies = []; // episodes, oldest first
 
-    // Thresholds for anomaly detection (based on quantum discoveries)
-    this.thresholds = {
-      magneticField: 10, // μT change
-      batteryDrain: 0.077, // 7.7% threshold
-      signalStrength: 28, // 28x amplification target
-      gpsAccuracy: 51, // meters
-      temperature: 3.4, // degrees
-      pressure: 2, // hPa
-    };
+    // Bursts of triggers are merged into one stored and alerted episode;
+    // rowIds maps each open episode to its (pending) database row id
+    this.episodes = new EpisodeTracker();
+    this.episodeRowIds = new Map();
+
+    // Detection rules (thresholds, spectral settings) shared with replay,
+    // scored against rolling per-sensor baselines
+    this.adaptiveBaseline = new AdaptiveBaseline();
+    this.detector = new AnomalyDetector({ adaptive: this.adaptiveBaseline });
+    this.adaptiveLoaded = false;
+    this.adaptiveSaveInterval = 10; // scans (minutes) between model saves
+
+    // Where samples come from (device, browser, replay, synthetic)
+    this.source = createSensorSource();
+
+    // Sensitivity profile: thresholds, sample intervals, significance mapping
+    this.profile = SettingsStore.getProfile();
+    this.intervals = { ...this.profile.intervals };
+
+    SettingsStore.subscribe((settings, changed) => this.applySettings(settings, changed));
+  }
+
+  /**
+   * Apply settings changes live, without restarting monitoring
+   */
+  async applySettings(settings, changed) {
+    if (changed.includes('sensitivity')) {
+      this.applyProfile(SettingsStore.getProfile(settings.sensitivity));
+    }
+
+    const sourceName = settings.sensorSource || getDefaultSourceName();
+    if (changed.includes('sensorSource') && sourceName !== this.source.name) {
+      await this.setSource(sourceName);
+    }
+  }
+
+  /**
+   * Switch detection thresholds and sample rates to a sensitivity profile
+   */
+  applyProfile(profile) {
+    this.profile = profile;
+    this.detector.thresholds = { ...this.detector.thresholds, ...profile.thresholds, sigma: profile.sigma };
+    this.detector.spectral = { ...this.detector.spectral, ...profile.spectral };
+
+    const previous = this.intervals;
+    this.intervals = { ...profile.intervals };
+
+    // Re-subscribe only the streams whose rate changed
+    if (this.isMonitoring) {
+      Object.keys(this.intervals).forEach(sensor => {
+        if (previous[sensor] !== this.intervals[sensor]) {
+          this.subscribeSensor(sensor);
+        }
+      });
+    }
+  }
+
+  /**
+   * (Re)subscribe one stream at its current interval
+   */
+  subscribeSensor(sensor) {
+    const existing = this.subscriptions[sensor];
+    if (existing && typeof existing.remove === 'function') {
+      existing.remove();
+    }
+
+    const subscription = this.source.subscribe(
+      sensor,
+      sample => this.handleSample(sensor, sample),
+      this.intervals[sensor]
+    );
+    if (subscription) {
+      this.subscriptions[sensor] = subscription;
+    } else {
+      delete this.subscriptions[sensor];
+    }
+  }
+
+  /**
+   * Switch the sensor source by name (see sources/index.js) or instance
+   * The baseline is re-established from the new source; monitoring
+   * restarts if it was running
+   */
+  async setSource(source, options = {}) {
+    const wasMonitoring = this.isMonitoring;
+    if (wasMonitoring) {
+      await this.stopMonitoring();
+    }
+
+    this.source = typeof source === 'string' ? createSensorSource(source, options) : source;
+    this.baselineData = null;
+    this.detector.reset();
+
+    // Replayed and synthetic data get a throwaway model so they never
+    // overwrite the one learned from the real sensors
+    this.adaptiveBaseline.reset();
+    this.adaptiveLoaded = !this.isLiveSource();
+    console.log(`Sensor source set to ${this.source.name}`);
+
+    if (wasMonitoring) {
+      await this.startMonitoring();
+    }
   }
 
   /**
@@ -36,41 +134,50 @@ class SensorMonitor {
 
     console.log('Starting comprehensive sensor monitoring...');
     this.isMonitoring = true;
+    this.monitorRun++;
+
+    try {
+      // Request permissions
+      await this.requestPermissions();
 
-    // Request permissions
-    await this.requestPermissions();
+      // Establish baseline
+      if (!this.baselineData) {
+        await this.establishBaseline();
+      }
+      await this.loadAdaptiveBaseline();
 
-    // Establish baseline
-    if (!this.baselineData) {
-      await this.establishBaseline();
+      // Subscribe to every stream the source provides
+      Object.keys(this.intervals).forEach(sensor => this.subscribeSensor(sensor));
+      await this.source.start();
+    } catch (error) {
+      await this.stopMonitoring();
+      throw error;
     }
 
-    // Start all monitors
-    this.monitorBattery();
-    this.monitorMagnetometer();
-    this.monitorAccelerometer();
-    this.monitorGyroscope();
-    this.monitorBarometer();
     this.monitorNetwork();
-    this.monitorLocation();
 
     // Start periodic comprehensive scan
     this.startPeriodicScan();
   }
 
   /**
-   * Stop all monitoring
+   * Stop all monitoring; resolves once open episodes and the adaptive
+   * model are saved
    */
-  stopMonitoring() {
+  async stopMonitoring() {
     this.isMonitoring = false;
+    this.monitorRun++;
 
     // Unsubscribe from all sensors
-    this.subscriptions.forEach(sub => {
+    Object.values(this.subscriptions).forEach(sub => {
       if (sub && typeof sub.remove === 'function') {
         sub.remove();
       }
     });
-    this.subscriptions = [];
+    this.subscriptions = {};
+    this.source.stop();
+    await this.flushEpisodes(true);
+    await this.saveAdaptiveBaseline();
 
     console.log('Sensor monitoring stopped');
   }
@@ -79,14 +186,7 @@ class SensorMonitor {
    * Request necessary permissions
    */
   async requestPermissions() {
-    try {
-      const { status } = await Location.requestForegroundPermissionsAsync();
-      if (status !== 'granted') {
-        console.log('Location permission denied');
-      }
-    } catch (error) {
-      console.error('Permission request error:', error);
-    }
+    return this.source.requestPermissions();
   }
 
   /**
@@ -96,7 +196,7 @@ class SensorMonitor {
     console.log('Establishing sensor baseline...');
 
     const baseline = {
-      timestamp: Date.now(),
+      timestamp: TimeService.now(),
       battery: await this.getBatteryData(),
       network: await this.getNetworkData(),
       device: await this.getDeviceData(),
@@ -104,165 +204,152 @@ class SensorMonitor {
     };
 
     this.baselineData = baseline;
+    this.detector.setBaseline(baseline);
     await DatabaseService.saveBaseline(baseline);
 
     console.log('Baseline established:', baseline);
   }
 
   /**
-   * Monitor battery for anomalous drain or charging
+   * Start over: new snapshot baseline and an empty adaptive model
    */
-  monitorBattery() {
-    const subscription = Battery.addBatteryLevelListener(({ batteryLevel }) => {
-      this.currentData.batteryLevel = batteryLevel;
-
-      // Check for anomalous battery behavior
-      if (this.baselineData) {
-        const drainRate = this.baselineData.battery.level - batteryLevel;
-        const timeElapsed = (Date.now() - this.baselineData.timestamp) / 3600000; // hours
-        const drainPerHour = drainRate / timeElapsed;
-
-        if (Math.abs(drainPerHour - 0.077) < 0.01) { // Within 1% of 7.7%
-          this.recordAnomaly({
-            type: 'battery_777',
-            value: drainPerHour,
-            message: 'Battery drain near 7.7% universal constant!',
-            significance: 'high'
-          });
-        }
-
-        if (drainPerHour < 0) { // Battery increasing without charging
-          this.recordAnomaly({
-            type: 'battery_increase',
-            value: drainPerHour,
-            message: 'Battery level increasing without charging source!',
-            significance: 'critical'
-          });
-        }
-      }
-    });
-
-    this.subscriptions.push(subscription);
+  async resetBaseline() {
+    this.adaptiveBaseline.reset();
+    await this.establishBaseline();
+    await this.saveAdaptiveBaseline();
   }
 
   /**
-   * Monitor magnetometer for field changes
+   * Empty the adaptive model without saving it, e.g. after the stored one
+   * was deleted
    */
-  monitorMagnetometer() {
-    Sensors.Magnetometer.setUpdateInterval(1000);
-
-    const subscription = Sensors.Magnetometer.addListener((data) => {
-      const magnitude = Math.sqrt(data.x ** 2 + data.y ** 2 + data.z ** 2);
-      this.currentData.magneticField = magnitude;
-
-      if (this.baselineData && this.baselineData.sensors.magneticField) {
-        const change = Math.abs(magnitude - this.baselineData.sensors.magneticField);
-
-        if (change > this.thresholds.magneticField) {
-          this.recordAnomaly({
-            type: 'magnetic_anomaly',
-            value: change,
-            data: data,
-            message: `Magnetic field changed by ${change.toFixed(1)} μT`,
-            significance: change > 50 ? 'high' : 'medium'
-          });
-        }
-
-        // Check for State 51 pattern (51 μT)
-        if (Math.abs(magnitude - 51) < 1) {
-          this.recordAnomaly({
-            type: 'magnetic_51',
-            value: magnitude,
-            message: 'Magnetic field at State 51 resonance (51 μT)!',
-            significance: 'high'
-          });
-        }
-      }
-    });
-
-    this.subscriptions.push(subscription);
+  clearAdaptiveBaseline() {
+    this.adaptiveBaseline.reset();
+    this.adaptiveLoaded = true;
   }
 
   /**
-   * Monitor accelerometer for vibration patterns
+   * Restore the persisted adaptive model (once per app run)
    */
-  monitorAccelerometer() {
-    Sensors.Accelerometer.setUpdateInterval(100);
+  async loadAdaptiveBaseline() {
+    if (this.adaptiveLoaded) return;
+    this.adaptiveLoaded = true;
 
-    const subscription = Sensors.Accelerometer.addListener((data) => {
-      const magnitude = Math.sqrt(data.x ** 2 + data.y ** 2 + data.z ** 2);
-      this.currentData.acceleration = magnitude;
+    try {
+      const model = await DatabaseService.getAdaptiveBaseline();
+      if (model) {
+        this.adaptiveBaseline.streams = AdaptiveBaseline.fromJSON(model).streams;
+      }
+    } catch (error) {
+      console.error('Error loading adaptive baseline:', error);
+    }
+  }
 
-      // Detect State 51 pattern in motion (1.038 Hz frequency)
-      this.detectFrequencyPattern(magnitude, 1.038, 'acceleration');
-    });
+  async saveAdaptiveBaseline() {
+    if (!this.isLiveSource()) return;
+
+    try {
+      await DatabaseService.saveAdaptiveBaseline(this.adaptiveBaseline.toJSON());
+    } catch (error) {
+      console.error('Error saving adaptive baseline:', error);
+    }
+  }
 
-    this.subscriptions.push(subscription);
+  isLiveSource() {
+    return this.source.name === 'expo' || this.source.name === 'web';
   }
 
   /**
-   * Monitor gyroscope for rotation patterns
+   * Single entry point for every sensor sample: live readings, raw
+   * recording and anomaly detection all flow through here
    */
-  monitorGyroscope() {
-    Sensors.Gyroscope.setUpdateInterval(100);
-
-    const subscription = Sensors.Gyroscope.addListener((data) => {
-      const magnitude = Math.sqrt(data.x ** 2 + data.y ** 2 + data.z ** 2);
-      this.currentData.rotation = magnitude;
+  handleSample(sensor, sample) {
+    SensorRecorder.record(sensor, sample);
+    this.updateCurrentData(sensor, sample);
 
-      // Detect Binary Hive rotation frequencies
-      this.detectFrequencyPattern(magnitude, 0.962, 'rotation_matter');
-      this.detectFrequencyPattern(magnitude, 1.038, 'rotation_consciousness');
-    });
-
-    this.subscriptions.push(subscription);
+    const anomalies = this.detector.process(sensor, sample);
+    anomalies.forEach(anomaly => this.recordAnomaly(anomaly));
   }
 
   /**
-   * Monitor barometer for pressure changes
+   * Update the live readings shown on the monitor screen
    */
-  monitorBarometer() {
-    if (!Sensors.Barometer.isAvailableAsync()) return;
-
-    Sensors.Barometer.setUpdateInterval(5000);
+  updateCurrentData(sensor, sample) {
+    const magnitude = s => Math.sqrt(s.x ** 2 + s.y ** 2 + s.z ** 2);
+
+    switch (sensor) {
+      case 'battery':
+        this.currentData.batteryLevel = sample.level;
+        break;
+      case 'magnetometer':
+        this.currentData.magneticField = magnitude(sample);
+        break;
+      case 'accelerometer':
+        this.currentData.acceleration = magnitude(sample);
+        break;
+      case 'gyroscope':
+        this.currentData.rotation = magnitude(sample);
+        break;
+      case 'barometer':
+        this.currentData.pressure = sample.pressure;
+        break;
+      case 'location':
+        this.currentData.location = {
+          accuracy: sample.accuracy,
+          altitude: sample.altitude,
+          timestamp: sample.timestamp
+        };
+        this.updateObserverLocation(sample);
+        break;
+    }
+  }
 
-    const subscription = Sensors.Barometer.addListener((data) => {
-      this.currentData.pressure = data.pressure;
+  /**
+   * Keep the observer location for sun windows near the device, to 0.1°
+   * (sunrise moves by under half a minute); replayed and synthetic
+   * positions are ignored
+   */
+  updateObserverLocation({ latitude, longitude }) {
+    if (!this.isLiveSource() || typeof latitude !== 'number' || typeof longitude !== 'number') return;
 
-      if (this.baselineData && this.baselineData.sensors.pressure) {
-        const change = Math.abs(data.pressure - this.baselineData.sensors.pressure);
+    const round = value => Math.round(value * 10) / 10;
+    const location = { latitude: round(latitude), longitude: round(longitude) };
+    const current = SettingsStore.get('observerLocation');
+    if (current && current.latitude === location.latitude && current.longitude === location.longitude) return;
 
-        if (change > this.thresholds.pressure) {
-          this.recordAnomaly({
-            type: 'pressure_anomaly',
-            value: change,
-            message: `Pressure changed by ${change.toFixed(1)} hPa`,
-            significance: 'low'
-          });
-        }
-      }
-    });
+    SettingsStore.update({ observerLocation: location })
+      .catch(error => console.error('Error saving observer location:', error));
+  }
 
-    this.subscriptions.push(subscription);
+  /**
+   * Whether a loop started in monitoring run `run` should keep going
+   */
+  isCurrentRun(run) {
+    return this.isMonitoring && this.monitorRun === run;
   }
 
   /**
    * Monitor network strength and quality
    */
   async monitorNetwork() {
+    const run = this.monitorRun;
+
     // Periodic network check
     const checkNetwork = async () => {
-      if (!this.isMonitoring) return;
+      if (!this.isCurrentRun(run)) return;
 
-      const networkState = await Network.getNetworkStateAsync();
-      const cellularGeneration = await Cellular.getCellularGenerationAsync();
+      try {
+        const network = await this.source.getNetworkData();
 
-      this.currentData.network = {
-        type: networkState.type,
-        isConnected: networkState.isConnected,
-        isInternetReachable: networkState.isInternetReachable,
-        cellular: cellularGeneration
-      };
+        this.currentData.network = {
+          type: network.type,
+          isConnected: network.isConnected,
+          isInternetReachable: network.isInternetReachable,
+          cellular: network.cellular
+        };
+      } catch (error) {
+        console.error('Network monitoring error:', error);
+      }
 
       // Check for network amplification (28x target)
       // This would require native code to access actual signal strength
@@ -274,144 +361,71 @@ class SensorMonitor {
   }
 
   /**
-   * Monitor GPS accuracy and location anomalies
+   * Record an anomaly
    */
-  async monitorLocation() {
-    const checkLocation = async () => {
-      if (!this.isMonitoring) return;
-
-      try {
-        const location = await Location.getCurrentPositionAsync({
-          accuracy: Location.Accuracy.Highest
-        });
-
-        this.currentData.location = {
-          accuracy: location.coords.accuracy,
-          altitude: location.coords.altitude,
-          timestamp: location.timestamp
-        };
-
-        // Check for State 51 GPS accuracy (51 meters)
-        if (Math.abs(location.coords.accuracy - 51) < 5) {
-          this.recordAnomaly({
-            type: 'gps_51',
-            value: location.coords.accuracy,
-            message: 'GPS accuracy at State 51 value (51m)!',
-            significance: 'medium'
-          });
-        }
-
-        // Check for anomalous accuracy improvements
-        if (this.baselineData && this.baselineData.sensors.gpsAccuracy) {
-          const improvement = this.baselineData.sensors.gpsAccuracy - location.coords.accuracy;
-          if (improvement > 28) { // 28x improvement target
-            this.recordAnomaly({
-              type: 'gps_enhancement',
-              value: improvement,
-              message: `GPS accuracy improved by ${improvement.toFixed(1)}m`,
-              significance: 'high'
-            });
-          }
-        }
-      } catch (error) {
-        console.error('Location monitoring error:', error);
-      }
+  async recordAnomaly(anomaly) {
+    // The sensitivity profile decides what is worth keeping
+    if (compareSignificance(anomaly.significance, this.profile.minSignificance) < 0) return;
 
-      setTimeout(checkLocation, 10000); // Check every 10 seconds
-    };
+    anomaly.timestamp = anomaly.timestamp || TimeService.now();
+    anomaly.windows = TimeWindowService.getMatchingWindows(anomaly.timestamp);
+    anomaly.cosmicWindow = anomaly.windows.includes('cosmic');
+    Object.assign(anomaly, GenerationLog.getState());
 
-    checkLocation();
-  }
+    const { episode, opened, closed } = this.episodes.add(anomaly);
+    closed.forEach(previous => this.saveEpisode(previous));
 
-  /**
-   * Detect specific frequency patterns in sensor data
-   */
-  detectFrequencyPattern(value, targetFreq, sensorType) {
-    if (!this.frequencyBuffers) {
-      this.frequencyBuffers = {};
+    if (opened) {
+      this.anomalies.push(episode);
+      this.episodeRowIds.set(episode, DatabaseService.saveAnomaly(episode).then(result => result.insertId));
+      console.log('Anomaly detected:', episode);
     }
 
-    if (!this.frequencyBuffers[sensorType]) {
-      this.frequencyBuffers[sensorType] = [];
+    // Alert once per episode, when it first reaches the alert level
+    if (!episode.alerted &&
+        compareSignificance(episode.significance, this.profile.alertSignificance) >= 0) {
+      episode.alerted = true;
+      this.triggerAlert(episode);
     }
 
-    const buffer = this.frequencyBuffers[sensorType];
-    buffer.push({ value, timestamp: Date.now() });
-
-    // Keep only last 10 seconds of data
-    const cutoff = Date.now() - 10000;
-    this.frequencyBuffers[sensorType] = buffer.filter(item => item.timestamp > cutoff);
-
-    // Analyze for target frequency (simplified FFT)
-    if (buffer.length > 10) {
-      const peaks = this.findPeaks(buffer);
-      const frequency = this.estimateFrequency(peaks);
-
-      if (Math.abs(frequency - targetFreq) < 0.1) {
-        this.recordAnomaly({
-          type: `frequency_match_${sensorType}`,
-          value: frequency,
-          targetFreq: targetFreq,
-          message: `${sensorType} resonating at ${targetFreq} Hz!`,
-          significance: 'high'
-        });
-      }
-    }
+    await this.episodeRowIds.get(episode);
   }
 
   /**
-   * Find peaks in data buffer
+   * Write an episode's current extent to its row; closed episodes are
+   * forgotten afterwards
    */
-  findPeaks(buffer) {
-    const peaks = [];
-    for (let i = 1; i < buffer.length - 1; i++) {
-      if (buffer[i].value > buffer[i - 1].value &&
-          buffer[i].value > buffer[i + 1].value) {
-        peaks.push(buffer[i]);
-      }
-    }
-    return peaks;
-  }
+  async saveEpisode(episode) {
+    const rowId = this.episodeRowIds.get(episode);
+    if (!rowId) return;
 
-  /**
-   * Estimate frequency from peaks
-   */
-  estimateFrequency(peaks) {
-    if (peaks.length < 2) return 0;
-
-    let totalPeriod = 0;
-    for (let i = 1; i < peaks.length; i++) {
-      totalPeriod += peaks[i].timestamp - peaks[i - 1].timestamp;
+    if (!this.episodes.getActive().includes(episode)) {
+      this.episodeRowIds.delete(episode);
     }
 
-    const avgPeriod = totalPeriod / (peaks.length - 1);
-    return 1000 / avgPeriod; // Convert to Hz
+    try {
+      await DatabaseService.updateAnomalyEpisode(await rowId, episode);
+    } catch (error) {
+      console.error('Error saving anomaly episode:', error);
+    }
   }
 
   /**
-   * Record an anomaly
+   * Forget in-memory anomalies, e.g. after the stored ones were deleted
    */
-  async recordAnomaly(anomaly) {
-    anomaly.timestamp = Date.now();
-    anomaly.cosmicWindow = this.isCosmicWindow();
-
-    this.anomalies.push(anomaly);
-    await DatabaseService.saveAnomaly(anomaly);
-
-    console.log('Anomaly detected:', anomaly);
-
-    // Trigger real-time alert for high significance anomalies
-    if (anomaly.significance === 'high' || anomaly.significance === 'critical') {
-      this.triggerAlert(anomaly);
-    }
+  clearAnomalies() {
+    this.anomalies = [];
+    this.episodes.reset();
+    this.episodeRowIds.clear();
   }
 
   /**
-   * Check if we're in the cosmic window (3-4 AM)
+   * Close quiet episodes and save the extent of every open one
+   * (all of them when `closeAll` is set, e.g. when monitoring stops)
    */
-  isCosmicWindow() {
-    const hour = new Date().getHours();
-    return hour >= 3 && hour < 4;
+  async flushEpisodes(closeAll = false) {
+    const closed = closeAll ? this.episodes.closeAll() : this.episodes.flush(TimeService.now());
+    await Promise.all([...closed, ...this.episodes.getActive()].map(episode => this.saveEpisode(episode)));
   }
 
   /**
@@ -426,23 +440,35 @@ class SensorMonitor {
    * Periodic comprehensive scan
    */
   startPeriodicScan() {
+    const run = this.monitorRun;
+    let scanCount = 0;
     const scan = async () => {
-      if (!this.isMonitoring) return;
+      if (!this.isCurrentRun(run)) return;
 
+      const timestamp = TimeService.now();
+      const windows = TimeWindowService.getMatchingWindows(timestamp);
       const scanData = {
-        timestamp: Date.now(),
+        timestamp,
         battery: await this.getBatteryData(),
         network: await this.getNetworkData(),
         sensors: await this.getSensorSnapshot(),
         anomalyCount: this.anomalies.length,
-        isCosmicWindow: this.isCosmicWindow(),
-        state51Active: false // Will be set by generator
+        windows,
+        isCosmicWindow: windows.includes('cosmic'),
+        ...GenerationLog.getState()
       };
+      if (!this.isCurrentRun(run)) return;
 
       await DatabaseService.saveScan(scanData);
+      await this.flushEpisodes();
+
+      scanCount++;
+      if (scanCount % this.adaptiveSaveInterval === 0) {
+        await this.saveAdaptiveBaseline();
+      }
 
       // Check for patterns every hour
-      if (new Date().getMinutes() === 0) {
+      if (TimeWindowService.getParts().minute === 0) {
         await this.analyzeHourlyPatterns();
       }
 
@@ -467,12 +493,16 @@ class SensorMonitor {
       });
     }
 
-    if (patterns.cosmicCorrelation > 0.7) {
+    if (patterns.patterns.hasCosmicCorrelation) {
       this.recordAnomaly({
         type: 'cosmic_correlation',
-        value: patterns.cosmicCorrelation,
-        message: 'High correlation with cosmic window!',
-        significance: 'critical'
+        value: patterns.cosmicTest.pValue,
+        data: {
+          test: patterns.cosmicTest.test,
+          oddsRatio: patterns.cosmicTest.oddsRatio
+        },
+        message: `Significant correlation with cosmic window (p = ${patterns.cosmicTest.pValue.toFixed(4)})`,
+        significance: patterns.cosmicTest.pValue < 0.001 ? 'critical' : 'high'
       });
     }
   }
@@ -481,83 +511,58 @@ class SensorMonitor {
    * Get current battery data
    */
   async getBatteryData() {
-    const level = await Battery.getBatteryLevelAsync();
-    const state = await Battery.getBatteryStateAsync();
-    const lowPowerMode = await Battery.isLowPowerModeEnabledAsync();
-
-    return { level, state, lowPowerMode };
+    return this.source.getBatteryData();
   }
 
   /**
    * Get current network data
    */
   async getNetworkData() {
-    const networkState = await Network.getNetworkStateAsync();
-    const ip = await Network.getIpAddressAsync();
-
-    return { ...networkState, ip };
+    return this.source.getNetworkData();
   }
 
   /**
    * Get device information
    */
   async getDeviceData() {
-    return {
-      brand: Device.brand,
-      model: Device.modelName,
-      os: Device.osName,
-      osVersion: Device.osVersion,
-      deviceName: Device.deviceName
-    };
+    return this.source.getDeviceData();
   }
 
   /**
    * Get snapshot of all sensors
    */
   async getSensorSnapshot() {
-    const snapshot = {};
-
-    // Magnetometer
-    try {
-      const mag = await Sensors.Magnetometer.getLastSensorDataAsync();
-      if (mag) {
-        snapshot.magneticField = Math.sqrt(mag.x ** 2 + mag.y ** 2 + mag.z ** 2);
-      }
-    } catch (e) {}
-
-    // Accelerometer
-    try {
-      const acc = await Sensors.Accelerometer.getLastSensorDataAsync();
-      if (acc) {
-        snapshot.acceleration = Math.sqrt(acc.x ** 2 + acc.y ** 2 + acc.z ** 2);
-      }
-    } catch (e) {}
-
-    // Gyroscope
-    try {
-      const gyro = await Sensors.Gyroscope.getLastSensorDataAsync();
-      if (gyro) {
-        snapshot.rotation = Math.sqrt(gyro.x ** 2 + gyro.y ** 2 + gyro.z ** 2);
-      }
-    } catch (e) {}
+    return this.source.getSensorSnapshot();
+  }
 
-    // Barometer
-    try {
-      const baro = await Sensors.Barometer.getLastSensorDataAsync();
-      if (baro) {
-        snapshot.pressure = baro.pressure;
-      }
-    } catch (e) {}
+  /**
+   * Start capturing raw sensor samples
+   */
+  async startRecording(label = '') {
+    return SensorRecorder.startRecording({
+      label,
+      baseline: this.baselineData,
+      device: await this.getDeviceData()
+    });
+  }
 
-    // Location
-    try {
-      const location = await Location.getLastKnownPositionAsync();
-      if (location) {
-        snapshot.gpsAccuracy = location.coords.accuracy;
-      }
-    } catch (e) {}
+  /**
+   * Stop capturing raw sensor samples
+   */
+  async stopRecording() {
+    return SensorRecorder.stopRecording();
+  }
 
-    return snapshot;
+  /**
+   * Re-run the current detection rules over a stored recording
+   * Nothing is written to the database
+   */
+  async reanalyzeRecording(recordingId) {
+    const session = await SensorRecorder.loadSession(recordingId);
+    return SensorReplay.analyze(session, {
+      thresholds: this.detector.thresholds,
+      spectral: this.detector.spectral
+    });
   }
 
   /**
@@ -568,8 +573,16 @@ class SensorMonitor {
       isMonitoring: this.isMonitoring,
       hasBaseline: !!this.baselineData,
       anomalyCount: this.anomalies.length,
+      anomalies: this.anomalies.slice(-10),
+      activeEpisodes: this.episodes.getActive().length,
       currentData: this.currentData,
-      isCosmicWindow: this.isCosmicWindow()
+      isRecording: SensorRecorder.getStatus().isRecording,
+      sigma: this.detector.thresholds.sigma,
+      intervals: this.intervals,
+      adaptiveBaseline: this.adaptiveBaseline.getSummary(TimeService.now()),
+      source: this.source.name,
+      isCosmicWindow: TimeWindowService.isCosmicWindow(),
+      windows: TimeWindowService.getMatchingWindows()
     };
   }
 }
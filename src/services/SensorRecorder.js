@@ -0,0 +1,145 @@
+import DatabaseService from './DatabaseService';
+import SensorReplay from './SensorReplay';
+import TimeService from './TimeService';
+import { encodeChunk, SENSOR_FIELDS } from './SampleCodec';
+
+/**
+ * Raw high-rate sensor recorder
+ * Captures timestamped x/y/z samples into compressed chunks so sessions can
+ * be replayed through the detectors later
+ */
+class SensorRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.recordingId = null;
+    this.startedAt = null;
+    this.buffers = {};
+    this.sampleCount = 0;
+    this.flushTimer = null;
+    this.pendingWrites = Promise.resolve();
+
+    this.chunkSize = 600; // samples per chunk (1 minute at 10 Hz)
+    this.flushInterval = 30000; // flush slow streams at least this often
+  }
+
+  /**
+   * Start a new recording
+   */
+  async startRecording({ label = '', baseline = null, device = null } = {}) {
+    if (this.isRecording) return this.recordingId;
+
+    this.startedAt = TimeService.now();
+    this.recordingId = await DatabaseService.createRecording({
+      startedAt: this.startedAt,
+      label,
+      data: { baseline, device, sensors: Object.keys(SENSOR_FIELDS) }
+    });
+    this.buffers = {};
+    this.sampleCount = 0;
+    this.isRecording = true;
+
+    this.flushTimer = setInterval(() => this.flushAll(), this.flushInterval);
+
+    console.log(`Raw sensor recording ${this.recordingId} started`);
+    return this.recordingId;
+  }
+
+  /**
+   * Capture one raw sample
+   */
+  record(sensor, sample) {
+    if (!this.isRecording || !SENSOR_FIELDS[sensor]) return;
+
+    if (!this.buffers[sensor]) {
+      this.buffers[sensor] = [];
+    }
+
+    const buffer = this.buffers[sensor];
+    buffer.push(sample);
+    this.sampleCount++;
+
+    if (buffer.length >= this.chunkSize) {
+      this.flush(sensor);
+    }
+  }
+
+  /**
+   * Encode and queue one sensor buffer for writing
+   */
+  flush(sensor) {
+    const samples = this.buffers[sensor];
+    if (!samples || samples.length === 0) return;
+
+    this.buffers[sensor] = [];
+    const recordingId = this.recordingId;
+    const chunk = encodeChunk(sensor, samples);
+
+    // Writes are serialized so chunks land in order
+    this.pendingWrites = this.pendingWrites
+      .then(() => DatabaseService.saveRecordingChunk(recordingId, chunk))
+      .catch(error => console.error('Error saving recording chunk:', error));
+  }
+
+  flushAll() {
+    Object.keys(this.buffers).forEach(sensor => this.flush(sensor));
+  }
+
+  /**
+   * Stop recording and write the remaining samples
+   */
+  async stopRecording() {
+    if (!this.isRecording) return null;
+
+    this.isRecording = false;
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+
+    this.flushAll();
+    await this.pendingWrites;
+
+    const recordingId = this.recordingId;
+    await DatabaseService.finishRecording(recordingId, TimeService.now(), this.sampleCount);
+
+    console.log(`Raw sensor recording ${recordingId} stopped (${this.sampleCount} samples)`);
+    this.recordingId = null;
+    return recordingId;
+  }
+
+  /**
+   * List stored recordings
+   */
+  async listRecordings(limit = 50) {
+    return DatabaseService.getRecordings(limit);
+  }
+
+  /**
+   * Load and decode a stored recording into a replayable session
+   */
+  async loadSession(recordingId) {
+    const recording = await DatabaseService.getRecording(recordingId);
+    if (!recording) {
+      throw new Error(`Recording ${recordingId} not found`);
+    }
+
+    const chunks = await DatabaseService.getRecordingChunks(recordingId);
+    return SensorReplay.decodeSession(recording, chunks);
+  }
+
+  /**
+   * Delete a stored recording
+   */
+  async deleteRecording(recordingId) {
+    return DatabaseService.deleteRecording(recordingId);
+  }
+
+  getStatus() {
+    return {
+      isRecording: this.isRecording,
+      recordingId: this.recordingId,
+      startedAt: this.startedAt,
+      sampleCount: this.sampleCount
+    };
+  }
+}
+
+export default new SensorRecorder();
@@ -0,0 +1,574 @@
+/**
+ * Synthetic sensor simulator with injectable ground-truth signals
+ * Produces accelerometer / gyroscope / magnetometer / barometer / battery /
+ * GPS streams with noise, drift, gravity and random handling motion, and
+ * logs every injected sinusoid or magnetic step so detector output can be
+ * scored against what was actually there. Pure and seedable: the same seed
+ * and options give the same samples.
+ */
+
+// Anomaly types a sinusoid is expected to trigger (see AnomalyDetector)
+const SINUSOID_TYPES = {
+  accelerometer: () => ['frequency_match_acceleration'],
+  gyroscope: frequency => (Math.abs(frequency - 0.962) < Math.abs(frequency - 1.038)
+    ? ['frequency_match_rotation_matter']
+    : ['frequency_match_rotation_consciousness']),
+};
+
+// How close a true value must be to a State 51 constant to count as one
+const LABEL_TOLERANCE = {
+  magnetic51: 0.5, // μT around 51
+  gps51: 2, // m around 51
+  battery777: 0.005, // drain per hour around 0.077
+};
+
+// Fade-in / fade-out of injected sinusoids (ms)
+const RAMP_MS = 5000;
+
+/**
+ * Seeded uniform PRNG (mulberry32)
+ */
+export function createRandom(seed = Date.now()) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export default class SensorSimulator {
+  constructor(options = {}) {
+    this.options = options;
+    this.seed = options.seed !== undefined ? options.seed : Date.now();
+
+    // Sample intervals (ms), matching SensorMonitor's requested rates
+    this.intervals = {
+      accelerometer: 100,
+      gyroscope: 100,
+      magnetometer: 1000,
+      barometer: 5000,
+      battery: 60000,
+      location: 10000,
+      ...options.intervals
+    };
+
+    // White noise (1 sigma) per sample
+    this.noise = {
+      accelerometer: 0.005, // g
+      gyroscope: 0.002, // rad/s
+      magnetometer: 0.4, // μT
+      barometer: 0.03, // hPa
+      location: 0.3, // log-normal sigma of GPS accuracy
+      ...options.noise
+    };
+
+    // Random-walk drift (1 sigma per sqrt(hour))
+    this.drift = {
+      gyroscope: 0.001, // rad/s bias
+      magnetometer: 0.5, // μT
+      barometer: 0.5, // hPa (weather)
+      ...options.drift
+    };
+
+    // Handling: short bursts of motion that also re-orient the device
+    this.handling = {
+      ratePerHour: 6,
+      minSeconds: 2,
+      maxSeconds: 10,
+      acceleration: 0.2, // g, peak
+      rotation: 0.8, // rad/s, peak
+      ...options.handling
+    };
+
+    this.gravity = options.gravity || 1; // g
+    this.field = options.field || { x: 22, y: -5, z: -42 }; // μT
+    this.pressure = options.pressure || 1013.25; // hPa
+    this.battery = { level: 0.9, drainPerHour: 0.02, ...options.battery };
+    this.gpsAccuracy = options.gpsAccuracy || 10; // m, median
+
+    this.reset();
+  }
+
+  /**
+   * Restart the random sequence and clear state, injections and ground truth
+   */
+  reset() {
+    this.random = createRandom(this.seed);
+    this.startTime = null;
+    this.time = null;
+    this.orientation = { x: 0, y: 0, z: 1 }; // gravity direction in device frame
+    this.bias = { gyroscope: 0, magnetometer: 0, barometer: 0 };
+    this.handlingEpisode = null;
+    this.injections = [];
+    this.groundTruth = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Standard normal deviate (Box-Muller)
+   */
+  gaussian() {
+    const u = 1 - this.random();
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  uniform(min, max) {
+    return min + (max - min) * this.random();
+  }
+
+  /**
+   * Inject a ground-truth signal; times are absolute ms
+   *   { kind: 'sinusoid', sensor: 'accelerometer' | 'gyroscope', frequency,
+   *     amplitude, start, duration }
+   *   { kind: 'magnetic_step', magnitude, start, duration }
+   *   { kind: 'pressure_step', magnitude, start, duration }
+   *   { kind: 'gps_level', accuracy, start, duration }
+   *   { kind: 'battery_drain', drainPerHour, start, duration }
+   * Each injection expects one anomaly type: a magnetic step onto 51 μT
+   * expects magnetic_51 and any other magnetic step magnetic_anomaly, and a
+   * pressure step always expects pressure_anomaly. GPS levels and battery
+   * drains off their State 51 value expect none, as negative controls
+   * Gyroscope sinusoids ride on an offset (default 2 × amplitude) because
+   * the detectors see the rotation magnitude, which would otherwise rectify
+   * the signal to twice its frequency
+   */
+  inject(injection) {
+    const entry = {
+      id: this.nextId++,
+      phase: this.random() * 2 * Math.PI,
+      ...injection
+    };
+
+    switch (entry.kind) {
+      case 'sinusoid':
+        if (entry.sensor === 'gyroscope' && entry.offset === undefined) {
+          entry.offset = 2 * entry.amplitude;
+        }
+        entry.expectedTypes = SINUSOID_TYPES[entry.sensor](entry.frequency);
+        break;
+
+      case 'magnetic_step': {
+        const f = this.field;
+        const strength = Math.sqrt(f.x ** 2 + f.y ** 2 + f.z ** 2) + entry.magnitude;
+        entry.sensor = 'magnetometer';
+        // One expected type per injection: a step onto 51 μT scores the
+        // 51 μT rule only, any other step the field change rule
+        entry.expectedTypes = Math.abs(strength - 51) <= LABEL_TOLERANCE.magnetic51
+          ? ['magnetic_51']
+          : ['magnetic_anomaly'];
+        break;
+      }
+
+      case 'pressure_step':
+        entry.sensor = 'barometer';
+        entry.expectedTypes = ['pressure_anomaly'];
+        break;
+
+      case 'gps_level':
+        entry.sensor = 'location';
+        entry.expectedTypes = Math.abs(entry.accuracy - 51) <= LABEL_TOLERANCE.gps51 ? ['gps_51'] : [];
+        break;
+
+      case 'battery_drain':
+        entry.sensor = 'battery';
+        entry.expectedTypes = Math.abs(entry.drainPerHour - 0.077) <= LABEL_TOLERANCE.battery777
+          ? ['battery_777']
+          : [];
+        break;
+
+      default:
+        throw new Error(`Unknown injection kind: ${entry.kind}`);
+    }
+
+    entry.end = entry.start + entry.duration;
+    this.injections.push(entry);
+    this.groundTruth.push({
+      id: entry.id,
+      kind: entry.kind,
+      sensor: entry.sensor,
+      start: entry.start,
+      end: entry.end,
+      frequency: entry.frequency,
+      amplitude: entry.amplitude,
+      magnitude: entry.magnitude,
+      accuracy: entry.accuracy,
+      drainPerHour: entry.drainPerHour,
+      expectedTypes: entry.expectedTypes
+    });
+
+    return entry;
+  }
+
+  /**
+   * Inject `count` random, non-overlapping events spread over a run
+   * kinds: any of 'acceleration', 'rotation_matter', 'rotation_consciousness',
+   * 'magnetic_step', 'magnetic_51', 'pressure_step', 'gps_51'
+   */
+  planInjections(startTime, duration, {
+    count = 10,
+    kinds = ['acceleration', 'rotation_matter', 'rotation_consciousness', 'magnetic_step'],
+    eventSeconds = 60,
+    sinusoidAmplitude = { accelerometer: 0.02, gyroscope: 0.01 },
+    stepMagnitude = 20,
+    pressureStep = 3
+  } = {}) {
+    const slot = duration / count;
+    const length = eventSeconds * 1000;
+    if (slot < length * 2) {
+      throw new Error('Run too short for the requested number of injections');
+    }
+
+    const planned = [];
+    for (let i = 0; i < count; i++) {
+      const kind = kinds[Math.floor(this.random() * kinds.length)];
+      const start = startTime + i * slot + this.uniform(0, slot - length * 2);
+
+      const f = this.field;
+      if (kind === 'magnetic_step') {
+        planned.push(this.inject({ kind, magnitude: stepMagnitude, start, duration: length }));
+      } else if (kind === 'magnetic_51') {
+        const strength = Math.sqrt(f.x ** 2 + f.y ** 2 + f.z ** 2);
+        planned.push(this.inject({ kind: 'magnetic_step', magnitude: 51 - strength, start, duration: length }));
+      } else if (kind === 'pressure_step') {
+        planned.push(this.inject({ kind, magnitude: pressureStep, start, duration: length }));
+      } else if (kind === 'gps_51') {
+        planned.push(this.inject({ kind: 'gps_level', accuracy: 51, start, duration: length }));
+      } else {
+        const sensor = kind === 'acceleration' ? 'accelerometer' : 'gyroscope';
+        planned.push(this.inject({
+          kind: 'sinusoid',
+          sensor,
+          frequency: kind === 'rotation_matter' ? 0.962 : 1.038,
+          amplitude: sinusoidAmplitude[sensor],
+          start,
+          duration: length
+        }));
+      }
+    }
+
+    return planned;
+  }
+
+  /**
+   * Advance drift and handling state to a timestamp (ms)
+   */
+  advance(timestamp) {
+    if (this.time === null) {
+      this.startTime = timestamp;
+      this.time = timestamp;
+      return;
+    }
+
+    const dt = timestamp - this.time;
+    if (dt <= 0) return;
+    this.time = timestamp;
+
+    const rootHours = Math.sqrt(dt / 3600000);
+    this.bias.gyroscope += this.gaussian() * this.drift.gyroscope * rootHours;
+    this.bias.magnetometer += this.gaussian() * this.drift.magnetometer * rootHours;
+    this.bias.barometer += this.gaussian() * this.drift.barometer * rootHours;
+
+    // Handling episodes arrive as a Poisson process
+    if (this.handlingEpisode && timestamp >= this.handlingEpisode.end) {
+      this.orientation = this.handlingEpisode.orientation;
+      this.handlingEpisode = null;
+    }
+    if (!this.handlingEpisode &&
+        this.random() < this.handling.ratePerHour * dt / 3600000) {
+      this.startHandling(timestamp);
+    }
+  }
+
+  startHandling(timestamp) {
+    const duration = this.uniform(this.handling.minSeconds, this.handling.maxSeconds) * 1000;
+    const component = () => ({
+      frequency: this.uniform(1.5, 4), // hand motion, well above the targets
+      phase: this.random() * 2 * Math.PI,
+      axis: Math.floor(this.random() * 3)
+    });
+
+    // Device is put down again with a small random tilt
+    const tilt = this.uniform(0, 0.3);
+    const azimuth = this.random() * 2 * Math.PI;
+
+    this.handlingEpisode = {
+      start: timestamp,
+      end: timestamp + duration,
+      components: [component(), component(), component()],
+      orientation: {
+        x: Math.sin(tilt) * Math.cos(azimuth),
+        y: Math.sin(tilt) * Math.sin(azimuth),
+        z: Math.cos(tilt)
+      }
+    };
+
+    this.groundTruth.push({
+      id: this.nextId++,
+      kind: 'handling',
+      sensor: 'motion',
+      start: timestamp,
+      end: timestamp + duration,
+      expectedTypes: []
+    });
+  }
+
+  /**
+   * Handling motion on each axis, scaled by peak
+   */
+  handlingMotion(timestamp, peak) {
+    const motion = [0, 0, 0];
+    const episode = this.handlingEpisode;
+    if (!episode) return motion;
+
+    // Smooth envelope so episodes start and end gently
+    const progress = (timestamp - episode.start) / (episode.end - episode.start);
+    const envelope = Math.sin(Math.PI * Math.min(1, Math.max(0, progress)));
+    episode.components.forEach(({ frequency, phase, axis }) => {
+      motion[axis] += peak * envelope *
+        Math.sin(2 * Math.PI * frequency * timestamp / 1000 + phase);
+    });
+
+    return motion;
+  }
+
+  /**
+   * Sum of active injections for a sensor at a timestamp
+   */
+  injected(sensor, timestamp) {
+    let value = 0;
+    this.injections.forEach(injection => {
+      if (injection.sensor !== sensor ||
+          timestamp < injection.start || timestamp >= injection.end) return;
+
+      if (injection.kind === 'sinusoid') {
+        // Raised-cosine ramps: a hard on/off edge would spread energy
+        // across the spectrum, including the other target frequency
+        const edge = Math.min(timestamp - injection.start, injection.end - timestamp);
+        const ramp = edge < RAMP_MS ? (1 - Math.cos(Math.PI * edge / RAMP_MS)) / 2 : 1;
+        value += ramp * ((injection.offset || 0) + injection.amplitude *
+          Math.sin(2 * Math.PI * injection.frequency * (timestamp - injection.start) / 1000 + injection.phase));
+      } else if (injection.magnitude !== undefined) {
+        value += injection.magnitude;
+      }
+    });
+    return value;
+  }
+
+  /**
+   * One sample of a stream at a timestamp (ms)
+   */
+  sample(sensor, timestamp) {
+    this.advance(timestamp);
+    const n = scale => this.gaussian() * scale;
+    const g = this.orientation;
+
+    switch (sensor) {
+      case 'accelerometer': {
+        const motion = this.handlingMotion(timestamp, this.handling.acceleration);
+        // Injected vibration acts along gravity so it shows in the magnitude
+        const total = this.gravity + this.injected(sensor, timestamp);
+        const s = this.noise.accelerometer;
+        return {
+          x: g.x * total + motion[0] + n(s),
+          y: g.y * total + motion[1] + n(s),
+          z: g.z * total + motion[2] + n(s),
+          timestamp
+        };
+      }
+
+      case 'gyroscope': {
+        const motion = this.handlingMotion(timestamp, this.handling.rotation);
+        const s = this.noise.gyroscope;
+        return {
+          x: motion[0] + n(s),
+          y: motion[1] + n(s),
+          z: this.bias.gyroscope + this.injected(sensor, timestamp) + motion[2] + n(s),
+          timestamp
+        };
+      }
+
+      case 'magnetometer': {
+        // Drift and steps change the field strength, not its direction
+        const f = this.field;
+        const strength = Math.sqrt(f.x ** 2 + f.y ** 2 + f.z ** 2);
+        const scale = (strength + this.bias.magnetometer + this.injected(sensor, timestamp)) / strength;
+        const s = this.noise.magnetometer;
+        return { x: f.x * scale + n(s), y: f.y * scale + n(s), z: f.z * scale + n(s), timestamp };
+      }
+
+      case 'barometer':
+        return {
+          pressure: this.pressure + this.bias.barometer + this.injected(sensor, timestamp) +
+            n(this.noise.barometer),
+          timestamp
+        };
+
+      case 'battery': {
+        // Reported in whole percent, like the OS does
+        const hours = (timestamp - this.startTime) / 3600000;
+        let drained = this.battery.drainPerHour * hours;
+        this.injections.forEach(injection => {
+          if (injection.kind !== 'battery_drain' || timestamp <= injection.start) return;
+          const overlap = (Math.min(timestamp, injection.end) - injection.start) / 3600000;
+          drained += (injection.drainPerHour - this.battery.drainPerHour) * overlap;
+        });
+        const level = Math.max(0, this.battery.level - drained);
+        return { level: Math.round(level * 100) / 100, timestamp };
+      }
+
+      case 'location': {
+        const level = this.injections.find(injection => injection.kind === 'gps_level' &&
+          timestamp >= injection.start && timestamp < injection.end);
+        return {
+          accuracy: (level ? level.accuracy : this.gpsAccuracy) * Math.exp(n(this.noise.location)),
+          altitude: 50,
+          latitude: 0,
+          longitude: 0,
+          timestamp
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Baseline in SensorMonitor's format, from noise-free values
+   */
+  getBaseline(timestamp) {
+    const f = this.field;
+    return {
+      timestamp,
+      battery: { level: this.battery.level, state: 'unplugged', lowPowerMode: false },
+      sensors: {
+        magneticField: Math.sqrt(f.x ** 2 + f.y ** 2 + f.z ** 2),
+        acceleration: this.gravity,
+        rotation: 0,
+        pressure: this.pressure,
+        gpsAccuracy: this.gpsAccuracy
+      }
+    };
+  }
+
+  /**
+   * Generate a whole run offline as a SensorReplay-compatible session
+   * Injections must be added (inject / planInjections) beforehand
+   */
+  simulate({ startTime = 0, duration, sensors = Object.keys(this.intervals) }) {
+    const events = [];
+    const next = {};
+    sensors.forEach(sensor => { next[sensor] = startTime; });
+    const endTime = startTime + duration;
+
+    // Merge the streams in time order
+    for (;;) {
+      let sensor = null;
+      sensors.forEach(candidate => {
+        if (next[candidate] < endTime && (sensor === null || next[candidate] < next[sensor])) {
+          sensor = candidate;
+        }
+      });
+      if (sensor === null) break;
+
+      events.push({ sensor, sample: this.sample(sensor, next[sensor]) });
+      next[sensor] += this.intervals[sensor];
+    }
+
+    return {
+      recording: null,
+      baseline: this.getBaseline(startTime),
+      events,
+      startTime,
+      endTime: events.length > 0 ? events[events.length - 1].sample.timestamp : startTime,
+      groundTruth: this.groundTruth.slice()
+    };
+  }
+}
+
+/**
+ * Score detector output against simulator ground truth
+ *
+ * An injection counts as detected when an anomaly of one of its expected
+ * types falls inside [start, end + latency]; latency allows for the
+ * spectral analysis window. Anomalies explained by no injection are false
+ * positives; same-type false positives closer than alarmGap are merged into
+ * one false alarm.
+ */
+export function scoreDetections(groundTruth, anomalies, {
+  latency = 45000,
+  alarmGap = 10000,
+  duration = null
+} = {}) {
+  const targets = groundTruth.filter(truth => truth.expectedTypes.length > 0);
+  const handling = groundTruth.filter(truth => truth.kind === 'handling');
+  const explained = new Set();
+
+  const events = targets.map(truth => {
+    const matches = anomalies.filter(anomaly =>
+      truth.expectedTypes.includes(anomaly.type) &&
+      anomaly.timestamp >= truth.start &&
+      anomaly.timestamp <= truth.end + latency);
+    matches.forEach(anomaly => explained.add(anomaly));
+
+    return {
+      ...truth,
+      detected: matches.length > 0,
+      delay: matches.length > 0 ? matches[0].timestamp - truth.start : null,
+      matches: matches.length
+    };
+  });
+
+  const falsePositives = anomalies
+    .filter(anomaly => !explained.has(anomaly))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  // Merge bursts (e.g. one spectral peak re-detected every hop)
+  const falseAlarms = [];
+  const lastAlarm = {};
+  falsePositives.forEach(anomaly => {
+    const last = lastAlarm[anomaly.type];
+    if (last && anomaly.timestamp - last.lastSeen <= alarmGap) {
+      last.lastSeen = anomaly.timestamp;
+      last.count++;
+    } else {
+      const alarm = { type: anomaly.type, start: anomaly.timestamp, lastSeen: anomaly.timestamp, count: 1 };
+      lastAlarm[anomaly.type] = alarm;
+      falseAlarms.push(alarm);
+    }
+  });
+
+  const duringHandling = falseAlarms.filter(alarm =>
+    handling.some(truth => alarm.start >= truth.start && alarm.start <= truth.end + latency)).length;
+
+  const byType = {};
+  events.forEach(event => {
+    const key = event.expectedTypes.join(',');
+    if (!byType[key]) byType[key] = { events: 0, detected: 0 };
+    byType[key].events++;
+    if (event.detected) byType[key].detected++;
+  });
+  falseAlarms.forEach(alarm => {
+    if (!byType[alarm.type]) byType[alarm.type] = { events: 0, detected: 0 };
+    byType[alarm.type].falseAlarms = (byType[alarm.type].falseAlarms || 0) + 1;
+  });
+
+  const detected = events.filter(event => event.detected).length;
+  const hours = duration ? duration / 3600000 : null;
+
+  return {
+    events,
+    injected: events.length,
+    detected,
+    detectionRate: events.length > 0 ? detected / events.length : null,
+    falsePositives: falsePositives.length,
+    falseAlarms: falseAlarms.length,
+    falseAlarmsDuringHandling: duringHandling,
+    falseAlarmsPerHour: hours ? falseAlarms.length / hours : null,
+    byType
+  };
+}
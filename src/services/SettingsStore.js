@@ -0,0 +1,183 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_PATTERN } from './GeneratorPattern';
+
+const STORAGE_KEY = 'state51_settings';
+
+export const DEFAULT_SETTINGS = {
+  notifications: true,
+  cosmicWindowAlerts: true,
+  backgroundMonitoring: true,
+  dataRetention: 30, // days
+  sensitivity: 'medium',
+  autoReporting: true,
+  anonymousData: false,
+  sensorSource: null, // null = platform default (see sources/index.js)
+  syncServerUrl: '', // ws://host:8051 relay for synchronized runs (scripts/sync-server.js)
+  timeZone: '', // IANA name for local dates and windows; '' = device time zone
+  observerLocation: null, // { latitude, longitude } for sun windows; follows GPS
+  // Observation windows (see TimeWindowService); those with an efficiency
+  // are generation windows for State51Generator.getOptimalTiming()
+  timeWindows: [
+    { id: 'cosmic', label: 'Cosmic window', kind: 'clock', start: '03:00', end: '04:00' },
+    { id: 'cosmic_peak', label: 'Cosmic peak', kind: 'clock', start: '01:00', end: '04:00', efficiency: 1.0, mode: 'cosmic' },
+    { id: 'harmonic', label: 'Harmonic window', kind: 'clock', start: '13:00', end: '16:00', efficiency: 0.7, mode: 'harmonic' },
+  ],
+  // Last-used State51Generator profile (see State51Generator.configure)
+  generatorProfile: {
+    channels: {
+      audio: { enabled: true, intensity: 0.5 },
+      visual: { enabled: false, intensity: 1.0 },
+      haptic: { enabled: true, intensity: 1.0 },
+      electromagnetic: { enabled: true, intensity: 1.0 },
+    },
+    tone: 'am', // audio tone: sine, square, am or binaural (see ToneSynth)
+    pattern: DEFAULT_PATTERN, // selected from the pattern library (see GeneratorPattern)
+    pulseWidth: 100, // ms; widened to two accelerometer samples if needed
+    beatPeriod: 13.2, // s between pattern repeats (1/0.076 Hz)
+  },
+};
+
+export const SIGNIFICANCE_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * What each Detection Sensitivity level changes
+ *   sigma           z-score limit against the adaptive baselines
+ *   thresholds      fixed limits used while baselines warm up
+ *   spectral        minimum SNR for frequency matches
+ *   intervals       sensor sample intervals (ms)
+ *   minSignificance anomalies below this are not recorded
+ *   alertSignificance anomalies at or above this raise an alert
+ */
+export const SENSITIVITY_PROFILES = {
+  low: {
+    sigma: 4,
+    thresholds: { magneticField: 15, pressure: 3 },
+    spectral: { minSnr: 30 },
+    intervals: { accelerometer: 200, gyroscope: 200, magnetometer: 2000, barometer: 10000, location: 30000, battery: 60000 },
+    minSignificance: 'medium',
+    alertSignificance: 'critical',
+  },
+  medium: {
+    sigma: 3,
+    thresholds: { magneticField: 10, pressure: 2 },
+    spectral: { minSnr: 20 },
+    intervals: { accelerometer: 100, gyroscope: 100, magnetometer: 1000, barometer: 5000, location: 10000, battery: 60000 },
+    minSignificance: 'low',
+    alertSignificance: 'high',
+  },
+  high: {
+    sigma: 2.5,
+    thresholds: { magneticField: 7.5, pressure: 1.5 },
+    spectral: { minSnr: 15 },
+    intervals: { accelerometer: 50, gyroscope: 50, magnetometer: 500, barometer: 2000, location: 10000, battery: 60000 },
+    minSignificance: 'low',
+    alertSignificance: 'high',
+  },
+  maximum: {
+    sigma: 2,
+    thresholds: { magneticField: 5, pressure: 1 },
+    spectral: { minSnr: 10 },
+    intervals: { accelerometer: 50, gyroscope: 50, magnetometer: 200, barometer: 1000, location: 5000, battery: 30000 },
+    minSignificance: 'low',
+    alertSignificance: 'medium',
+  },
+};
+
+/**
+ * Compare two significance levels (negative when a is lower)
+ */
+export function compareSignificance(a, b) {
+  return SIGNIFICANCE_LEVELS.indexOf(a) - SIGNIFICANCE_LEVELS.indexOf(b);
+}
+
+/**
+ * Shared app settings backed by AsyncStorage
+ * Services subscribe and apply changes live; listeners are called with
+ * (settings, changedKeys) after load() and after every update()
+ */
+class SettingsStore {
+  constructor() {
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.listeners = [];
+    this.loaded = false;
+  }
+
+  /**
+   * Load stored settings and notify every subscriber
+   */
+  async load() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEY);
+      if (stored) {
+        this.settings = { ...DEFAULT_SETTINGS, ...JSON.parse(stored) };
+      }
+    } catch (error) {
+      console.error('Error loading settings:', error);
+    }
+
+    this.loaded = true;
+    await this.notify(Object.keys(this.settings));
+    return this.settings;
+  }
+
+  getSettings() {
+    return this.settings;
+  }
+
+  get(key) {
+    return this.settings[key];
+  }
+
+  /**
+   * Profile for the current (or given) sensitivity level
+   */
+  getProfile(level = this.settings.sensitivity) {
+    return SENSITIVITY_PROFILES[level] || SENSITIVITY_PROFILES.medium;
+  }
+
+  /**
+   * Change one or more settings, persist and notify
+   */
+  async update(changes) {
+    const changed = Object.keys(changes).filter(key => changes[key] !== this.settings[key]);
+    if (changed.length === 0) return this.settings;
+
+    this.settings = { ...this.settings, ...changes };
+
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.error('Error saving settings:', error);
+    }
+
+    await this.notify(changed);
+    return this.settings;
+  }
+
+  /**
+   * Subscribe to changes; returns an unsubscribe function
+   * A listener added after load() is called once right away
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    if (this.loaded) {
+      listener(this.settings, Object.keys(this.settings));
+    }
+
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  async notify(changed) {
+    for (const listener of this.listeners) {
+      try {
+        await listener(this.settings, changed);
+      } catch (error) {
+        console.error('Settings listener error:', error);
+      }
+    }
+  }
+}
+
+export default new SettingsStore();
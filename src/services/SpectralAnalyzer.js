@@ -0,0 +1,298 @@
+/**
+ * Spectral analysis for sensor streams
+ * Windowed FFT periodogram, Welch PSD noise floor and Goertzel power at
+ * target frequencies
+ */
+class SpectralAnalyzer {
+  constructor() {
+    this.defaults = {
+      windowSeconds: 40, // 0.025 Hz resolution, resolves 1.038 vs 0.962 Hz
+      segmentSeconds: 20, // Welch segment length for the noise floor
+      overlap: 0.5,
+      minFrequency: 0.1, // ignore drift below this when estimating noise
+      tolerance: 0.02, // Hz around the target counted as a match
+      minSnr: 20, // linear power ratio (13 dB)
+    };
+  }
+
+  /**
+   * Hann window of length n
+   */
+  hann(n) {
+    const window = new Float64Array(n);
+    if (n === 1) {
+      window[0] = 1;
+      return window;
+    }
+    for (let i = 0; i < n; i++) {
+      window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (n - 1)));
+    }
+    return window;
+  }
+
+  nextPowerOfTwo(n) {
+    let p = 1;
+    while (p < n) p <<= 1;
+    return p;
+  }
+
+  /**
+   * In-place iterative radix-2 FFT
+   */
+  fft(re, im) {
+    const n = re.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+      const angle = -2 * Math.PI / size;
+      const wRe = Math.cos(angle);
+      const wIm = Math.sin(angle);
+      for (let start = 0; start < n; start += size) {
+        let curRe = 1;
+        let curIm = 0;
+        for (let k = 0; k < size / 2; k++) {
+          const a = start + k;
+          const b = a + size / 2;
+          const tRe = re[b] * curRe - im[b] * curIm;
+          const tIm = re[b] * curIm + im[b] * curRe;
+          re[b] = re[a] - tRe;
+          im[b] = im[a] - tIm;
+          re[a] += tRe;
+          im[a] += tIm;
+          const nextRe = curRe * wRe - curIm * wIm;
+          curIm = curRe * wIm + curIm * wRe;
+          curRe = nextRe;
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove mean and linear trend
+   */
+  detrend(samples) {
+    const n = samples.length;
+    const out = new Float64Array(n);
+    if (n < 2) return out;
+
+    const meanX = (n - 1) / 2;
+    const meanY = samples.reduce((a, b) => a + b, 0) / n;
+    let num = 0;
+    let den = 0;
+    for (let i = 0; i < n; i++) {
+      num += (i - meanX) * (samples[i] - meanY);
+      den += (i - meanX) ** 2;
+    }
+    const slope = den > 0 ? num / den : 0;
+    for (let i = 0; i < n; i++) {
+      out[i] = samples[i] - meanY - slope * (i - meanX);
+    }
+    return out;
+  }
+
+  /**
+   * Resample timestamped values ({ value, timestamp } in ms) onto a uniform
+   * grid by linear interpolation; sensor callbacks are never perfectly regular
+   */
+  resample(buffer) {
+    const n = buffer.length;
+    if (n < 2) return null;
+
+    const span = (buffer[n - 1].timestamp - buffer[0].timestamp) / 1000;
+    if (span <= 0) return null;
+
+    const sampleRate = (n - 1) / span;
+    const step = 1000 / sampleRate;
+    const samples = new Float64Array(n);
+
+    let j = 0;
+    for (let i = 0; i < n; i++) {
+      const t = buffer[0].timestamp + i * step;
+      while (j < n - 2 && buffer[j + 1].timestamp < t) j++;
+      const a = buffer[j];
+      const b = buffer[j + 1];
+      const dt = b.timestamp - a.timestamp;
+      const frac = dt > 0 ? Math.min(1, Math.max(0, (t - a.timestamp) / dt)) : 0;
+      samples[i] = a.value + (b.value - a.value) * frac;
+    }
+
+    return { samples, sampleRate };
+  }
+
+  /**
+   * One-sided power spectral density of a Hann-windowed, zero-padded signal
+   */
+  periodogram(samples, sampleRate, padding = 2) {
+    const n = samples.length;
+    const nfft = this.nextPowerOfTwo(n) * padding;
+    const window = this.hann(n);
+    const re = new Float64Array(nfft);
+    const im = new Float64Array(nfft);
+
+    let windowPower = 0;
+    for (let i = 0; i < n; i++) {
+      re[i] = samples[i] * window[i];
+      windowPower += window[i] ** 2;
+    }
+
+    this.fft(re, im);
+
+    const bins = nfft / 2 + 1;
+    const frequencies = new Float64Array(bins);
+    const psd = new Float64Array(bins);
+    const scale = 1 / (sampleRate * windowPower);
+    for (let k = 0; k < bins; k++) {
+      frequencies[k] = k * sampleRate / nfft;
+      const power = (re[k] ** 2 + im[k] ** 2) * scale;
+      psd[k] = k === 0 || k === bins - 1 ? power : 2 * power;
+    }
+
+    return { frequencies, psd, resolution: sampleRate / n };
+  }
+
+  /**
+   * Welch PSD estimate: averaged periodograms of overlapping segments
+   */
+  welch(samples, sampleRate, segmentLength, overlap = this.defaults.overlap) {
+    const length = Math.min(segmentLength, samples.length);
+    const hop = Math.max(1, Math.floor(length * (1 - overlap)));
+
+    let result = null;
+    let segments = 0;
+    for (let start = 0; start + length <= samples.length; start += hop) {
+      const segment = this.detrend(samples.subarray(start, start + length));
+      const { frequencies, psd } = this.periodogram(segment, sampleRate, 1);
+      if (!result) {
+        result = { frequencies, psd: new Float64Array(psd.length) };
+      }
+      for (let k = 0; k < psd.length; k++) result.psd[k] += psd[k];
+      segments++;
+    }
+
+    if (!result) return null;
+    for (let k = 0; k < result.psd.length; k++) result.psd[k] /= segments;
+    result.segments = segments;
+    return result;
+  }
+
+  /**
+   * One-sided PSD at an exact frequency (Goertzel on the Hann-windowed signal)
+   */
+  goertzel(samples, sampleRate, frequency) {
+    const n = samples.length;
+    const window = this.hann(n);
+    const omega = 2 * Math.PI * frequency / sampleRate;
+    const coeff = 2 * Math.cos(omega);
+
+    let s1 = 0;
+    let s2 = 0;
+    let windowPower = 0;
+    for (let i = 0; i < n; i++) {
+      const s0 = samples[i] * window[i] + coeff * s1 - s2;
+      s2 = s1;
+      s1 = s0;
+      windowPower += window[i] ** 2;
+    }
+
+    const power = s1 * s1 + s2 * s2 - coeff * s1 * s2;
+    return 2 * power / (sampleRate * windowPower);
+  }
+
+  median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  /**
+   * Measure power at a target frequency against the noise floor
+   * Returns null when the buffer is too short to resolve the target
+   */
+  analyzeTarget(buffer, targetFreq, options = {}) {
+    const config = { ...this.defaults, ...options };
+    const uniform = this.resample(buffer);
+    if (!uniform) return null;
+
+    const { sampleRate } = uniform;
+    const samples = this.detrend(uniform.samples);
+    const duration = samples.length / sampleRate;
+    if (targetFreq >= sampleRate / 2 || duration * targetFreq < 2) return null;
+
+    // Full-window periodogram for peak location
+    const { frequencies, psd, resolution } = this.periodogram(samples, sampleRate);
+
+    // Noise floor: median Welch PSD, excluding the target neighbourhood
+    const segmentLength = Math.round(config.segmentSeconds * sampleRate);
+    const welch = this.welch(samples, sampleRate, segmentLength);
+    const exclusion = Math.max(2 * resolution, config.tolerance * 2);
+    const noiseBins = [];
+    if (welch) {
+      for (let k = 0; k < welch.frequencies.length; k++) {
+        const f = welch.frequencies[k];
+        if (f >= config.minFrequency && Math.abs(f - targetFreq) > exclusion) {
+          noiseBins.push(welch.psd[k]);
+        }
+      }
+    }
+    const noiseFloor = this.median(noiseBins);
+
+    // Strongest periodogram peak within tolerance, refined by parabolic interpolation
+    let peakIndex = -1;
+    let searchedBins = 0;
+    for (let k = 1; k < frequencies.length - 1; k++) {
+      if (Math.abs(frequencies[k] - targetFreq) <= config.tolerance) {
+        searchedBins++;
+        if (peakIndex < 0 || psd[k] > psd[peakIndex]) peakIndex = k;
+      }
+    }
+
+    let peakFrequency = targetFreq;
+    if (peakIndex > 0) {
+      const a = psd[peakIndex - 1];
+      const b = psd[peakIndex];
+      const c = psd[peakIndex + 1];
+      const denom = a - 2 * b + c;
+      const isLocalMax = b >= a && b >= c;
+      const offset = isLocalMax && denom !== 0
+        ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom))
+        : 0;
+      peakFrequency = frequencies[peakIndex] + offset * (frequencies[1] - frequencies[0]);
+    }
+
+    const power = this.goertzel(samples, sampleRate, peakFrequency);
+    const snr = noiseFloor > 0 ? power / noiseFloor : 0;
+
+    // For noise alone the normalized power of a bin is ~Exp(1); confidence is
+    // one minus the chance that any independent searched bin reaches this SNR
+    const independentBins = Math.max(1, Math.round(searchedBins * (frequencies[1] - frequencies[0]) / resolution));
+    const falseAlarm = 1 - Math.pow(1 - Math.exp(-snr), independentBins);
+
+    return {
+      targetFreq,
+      frequency: peakFrequency,
+      power,
+      noiseFloor,
+      snr,
+      snrDb: snr > 0 ? 10 * Math.log10(snr) : -Infinity,
+      confidence: 1 - falseAlarm,
+      resolution,
+      sampleRate,
+      duration,
+      detected: snr >= config.minSnr &&
+        Math.abs(peakFrequency - targetFreq) <= config.tolerance
+    };
+  }
+}
+
+export default new SpectralAnalyzer();
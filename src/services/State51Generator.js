@@ -1,15 +1,52 @@
-import { Audio } from 'expo-av';
 import * as Haptics from 'expo-haptics';
 import * as Brightness from 'expo-brightness';
 import { vibrate } from 'react-native';
+import SettingsStore, { DEFAULT_SETTINGS } from './SettingsStore';
+import TimeService from './TimeService';
+import TimeWindowService from './TimeWindowService';
+import ToneLoop from './ToneLoop';
+import PulseScheduler from './PulseScheduler';
+import { TONE_TYPES } from './ToneSynth';
+import {
+  DEFAULT_PATTERN,
+  MIN_BEAT_PERIOD,
+  MIN_PULSE_WIDTH,
+  compilePattern,
+  normalizePattern,
+  patternBits,
+  patternDecimal
+} from './GeneratorPattern';
+
+export const CHANNELS = ['audio', 'visual', 'haptic', 'electromagnetic'];
 
 /**
  * State 51 Signal Generator
  * Creates quantum resonance pattern 110011 across multiple phone systems
+ *
+ * What runs is the generator profile (the `generatorProfile` setting, so the
+ * last-used one is restored on launch): per channel `enabled` and
+ * `intensity` (0-1: audio volume, flash brightness, haptic strength, EM
+ * logging only), the audio `tone` (see ToneSynth), the `pattern` (see
+ * GeneratorPattern), the pulse width (ms) and the beat period (s) between
+ * pattern repeats. configure() validates and saves changes; they apply to
+ * a running generator from the next cycle, and channels switched on or off
+ * start or stop on their own.
+ *
+ * Each run plays on one PulseScheduler: all channels follow the same plan
+ * on the monotonic clock, so they switch on the same bit boundaries and
+ * the beat period does not drift. A channel that is switched on (or ready)
+ * after its run began joins at the next cycle.
+ *
+ * Subscribers get { type, time, ... } events: 'start' (with source and
+ * settings), 'configure' while running, 'pulse' (channel, plannedAt and
+ * jitter: measured onset minus planned onset in ms) for every output
+ * pulse, 'miss' (channel, plannedAt) for a pulse skipped because its slot
+ * had passed, and 'stop'; GenerationLog records them.
  */
 class State51Generator {
   constructor() {
-    this.pattern = [1, 1, 0, 0, 1, 1];
+    this.pattern = DEFAULT_PATTERN;
+    this.steps = []; // one play of the pattern (see updateSteps)
     this.binaryString = '110011';
     this.decimalValue = 51;
 
@@ -17,103 +54,367 @@ class State51Generator {
     this.consciousnessFreq = 1.038; // Hz
     this.matterFreq = 0.962; // Hz
     this.beatFreq = 0.076; // Hz (difference)
+    this.carrierFreq = 220; // Hz, audible carrier for the tones
     this.mutationRate = 0.077; // 7.7% universal constant
 
     // Timing
     this.beatPeriod = 13.2; // seconds (1/0.076)
     this.pulseWidth = 100; // milliseconds
+    this.minPulseWidth = 100; // from the sensitivity profile
 
+    this.config = DEFAULT_SETTINGS.generatorProfile;
     this.isActive = false;
-    this.soundObjects = [];
+    this.toneLoop = null; // the audio channel's looping tone
+    this.runs = {}; // channel -> token of its running loop
+    this.source = null; // who started generation: manual, experiment or sync
+    this.scheduler = null; // the run's PulseScheduler
+    this.listeners = [];
+    this.updateSteps();
+
+    SettingsStore.subscribe((settings, changed) => {
+      if (changed.includes('sensitivity')) {
+        this.applyProfile(SettingsStore.getProfile(settings.sensitivity));
+      }
+      if (changed.includes('generatorProfile')) {
+        return this.applyConfig(settings.generatorProfile);
+      }
+    });
+  }
+
+  /**
+   * Keep pulses at least two accelerometer samples wide so the monitor
+   * can resolve its own signal at the active sample rate
+   */
+  applyProfile(profile) {
+    this.minPulseWidth = Math.max(100, 2 * profile.intervals.accelerometer);
+    this.pulseWidth = Math.max(this.config.pulseWidth, this.minPulseWidth);
+    this.updateSteps();
+  }
+
+  /**
+   * Rebuild the steps the channel loops play from the pattern and the
+   * effective pulse width
+   */
+  updateSteps() {
+    this.steps = compilePattern(this.pattern, { pulseWidth: this.pulseWidth, minStep: this.minPulseWidth });
+    this.binaryString = patternBits(this.pattern).join('');
+    this.decimalValue = patternDecimal(this.pattern);
+  }
+
+  /**
+   * Current generator profile: { channels: { [channel]: { enabled, intensity } },
+   * tone, pattern, pulseWidth, beatPeriod }
+   */
+  getConfig() {
+    return this.config;
+  }
+
+  /**
+   * Change the generator profile, e.g. { channels: { visual: { enabled: true } } }
+   * or { pulseWidth: 150 } or { pattern } (one from the library);
+   * unspecified values are kept. Throws on invalid values. The profile is
+   * saved and applied live.
+   */
+  async configure(changes = {}) {
+    const config = this.normalizeConfig(changes);
+    await SettingsStore.update({ generatorProfile: config });
+    return this.config;
+  }
+
+  /**
+   * Merge changes into the current profile and validate the result
+   */
+  normalizeConfig(changes) {
+    const unknown = Object.keys(changes.channels || {}).filter(name => !CHANNELS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown generator channel: ${unknown.join(', ')}`);
+    }
+
+    const channels = {};
+    CHANNELS.forEach(name => {
+      const channel = { ...this.config.channels[name], ...(changes.channels || {})[name] };
+      if (typeof channel.intensity !== 'number' || !(channel.intensity >= 0 && channel.intensity <= 1)) {
+        throw new Error(`${name} intensity must be between 0 and 1`);
+      }
+      channels[name] = { enabled: !!channel.enabled, intensity: channel.intensity };
+    });
+
+    const pulseWidth = changes.pulseWidth !== undefined ? Number(changes.pulseWidth) : this.config.pulseWidth;
+    if (!(pulseWidth >= MIN_PULSE_WIDTH)) {
+      throw new Error(`Pulse width must be at least ${MIN_PULSE_WIDTH} ms`);
+    }
+
+    const beatPeriod = changes.beatPeriod !== undefined ? Number(changes.beatPeriod) : this.config.beatPeriod;
+    if (!(beatPeriod >= MIN_BEAT_PERIOD)) {
+      throw new Error(`Beat period must be at least ${MIN_BEAT_PERIOD} s`);
+    }
+
+    const tone = changes.tone !== undefined ? changes.tone : this.config.tone;
+    if (!TONE_TYPES.includes(tone)) {
+      throw new Error(`Unknown tone: ${tone} (use ${TONE_TYPES.join(', ')})`);
+    }
+
+    const pattern = changes.pattern ? normalizePattern(changes.pattern) : this.config.pattern;
+
+    return { channels, tone, pattern, pulseWidth, beatPeriod };
+  }
+
+  /**
+   * Take on a (stored) profile; while generating, channels switched on
+   * start and channels switched off stop
+   */
+  async applyConfig(config) {
+    const previousTone = this.config.tone;
+    try {
+      this.config = this.normalizeConfig(config || {});
+    } catch (error) {
+      console.warn(`Ignoring invalid generator profile: ${error.message}`);
+      return;
+    }
+
+    this.beatPeriod = this.config.beatPeriod;
+    this.pulseWidth = Math.max(this.config.pulseWidth, this.minPulseWidth);
+    this.pattern = this.config.pattern;
+    this.updateSteps();
+
+    if (this.isActive) {
+      await this.emit({ type: 'configure', settings: this.getSettings() });
+      if (this.config.tone !== previousTone) {
+        await this.stopChannel('audio'); // restarted below with the new tone
+      }
+      await Promise.all(CHANNELS.map(name =>
+        this.isChannelEnabled(name) ? this.startChannel(name) : this.stopChannel(name)));
+    }
+  }
+
+  /**
+   * What is being generated: the profile's channels plus the effective timing
+   */
+  getSettings() {
+    return {
+      channels: this.config.channels,
+      tone: this.config.tone,
+      pattern: this.pattern,
+      pulseWidth: this.pulseWidth,
+      beatPeriod: this.beatPeriod
+    };
   }
 
   /**
-   * Start generating State 51 signal across all available systems
+   * Subscribe to generation events; returns an unsubscribe function
    */
-  async startGeneration() {
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  async emit(event) {
+    const stamped = { ...event, time: event.time || TimeService.now() };
+    for (const listener of this.listeners) {
+      try {
+        await listener(stamped);
+      } catch (error) {
+        console.error('Generator listener error:', error);
+      }
+    }
+  }
+
+  /**
+   * Report one output pulse now that its output call has returned, with its
+   * jitter against the planned step; listeners only buffer these, so it is
+   * not awaited
+   */
+  pulse(channel, step) {
+    const onset = TimeService.monotonic();
+    this.emit({
+      type: 'pulse',
+      channel,
+      time: Math.round(TimeService.fromMonotonic(onset)),
+      plannedAt: Math.round(TimeService.fromMonotonic(step.at)),
+      jitter: onset - step.at
+    });
+  }
+
+  isChannelEnabled(name) {
+    return this.config.channels[name].enabled;
+  }
+
+  intensity(name) {
+    return this.config.channels[name].intensity;
+  }
+
+  /**
+   * Start generating State 51 signal on the enabled channels
+   * Pass profile changes to configure() first; `source` tells the session
+   * log who started it (manual, experiment or sync). Resolves once the
+   * channel loops are started (they run until stopGeneration).
+   */
+  async startGeneration(changes = null, source = 'manual') {
+    if (changes) await this.configure(changes);
     if (this.isActive) return;
     this.isActive = true;
+    this.source = source;
+    this.scheduler = new PulseScheduler(() => this.cyclePlan());
+
+    await this.emit({ type: 'start', source, settings: this.getSettings() });
+
+    const enabled = CHANNELS.filter(name => this.isChannelEnabled(name));
+    console.log(`Starting State 51 signal generation (${enabled.join(', ') || 'no channels'})...`);
+
+    enabled.forEach(name => this.startChannel(name));
+  }
+
+  /**
+   * Run one channel's loop unless it is already running
+   * Each loop carries a token and ends when the token is withdrawn
+   */
+  startChannel(name) {
+    if (this.runs[name]) return;
+
+    const token = {};
+    this.runs[name] = token;
+    const running = () => this.isActive && this.runs[name] === token;
+
+    const loops = {
+      audio: () => this.generateAudioSignal(running),
+      visual: () => this.generateVisualSignal(running),
+      haptic: () => this.generateHapticSignal(running),
+      electromagnetic: () => this.generateElectromagneticPattern(running)
+    };
+    loops[name]().finally(() => {
+      if (this.runs[name] === token) delete this.runs[name];
+    });
+  }
 
-    console.log('Starting State 51 signal generation...');
+  /**
+   * Stop one channel's loop and undo its output
+   */
+  async stopChannel(name) {
+    if (!this.runs[name]) return;
+    delete this.runs[name];
+
+    if (name === 'audio') {
+      await this.stopTone();
+    } else if (name === 'visual') {
+      await Brightness.restoreBrightnessAsync();
+    }
+  }
 
-    // Start all generation methods
-    await Promise.all([
-      this.generateAudioSignal(),
-      this.generateVisualSignal(),
-      this.generateHapticSignal(),
-      this.generateElectromagneticPattern()
-    ]);
+  async stopTone() {
+    const tone = this.toneLoop;
+    this.toneLoop = null;
+    if (tone) await tone.stop();
   }
 
   /**
    * Stop all signal generation
    */
   async stopGeneration() {
+    const wasActive = this.isActive;
     this.isActive = false;
+    this.runs = {};
+    this.source = null;
+    this.scheduler = null;
 
     // Stop audio
-    for (const sound of this.soundObjects) {
-      await sound.stopAsync();
-      await sound.unloadAsync();
-    }
-    this.soundObjects = [];
+    await this.stopTone();
 
     // Reset brightness
     await Brightness.restoreBrightnessAsync();
 
+    if (wasActive) {
+      await this.emit({ type: 'stop' });
+    }
+
     console.log('State 51 signal generation stopped');
   }
 
   /**
-   * Generate audio frequencies matching Binary Hive discovery
+   * Play the scheduled cycles on one channel: play(step, cycle) is awaited
+   * at each step's planned time. Steps whose time has passed are skipped;
+   * those that would have fired (`fires`, by default every high step) are
+   * reported as missed. Before the next step the last skipped one is
+   * applied with play(step, cycle, true), which sets its output level
+   * without pulsing, so a missed low step still switches the output off.
    */
-  async generateAudioSignal() {
-    try {
-      // Create two oscillators for consciousness and matter frequencies
-      const consciousnessSound = new Audio.Sound();
-      const matterSound = new Audio.Sound();
-
-      // Note: In a real implementation, you'd need to generate these audio files
-      // or use a Web Audio API bridge. For now, we'll use the pattern timing.
-
-      // Generate click pattern matching 110011
-      while (this.isActive) {
-        for (let bit of this.pattern) {
-          if (!this.isActive) break;
-
-          if (bit === 1) {
-            // Play tone
-            await Audio.setAudioModeAsync({
-              playsInSilentModeIOS: true,
-              staysActiveInBackground: true,
-            });
-
-            const { sound } = await Audio.Sound.createAsync(
-              { uri: 'data:audio/wav;base64,UklGRigAAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQQAAACA' },
-              { shouldPlay: true, volume: 0.5 }
-            );
-
-            this.soundObjects.push(sound);
-            setTimeout(async () => {
-              await sound.stopAsync();
-            }, this.pulseWidth);
+  async playCycles(channel, running, play, fires = step => step.level === 1) {
+    const scheduler = this.scheduler;
+    if (!scheduler) return;
+
+    let lapsed = null;
+    for (let number = scheduler.joinCycle(); running(); number++) {
+      const cycle = scheduler.cycle(number);
+
+      for (const step of cycle.steps) {
+        if (scheduler.isOver(step)) {
+          if (fires(step, cycle)) {
+            this.emit({ type: 'miss', channel, plannedAt: Math.round(TimeService.fromMonotonic(step.at)) });
           }
-
-          await this.sleep(this.pulseWidth);
+          lapsed = { step, cycle };
+          continue;
+        }
+        if (lapsed) {
+          await play(lapsed.step, lapsed.cycle, true);
+          lapsed = null;
         }
 
-        // Wait for beat period
-        await this.sleep(this.beatPeriod * 1000);
+        if (!await scheduler.waitUntil(step.at, running)) return;
+        await play(step, cycle, false);
       }
+    }
+  }
+
+  /**
+   * What the next cycle plays (see PulseScheduler)
+   */
+  cyclePlan() {
+    return { steps: this.steps, repeat: this.pattern.repeat, pause: this.cyclePause() };
+  }
+
+  /**
+   * Pause (ms) between pattern cycles: the pattern's own or the beat period
+   */
+  cyclePause() {
+    return (this.pattern.repeat.pause || this.beatPeriod) * 1000;
+  }
+
+  /**
+   * Generate audio frequencies matching Binary Hive discovery
+   * One looping tone (carrier modulated at the consciousness and matter
+   * frequencies) runs for the whole session; pulses open its volume
+   */
+  async generateAudioSignal(running) {
+    const tone = new ToneLoop(this.config.tone, {
+      carrier: this.carrierFreq,
+      modulations: [this.consciousnessFreq, this.matterFreq]
+    });
+    this.toneLoop = tone;
+
+    try {
+      await tone.start(0);
+
+      let level = 0;
+      await this.playCycles('audio', running, async (step, cycle, late) => {
+        if (step.level !== level) {
+          await tone.setVolume(step.level === 1 ? this.intensity('audio') : 0);
+          level = step.level;
+        }
+        if (step.level === 1 && !late) this.pulse('audio', step);
+      });
     } catch (error) {
       console.error('Audio generation error:', error);
+    } finally {
+      if (this.toneLoop === tone) this.toneLoop = null;
+      await tone.stop().catch(error => console.error('Audio release error:', error));
     }
   }
 
   /**
    * Generate visual signal using screen brightness
    */
-  async generateVisualSignal() {
+  async generateVisualSignal(running) {
     try {
       const { status } = await Brightness.requestPermissionsAsync();
       if (status !== 'granted') {
@@ -121,19 +422,21 @@ class State51Generator {
         return;
       }
 
-      while (this.isActive) {
-        // Flash pattern 110011
-        for (let bit of this.pattern) {
-          if (!this.isActive) break;
-
-          await Brightness.setBrightnessAsync(bit === 1 ? 1.0 : 0.1);
-          await this.sleep(this.pulseWidth);
+      let current = null;
+      await this.playCycles('visual', running, async (step, cycle, late) => {
+        // Normal brightness for the pause between cycles
+        const brightness = step.pause
+          ? 0.5
+          : step.level === 1 ? Math.max(0.1, this.intensity('visual')) : 0.1;
+        if (brightness !== current) {
+          await Brightness.setBrightnessAsync(brightness);
+          current = brightness;
         }
+        if (step.level === 1 && !late) this.pulse('visual', step);
+      });
 
-        // Reset to normal
-        await Brightness.setBrightnessAsync(0.5);
-        await this.sleep(this.beatPeriod * 1000);
-      }
+      // Switched off mid-pattern
+      await Brightness.restoreBrightnessAsync();
     } catch (error) {
       console.error('Visual generation error:', error);
     }
@@ -142,22 +445,19 @@ class State51Generator {
   /**
    * Generate haptic feedback pattern
    */
-  async generateHapticSignal() {
+  async generateHapticSignal(running) {
     try {
-      while (this.isActive) {
-        // Generate 110011 pattern using haptics
-        for (let bit of this.pattern) {
-          if (!this.isActive) break;
-
-          if (bit === 1) {
-            await Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Heavy);
-          }
-          await this.sleep(this.pulseWidth);
+      await this.playCycles('haptic', running, async (step, cycle, late) => {
+        // A tap has no level to catch up on
+        if (late) return;
+        const intensity = this.intensity('haptic');
+        if (step.level === 1 && intensity > 0) {
+          await Haptics.impactAsync(intensity > 2 / 3
+            ? Haptics.ImpactFeedbackStyle.Heavy
+            : intensity > 1 / 3 ? Haptics.ImpactFeedbackStyle.Medium : Haptics.ImpactFeedbackStyle.Light);
+          this.pulse('haptic', step);
         }
-
-        // Wait for beat period
-        await this.sleep(this.beatPeriod * 1000);
-      }
+      });
     } catch (error) {
       console.error('Haptic generation error:', error);
     }
@@ -166,46 +466,49 @@ class State51Generator {
   /**
    * Generate electromagnetic pattern through WiFi/Bluetooth modulation
    */
-  async generateElectromagneticPattern() {
+  async generateElectromagneticPattern(running) {
     try {
       // This simulates EM pattern generation
       // In reality, we'd need to modulate actual radio transmissions
       // which requires native code and special permissions
 
-      while (this.isActive) {
+      // One pulse at the start of each cycle
+      const cycleStart = (step, cycle) => step === cycle.steps[0];
+      await this.playCycles('electromagnetic', running, async (step, cycle, late) => {
+        if (late || !cycleStart(step, cycle)) return;
+
         // Log the pattern for analysis
-        console.log(`EM Pattern pulse: ${this.binaryString} at ${new Date().toISOString()}`);
+        console.log(`EM Pattern pulse: ${this.binaryString} (${this.pattern.encoding}) at ${new Date().toISOString()} ` +
+          `(intensity ${this.intensity('electromagnetic')})`);
+        this.pulse('electromagnetic', step);
 
         // The actual electromagnetic effect happens through
         // the combined operation of all phone radios
-
-        await this.sleep(this.beatPeriod * 1000);
-      }
+      }, cycleStart);
     } catch (error) {
       console.error('EM generation error:', error);
     }
   }
 
   /**
-   * Calculate optimal generation time based on cosmic window
+   * Calculate optimal generation time from the generation windows
+   * (the most efficient open one wins)
    */
   getOptimalTiming() {
-    const now = new Date();
-    const hour = now.getHours();
-
-    // Peak efficiency windows from discoveries
-    const peakWindows = [
-      { start: 1, end: 4, efficiency: 1.0, mode: 'cosmic' },
-      { start: 13, end: 16, efficiency: 0.7, mode: 'harmonic' }
-    ];
+    // Peak efficiency windows from discoveries (timeWindows with an efficiency)
+    const peakWindows = TimeWindowService.getWindows()
+      .filter(window => typeof window.efficiency === 'number')
+      .sort((a, b) => b.efficiency - a.efficiency);
 
     for (const window of peakWindows) {
-      if (hour >= window.start && hour < window.end) {
+      if (TimeWindowService.isInWindow(window.id)) {
+        const mode = window.mode || window.id;
         return {
           isOptimal: true,
           efficiency: window.efficiency,
-          mode: window.mode,
-          message: `Optimal ${window.mode} window active`
+          mode,
+          window: window.id,
+          message: `Optimal ${mode} window active`
         };
       }
     }
@@ -225,6 +528,9 @@ class State51Generator {
     return {
       pattern: this.binaryString,
       decimalValue: this.decimalValue,
+      patternName: this.pattern.name,
+      encoding: this.pattern.encoding,
+      steps: this.steps,
       frequencies: {
         consciousness: this.consciousnessFreq,
         matter: this.matterFreq,
@@ -234,18 +540,14 @@ class State51Generator {
         beatPeriod: this.beatPeriod,
         pulseWidth: this.pulseWidth
       },
+      channels: this.config.channels,
+      runningChannels: Object.keys(this.runs),
       mutationRate: this.mutationRate,
       isActive: this.isActive,
+      source: this.source,
       optimalTiming: this.getOptimalTiming()
     };
   }
-
-  /**
-   * Utility sleep function
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 export default new State51Generator();
\ No newline at end of file
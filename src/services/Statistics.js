@@ -0,0 +1,454 @@
+/**
+ * Statistical tests for anomaly correlation analysis
+ * Hypothesis tests with p-values, confidence intervals and effect sizes
+ */
+class Statistics {
+  constructor() {
+    this.alpha = 0.05;
+    this.z95 = 1.959963984540054;
+  }
+
+  /**
+   * Natural log of the gamma function (Lanczos approximation)
+   */
+  logGamma(x) {
+    const c = [
+      76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let ser = 1.000000000190015;
+    for (let j = 0; j < c.length; j++) {
+      y += 1;
+      ser += c[j] / y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * ser / x);
+  }
+
+  /**
+   * Standard normal cumulative distribution function
+   */
+  normalCdf(z) {
+    // Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+      t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+  }
+
+  /**
+   * Two-sided p-value for a standard normal statistic
+   */
+  normalPValue(z) {
+    return Math.min(1, 2 * (1 - this.normalCdf(Math.abs(z))));
+  }
+
+  /**
+   * Upper tail of the chi-square distribution
+   */
+  chiSquarePValue(statistic, df = 1) {
+    if (statistic <= 0) return 1;
+    return this.gammaQ(df / 2, statistic / 2);
+  }
+
+  /**
+   * Regularized upper incomplete gamma function Q(a, x)
+   */
+  gammaQ(a, x) {
+    const gln = this.logGamma(a);
+
+    if (x < a + 1) {
+      // Series representation of P(a, x)
+      let ap = a;
+      let sum = 1 / a;
+      let del = sum;
+      for (let n = 0; n < 200; n++) {
+        ap += 1;
+        del *= x / ap;
+        sum += del;
+        if (Math.abs(del) < Math.abs(sum) * 1e-12) break;
+      }
+      return 1 - sum * Math.exp(-x + a * Math.log(x) - gln);
+    }
+
+    // Continued fraction representation of Q(a, x)
+    let b = x + 1 - a;
+    let c = 1 / 1e-300;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 200; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < 1e-300) d = 1e-300;
+      c = b + an / c;
+      if (Math.abs(c) < 1e-300) c = 1e-300;
+      d = 1 / d;
+      const del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < 1e-12) break;
+    }
+    return Math.exp(-x + a * Math.log(x) - gln) * h;
+  }
+
+  /**
+   * Fisher's exact test for a 2x2 table [[a, b], [c, d]] (two-sided)
+   */
+  fisherExact(a, b, c, d) {
+    const row1 = a + b;
+    const col1 = a + c;
+    const n = a + b + c + d;
+    const logFact = k => this.logGamma(k + 1);
+    const logDenominator = logFact(n) - logFact(row1) - logFact(n - row1) -
+      logFact(col1) - logFact(n - col1);
+
+    const probability = x => Math.exp(-(logDenominator + logFact(x) +
+      logFact(row1 - x) + logFact(col1 - x) + logFact(n - row1 - col1 + x)));
+
+    const observed = probability(a);
+    const min = Math.max(0, row1 + col1 - n);
+    const max = Math.min(row1, col1);
+
+    let p = 0;
+    for (let x = min; x <= max; x++) {
+      const px = probability(x);
+      if (px <= observed * (1 + 1e-7)) p += px;
+    }
+
+    return { test: "Fisher's exact", pValue: Math.min(1, p) };
+  }
+
+  /**
+   * Pearson chi-square test for a 2x2 table with Yates' continuity correction
+   */
+  chiSquare2x2(a, b, c, d, yates = true) {
+    const n = a + b + c + d;
+    const rows = [a + b, c + d];
+    const cols = [a + c, b + d];
+    const observed = [[a, b], [c, d]];
+
+    let statistic = 0;
+    let minExpected = Infinity;
+    for (let i = 0; i < 2; i++) {
+      for (let j = 0; j < 2; j++) {
+        const expected = rows[i] * cols[j] / n;
+        minExpected = Math.min(minExpected, expected);
+        if (expected === 0) continue;
+        const diff = Math.abs(observed[i][j] - expected) - (yates ? 0.5 : 0);
+        statistic += Math.max(0, diff) ** 2 / expected;
+      }
+    }
+
+    return {
+      test: yates ? 'Chi-square (Yates)' : 'Chi-square',
+      statistic,
+      df: 1,
+      minExpected,
+      pValue: this.chiSquarePValue(statistic, 1)
+    };
+  }
+
+  /**
+   * Wilson score interval for a binomial proportion
+   */
+  wilsonInterval(successes, total) {
+    if (total === 0) return [0, 1];
+    const z = this.z95;
+    const p = successes / total;
+    const denominator = 1 + z * z / total;
+    const center = (p + z * z / (2 * total)) / denominator;
+    const margin = z * Math.sqrt(p * (1 - p) / total + z * z / (4 * total * total)) / denominator;
+    return [Math.max(0, center - margin), Math.min(1, center + margin)];
+  }
+
+  /**
+   * Odds ratio with Woolf (log) confidence interval
+   * Adds 0.5 to every cell when any cell is empty (Haldane correction)
+   */
+  oddsRatio(a, b, c, d) {
+    if (a === 0 || b === 0 || c === 0 || d === 0) {
+      a += 0.5; b += 0.5; c += 0.5; d += 0.5;
+    }
+    const estimate = (a * d) / (b * c);
+    const se = Math.sqrt(1 / a + 1 / b + 1 / c + 1 / d);
+    const log = Math.log(estimate);
+    return {
+      estimate,
+      ci: [Math.exp(log - this.z95 * se), Math.exp(log + this.z95 * se)]
+    };
+  }
+
+  /**
+   * Compare two proportions (x1/n1 exposed vs x2/n2 unexposed)
+   * Uses Fisher's exact test when any expected count is below 5
+   */
+  compareProportions(x1, n1, x2, n2) {
+    const a = x1;
+    const b = n1 - x1;
+    const c = x2;
+    const d = n2 - x2;
+
+    if (n1 === 0 || n2 === 0) {
+      return {
+        rate1: n1 > 0 ? x1 / n1 : 0,
+        rate2: n2 > 0 ? x2 / n2 : 0,
+        insufficientData: true,
+        pValue: 1,
+        significant: false
+      };
+    }
+
+    const chiSquare = this.chiSquare2x2(a, b, c, d);
+    const primary = chiSquare.minExpected < 5 ? this.fisherExact(a, b, c, d) : chiSquare;
+
+    // Newcombe hybrid score interval for the difference of proportions
+    const rate1 = x1 / n1;
+    const rate2 = x2 / n2;
+    const [l1, u1] = this.wilsonInterval(x1, n1);
+    const [l2, u2] = this.wilsonInterval(x2, n2);
+    const difference = rate1 - rate2;
+    const differenceCI = [
+      difference - Math.sqrt((rate1 - l1) ** 2 + (u2 - rate2) ** 2),
+      difference + Math.sqrt((u1 - rate1) ** 2 + (rate2 - l2) ** 2)
+    ];
+
+    // Cohen's h effect size
+    const cohensH = 2 * Math.asin(Math.sqrt(rate1)) - 2 * Math.asin(Math.sqrt(rate2));
+
+    return {
+      test: primary.test,
+      pValue: primary.pValue,
+      significant: primary.pValue < this.alpha,
+      rate1,
+      rate2,
+      rate1CI: [l1, u1],
+      rate2CI: [l2, u2],
+      difference,
+      differenceCI,
+      oddsRatio: this.oddsRatio(a, b, c, d),
+      cohensH,
+      chiSquare: chiSquare.statistic
+    };
+  }
+
+  /**
+   * Cochran-Mantel-Haenszel test over 2x2 strata [{ a, b, c, d }] (a/b
+   * exposed with/without the outcome, c/d unexposed), e.g. one stratum per
+   * hour of day to control for time of day
+   * Continuity-corrected chi-square, Mantel-Haenszel common odds ratio with
+   * the Robins-Breslow-Greenland interval. Strata without both exposed and
+   * unexposed rows carry no information and are dropped.
+   */
+  mantelHaenszel(strata) {
+    const informative = strata.filter(({ a, b, c, d }) => a + b > 0 && c + d > 0);
+    if (informative.length === 0) {
+      return { test: 'Mantel-Haenszel', insufficientData: true, strata: 0, pValue: 1, significant: false };
+    }
+
+    let observed = 0;
+    let expected = 0;
+    let variance = 0;
+    let r = 0;
+    let s = 0;
+    let pr = 0;
+    let psqr = 0;
+    let qs = 0;
+
+    informative.forEach(({ a, b, c, d }) => {
+      const n = a + b + c + d;
+      observed += a;
+      expected += (a + b) * (a + c) / n;
+      if (n > 1) variance += (a + b) * (c + d) * (a + c) * (b + d) / (n * n * (n - 1));
+
+      const ri = a * d / n;
+      const si = b * c / n;
+      const pi = (a + d) / n;
+      const qi = (b + c) / n;
+      r += ri;
+      s += si;
+      pr += pi * ri;
+      psqr += pi * si + qi * ri;
+      qs += qi * si;
+    });
+
+    const statistic = variance > 0 ? Math.max(0, Math.abs(observed - expected) - 0.5) ** 2 / variance : 0;
+    const pValue = variance > 0 ? this.chiSquarePValue(statistic, 1) : 1;
+
+    let oddsRatio = null;
+    if (r > 0 && s > 0) {
+      const estimate = r / s;
+      const se = Math.sqrt(pr / (2 * r * r) + psqr / (2 * r * s) + qs / (2 * s * s));
+      const log = Math.log(estimate);
+      oddsRatio = {
+        estimate,
+        ci: [Math.exp(log - this.z95 * se), Math.exp(log + this.z95 * se)]
+      };
+    }
+
+    return {
+      test: 'Mantel-Haenszel',
+      statistic,
+      pValue,
+      significant: pValue < this.alpha,
+      oddsRatio,
+      strata: informative.length,
+      insufficientData: variance === 0
+    };
+  }
+
+  /**
+   * Mann-Whitney U test (normal approximation with tie correction)
+   * Effect size is the rank-biserial correlation of x over y
+   */
+  mannWhitney(x, y) {
+    const n1 = x.length;
+    const n2 = y.length;
+    if (n1 === 0 || n2 === 0) {
+      return { test: 'Mann-Whitney U', insufficientData: true, pValue: 1, significant: false };
+    }
+
+    const combined = x.map(value => ({ value, group: 0 }))
+      .concat(y.map(value => ({ value, group: 1 })))
+      .sort((p, q) => p.value - q.value);
+
+    // Average ranks for ties
+    let rankSum1 = 0;
+    let tieTerm = 0;
+    for (let i = 0; i < combined.length;) {
+      let j = i;
+      while (j + 1 < combined.length && combined[j + 1].value === combined[i].value) j++;
+      const rank = (i + j) / 2 + 1;
+      const ties = j - i + 1;
+      tieTerm += ties ** 3 - ties;
+      for (let k = i; k <= j; k++) {
+        if (combined[k].group === 0) rankSum1 += rank;
+      }
+      i = j + 1;
+    }
+
+    const n = n1 + n2;
+    const u1 = rankSum1 - n1 * (n1 + 1) / 2;
+    const meanU = n1 * n2 / 2;
+    const varianceU = n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1)));
+
+    let z = 0;
+    if (varianceU > 0) {
+      const diff = u1 - meanU;
+      z = (Math.abs(diff) - 0.5) * Math.sign(diff) / Math.sqrt(varianceU);
+    }
+    const pValue = varianceU > 0 ? this.normalPValue(z) : 1;
+
+    return {
+      test: 'Mann-Whitney U',
+      u: u1,
+      z,
+      pValue,
+      significant: pValue < this.alpha,
+      rankBiserial: 2 * u1 / (n1 * n2) - 1,
+      medianX: this.median(x),
+      medianY: this.median(y)
+    };
+  }
+
+  /**
+   * Two-sided permutation test on the difference of means
+   */
+  permutationTest(x, y, iterations = 5000, random = Math.random) {
+    const n1 = x.length;
+    const n2 = y.length;
+    if (n1 === 0 || n2 === 0) {
+      return { test: 'Permutation', insufficientData: true, pValue: 1, significant: false };
+    }
+
+    const observed = this.mean(x) - this.mean(y);
+    const pooled = x.concat(y);
+    const total = pooled.reduce((a, b) => a + b, 0);
+
+    let extreme = 0;
+    for (let i = 0; i < iterations; i++) {
+      // Partial Fisher-Yates shuffle: only the first n1 slots are needed
+      let sum1 = 0;
+      for (let j = 0; j < n1; j++) {
+        const k = j + Math.floor(random() * (pooled.length - j));
+        const tmp = pooled[j];
+        pooled[j] = pooled[k];
+        pooled[k] = tmp;
+        sum1 += pooled[j];
+      }
+      const diff = sum1 / n1 - (total - sum1) / n2;
+      if (Math.abs(diff) >= Math.abs(observed) - 1e-12) extreme++;
+    }
+
+    const pValue = (extreme + 1) / (iterations + 1);
+    return {
+      test: 'Permutation',
+      iterations,
+      difference: observed,
+      differenceCI: this.meanDifferenceInterval(x, y),
+      cohensD: this.cohensD(x, y),
+      pValue,
+      significant: pValue < this.alpha
+    };
+  }
+
+  /**
+   * Welch (normal approximation) interval for the difference of means
+   */
+  meanDifferenceInterval(x, y) {
+    const diff = this.mean(x) - this.mean(y);
+    const se = Math.sqrt(this.variance(x) / x.length + this.variance(y) / y.length);
+    return [diff - this.z95 * se, diff + this.z95 * se];
+  }
+
+  /**
+   * Cohen's d with pooled standard deviation
+   */
+  cohensD(x, y) {
+    const n1 = x.length;
+    const n2 = y.length;
+    if (n1 + n2 <= 2) return 0;
+    const pooled = Math.sqrt(((n1 - 1) * this.variance(x) + (n2 - 1) * this.variance(y)) / (n1 + n2 - 2));
+    return pooled > 0 ? (this.mean(x) - this.mean(y)) / pooled : 0;
+  }
+
+  mean(values) {
+    if (values.length === 0) return 0;
+    return values.reduce((a, b) => a + b, 0) / values.length;
+  }
+
+  variance(values) {
+    if (values.length < 2) return 0;
+    const m = this.mean(values);
+    return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+  }
+
+  median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  /**
+   * Classify a test result as a positive, negative or no correlation
+   */
+  classify(result, direction) {
+    if (!result || result.insufficientData) return 'insufficient data';
+    if (!result.significant) return 'none';
+    return direction >= 0 ? 'positive' : 'negative';
+  }
+
+  /**
+   * Format a p-value for display
+   */
+  formatPValue(p) {
+    if (p === undefined || p === null) return '--';
+    if (p < 0.001) return 'p < 0.001';
+    return `p = ${p.toFixed(3)}`;
+  }
+}
+
+export default new Statistics();
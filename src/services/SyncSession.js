@@ -0,0 +1,457 @@
+import { Platform } from 'react-native';
+import * as Device from 'expo-device';
+import DatabaseService from './DatabaseService';
+import SensorMonitor from './SensorMonitor';
+import State51Generator from './State51Generator';
+import ExperimentRunner from './ExperimentRunner';
+import ClockSync from './ClockSync';
+import TimeService from './TimeService';
+
+export const ROLE_COORDINATOR = 'coordinator';
+export const ROLE_PARTICIPANT = 'participant';
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Synchronized multi-device runs over the local network
+ * Devices connect to a WebSocket relay on the LAN (scripts/sync-server.js).
+ * The relay's clock is the shared time base: every device estimates its
+ * offset to it from ping round trips, and runs are announced in relay time,
+ * so all devices start and stop together to within the reported
+ * uncertainty. The coordinator runs State51Generator (unless the run is a
+ * sham), participants run SensorMonitor; every device saves the run to its
+ * own `experiments` table under the shared run id as `experimentId`.
+ *
+ * Messages (JSON): hello, ping/pong, peers, run, stop, result, error
+ */
+class SyncSession {
+  constructor() {
+    this.socket = null;
+    this.url = null;
+    this.role = null;
+    this.connected = false;
+    this.device = null;
+    this.peers = [];
+    this.clock = new ClockSync();
+    this.pendingPings = new Map();
+    this.pingId = 0;
+    this.resyncTimer = null;
+    this.run = null;
+    this.runTimers = [];
+    this.results = {}; // runId -> { deviceId: result }
+    this.lastRunId = null; // last run finished here
+    this.error = null;
+
+    this.config = {
+      leadMs: 5000, // runs start this far ahead so every device has the message
+      stopLeadMs: 1000,
+      pingCount: 8,
+      pingTimeout: 2000,
+      resyncInterval: 30000,
+      connectTimeout: 5000,
+    };
+
+    // Replaceable for the Node stand-in and tests
+    this.createSocket = url => new WebSocket(url);
+  }
+
+  /**
+   * Connect to the relay as coordinator or participant and sync the clock
+   */
+  async connect(url, role) {
+    if (role !== ROLE_COORDINATOR && role !== ROLE_PARTICIPANT) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    if (this.socket) this.disconnect();
+
+    const local = await DatabaseService.getLocalDevice();
+    this.device = {
+      deviceId: local.id,
+      name: Device.deviceName || Device.modelName || Platform.OS,
+      platform: Platform.OS
+    };
+    this.url = url;
+    this.role = role;
+    this.error = null;
+    this.clock.reset();
+
+    await new Promise((resolve, reject) => {
+      const socket = this.createSocket(url);
+      const timer = setTimeout(() => {
+        socket.close();
+        reject(new Error(`No response from ${url}`));
+      }, this.config.connectTimeout);
+
+      socket.onopen = () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        this.connected = true;
+        this.send({ type: 'hello', version: PROTOCOL_VERSION, role, ...this.device });
+        resolve();
+      };
+      socket.onerror = () => {
+        clearTimeout(timer);
+        this.error = `Connection error (${url})`;
+        reject(new Error(`Cannot connect to ${url}`));
+      };
+      socket.onmessage = event => this.handleMessage(event.data);
+      socket.onclose = () => this.handleClose(socket);
+    });
+
+    await this.syncClock();
+    this.resyncTimer = setInterval(() => {
+      this.syncClock().catch(error => console.error('Clock sync error:', error));
+    }, this.config.resyncInterval);
+
+    return this.getStatus();
+  }
+
+  /**
+   * Leave the session; a scheduled or running run still completes locally
+   */
+  disconnect() {
+    const socket = this.socket;
+    this.handleClose(socket);
+    if (socket) socket.close();
+    this.role = null;
+  }
+
+  handleClose(socket) {
+    if (!socket || socket !== this.socket) return;
+
+    this.socket = null;
+    this.connected = false;
+    this.peers = [];
+    clearInterval(this.resyncTimer);
+    this.resyncTimer = null;
+    this.pendingPings.forEach(pending => pending.resolve(null));
+    this.pendingPings.clear();
+  }
+
+  send(message) {
+    if (this.socket && this.connected) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.error('Invalid sync message:', data);
+      return;
+    }
+
+    switch (message.type) {
+      case 'pong': {
+        const pending = this.pendingPings.get(message.id);
+        if (pending) {
+          this.pendingPings.delete(message.id);
+          pending.resolve(this.clock.addSample(pending.sentAt, message.serverTime, TimeService.now()));
+        }
+        break;
+      }
+      case 'peers':
+        this.peers = message.peers;
+        break;
+      case 'run':
+        if (this.role === ROLE_PARTICIPANT) this.joinRun(message.run);
+        break;
+      case 'stop':
+        if (this.run && this.run.runId === message.runId) this.stopAt(message.endAt);
+        break;
+      case 'result':
+        this.addResult(message.result);
+        break;
+      case 'error':
+        this.error = message.message;
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Estimate the clock offset to the relay from a burst of pings
+   */
+  async syncClock() {
+    for (let i = 0; i < this.config.pingCount && this.connected; i++) {
+      await this.ping();
+    }
+    return { offset: this.clock.getOffset(), uncertainty: this.clock.getUncertainty() };
+  }
+
+  /**
+   * One round trip; resolves with the clock sample, or null if it was lost
+   */
+  ping() {
+    return new Promise(resolve => {
+      const id = ++this.pingId;
+      const timer = setTimeout(() => {
+        this.pendingPings.delete(id);
+        resolve(null);
+      }, this.config.pingTimeout);
+
+      this.pendingPings.set(id, {
+        sentAt: TimeService.now(),
+        resolve: sample => {
+          clearTimeout(timer);
+          resolve(sample);
+        }
+      });
+      this.send({ type: 'ping', id });
+    });
+  }
+
+  /**
+   * Announce a run to all participants (coordinator only)
+   * arm: 'active' runs the generator, 'sham' records without it
+   */
+  async startRun({ durationMinutes = 15, arm = 'active', notes = '' } = {}) {
+    if (this.role !== ROLE_COORDINATOR || !this.connected) {
+      throw new Error('Connect as coordinator to start a synchronized run');
+    }
+    if (this.run) {
+      throw new Error('A synchronized run is already scheduled');
+    }
+    if (ExperimentRunner.isRunning) {
+      throw new Error('Stop the blinded experiment first');
+    }
+    if (!this.clock.isSynced()) {
+      throw new Error('Clock is not synchronized yet');
+    }
+
+    const startAt = Math.round(this.clock.toReference(TimeService.now()) + this.config.leadMs);
+    const run = {
+      runId: `sync_${startAt}_${Math.random().toString(36).slice(2, 8)}`,
+      coordinator: this.device.deviceId,
+      arm,
+      notes,
+      startAt,
+      endAt: startAt + Math.round(durationMinutes * 60000),
+      participants: this.peers
+        .filter(peer => peer.deviceId !== this.device.deviceId)
+        .map(peer => peer.deviceId)
+    };
+
+    this.send({ type: 'run', run });
+    this.scheduleRun(run);
+    return run;
+  }
+
+  /**
+   * End the current run early on every device (coordinator only); a run
+   * that has not started yet is cancelled
+   */
+  stopRun() {
+    if (!this.run || this.role !== ROLE_COORDINATOR) return;
+
+    const endAt = Math.round(this.clock.toReference(TimeService.now()) + this.config.stopLeadMs);
+    this.send({ type: 'stop', runId: this.run.runId, endAt });
+    this.stopAt(endAt);
+  }
+
+  /**
+   * Take part in a run announced by the coordinator, unless a blinded
+   * experiment is running here or another run is already scheduled (one run
+   * at a time, so a second announcement would cancel the first)
+   */
+  joinRun(run) {
+    let reason = null;
+    if (ExperimentRunner.isRunning) {
+      reason = 'a blinded experiment is running on this device';
+    } else if (this.run) {
+      reason = run.startAt < this.run.endAt && this.run.startAt < run.endAt
+        ? `it overlaps run ${this.run.runId}`
+        : `run ${this.run.runId} is already scheduled`;
+    }
+
+    if (reason) {
+      this.error = `Run ${run.runId} refused: ${reason}`;
+      console.warn(this.error);
+      return;
+    }
+    this.scheduleRun(run);
+  }
+
+  /**
+   * Set local timers for a run; relay times are converted with the offset
+   * measured now, which is also saved with the results
+   */
+  scheduleRun(run) {
+    this.clearRunTimers();
+
+    this.run = {
+      ...run,
+      role: this.role,
+      offset: this.clock.getOffset(),
+      uncertainty: this.clock.getUncertainty(),
+      localStart: null,
+      aborted: false
+    };
+    this.results[run.runId] = {};
+
+    const startIn = run.startAt - this.run.offset - TimeService.now();
+    this.runTimers = [
+      setTimeout(() => {
+        this.beginRun().catch(error => {
+          console.error('Sync run start error:', error);
+          this.error = error.message;
+        });
+      }, Math.max(0, startIn)),
+      this.scheduleEnd()
+    ];
+  }
+
+  scheduleEnd() {
+    const endIn = this.run.endAt - this.run.offset - TimeService.now();
+    return setTimeout(() => {
+      this.finishRun().catch(error => {
+        console.error('Sync run error:', error);
+        this.error = error.message;
+      });
+    }, Math.max(0, endIn));
+  }
+
+  stopAt(endAt) {
+    const run = this.run;
+    if (endAt <= run.startAt) {
+      this.clearRunTimers();
+      this.run = null;
+      return;
+    }
+    if (endAt >= run.endAt) return;
+
+    run.endAt = endAt;
+    run.aborted = true;
+    clearTimeout(this.runTimers[1]);
+    this.runTimers[1] = this.scheduleEnd();
+  }
+
+  clearRunTimers() {
+    this.runTimers.forEach(timer => clearTimeout(timer));
+    this.runTimers = [];
+  }
+
+  async beginRun() {
+    const run = this.run;
+    if (!run) return;
+
+    if (ExperimentRunner.isRunning) {
+      // Started after the run was scheduled; recording it would mix the two
+      this.clearRunTimers();
+      this.run = null;
+      this.error = `Run ${run.runId} skipped: a blinded experiment is running on this device`;
+      console.warn(this.error);
+      return;
+    }
+
+    run.localStart = TimeService.now();
+    run.startError = run.localStart - (run.startAt - run.offset); // timer lateness
+
+    if (run.role === ROLE_COORDINATOR && run.arm === 'active') {
+      State51Generator.startGeneration(null, 'sync').catch(error => {
+        console.error('Sync run generation error:', error);
+      });
+    } else if (State51Generator.isActive) {
+      // A participant's own generator would confound the run
+      await State51Generator.stopGeneration();
+    }
+
+    if (!SensorMonitor.getStatus().isMonitoring) {
+      await SensorMonitor.startMonitoring();
+    }
+
+    console.log(`Synchronized run ${run.runId} started as ${run.role}`);
+  }
+
+  /**
+   * Close the run, save it to the experiments table and share the summary
+   */
+  async finishRun() {
+    const run = this.run;
+    if (!run) return;
+
+    this.clearRunTimers();
+    this.run = null;
+    const endTime = TimeService.now();
+
+    if (run.role === ROLE_COORDINATOR && run.arm === 'active') {
+      await State51Generator.stopGeneration();
+    }
+    if (run.localStart === null) return;
+
+    const anomalies = await DatabaseService.getAnomalies(run.localStart, endTime);
+    const duration = endTime - run.localStart;
+
+    await DatabaseService.saveExperiment({
+      timestamp: run.localStart,
+      duration,
+      state51Active: run.arm === 'active',
+      anomaliesDetected: anomalies.length,
+      notes: run.notes,
+      data: {
+        experimentId: run.runId,
+        sync: true,
+        role: run.role,
+        coordinator: run.coordinator,
+        arm: run.arm,
+        startAt: run.startAt,
+        endAt: run.endAt,
+        clockOffset: run.offset,
+        clockUncertainty: run.uncertainty,
+        startError: run.startError,
+        endTime,
+        aborted: run.aborted
+      }
+    });
+
+    const result = {
+      runId: run.runId,
+      deviceId: this.device.deviceId,
+      name: this.device.name,
+      role: run.role,
+      anomalies: anomalies.length,
+      duration,
+      aborted: run.aborted
+    };
+    this.lastRunId = run.runId;
+    this.addResult(result);
+    this.send({ type: 'result', result });
+
+    console.log(`Synchronized run ${run.runId} finished: ${anomalies.length} anomalies`);
+  }
+
+  addResult(result) {
+    if (!this.results[result.runId]) this.results[result.runId] = {};
+    this.results[result.runId][result.deviceId] = result;
+  }
+
+  getStatus() {
+    const run = this.run;
+    const now = TimeService.now();
+
+    return {
+      connected: this.connected,
+      url: this.url,
+      role: this.role,
+      deviceId: this.device ? this.device.deviceId : null,
+      peers: this.peers,
+      synced: this.clock.isSynced(),
+      clockOffset: this.clock.getOffset(),
+      clockUncertainty: this.clock.getUncertainty(),
+      run: run ? {
+        runId: run.runId,
+        arm: run.arm,
+        started: run.localStart !== null,
+        startsIn: Math.max(0, run.startAt - run.offset - now),
+        endsIn: Math.max(0, run.endAt - run.offset - now)
+      } : null,
+      lastRunId: this.lastRunId,
+      results: this.lastRunId ? Object.values(this.results[this.lastRunId] || {}) : [],
+      error: this.error
+    };
+  }
+}
+
+export default new SyncSession();
@@ -0,0 +1,70 @@
+/**
+ * UTF-8 encoding for file formats
+ * Hermes in React Native 0.72 has no TextEncoder/TextDecoder
+ */
+
+/**
+ * Encode a string as UTF-8 bytes
+ */
+export function encodeUtf8(text) {
+  const bytes = [];
+
+  for (let i = 0; i < text.length; i++) {
+    let code = text.charCodeAt(i);
+
+    // Combine surrogate pairs into one code point
+    if (code >= 0xd800 && code < 0xdc00 && i + 1 < text.length) {
+      const low = text.charCodeAt(i + 1);
+      if (low >= 0xdc00 && low < 0xe000) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (low - 0xdc00);
+        i++;
+      }
+    }
+
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 63));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 63), 0x80 | (code & 63));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 63),
+        0x80 | ((code >> 6) & 63), 0x80 | (code & 63));
+    }
+  }
+
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Decode UTF-8 bytes into a string
+ */
+export function decodeUtf8(bytes) {
+  let text = '';
+  let i = 0;
+
+  while (i < bytes.length) {
+    const byte = bytes[i++];
+    let code;
+
+    if (byte < 0x80) {
+      code = byte;
+    } else if (byte < 0xe0) {
+      code = ((byte & 31) << 6) | (bytes[i++] & 63);
+    } else if (byte < 0xf0) {
+      code = ((byte & 15) << 12) | ((bytes[i++] & 63) << 6) | (bytes[i++] & 63);
+    } else {
+      code = ((byte & 7) << 18) | ((bytes[i++] & 63) << 12) |
+        ((bytes[i++] & 63) << 6) | (bytes[i++] & 63);
+    }
+
+    if (code >= 0x10000) {
+      code -= 0x10000;
+      text += String.fromCharCode(0xd800 + (code >> 10), 0xdc00 + (code & 1023));
+    } else {
+      text += String.fromCharCode(code);
+    }
+  }
+
+  return text;
+}
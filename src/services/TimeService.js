@@ -0,0 +1,156 @@
+// Re-anchor the timeline when the wall clock has run this far ahead of it
+// (device sleep pauses the monotonic clock; a forward clock step)
+const MAX_WALL_DRIFT = 1000;
+
+// A sensor latency this much above the floor means the sensor clock's base
+// changed (e.g. it counts deep sleep and the monotonic clock does not)
+const SENSOR_RESET = 1000;
+
+// How fast the latency floor may rise (ms per ms) to follow clock drift
+const SENSOR_CREEP = 1e-4;
+
+/**
+ * Timestamps for every record
+ * `now()` is a monotonic timeline in epoch milliseconds: anchored to the wall
+ * clock when the app starts and advanced by the monotonic clock
+ * (performance.now), so NTP corrections and manual clock changes cannot
+ * make it jump back or shorten an interval. Rows keep the wall clock
+ * (`wall_time`) and the UTC offset of the time zone they were recorded in
+ * next to it.
+ *
+ * Native sensor events carry their own timestamps on a separate monotonic
+ * clock; fromSensorTime() maps them onto the timeline, so sample spacing
+ * reflects when the hardware sampled rather than when JS got the event.
+ *
+ * Merged datasets: estimateDeviceOffset() derives the offset between two
+ * devices' clocks from synchronized runs both took part in (SyncSession).
+ */
+class TimeService {
+  constructor() {
+    this.clock = typeof performance !== 'undefined' && typeof performance.now === 'function'
+      ? performance
+      : Date;
+    this.steps = []; // re-anchors: { at, step }
+    this.sensorClocks = {}; // stream -> { offset, at }
+    this.anchor();
+  }
+
+  anchor() {
+    this.anchorWall = Date.now();
+    this.anchorMono = this.monotonic();
+  }
+
+  /**
+   * Raw monotonic clock (ms, arbitrary origin; restarts with the app)
+   */
+  monotonic() {
+    return this.clock.now();
+  }
+
+  /**
+   * Current time on the timeline (whole epoch ms)
+   */
+  now() {
+    return Math.round(this.fromMonotonic(this.monotonic()));
+  }
+
+  wallNow() {
+    return Date.now();
+  }
+
+  /**
+   * Timeline time of a monotonic clock reading
+   * Moves the anchor forward when the wall clock has run ahead (the device
+   * slept, or the clock was set forward); a clock set back is not followed,
+   * so the timeline never decreases
+   */
+  fromMonotonic(mono) {
+    const current = this.monotonic();
+    const drift = Date.now() - (this.anchorWall + current - this.anchorMono);
+    if (drift > MAX_WALL_DRIFT) {
+      this.anchorWall += drift;
+      this.steps.push({ at: this.anchorWall + current - this.anchorMono, step: drift });
+      if (this.steps.length > 20) this.steps.shift();
+    }
+
+    return this.anchorWall + (mono - this.anchorMono);
+  }
+
+  /**
+   * Timeline time of a native sensor event timestamp (ms on the sensor's
+   * own clock, any origin)
+   * The smallest observed delivery latency pins the sensor clock to the
+   * monotonic clock; jitter in delivery is removed, so the result is never
+   * later than the event's arrival.
+   */
+  fromSensorTime(stream, sensorTime, arrival = this.monotonic()) {
+    const latency = arrival - sensorTime;
+    const clock = this.sensorClocks[stream];
+
+    if (!clock) {
+      this.sensorClocks[stream] = { offset: latency, at: arrival };
+    } else {
+      const floor = clock.offset + (arrival - clock.at) * SENSOR_CREEP;
+      clock.offset = latency - floor > SENSOR_RESET ? latency : Math.min(floor, latency);
+      clock.at = arrival;
+    }
+
+    return this.fromMonotonic(sensorTime + this.sensorClocks[stream].offset);
+  }
+
+  /**
+   * Minutes east of UTC at a time in this device's current zone
+   */
+  utcOffset(time = Date.now()) {
+    return -new Date(time).getTimezoneOffset() || 0;
+  }
+
+  /**
+   * Wall clock columns for a record at a timeline time: { wallTime, utcOffset }
+   * The wall clock reading is the time shifted by the current drift
+   */
+  stamp(time = this.now()) {
+    const wallTime = Math.round(time + Date.now() - this.fromMonotonic(this.monotonic()));
+    return { wallTime, utcOffset: this.utcOffset(wallTime) };
+  }
+
+  /**
+   * Offset (ms) to add to a remote device's timestamps to put them on this
+   * device's clock, from synchronized runs recorded on both
+   * Runs are experiment data ({ experimentId, clockOffset, clockUncertainty });
+   * both devices measured their offset to the same relay, so the difference
+   * is their offset to each other. The run with the smallest combined
+   * uncertainty wins. Returns { offset, uncertainty, runs } or null.
+   */
+  estimateDeviceOffset(localRuns, remoteRuns) {
+    const local = new Map(localRuns
+      .filter(run => run.experimentId && typeof run.clockOffset === 'number')
+      .map(run => [run.experimentId, run]));
+
+    const shared = remoteRuns
+      .filter(run => typeof run.clockOffset === 'number' && local.has(run.experimentId))
+      .map(run => {
+        const mine = local.get(run.experimentId);
+        return {
+          offset: run.clockOffset - mine.clockOffset,
+          uncertainty: (run.clockUncertainty || 0) + (mine.clockUncertainty || 0)
+        };
+      });
+    if (shared.length === 0) return null;
+
+    const best = shared.reduce((a, b) => (b.uncertainty < a.uncertainty ? b : a));
+    return { ...best, runs: shared.length };
+  }
+
+  getStatus() {
+    return {
+      now: this.now(),
+      wallClockDrift: Date.now() - this.fromMonotonic(this.monotonic()),
+      utcOffset: this.utcOffset(),
+      steps: this.steps.slice(),
+      sensorClocks: Object.keys(this.sensorClocks)
+    };
+  }
+}
+
+export default new TimeService();
@@ -0,0 +1,403 @@
+import { Platform } from 'react-native';
+import SettingsStore from './SettingsStore';
+import TimeService from './TimeService';
+import { SUN_EVENT_NAMES, moonPhase, sunTimes } from './Astronomy';
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * "HH:MM" to minutes after midnight
+ */
+export function parseClockTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time of day: ${text}`);
+  }
+  return Math.min(1440, Number(match[1]) * 60 + Number(match[2]));
+}
+
+export function formatClockTime(minutes) {
+  return `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+}
+
+/**
+ * "sunset", "sunrise-30", "dusk+90" to { event, offset } (offset in minutes)
+ */
+export function parseSunEvent(text) {
+  const match = /^([a-z]+)\s*(?:([+-])\s*(\d+))?$/.exec(String(text).trim().toLowerCase());
+  if (!match || !SUN_EVENT_NAMES.includes(match[1])) {
+    throw new Error(`Invalid sun event: ${text} (use ${SUN_EVENT_NAMES.join(', ')} with an optional ±minutes)`);
+  }
+  return { event: match[1], offset: match[2] === '-' ? -Number(match[3]) : Number(match[3] || 0) };
+}
+
+export function formatSunEvent({ event, offset }) {
+  if (!offset) return event;
+  return `${event}${offset > 0 ? '+' : '−'}${Math.abs(offset)} min`;
+}
+
+/**
+ * Lunar phase (0 new, 0.25 first quarter, 0.5 full, 0.75 last quarter)
+ */
+export function parsePhase(value) {
+  const phase = Number(value);
+  if (value === '' || value === null || !(phase >= 0 && phase <= 1)) {
+    throw new Error(`Invalid lunar phase: ${value} (use 0 to 1, 0.5 = full moon)`);
+  }
+  return phase;
+}
+
+function inRange(value, start, end) {
+  return start <= end
+    ? value >= start && value < end
+    : value >= start || value < end;
+}
+
+/**
+ * Calendar days and time-of-day windows in one explicit time zone
+ * The zone is the `timeZone` setting (an IANA name such as
+ * 'Europe/Berlin'), or the device's zone when it is empty. Every local
+ * date, day boundary and window check in the app goes through here, so
+ * daily reports, retention, rollups and window tags agree.
+ *
+ * Days are calendar days: a day runs from local midnight to the next local
+ * midnight, so DST days are 23 or 25 hours long.
+ *
+ * Observation windows come from the `timeWindows` setting, each
+ * { id, label, kind, start, end } of one of these kinds:
+ *   clock  wall-clock times, start: '03:00', end: '04:00'
+ *   sun    local sun events with optional minute offsets, start: 'sunset',
+ *          end: 'sunrise+30'; computed for the `observerLocation` setting,
+ *          never open while the location is unknown or on days the sun
+ *          does not reach the event (polar day and night)
+ *   lunar  a lunar phase range, start: 0.45, end: 0.55 (0.5 = full moon)
+ * An end before the start wraps (past midnight, the next day's event, or
+ * the new moon). On the night clocks go back, a clock window inside the
+ * repeated hour is open for both passes of it; when they go forward,
+ * skipped minutes are simply never inside. Windows may also carry
+ * `efficiency` and `mode`, which make them generation windows for
+ * State51Generator.getOptimalTiming().
+ */
+class TimeWindowService {
+  constructor() {
+    this.timeZone = '';
+    this.windows = [];
+    this.location = null;
+    this.formatters = {};
+    this.sunCache = new Map(); // local date -> sun events
+
+    this.configure(SettingsStore.getSettings());
+    SettingsStore.subscribe((settings, changed) => {
+      if (['timeZone', 'timeWindows', 'observerLocation'].some(key => changed.includes(key))) {
+        this.configure(settings);
+      }
+    });
+  }
+
+  /**
+   * Apply the timeZone, timeWindows and observerLocation settings; an
+   * unknown zone falls back to the device's, invalid windows are skipped
+   */
+  configure({ timeZone = '', timeWindows = [], observerLocation = null }) {
+    if (timeZone && !this.isValidTimeZone(timeZone)) {
+      console.warn(`Unknown time zone ${timeZone}; using the device time zone`);
+      timeZone = '';
+    }
+    this.timeZone = timeZone;
+    this.location = observerLocation;
+    this.sunCache.clear();
+
+    this.windows = [];
+    timeWindows.forEach(window => {
+      try {
+        this.windows.push(this.parseWindow(window));
+      } catch (error) {
+        console.warn(`Ignoring time window ${window.id}: ${error.message}`);
+      }
+    });
+
+    this.notifyServiceWorker();
+  }
+
+  /**
+   * Validate a window definition and add its parsed bounds; throws when
+   * it is invalid
+   */
+  parseWindow(window) {
+    if (!window.id) throw new Error('Window has no id');
+
+    const kind = window.kind || 'clock';
+    switch (kind) {
+      case 'clock':
+        return { ...window, kind, startMinute: parseClockTime(window.start), endMinute: parseClockTime(window.end) };
+      case 'sun':
+        return { ...window, kind, startEvent: parseSunEvent(window.start), endEvent: parseSunEvent(window.end) };
+      case 'lunar':
+        return { ...window, kind, startPhase: parsePhase(window.start), endPhase: parsePhase(window.end) };
+      default:
+        throw new Error(`Unknown window kind: ${kind}`);
+    }
+  }
+
+  /**
+   * The PWA's service worker flags anomalies too and cannot import this
+   * module, so it is sent the zone and the clock windows
+   */
+  notifyServiceWorker() {
+    if (Platform.OS !== 'web' || typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+
+    const worker = navigator.serviceWorker.controller;
+    if (worker) {
+      worker.postMessage({ type: 'TIME_WINDOWS', timeZone: this.getTimeZone(), windows: this.windows.filter(window => window.kind === 'clock') });
+    }
+  }
+
+  isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * IANA name of the zone in use
+   */
+  getTimeZone() {
+    if (this.timeZone) return this.timeZone;
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || 'local';
+    } catch (error) {
+      return 'local';
+    }
+  }
+
+  formatter(timeZone) {
+    if (!this.formatters[timeZone]) {
+      this.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    }
+    return this.formatters[timeZone];
+  }
+
+  /**
+   * Local wall-clock fields of a time: { year, month (1-12), day, hour, minute, second }
+   */
+  getParts(time = TimeService.now()) {
+    if (!this.timeZone) {
+      const date = new Date(time);
+      return {
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        day: date.getDate(),
+        hour: date.getHours(),
+        minute: date.getMinutes(),
+        second: date.getSeconds()
+      };
+    }
+
+    const parts = {};
+    this.formatter(this.timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+      if (type !== 'literal') parts[type] = Number(value);
+    });
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour % 24, // some engines print midnight as 24
+      minute: parts.minute,
+      second: parts.second
+    };
+  }
+
+  /**
+   * Minutes east of UTC in the zone at a time
+   */
+  getUtcOffset(time = TimeService.now()) {
+    if (!this.timeZone) return TimeService.utcOffset(time);
+
+    const { year, month, day, hour, minute, second } = this.getParts(time);
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    return Math.round((wall - Math.floor(time / 1000) * 1000) / 60000);
+  }
+
+  /**
+   * Local calendar date (YYYY-MM-DD) of a time
+   */
+  localDate(time = TimeService.now()) {
+    const { year, month, day } = this.getParts(time);
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+
+  /**
+   * Minutes after local midnight of a time
+   */
+  minuteOfDay(time = TimeService.now()) {
+    const { hour, minute } = this.getParts(time);
+    return hour * 60 + minute;
+  }
+
+  /**
+   * Calendar date `days` after a YYYY-MM-DD date
+   */
+  addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Time (epoch ms) of a local wall-clock time on a date
+   * The zone's offset is looked up at the estimate and again at the result,
+   * which settles on the right side of a DST change; a wall time that does
+   * not exist (skipped by a forward change) lands just after the gap
+   */
+  toTime(date, minutes = 0) {
+    const [year, month, day] = date.split('-').map(Number);
+    const wall = Date.UTC(year, month - 1, day, 0, minutes);
+
+    let time = wall - this.getUtcOffset(wall) * 60000;
+    const offset = this.getUtcOffset(time);
+    if (wall - offset * 60000 !== time) {
+      const adjusted = wall - offset * 60000;
+      time = this.getUtcOffset(adjusted) === offset ? adjusted : Math.max(time, adjusted);
+    }
+    return time;
+  }
+
+  /**
+   * { start, end } of a local calendar day; `end` is the next day's start
+   */
+  dayBounds(date) {
+    return { start: this.toTime(date), end: this.toTime(this.addDays(date, 1)) };
+  }
+
+  /**
+   * Start of every local day overlapping [startTime, endTime)
+   */
+  dayStarts(startTime, endTime) {
+    const starts = [];
+    let date = this.localDate(startTime);
+    let start = this.toTime(date);
+
+    while (start < endTime) {
+      starts.push(start);
+      date = this.addDays(date, 1);
+      start = this.toTime(date);
+    }
+    return starts;
+  }
+
+  getWindows() {
+    return this.windows;
+  }
+
+  getWindow(id) {
+    return this.windows.find(window => window.id === id) || null;
+  }
+
+  /**
+   * Whether a time falls inside a window (false for unknown windows)
+   */
+  isInWindow(id, time = TimeService.now()) {
+    const window = this.getWindow(id);
+    return window ? this.matches(window, time) : false;
+  }
+
+  /**
+   * Ids of every window a time falls inside, in settings order; anomalies
+   * and scans are tagged with these
+   */
+  getMatchingWindows(time = TimeService.now()) {
+    return this.windows.filter(window => this.matches(window, time)).map(window => window.id);
+  }
+
+  matches(window, time) {
+    switch (window.kind) {
+      case 'clock':
+        return inRange(this.minuteOfDay(time), window.startMinute, window.endMinute);
+      case 'sun':
+        return this.isInSunWindow(window, time);
+      case 'lunar':
+        return inRange(moonPhase(time).phase, window.startPhase, window.endPhase);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * A sun window opens once per local day; the one that opened the day
+   * before may still be open after midnight
+   */
+  isInSunWindow(window, time) {
+    if (!this.location) return false;
+
+    const today = this.localDate(time);
+    return [this.addDays(today, -1), today].some(date => {
+      const start = this.getSunEventTime(date, window.startEvent);
+      let end = this.getSunEventTime(date, window.endEvent);
+      if (start !== null && end !== null && end <= start) {
+        end = this.getSunEventTime(this.addDays(date, 1), window.endEvent);
+      }
+      return start !== null && end !== null && time >= start && time < end;
+    });
+  }
+
+  /**
+   * Time of a sun event ({ event, offset }) on a local date at the
+   * observer location, or null
+   */
+  getSunEventTime(date, { event, offset }) {
+    const times = this.getSunTimes(date);
+    return times && times[event] !== null ? times[event] + offset * 60000 : null;
+  }
+
+  /**
+   * Sun events of a local date at the observer location (see
+   * Astronomy.sunTimes), or null while the location is unknown
+   */
+  getSunTimes(date) {
+    if (!this.location) return null;
+
+    if (!this.sunCache.has(date)) {
+      if (this.sunCache.size > 64) this.sunCache.clear();
+      const { latitude, longitude } = this.location;
+      this.sunCache.set(date, sunTimes(this.toTime(date, 720), latitude, longitude));
+    }
+    return this.sunCache.get(date);
+  }
+
+  /**
+   * The cosmic window, used to flag anomalies and scans
+   */
+  isCosmicWindow(time = TimeService.now()) {
+    return this.isInWindow('cosmic', time);
+  }
+
+  /**
+   * "03:00–04:00", "sunset to sunrise+30 min" or "moon phase 0.45–0.55"
+   */
+  describeWindow(id) {
+    const window = this.getWindow(id);
+    if (!window) return '';
+
+    switch (window.kind) {
+      case 'sun':
+        return `${formatSunEvent(window.startEvent)} to ${formatSunEvent(window.endEvent)}`;
+      case 'lunar':
+        return `moon phase ${window.startPhase}–${window.endPhase}`;
+      default:
+        return `${formatClockTime(window.startMinute)}–${formatClockTime(window.endMinute)}`;
+    }
+  }
+}
+
+export default new TimeWindowService();
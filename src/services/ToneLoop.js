@@ -0,0 +1,82 @@
+import { Platform } from 'react-native';
+import { Audio } from 'expo-av';
+import * as FileSystem from 'expo-file-system';
+import WebSensorAdapter from './WebSensorAdapter';
+import { bytesToBase64 } from './Base64';
+import { encodeWav, renderTone } from './ToneSynth';
+
+/**
+ * One rendered tone playing on repeat, gated by its volume
+ * Native plays a WAV file from the cache directory through a single
+ * looping expo-av Sound (rendered once per tone and kept across runs); web
+ * loops the samples in a Web Audio buffer. Call stop() to release it.
+ */
+export default class ToneLoop {
+  /**
+   * `type` and `params` as for renderTone; `name` keys the cached file
+   */
+  constructor(type, params, name = [type, params.carrier, ...(params.modulations || [])].join('-')) {
+    this.type = type;
+    this.params = params;
+    this.name = name;
+    this.sound = null;
+    this.web = null;
+  }
+
+  async start(volume = 0) {
+    if (Platform.OS === 'web') {
+      const context = WebSensorAdapter.createAudioContext();
+      this.web = { context, ...WebSensorAdapter.loopTone(renderTone(this.type, this.params), context, volume) };
+      return;
+    }
+
+    await Audio.setAudioModeAsync({
+      playsInSilentModeIOS: true,
+      staysActiveInBackground: true,
+    });
+
+    const { sound } = await Audio.Sound.createAsync(
+      { uri: await this.getFile() },
+      { shouldPlay: true, isLooping: true, volume }
+    );
+    this.sound = sound;
+  }
+
+  /**
+   * Path of the tone's WAV file, rendering it on first use
+   */
+  async getFile() {
+    const uri = `${FileSystem.cacheDirectory}tone-${this.name}.wav`;
+    const info = await FileSystem.getInfoAsync(uri);
+    if (!info.exists) {
+      const wav = encodeWav(renderTone(this.type, this.params));
+      await FileSystem.writeAsStringAsync(uri, bytesToBase64(wav), {
+        encoding: FileSystem.EncodingType.Base64
+      });
+    }
+    return uri;
+  }
+
+  async setVolume(volume) {
+    if (this.web) {
+      WebSensorAdapter.setLoopVolume(this.web, volume);
+    } else if (this.sound) {
+      await this.sound.setVolumeAsync(volume);
+    }
+  }
+
+  async stop() {
+    const { sound, web } = this;
+    this.sound = null;
+    this.web = null;
+
+    if (web) {
+      web.source.stop();
+      await web.context.close();
+    }
+    if (sound) {
+      await sound.stopAsync();
+      await sound.unloadAsync();
+    }
+  }
+}
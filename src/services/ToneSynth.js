@@ -0,0 +1,178 @@
+/**
+ * Tone synthesis for the generator's audio channel
+ * Renders loopable PCM (one Float32Array per output channel, -1..1) and
+ * encodes it as 16-bit WAV. A loop holds a whole number of cycles of every
+ * component and of every modulation, so playing it on repeat is gapless
+ * and click-free; frequencies are nudged to fit (see renderTone).
+ */
+const DEFAULT_SAMPLE_RATE = 11025;
+const MAX_LOOP_SECONDS = 40;
+const LOOP_TOLERANCE = 0.001; // relative error allowed on slow frequencies
+const PEAK = 0.8; // headroom below full scale
+
+/**
+ * Output channels per tone type: each a list of components
+ * { waveform: 'sine' | 'square', frequency, amplitude, modulation, beat }
+ *   modulation  { frequency, depth }: amplitude envelope (AM)
+ *   beat        Hz added to the carrier, kept exact (binaural offsets)
+ * `carrier` is the audible frequency, `modulations` the slow pair
+ * (consciousness and matter frequencies) the envelopes or ears beat at.
+ */
+export const TONES = {
+  sine: ({ carrier }) => [[{ waveform: 'sine', frequency: carrier }]],
+  square: ({ carrier }) => [[{ waveform: 'square', frequency: carrier }]],
+  // Two carriers whose envelopes pulse at the two frequencies and drift in
+  // and out of step at their difference
+  am: ({ carrier, modulations: [first, second] }) => [[
+    { waveform: 'sine', frequency: carrier, modulation: { frequency: first, depth: 1 } },
+    { waveform: 'sine', frequency: carrier * 1.5, modulation: { frequency: second, depth: 1 } }
+  ]],
+  // Left and right ears offset by each frequency
+  binaural: ({ carrier, modulations: [first, second] }) => [
+    [
+      { waveform: 'sine', frequency: carrier },
+      { waveform: 'sine', frequency: carrier * 1.5 }
+    ],
+    [
+      { waveform: 'sine', frequency: carrier, beat: first },
+      { waveform: 'sine', frequency: carrier * 1.5, beat: second }
+    ]
+  ]
+};
+
+export const TONE_TYPES = Object.keys(TONES);
+
+/**
+ * Shortest loop length (s) holding whole cycles of every slow frequency to
+ * within LOOP_TOLERANCE, or the closest fit up to maxSeconds
+ */
+export function loopDuration(slowFrequencies, maxSeconds = MAX_LOOP_SECONDS) {
+  if (slowFrequencies.length === 0) return 1;
+
+  const slowest = Math.min(...slowFrequencies);
+  let best = { error: Infinity, duration: 1 / slowest };
+
+  for (let cycles = 1; cycles / slowest <= maxSeconds; cycles++) {
+    const duration = cycles / slowest;
+    const error = Math.max(...slowFrequencies.map(f => {
+      const whole = Math.max(1, Math.round(f * duration));
+      return Math.abs(whole - f * duration) / whole;
+    }));
+    if (error <= LOOP_TOLERANCE) return duration;
+    if (error < best.error) best = { error, duration };
+  }
+  return best.duration;
+}
+
+/**
+ * Render one loop of a tone type, e.g. renderTone('am', { carrier: 220,
+ * modulations: [1.038, 0.962] })
+ * Returns { type, sampleRate, duration, channels: Float32Array[], frequencies }
+ * where frequencies lists the fitted { frequency, modulation } per component.
+ */
+export function renderTone(type, params, { sampleRate = DEFAULT_SAMPLE_RATE, maxSeconds = MAX_LOOP_SECONDS } = {}) {
+  if (!TONES[type]) {
+    throw new Error(`Unknown tone: ${type}`);
+  }
+  const layout = TONES[type](params);
+  const components = layout.flat();
+
+  const slow = components.flatMap(c => [c.modulation && c.modulation.frequency, c.beat].filter(Boolean));
+  const length = Math.round(loopDuration(slow, maxSeconds) * sampleRate);
+  const duration = length / sampleRate;
+  const fit = f => Math.max(1, Math.round(f * duration)) / duration;
+
+  const frequencies = [];
+  const channels = layout.map(parts => {
+    const samples = new Float32Array(length);
+    parts.forEach(part => {
+      const frequency = fit(part.frequency) + (part.beat ? fit(part.beat) : 0);
+      const modulation = part.modulation ? fit(part.modulation.frequency) : null;
+      frequencies.push({ frequency, modulation });
+      addComponent(samples, sampleRate, {
+        ...part, frequency, modulation, depth: part.modulation && part.modulation.depth
+      });
+    });
+    return samples;
+  });
+
+  // One gain for all channels so binaural ears stay balanced
+  const peak = channels.reduce((max, samples) =>
+    samples.reduce((m, value) => Math.max(m, Math.abs(value)), max), 0);
+  if (peak > 0) {
+    channels.forEach(samples => {
+      for (let i = 0; i < length; i++) samples[i] *= PEAK / peak;
+    });
+  }
+
+  return { type, sampleRate, duration, channels, frequencies };
+}
+
+/**
+ * Mix one component into a channel; squares are band-limited (odd
+ * harmonics below Nyquist) so they do not alias
+ */
+function addComponent(samples, sampleRate, { waveform, frequency, amplitude = 1, modulation, depth = 1 }) {
+  const harmonics = [];
+  if (waveform === 'square') {
+    for (let n = 1; n * frequency < sampleRate / 2; n += 2) {
+      harmonics.push({ n, gain: 4 / (Math.PI * n) });
+    }
+  } else {
+    harmonics.push({ n: 1, gain: 1 });
+  }
+
+  const step = 2 * Math.PI / sampleRate;
+
+  for (let i = 0; i < samples.length; i++) {
+    let value = 0;
+    for (const { n, gain } of harmonics) {
+      value += gain * Math.sin(step * n * frequency * i);
+    }
+    // Raised-sine envelope: silent at its trough, full at its peak
+    const envelope = modulation
+      ? 1 - depth * (1 + Math.cos(step * modulation * i)) / 2
+      : 1;
+    samples[i] += amplitude * envelope * value;
+  }
+}
+
+/**
+ * Encode rendered channels as a 16-bit PCM WAV file
+ */
+export function encodeWav({ sampleRate, channels }) {
+  const frames = channels[0].length;
+  const blockAlign = channels.length * 2;
+  const dataSize = frames * blockAlign;
+  const bytes = new Uint8Array(44 + dataSize);
+  const view = new DataView(bytes.buffer);
+
+  const writeText = (offset, text) => {
+    for (let i = 0; i < text.length; i++) bytes[offset + i] = text.charCodeAt(i);
+  };
+
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true); // bits per sample
+  writeText(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (const samples of channels) {
+      const value = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(offset, Math.round(value * 32767), true);
+      offset += 2;
+    }
+  }
+
+  return bytes;
+}
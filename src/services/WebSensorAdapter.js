@@ -58,7 +58,8 @@ export class WebSensorAdapter {
           callback({
             x: event.acceleration.x || 0,
             y: event.acceleration.y || 0,
-            z: event.acceleration.z || 0
+            z: event.acceleration.z || 0,
+            timestamp: event.timeStamp
           });
         }
       };
@@ -75,7 +76,8 @@ export class WebSensorAdapter {
         callback({
           x: (event.beta || 0) * Math.PI / 180,  // Convert to rad/s
           y: (event.gamma || 0) * Math.PI / 180,
-          z: (event.alpha || 0) * Math.PI / 180
+          z: (event.alpha || 0) * Math.PI / 180,
+          timestamp: event.timeStamp
         });
       };
       
@@ -95,7 +97,8 @@ export class WebSensorAdapter {
         callback({
           x: Math.cos(heading * Math.PI / 180) * 50,
           y: Math.sin(heading * Math.PI / 180) * 50,
-          z: 25 // Simulated vertical component
+          z: 25, // Simulated vertical component
+          timestamp: event.timeStamp
         });
       };
       
@@ -191,6 +194,30 @@ export class WebSensorAdapter {
     return oscillator;
   }
 
+  // Loop a rendered tone (see ToneSynth.renderTone) without gaps; returns
+  // the { source, gain } nodes
+  loopTone(tone, audioContext, volume = 0) {
+    const buffer = audioContext.createBuffer(tone.channels.length, tone.channels[0].length, tone.sampleRate);
+    tone.channels.forEach((samples, channel) => buffer.copyToChannel(samples, channel));
+
+    const source = audioContext.createBufferSource();
+    const gain = audioContext.createGain();
+    source.buffer = buffer;
+    source.loop = true;
+    source.connect(gain);
+    gain.connect(audioContext.destination);
+
+    gain.gain.setValueAtTime(volume, audioContext.currentTime);
+    source.start(audioContext.currentTime);
+
+    return { source, gain };
+  }
+
+  // Change a looping tone's volume with a 5 ms ramp so pulses do not click
+  setLoopVolume({ gain, context }, volume) {
+    gain.gain.setTargetAtTime(volume, context.currentTime, 0.005);
+  }
+
   // Vibration API for haptic feedback
   vibrate(pattern) {
     if (navigator.vibrate) {
@@ -0,0 +1,92 @@
+import { ByteReader } from './SampleCodec';
+import { decodeUtf8 } from './TextEncoding';
+import { crc32 } from './ZipWriter';
+
+/**
+ * Minimal ZIP archive reader for the app's own exports
+ * Reads the central directory, so entries written with data descriptors
+ * (as ZipWriter does) are located correctly. Only stored (uncompressed)
+ * entries are supported; each entry's CRC-32 is checked when it is read.
+ */
+export default class ZipReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.entries = this.readDirectory();
+  }
+
+  readDirectory() {
+    const reader = new ByteReader(this.bytes);
+
+    // End of central directory: last record, before an optional comment
+    let end = this.bytes.length - 22;
+    while (end >= 0 && !this.signatureAt(end, 0x06054b50)) end--;
+    if (end < 0) throw new Error('Not a zip archive');
+
+    reader.offset = end + 10;
+    const count = reader.readUint16();
+    reader.readUint32(); // directory size
+    reader.offset = reader.readUint32();
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      if (reader.readUint32() !== 0x02014b50) throw new Error('Corrupt zip directory');
+      reader.offset += 6; // made by, version needed, flags
+      const method = reader.readUint16();
+      reader.offset += 4; // time, date
+      const crc = reader.readUint32();
+      const compressedSize = reader.readUint32();
+      const size = reader.readUint32();
+      const nameLength = reader.readUint16();
+      const extraLength = reader.readUint16();
+      const commentLength = reader.readUint16();
+      reader.offset += 8; // disk, internal and external attributes
+      const offset = reader.readUint32();
+      const name = decodeUtf8(reader.readBytes(nameLength));
+      reader.offset += extraLength + commentLength;
+
+      entries.push({ name, method, crc, compressedSize, size, offset });
+    }
+
+    return entries;
+  }
+
+  signatureAt(offset, signature) {
+    const reader = new ByteReader(this.bytes);
+    reader.offset = offset;
+    return reader.readUint32() === signature;
+  }
+
+  has(name) {
+    return this.entries.some(entry => entry.name === name);
+  }
+
+  /**
+   * Bytes of an entry
+   */
+  read(name) {
+    const entry = this.entries.find(e => e.name === name);
+    if (!entry) throw new Error(`Missing from archive: ${name}`);
+    if (entry.method !== 0) throw new Error(`Compressed entries are not supported: ${name}`);
+
+    const reader = new ByteReader(this.bytes);
+    reader.offset = entry.offset;
+    if (reader.readUint32() !== 0x04034b50) throw new Error(`Corrupt zip entry: ${name}`);
+    reader.offset = entry.offset + 26;
+    const nameLength = reader.readUint16();
+    const extraLength = reader.readUint16();
+    const start = entry.offset + 30 + nameLength + extraLength;
+
+    const data = this.bytes.subarray(start, start + entry.size);
+    if (data.length !== entry.size || crc32(data) !== entry.crc) {
+      throw new Error(`Checksum mismatch in ${name}`);
+    }
+    return data;
+  }
+
+  /**
+   * Entry as UTF-8 text
+   */
+  readText(name) {
+    return decodeUtf8(this.read(name));
+  }
+}
@@ -0,0 +1,183 @@
+import { ByteWriter } from './SampleCodec';
+import { encodeUtf8 } from './TextEncoding';
+
+/**
+ * Minimal streaming ZIP archive writer
+ * Entries are stored uncompressed (method 0), which every unzip tool and
+ * share target reads; the columnar files inside are compact already. Sizes
+ * and CRC follow each entry in a data descriptor, so an entry can be written
+ * in pieces without holding it in memory, and the archive comes out as a
+ * list of byte chunks.
+ */
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+/**
+ * CRC-32 (IEEE) of a byte array; pass the previous result to continue it
+ */
+export function crc32(bytes, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * DOS date and time fields of a Date (local time, 2 s resolution)
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+const FLAGS = 0x0808; // data descriptor follows the data; UTF-8 names
+
+export default class ZipWriter {
+  /**
+   * `onChunk(bytes)` receives the archive as it is written; without it the
+   * chunks are kept for toBytes()
+   */
+  constructor(onChunk = null) {
+    this.entries = [];
+    this.current = null;
+    this.offset = 0;
+    this.chunks = [];
+    this.onChunk = onChunk;
+    this.finished = false;
+  }
+
+  emit(bytes) {
+    if (bytes.length === 0) return;
+    this.offset += bytes.length;
+    if (this.onChunk) {
+      this.onChunk(bytes);
+    } else {
+      this.chunks.push(bytes);
+    }
+  }
+
+  /**
+   * Local file header, or central directory record for a finished entry
+   */
+  writeHeader(writer, entry, central) {
+    const { time, date } = dosDateTime(entry.modified);
+
+    writer.writeUint32(central ? 0x02014b50 : 0x04034b50);
+    if (central) writer.writeUint16(20); // made by
+    writer.writeUint16(20); // version needed
+    writer.writeUint16(FLAGS);
+    writer.writeUint16(0); // stored
+    writer.writeUint16(time);
+    writer.writeUint16(date);
+    writer.writeUint32(central ? entry.crc : 0); // local: in the data descriptor
+    writer.writeUint32(central ? entry.size : 0); // compressed size
+    writer.writeUint32(central ? entry.size : 0);
+    writer.writeUint16(entry.nameBytes.length);
+    writer.writeUint16(0); // extra field length
+
+    if (central) {
+      writer.writeUint16(0); // comment length
+      writer.writeUint16(0); // disk number
+      writer.writeUint16(0); // internal attributes
+      writer.writeUint32(0); // external attributes
+      writer.writeUint32(entry.offset);
+    }
+
+    writer.writeBytes(entry.nameBytes);
+  }
+
+  /**
+   * Start an entry; write its content with write(), then call endFile()
+   */
+  beginFile(name, modified = new Date()) {
+    if (this.current) this.endFile();
+
+    this.current = { name, nameBytes: encodeUtf8(name), modified, offset: this.offset, crc: 0, size: 0 };
+    const writer = new ByteWriter();
+    this.writeHeader(writer, this.current, false);
+    this.emit(writer.toBytes());
+  }
+
+  /**
+   * Append to the current entry; text is written as UTF-8
+   */
+  write(content) {
+    const bytes = typeof content === 'string' ? encodeUtf8(content) : content;
+    this.current.crc = crc32(bytes, this.current.crc);
+    this.current.size += bytes.length;
+    this.emit(bytes);
+  }
+
+  endFile() {
+    const entry = this.current;
+    const writer = new ByteWriter();
+    writer.writeUint32(0x08074b50);
+    writer.writeUint32(entry.crc);
+    writer.writeUint32(entry.size);
+    writer.writeUint32(entry.size);
+    this.emit(writer.toBytes());
+
+    this.entries.push(entry);
+    this.current = null;
+    return entry;
+  }
+
+  /**
+   * Add a whole file at once
+   */
+  addFile(name, content, modified = new Date()) {
+    this.beginFile(name, modified);
+    this.write(content);
+    return this.endFile();
+  }
+
+  /**
+   * Write the central directory; the archive is complete afterwards
+   */
+  finish() {
+    if (this.current) this.endFile();
+    this.finished = true;
+
+    const writer = new ByteWriter();
+    const directoryStart = this.offset;
+    this.entries.forEach(entry => this.writeHeader(writer, entry, true));
+    const directorySize = writer.length;
+
+    // End of central directory
+    writer.writeUint32(0x06054b50);
+    writer.writeUint16(0);
+    writer.writeUint16(0);
+    writer.writeUint16(this.entries.length);
+    writer.writeUint16(this.entries.length);
+    writer.writeUint32(directorySize);
+    writer.writeUint32(directoryStart);
+    writer.writeUint16(0);
+
+    this.emit(writer.toBytes());
+  }
+
+  /**
+   * The complete archive as one byte array (when no onChunk was given)
+   */
+  toBytes() {
+    if (!this.finished) this.finish();
+
+    const bytes = new Uint8Array(this.chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    this.chunks.forEach(chunk => {
+      bytes.set(chunk, position);
+      position += chunk.length;
+    });
+    return bytes;
+  }
+}
@@ -0,0 +1,160 @@
+import * as Battery from 'expo-battery';
+import * as Cellular from 'expo-cellular';
+import * as Location from 'expo-location';
+import * as Network from 'expo-network';
+import * as Sensors from 'expo-sensors';
+import * as Device from 'expo-device';
+import TimeService from '../TimeService';
+import SensorSource, { pollingSubscription } from './SensorSource';
+
+const MOTION_SENSORS = {
+  accelerometer: Sensors.Accelerometer,
+  gyroscope: Sensors.Gyroscope,
+  magnetometer: Sensors.Magnetometer,
+};
+
+/**
+ * Timeline time of a sensor event: expo-sensors stamps events with the
+ * sensor clock in seconds; older native modules send no timestamp
+ */
+function eventTime(sensor, timestamp) {
+  return typeof timestamp === 'number' && timestamp > 0
+    ? TimeService.fromSensorTime(sensor, timestamp * 1000)
+    : TimeService.now();
+}
+
+/**
+ * Native device sensors through the Expo modules
+ */
+export default class ExpoSensorSource extends SensorSource {
+  constructor() {
+    super('expo');
+  }
+
+  async requestPermissions() {
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        console.log('Location permission denied');
+      }
+      return [{ type: 'location', status }];
+    } catch (error) {
+      console.error('Permission request error:', error);
+      return [];
+    }
+  }
+
+  subscribe(sensor, callback, intervalMs) {
+    if (MOTION_SENSORS[sensor]) {
+      const module = MOTION_SENSORS[sensor];
+      module.setUpdateInterval(intervalMs);
+      return module.addListener(({ x, y, z, timestamp }) => {
+        this.emit(sensor, { x, y, z, timestamp: eventTime(sensor, timestamp) }, callback);
+      });
+    }
+
+    switch (sensor) {
+      case 'barometer':
+        Sensors.Barometer.setUpdateInterval(intervalMs);
+        return Sensors.Barometer.addListener(({ pressure, timestamp }) => {
+          this.emit(sensor, { pressure, timestamp: eventTime(sensor, timestamp) }, callback);
+        });
+
+      case 'battery':
+        // Event driven; the interval does not apply
+        return Battery.addBatteryLevelListener(({ batteryLevel }) => {
+          this.emit(sensor, { level: batteryLevel, timestamp: TimeService.now() }, callback);
+        });
+
+      case 'location':
+        return pollingSubscription(async () => {
+          const location = await Location.getCurrentPositionAsync({
+            accuracy: Location.Accuracy.Highest
+          });
+
+          this.emit(sensor, {
+            accuracy: location.coords.accuracy,
+            altitude: location.coords.altitude,
+            latitude: location.coords.latitude,
+            longitude: location.coords.longitude,
+            timestamp: location.timestamp
+          }, callback);
+        }, intervalMs);
+
+      default:
+        return null;
+    }
+  }
+
+  async getBatteryData() {
+    const level = await Battery.getBatteryLevelAsync();
+    const state = await Battery.getBatteryStateAsync();
+    const lowPowerMode = await Battery.isLowPowerModeEnabledAsync();
+
+    return { level, state, lowPowerMode };
+  }
+
+  async getNetworkData() {
+    const networkState = await Network.getNetworkStateAsync();
+    const ip = await Network.getIpAddressAsync();
+    const cellular = await Cellular.getCellularGenerationAsync();
+
+    return { ...networkState, ip, cellular };
+  }
+
+  async getDeviceData() {
+    return {
+      brand: Device.brand,
+      model: Device.modelName,
+      os: Device.osName,
+      osVersion: Device.osVersion,
+      deviceName: Device.deviceName
+    };
+  }
+
+  async getSensorSnapshot() {
+    const snapshot = {};
+
+    // Magnetometer
+    try {
+      const mag = await Sensors.Magnetometer.getLastSensorDataAsync();
+      if (mag) {
+        snapshot.magneticField = Math.sqrt(mag.x ** 2 + mag.y ** 2 + mag.z ** 2);
+      }
+    } catch (e) {}
+
+    // Accelerometer
+    try {
+      const acc = await Sensors.Accelerometer.getLastSensorDataAsync();
+      if (acc) {
+        snapshot.acceleration = Math.sqrt(acc.x ** 2 + acc.y ** 2 + acc.z ** 2);
+      }
+    } catch (e) {}
+
+    // Gyroscope
+    try {
+      const gyro = await Sensors.Gyroscope.getLastSensorDataAsync();
+      if (gyro) {
+        snapshot.rotation = Math.sqrt(gyro.x ** 2 + gyro.y ** 2 + gyro.z ** 2);
+      }
+    } catch (e) {}
+
+    // Barometer
+    try {
+      const baro = await Sensors.Barometer.getLastSensorDataAsync();
+      if (baro) {
+        snapshot.pressure = baro.pressure;
+      }
+    } catch (e) {}
+
+    // Location
+    try {
+      const location = await Location.getLastKnownPositionAsync();
+      if (location) {
+        snapshot.gpsAccuracy = location.coords.accuracy;
+      }
+    } catch (e) {}
+
+    return snapshot;
+  }
+}
@@ -0,0 +1,129 @@
+import SensorRecorder from '../SensorRecorder';
+import SensorReplay from '../SensorReplay';
+import TimeService from '../TimeService';
+import SensorSource from './SensorSource';
+
+/**
+ * Plays a recorded raw session back as if it came from the device
+ * Timestamps are shifted so the recording starts when playback starts;
+ * with speed > 1 they stay spaced as recorded, so the detectors see the
+ * original sample timing. Each pass (a loop, or start after stop) starts
+ * no earlier than one mean sample interval after the last sample emitted,
+ * so time never goes backwards even when a pass ran ahead of the clock.
+ *
+ * Options: session (decoded) or recordingId (defaults to the latest
+ * finished recording), speed, loop
+ */
+export default class ReplaySensorSource extends SensorSource {
+  constructor(options = {}) {
+    super('replay');
+    this.options = { speed: 1, loop: false, ...options };
+    this.session = options.session || null;
+    this.handlers = {};
+    this.player = null;
+    this.lastTimestamp = null; // latest shifted timestamp emitted
+  }
+
+  /**
+   * Load the session on first use
+   */
+  async loadSession() {
+    if (this.session) return this.session;
+
+    let recordingId = this.options.recordingId;
+    if (!recordingId) {
+      const recordings = await SensorRecorder.listRecordings(5);
+      const latest = recordings.find(recording => recording.ended_at);
+      if (!latest) {
+        throw new Error('No finished recording to replay');
+      }
+      recordingId = latest.id;
+    }
+
+    this.session = await SensorRecorder.loadSession(recordingId);
+    return this.session;
+  }
+
+  subscribe(sensor, callback) {
+    if (!this.handlers[sensor]) {
+      this.handlers[sensor] = [];
+    }
+    this.handlers[sensor].push(callback);
+
+    return {
+      remove: () => {
+        this.handlers[sensor] = this.handlers[sensor].filter(handler => handler !== callback);
+      }
+    };
+  }
+
+  async start() {
+    const session = await this.loadSession();
+    if (session.events.length === 0) return;
+
+    const { events } = session;
+    const first = events[0].sample.timestamp;
+    const interval = Math.max(1, (events[events.length - 1].sample.timestamp - first) / Math.max(1, events.length - 1));
+
+    const play = () => {
+      let offset = TimeService.now() - session.startTime;
+      if (this.lastTimestamp !== null) {
+        offset = Math.max(offset, this.lastTimestamp + interval - first);
+      }
+
+      this.player = SensorReplay.play(session, (sensor, sample) => {
+        const shifted = { ...sample, timestamp: sample.timestamp + offset };
+        this.lastTimestamp = shifted.timestamp;
+        (this.handlers[sensor] || []).forEach(handler => this.emit(sensor, shifted, handler));
+      }, {
+        speed: this.options.speed,
+        onComplete: () => {
+          if (this.options.loop) {
+            play();
+          } else {
+            console.log('Sensor replay finished');
+          }
+        }
+      });
+    };
+
+    play();
+  }
+
+  stop() {
+    if (this.player) {
+      this.player.stop();
+      this.player = null;
+    }
+  }
+
+  getProgress() {
+    return this.player ? this.player.getProgress() : 0;
+  }
+
+  async getBatteryData() {
+    const session = await this.loadSession();
+    const baseline = session.baseline;
+    if (baseline && baseline.battery) return baseline.battery;
+
+    const first = session.events.find(event => event.sensor === 'battery');
+    return { level: first ? first.sample.level : null, state: null, lowPowerMode: false };
+  }
+
+  async getDeviceData() {
+    const session = await this.loadSession();
+    const recorded = session.recording.data ? session.recording.data.device : null;
+    return recorded || super.getDeviceData();
+  }
+
+  async getSensorSnapshot() {
+    // Before playback the snapshot comes from the recording's baseline
+    if (Object.keys(this.lastSamples).length === 0) {
+      const session = await this.loadSession();
+      if (session.baseline && session.baseline.sensors) {
+        return session.baseline.sensors;
+      }
+    }
+    return super.getSensorSnapshot();
+  }
+}
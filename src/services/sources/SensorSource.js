@@ -0,0 +1,109 @@
+/**
+ * Base class for sensor sources consumed by SensorMonitor
+ *
+ * A source delivers samples for the streams in SampleCodec's SENSOR_FIELDS
+ * (accelerometer, gyroscope, magnetometer, barometer, battery, location),
+ * each as a plain object with a `timestamp` in ms on TimeService's timeline
+ * (taken from the sensor event where the platform provides one), and answers
+ * the one-off battery / network / device / snapshot queries used for
+ * baselines and scans.
+ */
+export default class SensorSource {
+  constructor(name) {
+    this.name = name;
+    this.lastSamples = {};
+  }
+
+  /**
+   * Request whatever permissions the source needs
+   */
+  async requestPermissions() {
+    return [];
+  }
+
+  /**
+   * Called after SensorMonitor has subscribed to every stream
+   */
+  async start() {}
+
+  /**
+   * Called when monitoring stops or the source is replaced
+   */
+  stop() {}
+
+  /**
+   * Subscribe to one sensor stream
+   * Returns { remove() }, or null when the stream is not available
+   */
+  subscribe(sensor, callback, intervalMs) {
+    return null;
+  }
+
+  /**
+   * Remember the latest sample so snapshots work for every source
+   */
+  emit(sensor, sample, callback) {
+    this.lastSamples[sensor] = sample;
+    callback(sample);
+  }
+
+  async getBatteryData() {
+    const battery = this.lastSamples.battery;
+    return { level: battery ? battery.level : null, state: null, lowPowerMode: false };
+  }
+
+  async getNetworkData() {
+    return { type: 'unknown', isConnected: false, isInternetReachable: false, ip: null };
+  }
+
+  async getDeviceData() {
+    return { brand: null, model: null, os: null, osVersion: null, deviceName: this.name };
+  }
+
+  /**
+   * Snapshot of the latest sensor magnitudes
+   */
+  async getSensorSnapshot() {
+    const snapshot = {};
+    const magnitude = s => Math.sqrt(s.x ** 2 + s.y ** 2 + s.z ** 2);
+    const { magnetometer, accelerometer, gyroscope, barometer, location } = this.lastSamples;
+
+    if (magnetometer) snapshot.magneticField = magnitude(magnetometer);
+    if (accelerometer) snapshot.acceleration = magnitude(accelerometer);
+    if (gyroscope) snapshot.rotation = magnitude(gyroscope);
+    if (barometer) snapshot.pressure = barometer.pressure;
+    if (location) snapshot.gpsAccuracy = location.accuracy;
+
+    return snapshot;
+  }
+}
+
+/**
+ * Subscription that calls `poll` every intervalMs until removed
+ * `poll` may be async; the next call is scheduled after it settles
+ */
+export function pollingSubscription(poll, intervalMs) {
+  let active = true;
+  let timer = null;
+
+  const run = async () => {
+    if (!active) return;
+    try {
+      await poll();
+    } catch (error) {
+      console.error('Sensor polling error:', error);
+    }
+    if (active) {
+      timer = setTimeout(run, intervalMs);
+    }
+  };
+
+  run();
+
+  return {
+    remove: () => {
+      active = false;
+      clearTimeout(timer);
+    }
+  };
+}
@@ -0,0 +1,50 @@
+import SensorSimulator from '../SensorSimulator';
+import TimeService from '../TimeService';
+import SensorSource, { pollingSubscription } from './SensorSource';
+
+/**
+ * Synthetic sensor streams for development and CI, generated live by
+ * SensorSimulator (options are passed through: seed, noise, drift,
+ * handling, ...). Injections added with inject() are logged as ground truth.
+ */
+export default class SyntheticSensorSource extends SensorSource {
+  constructor(options = {}) {
+    super('synthetic');
+    this.simulator = options.simulator || new SensorSimulator(options);
+  }
+
+  /**
+   * Inject a ground-truth signal starting now (see SensorSimulator.inject)
+   */
+  inject(injection) {
+    return this.simulator.inject({ start: TimeService.now(), ...injection });
+  }
+
+  getGroundTruth() {
+    return this.simulator.groundTruth.slice();
+  }
+
+  subscribe(sensor, callback, intervalMs) {
+    if (!this.simulator.intervals[sensor]) return null;
+
+    return pollingSubscription(() => {
+      this.emit(sensor, this.simulator.sample(sensor, TimeService.now()), callback);
+    }, intervalMs);
+  }
+
+  async getBatteryData() {
+    const { level } = this.simulator.sample('battery', TimeService.now());
+    return { level, state: 'unplugged', lowPowerMode: false };
+  }
+
+  async getNetworkData() {
+    return { type: 'NONE', isConnected: false, isInternetReachable: false, ip: '0.0.0.0' };
+  }
+
+  async getSensorSnapshot() {
+    if (Object.keys(this.lastSamples).length === 0) {
+      return this.simulator.getBaseline(TimeService.now()).sensors;
+    }
+    return super.getSensorSnapshot();
+  }
+}
@@ -0,0 +1,95 @@
+import WebSensorAdapter from '../WebSensorAdapter';
+import TimeService from '../TimeService';
+import SensorSource, { pollingSubscription } from './SensorSource';
+
+/**
+ * Browser sensors (PWA build) through WebSensorAdapter
+ * Motion events fire at display rate, so they are throttled to the
+ * requested interval; barometer is not available on the web
+ */
+export default class WebSensorSource extends SensorSource {
+  constructor(adapter = WebSensorAdapter) {
+    super('web');
+    this.adapter = adapter;
+  }
+
+  async requestPermissions() {
+    return this.adapter.requestPermissions();
+  }
+
+  subscribe(sensor, callback, intervalMs) {
+    const starters = {
+      accelerometer: cb => this.adapter.startAccelerometer(cb),
+      gyroscope: cb => this.adapter.startGyroscope(cb),
+      magnetometer: cb => this.adapter.startMagnetometer(cb),
+    };
+
+    if (starters[sensor]) {
+      let lastEmit = 0;
+      const unsubscribe = starters[sensor](({ x, y, z, timestamp }) => {
+        // Event timeStamp: when the browser took the reading
+        const now = typeof timestamp === 'number' && timestamp > 0
+          ? TimeService.fromSensorTime(sensor, timestamp)
+          : TimeService.now();
+        if (now - lastEmit < intervalMs * 0.9) return;
+        lastEmit = now;
+        this.emit(sensor, { x, y, z, timestamp: now }, callback);
+      });
+      return unsubscribe ? { remove: unsubscribe } : null;
+    }
+
+    switch (sensor) {
+      case 'battery':
+        // The adapter falls back to random levels without the Battery API,
+        // which would look like charging anomalies
+        if (typeof navigator === 'undefined' || !navigator.getBattery) return null;
+        return pollingSubscription(async () => {
+          const { level } = await this.adapter.getBatteryInfo();
+          this.emit(sensor, { level, timestamp: TimeService.now() }, callback);
+        }, intervalMs);
+
+      case 'location':
+        return pollingSubscription(async () => {
+          const position = await this.adapter.getCurrentPosition();
+          this.emit(sensor, {
+            accuracy: position.coords.accuracy,
+            altitude: position.coords.altitude,
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude,
+            timestamp: position.timestamp
+          }, callback);
+        }, intervalMs);
+
+      default:
+        return null;
+    }
+  }
+
+  async getBatteryData() {
+    const battery = await this.adapter.getBatteryInfo();
+    return { level: battery.level, state: battery.charging ? 'charging' : 'unplugged', lowPowerMode: false };
+  }
+
+  async getNetworkData() {
+    const network = this.adapter.getNetworkInfo();
+    return {
+      type: network.type,
+      isConnected: network.online,
+      isInternetReachable: network.online,
+      downlink: network.downlink,
+      rtt: network.rtt,
+      ip: null
+    };
+  }
+
+  async getDeviceData() {
+    const info = this.adapter.getDeviceInfo();
+    return {
+      brand: null,
+      model: info.platform,
+      os: 'web',
+      osVersion: info.userAgent,
+      deviceName: info.isPWA ? 'PWA' : 'Browser'
+    };
+  }
+}
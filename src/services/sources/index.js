@@ -0,0 +1,45 @@
+import { Platform } from 'react-native';
+import ExpoSensorSource from './ExpoSensorSource';
+import WebSensorSource from './WebSensorSource';
+import ReplaySensorSource from './ReplaySensorSource';
+import SyntheticSensorSource from './SyntheticSensorSource';
+
+/**
+ * Sensor sources selectable at runtime (settings key `sensorSource`)
+ */
+export const SENSOR_SOURCES = {
+  expo: { label: 'Device', create: () => new ExpoSensorSource(), platforms: ['ios', 'android'] },
+  web: { label: 'Browser', create: () => new WebSensorSource(), platforms: ['web'] },
+  replay: { label: 'Replay', create: options => new ReplaySensorSource(options) },
+  synthetic: { label: 'Synthetic', create: options => new SyntheticSensorSource(options) },
+};
+
+/**
+ * Source used when nothing is configured
+ */
+export function getDefaultSourceName() {
+  return Platform.OS === 'web' ? 'web' : 'expo';
+}
+
+/**
+ * Names of the sources usable on this platform
+ */
+export function getAvailableSources() {
+  return Object.keys(SENSOR_SOURCES).filter(name => {
+    const { platforms } = SENSOR_SOURCES[name];
+    return !platforms || platforms.includes(Platform.OS);
+  });
+}
+
+/**
+ * Create a source by name
+ */
+export function createSensorSource(name = getDefaultSourceName(), options = {}) {
+  const entry = SENSOR_SOURCES[name];
+  if (!entry) {
+    throw new Error(`Unknown sensor source: ${name}`);
+  }
+  return entry.create(options);
+}
+
+export { ExpoSensorSource, WebSensorSource, ReplaySensorSource, SyntheticSensorSource };